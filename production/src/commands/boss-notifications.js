@@ -23,6 +23,28 @@ module.exports = {
             .setRequired(false)
         )
     )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('fighter-role')
+        .setDescription('Set the role given to players while they fight a boss')
+        .addRoleOption(option =>
+          option
+            .setName('role')
+            .setDescription('Boss fighter role (leave empty to stop assigning one)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('spawns')
+        .setDescription('Allow or block bosses from spawning in this server')
+        .addBooleanOption(option =>
+          option
+            .setName('enabled')
+            .setDescription('Whether bosses may spawn here')
+            .setRequired(true)
+        )
+    )
     .addSubcommand(subcommand =>
       subcommand
         .setName('disable')
@@ -42,6 +64,12 @@ module.exports = {
         case 'setup':
           await this.handleSetup(interaction);
           break;
+        case 'fighter-role':
+          await this.handleFighterRole(interaction);
+          break;
+        case 'spawns':
+          await this.handleSpawns(interaction);
+          break;
         case 'disable':
           await this.handleDisable(interaction);
           break;
@@ -85,12 +113,15 @@ module.exports = {
     }
 
     try {
-      // Update or insert notification settings
+      // Update or insert notification settings (keeps any configured fighter role)
       const now = Date.now();
       db.prepare(`
-        REPLACE INTO boss_notification_settings
+        INSERT INTO boss_notification_settings
         (guildId, channelId, enabled, roleId, enabledAt, updatedBy)
         VALUES (?, ?, 1, ?, ?, ?)
+        ON CONFLICT(guildId) DO UPDATE SET
+          channelId = excluded.channelId, enabled = 1, roleId = excluded.roleId,
+          enabledAt = excluded.enabledAt, updatedBy = excluded.updatedBy
       `).run(
         interaction.guild.id,
         channel.id,
@@ -132,13 +163,91 @@ module.exports = {
     }
   },
 
+  async handleFighterRole(interaction) {
+    const role = interaction.options.getRole('role');
+
+    // The bot can only hand out roles below its own highest role
+    if (role && (role.managed || !role.editable)) {
+      return interaction.reply({
+        content: `❌ I can't assign ${role}. Make sure I have **Manage Roles** and that my role is above it.`,
+        ephemeral: true
+      });
+    }
+
+    try {
+      // Alerts stay off for guilds that only configure a fighter role
+      db.prepare(`
+        INSERT INTO boss_notification_settings (guildId, enabled, fighterRoleId, updatedBy)
+        VALUES (?, 0, ?, ?)
+        ON CONFLICT(guildId) DO UPDATE SET
+          fighterRoleId = excluded.fighterRoleId, updatedBy = excluded.updatedBy
+      `).run(interaction.guild.id, role?.id || null, interaction.user.id);
+
+      const embed = new EmbedBuilder()
+        .setTitle(role ? '⚔️ Boss Fighter Role Set' : '⚔️ Boss Fighter Role Cleared')
+        .setDescription(role
+          ? `Players who attack a boss will receive ${role} until they have no active boss fights left.`
+          : 'Players will no longer receive a boss fighter role in this server.')
+        .setColor(role ? 0x00FF00 : 0xFF6B6B)
+        .setFooter({
+          text: 'Boss fighter role • QuestCord',
+          iconURL: interaction.client.user.displayAvatarURL()
+        })
+        .setTimestamp();
+
+      return interaction.reply({ embeds: [embed] });
+
+    } catch (error) {
+      console.error('[boss-notifications] Database error during fighter role update:', error.message);
+      return interaction.reply({
+        content: '❌ Failed to save the fighter role. Please try again.',
+        ephemeral: true
+      });
+    }
+  },
+
+  async handleSpawns(interaction) {
+    const enabled = interaction.options.getBoolean('enabled');
+
+    try {
+      // Opting out only affects where bosses spawn; alerts and attacks are untouched
+      db.prepare(`
+        INSERT INTO boss_notification_settings (guildId, enabled, spawnOptOut, updatedBy)
+        VALUES (?, 0, ?, ?)
+        ON CONFLICT(guildId) DO UPDATE SET
+          spawnOptOut = excluded.spawnOptOut, updatedBy = excluded.updatedBy
+      `).run(interaction.guild.id, enabled ? 0 : 1, interaction.user.id);
+
+      const embed = new EmbedBuilder()
+        .setTitle(enabled ? '🐲 Boss Spawns Enabled' : '🚫 Boss Spawns Disabled')
+        .setDescription(enabled
+          ? 'Bosses can spawn in this server again. Active servers are picked more often.'
+          : 'Bosses will no longer spawn in this server. Members can still fight bosses elsewhere.')
+        .setColor(enabled ? 0x00FF00 : 0xFF6B6B)
+        .setFooter({
+          text: 'Boss spawns • QuestCord',
+          iconURL: interaction.client.user.displayAvatarURL()
+        })
+        .setTimestamp();
+
+      return interaction.reply({ embeds: [embed] });
+
+    } catch (error) {
+      console.error('[boss-notifications] Database error during spawn toggle:', error.message);
+      return interaction.reply({
+        content: '❌ Failed to save the spawn setting. Please try again.',
+        ephemeral: true
+      });
+    }
+  },
+
   async handleDisable(interaction) {
     try {
       const settings = db.prepare(`
         SELECT * FROM boss_notification_settings WHERE guildId = ?
       `).get(interaction.guild.id);
 
-      if (!settings) {
+      if (!settings || !settings.enabled) {
         return interaction.reply({
           content: '❌ Boss notifications are not currently configured for this server.',
           ephemeral: true
@@ -218,6 +327,22 @@ module.exports = {
           );
       }
 
+      const fighterRole = settings?.fighterRoleId ? await interaction.guild.roles.fetch(settings.fighterRoleId).catch(() => null) : null;
+      embed.addFields({
+        name: '⚔️ Boss Fighter Role',
+        value: fighterRole ? `${fighterRole}` : settings?.fighterRoleId ? '❌ Role not found' : 'None (use `/boss-notifications fighter-role`)',
+        inline: false
+      });
+
+      const { getServerActivity } = require('../utils/boss_spawner');
+      const activity = getServerActivity().get(interaction.guild.id) || { arrivals: 0, commands: 0, visitors: 0 };
+      embed.addFields({
+        name: '🐲 Boss Spawns',
+        value: `${settings?.spawnOptOut ? '🚫 Disabled' : '✅ Enabled'} (use \`/boss-notifications spawns\`)\n` +
+          `**Recent activity:** ${activity.arrivals} arrivals • ${activity.commands} commands • ${activity.visitors} players here`,
+        inline: false
+      });
+
       return interaction.reply({ embeds: [embed] });
 
     } catch (error) {
@@ -1,15 +1,27 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { db, logCommand } = require('../utils/store_sqlite');
 const config = require('../utils/config');
-const { getUserPrefix, isStaffOrDev, isPremium } = require('../utils/roles');
+const { getUserPrefix, isStaffOrDev } = require('../utils/roles');
 const { isBanned, regenStamina } = require('./_guard');
 const logger = require('../utils/logger');
-const { itemById, rarityMult, pickLootByTier } = require('../utils/items');
+const { itemById } = require('../utils/items');
+const { distributeBossLoot, sendRewardDMs } = require('../utils/boss_loot');
+const { recordBossHit } = require('../utils/battle_log');
+const { applyPreHitMechanics, applyPostHitMechanics, formatMechanicEvent, describeBossState } = require('../utils/boss_mechanics');
+const { getEquipmentStats, rollAttackDamage, mitigateDamage, staminaCost, formatStats } = require('../utils/equipment');
+const { getEffectMultiplier } = require('../utils/regen');
 const { awardBossParticipationGems } = require('../utils/gems');
-
-const BOSS_FIGHTER_ROLE_ID = '1411043105830076497';
-const BOSS_NOTIFICATION_CHANNEL_ID = '1411045103921004554';
-const BOSS_NOTIFICATION_ROLE_ID = '1411051374153826386';
+const { getFighterRoleId, broadcastBossAlert } = require('../utils/boss_settings');
+const { partyDamageBonus } = require('../utils/parties');
+const {
+  getActiveWorldBoss, recordWorldBossContribution, getWorldBossLeaderboard, awardWorldBossServerTokens,
+  formatWorldBossLeaderboard, spawnWorldBoss
+} = require('../utils/world_boss');
+const { getSummonStones, summonStoneForTier, summonBoss, summonFailureMessage, summonEmbed } = require('../utils/boss_summon');
+const { rescaleBossForParticipants, describeScaling } = require('../utils/boss_scaling');
+const { getDownedState, knockDown, downedMessage } = require('../utils/downed');
+const { applyCombatWear, getDurability, formatDurability } = require('../utils/durability');
+const { getWeaponElement, getBossElement, elementMultiplier, getElementMatchups, formatElement, describeMultiplier } = require('../utils/elements');
 
 function choose(arr) {
   return arr[Math.floor(Math.random() * arr.length)];
@@ -56,6 +68,8 @@ function equippedWeapon(userId) {
 /**
  * Assigns the boss fighter role to a user when they participate in boss battles
  * This role is used for notifications and to track active boss participants
+ * Uses the fighter role configured for this guild via /boss-notifications and
+ * does nothing in guilds that haven't set one
  * 
  * @param {CommandInteraction} interaction - Discord interaction for guild context
  * @param {string} userId - Discord user ID to assign the role to
@@ -65,19 +79,23 @@ async function assignBossFighterRole(interaction, userId) {
     const guild = interaction.guild;
     if (!guild) return;
     
+    // Skip guilds that haven't configured a fighter role
+    const fighterRoleId = getFighterRoleId(guild.id);
+    if (!fighterRoleId) return;
+    
     // Fetch the guild member to modify their roles
     const member = await guild.members.fetch(userId);
     if (!member) return;
     
     // Get the boss fighter role object
-    const role = guild.roles.cache.get(BOSS_FIGHTER_ROLE_ID);
+    const role = guild.roles.cache.get(fighterRoleId);
     if (!role) {
-      console.warn('[boss] Boss fighter role not found:', BOSS_FIGHTER_ROLE_ID);
+      console.warn('[boss] Boss fighter role not found in guild %s:', guild.id, fighterRoleId);
       return;
     }
     
     // Only add role if user doesn't already have it
-    if (!member.roles.cache.has(BOSS_FIGHTER_ROLE_ID)) {
+    if (!member.roles.cache.has(fighterRoleId)) {
       await member.roles.add(role);
       logger.info('boss_role: Added boss fighter role to user %s in guild %s', userId, guild.id);
     }
@@ -97,6 +115,10 @@ async function assignBossFighterRole(interaction, userId) {
  */
 async function removeBossFighterRole(client, userId, guildId) {
   try {
+    // Skip guilds that haven't configured a fighter role
+    const fighterRoleId = getFighterRoleId(guildId);
+    if (!fighterRoleId) return;
+    
     // Fetch the guild where this role removal was triggered
     const guild = await client.guilds.fetch(guildId);
     if (!guild) return;
@@ -106,11 +128,11 @@ async function removeBossFighterRole(client, userId, guildId) {
     if (!member) return;
     
     // Get the boss fighter role object
-    const role = guild.roles.cache.get(BOSS_FIGHTER_ROLE_ID);
+    const role = guild.roles.cache.get(fighterRoleId);
     if (!role) return;
     
     // Only process if user currently has the role
-    if (member.roles.cache.has(BOSS_FIGHTER_ROLE_ID)) {
+    if (member.roles.cache.has(fighterRoleId)) {
       // Check if user still has active boss participations in ANY guild worldwide
       // This prevents removing role if they're fighting bosses in other servers
       const activeParticipations = db.prepare(`
@@ -135,7 +157,8 @@ async function removeBossFighterRole(client, userId, guildId) {
 
 /**
  * Sends a cross-server notification when a boss spawns
- * Posts to a dedicated Discord channel to alert all players network-wide
+ * Posts to the alert channel of every guild that configured one with
+ * /boss-notifications, pinging each guild's own role if set
  * 
  * @param {Client} client - Discord client for channel access
  * @param {Object} bossData - Boss information (name, tier, HP, etc.)
@@ -144,13 +167,6 @@ async function removeBossFighterRole(client, userId, guildId) {
  */
 async function sendBossSpawnNotification(client, bossData, serverData, spawnerUser) {
   try {
-    // Fetch the dedicated boss notification channel
-    const channel = await client.channels.fetch(BOSS_NOTIFICATION_CHANNEL_ID);
-    if (!channel) {
-      console.warn('[boss] Boss notification channel not found:', BOSS_NOTIFICATION_CHANNEL_ID);
-      return;
-    }
-    
     const tierEmojis = {
       1: '🟠', 2: '🟡', 3: '🔴', 4: '🟣', 5: '⚫'
     };
@@ -186,34 +202,53 @@ async function sendBossSpawnNotification(client, bossData, serverData, spawnerUs
       })
       .setTimestamp();
     
-    // Send the spawn notification with role ping
-    await channel.send({
-      content: `<@&${BOSS_NOTIFICATION_ROLE_ID}> 🔥 NEW BOSS ALERT 🔥`,
+    // Send the spawn notification to every configured guild with its own role ping
+    const sent = await broadcastBossAlert(client, target => ({
+      content: `${target.roleId ? `<@&${target.roleId}> ` : ''}🔥 NEW BOSS ALERT 🔥`,
       embeds: [spawnEmbed]
-    });
+    }));
 
-    logger.info('boss_notification: Sent spawn notification for %s (tier %s) in %s', bossData.name, bossData.tier, serverData.guildId);
+    logger.info('boss_notification: Sent spawn notification for %s (tier %s) in %s to %s guilds', bossData.name, bossData.tier, serverData.guildId, sent.length);
   } catch (error) {
     console.warn('[boss] Failed to send boss spawn notification:', error.message);
   }
 }
 
+/**
+ * Announce triggered boss abilities, phase changes and enrage in the channel
+ * @param {CommandInteraction} interaction - The attack interaction
+ * @param {Object} boss - Boss row
+ * @param {Array} events - Mechanic events from the attack
+ */
+async function announceBossMechanics(interaction, boss, events) {
+  const lines = events.filter(e => e.announce).map(formatMechanicEvent).filter(Boolean);
+  if (!lines.length || !interaction.channel) return;
+  try {
+    const embed = new EmbedBuilder()
+      .setTitle(`⚠️ ${boss.name} stirs!`)
+      .setDescription(lines.join('\n').slice(0, 4000))
+      .setColor(events.some(e => e.kind === 'enrage') ? 0x8B0000 : 0xFF4500)
+      .setFooter({ text: `Tier ${boss.tier || 1} Boss Battle • QuestCord` })
+      .setTimestamp();
+    await interaction.channel.send({ embeds: [embed] });
+  } catch (e) {
+    console.warn('[boss] Failed to announce boss mechanics:', e.message);
+  }
+}
+
 /**
  * Sends a cross-server notification when a boss is defeated
- * Celebrates victory and shows battle statistics to the entire network
+ * Celebrates victory and shows battle statistics in every guild's alert channel
  * 
  * @param {Client} client - Discord client for channel access
  * @param {Object} bossData - Defeated boss information
  * @param {Object} serverData - Server where boss was defeated
  * @param {Array} participants - Array of participant objects with damage stats
  * @param {number} battleDuration - How long the battle lasted in milliseconds
+ * @param {Array} rewards - Per-player reward breakdown from distributeBossLoot
  */
-async function sendBossDefeatNotification(client, bossData, serverData, participants, battleDuration) {
+async function sendBossDefeatNotification(client, bossData, serverData, participants, battleDuration, rewards = []) {
   try {
-    // Fetch the dedicated boss notification channel
-    const channel = await client.channels.fetch(BOSS_NOTIFICATION_CHANNEL_ID);
-    if (!channel) return;
-    
     const tierEmojis = {
       1: '🟠', 2: '🟡', 3: '🔴', 4: '🟣', 5: '⚫'
     };
@@ -256,7 +291,7 @@ async function sendBossDefeatNotification(client, bossData, serverData, particip
         },
         {
           name: '💰 Rewards Distributed',
-          value: `**${config.currencyName || 'Drakari'}:** ${50*(bossData.tier||1)} per participant\n**Items:** 3-5 Tier ${bossData.tier} items per participant\n**Location:** ${serverData.name || serverData.guildId}`,
+          value: `**${config.currencyName || 'Drakari'}:** ${rewards.reduce((sum, r) => sum + r.drakari, 0).toLocaleString()} shared by damage dealt\n**Items:** ${rewards.reduce((sum, r) => sum + r.items.reduce((n, i) => n + i.qty, 0), 0)} Tier ${bossData.tier} drops (👑 bonus for top damage)\n**Location:** ${serverData.name || serverData.guildId}`,
           inline: false
         }
       )
@@ -266,35 +301,48 @@ async function sendBossDefeatNotification(client, bossData, serverData, particip
       })
       .setTimestamp();
     
-    const message = await channel.send({ 
+    const messages = await broadcastBossAlert(client, () => ({
       embeds: [victoryEmbed],
       content: `🎉 **VICTORY!** The **Tier ${bossData.tier} ${bossData.name}** has been defeated! 🎉`
-    });
+    }));
     
     // Add victory reactions
-    await message.react('🎉');
-    await message.react('🏆');
-    await message.react('⚔️');
-    await message.react('💰');
+    for (const message of messages) {
+      try {
+        await message.react('🎉');
+        await message.react('🏆');
+        await message.react('⚔️');
+        await message.react('💰');
+      } catch (e) {
+        console.warn('[boss] Failed to add victory reactions:', e.message);
+      }
+    }
     
-    logger.info('boss_notification: Sent defeat notification for %s (tier %s) with %s participants', bossData.name, bossData.tier, participants.length);
+    logger.info('boss_notification: Sent defeat notification for %s (tier %s) with %s participants to %s guilds', bossData.name, bossData.tier, participants.length, messages.length);
   } catch (error) {
     console.warn('[boss] Failed to send boss defeat notification:', error.message);
   }
 }
 
 module.exports = {
-  // Define slash command structure with three subcommands
+  // Define slash command structure with four subcommands
   data: new SlashCommandBuilder()
     .setName('boss')
     .setDescription('Boss actions')
     // Subcommand 1: Check current boss status at player's location
-    .addSubcommand(sc => sc.setName('status').setDescription('Show active boss at your location'))
+    .addSubcommand(sc => sc.setName('status').setDescription('Show active boss at your location')
+      .addBooleanOption(option => option.setName('world').setDescription('Show the world boss instead of this server\'s boss').setRequired(false)))
     // Subcommand 2: Attack the active boss (requires presence at server)
-    .addSubcommand(sc => sc.setName('attack').setDescription('Attack the boss at your location (must be visiting)'))
+    .addSubcommand(sc => sc.setName('attack').setDescription('Attack the boss at your location (must be visiting)')
+      .addBooleanOption(option => option.setName('world').setDescription('Attack the world boss instead of this server\'s boss').setRequired(false)))
     // Subcommand 3: Force spawn a boss (staff/developer only with optional target server)
     .addSubcommand(sc => sc.setName('spawn').setDescription('Force spawn a boss (staff/dev only)')
-      .addStringOption(option => option.setName('serverid').setDescription('Server ID (optional - defaults to current server)').setRequired(false))),
+      .addStringOption(option => option.setName('serverid').setDescription('Server ID (optional - defaults to current server)').setRequired(false))
+      .addBooleanOption(option => option.setName('world').setDescription('Spawn a world boss with its lair in the target server').setRequired(false)))
+    // Subcommand 4: Use a crafted summon stone to spawn a boss at the player's location
+    .addSubcommand(sc => sc.setName('summon').setDescription('Use a summon stone to spawn a boss at your location')
+      .addIntegerOption(option => option.setName('tier').setDescription('Boss tier (uses the matching summon stone)').setRequired(true)
+        .addChoices(...getSummonStones().map(stone => ({ name: `Tier ${stone.summonTier} • ${stone.name}`, value: stone.summonTier }))))),
   
   /**
    * Main execution handler for boss command
@@ -322,6 +370,15 @@ module.exports = {
     // Get server data for current location
     const here = db.prepare('SELECT * FROM servers WHERE guildId=? AND archived=0').get(location);
 
+    if (sub === 'summon') {
+      const stone = summonStoneForTier(interaction.options.getInteger('tier'));
+      if (!stone) return interaction.reply({ content: `${userPrefix} There is no summon stone for that tier.`, flags: 64 });
+      const result = await summonBoss(userId, stone.id, interaction.client);
+      if (!result.ok) return interaction.reply({ content: `${userPrefix} ${summonFailureMessage(result)}`, flags: 64 });
+      logger.info('boss_summon: %s summoned %s (tier %s) in %s', userId, result.boss.name, result.boss.tier, result.boss.guildId);
+      return interaction.reply({ embeds: [summonEmbed(interaction, result)] });
+    }
+
     if (sub === 'spawn') {
       if (!(await isStaffOrDev(interaction.client, userId))) return interaction.reply({ content: `${userPrefix} Staff/Developer only.`, flags: 64 });
       
@@ -360,6 +417,18 @@ module.exports = {
         });
       }
 
+      // World bosses have their own slot and skip the per-server cooldown
+      if (interaction.options.getBoolean('world')) {
+        if (getActiveWorldBoss()) {
+          return interaction.reply({ content: `${userPrefix} A world boss is already active.`, flags: 64 });
+        }
+        const worldBoss = await spawnWorldBoss(interaction.client, targetServer);
+        logger.info('boss_spawn: %s spawned world boss %s in %s', userId, worldBoss?.name, targetServer.guildId);
+        return interaction.reply({
+          content: `${userPrefix} 🌍 World boss **${worldBoss.name}** (Tier ${worldBoss.tier}, ${worldBoss.maxHp.toLocaleString()} HP) has awakened near **${targetServer.name || targetServer.guildId}**.`
+        });
+      }
+
       const now = Date.now();
       const cd = (config.boss?.cooldownSeconds || 0) * 1000;
       if (targetServer.lastBossAt && now - targetServer.lastBossAt < cd) {
@@ -448,7 +517,9 @@ module.exports = {
       return;
     }
 
-    const boss = db.prepare('SELECT * FROM bosses WHERE guildId=? AND active=1 ORDER BY id DESC LIMIT 1').get(location);
+    // This server's own boss first; the network-wide world boss when asked for or when there is none
+    const localBoss = db.prepare('SELECT * FROM bosses WHERE guildId=? AND active=1 AND COALESCE(isWorldBoss,0)=0 ORDER BY id DESC LIMIT 1').get(location);
+    const boss = interaction.options.getBoolean('world') ? getActiveWorldBoss() : (localBoss || getActiveWorldBoss());
     if (sub === 'status') {
       if (!boss) {
         const noBossEmbed = new EmbedBuilder()
@@ -528,6 +599,8 @@ module.exports = {
       }
       
       const eq = equippedWeapon(userId);
+      const bossElement = getBossElement(boss);
+      const matchups = getElementMatchups(bossElement);
       const timeLeft = Math.ceil((boss.expiresAt - Date.now()) / 1000);
       const timeDisplay = timeLeft >= 60 ? `${Math.floor(timeLeft / 60)}m ${timeLeft % 60}s` : `${timeLeft}s`;
       const healthPercent = Math.round((boss.hp / boss.maxHp) * 100);
@@ -538,8 +611,8 @@ module.exports = {
       healthBar = '█'.repeat(filledBars) + '░'.repeat(barLength - filledBars);
       
       const statusEmbed = new EmbedBuilder()
-        .setTitle(`👹 ${boss.name}`)
-        .setDescription(`Tier ${boss.tier||1} Boss Battle`)
+        .setTitle(`${boss.isWorldBoss ? '🌍' : '👹'} ${boss.name}`)
+        .setDescription(boss.isWorldBoss ? `Tier ${boss.tier||1} World Boss • Shared HP across every server` : `Tier ${boss.tier||1} Boss Battle`)
         .setColor(healthPercent > 75 ? 0xFF0000 : healthPercent > 50 ? 0xFF8C00 : healthPercent > 25 ? 0xFFD700 : 0x00FF00)
         .setAuthor({ 
           name: `${userPrefix} - Battle Status`,
@@ -561,15 +634,30 @@ module.exports = {
             value: `**${timeDisplay}**\n⏳ Until vanish`,
             inline: true
           },
+          {
+            name: '🌀 **Battle Phase**',
+            value: describeBossState(boss),
+            inline: true
+          },
+          {
+            name: '🧪 **Element**',
+            value: `**${formatElement(bossElement)}**\n💥 Weak to: ${matchups.weaknesses.map(formatElement).join(', ') || 'nothing'}\n🛡️ Resists: ${matchups.resistances.map(formatElement).join(', ') || 'nothing'}`,
+            inline: true
+          },
           {
             name: '⚔️ **Your Weapon**',
-            value: eq ? `**${eq.name}**\n💎 ${eq.rarity} quality` : '**None Equipped**\n⚠️ Equip a weapon!',
+            value: eq ? `**${eq.name}**\n💎 ${eq.rarity} quality • ${formatDurability(getDurability(userId, eq))}\n${formatElement(getWeaponElement(eq))} • ${describeMultiplier(elementMultiplier(getWeaponElement(eq), bossElement))}` : '**None Equipped**\n⚠️ Equip a weapon!',
             inline: true
+          },
+          {
+            name: '📊 **Your Combat Stats**',
+            value: formatStats(getEquipmentStats(userId)),
+            inline: false
           }
         )
         .addFields({
           name: '🎯 Combat Tips',
-          value: '• Use `/boss attack` to deal damage\n• Higher rarity weapons deal more damage\n• Coordinate with other players for maximum effect!',
+          value: '• Use `/boss attack` to deal damage\n• Higher rarity gear boosts attack, defense and crit\n• Swap to a weapon the boss is weak to for bonus damage\n• Coordinate with other players for maximum effect!',
           inline: false
         })
         .setFooter({ 
@@ -578,6 +666,32 @@ module.exports = {
         })
         .setTimestamp();
 
+      if (boss.isWorldBoss) {
+        statusEmbed.addFields({
+          name: '🏆 **Server Leaderboard**',
+          value: formatWorldBossLeaderboard(getWorldBossLeaderboard(boss.id, 5)),
+          inline: false
+        });
+      }
+
+      if (!boss.isWorldBoss) {
+        const scaling = describeScaling(boss);
+        statusEmbed.addFields({
+          name: '⚖️ **Fighter Scaling**',
+          value: `**${scaling.participants}** fighter${scaling.participants === 1 ? '' : 's'} • HP ×${scaling.hpFactor} • Counter ×${scaling.counterFactor}\n📏 Base HP ${scaling.baseMaxHp.toLocaleString()}`,
+          inline: false
+        });
+      }
+
+      if (boss.eventId) {
+        const event = db.prepare('SELECT title FROM boss_events WHERE id=?').get(boss.eventId);
+        statusEmbed.addFields({
+          name: '🎉 **Boss Event**',
+          value: `${event?.title || `Event #${boss.eventId}`}${boss.rewardMultiplier > 1 ? ` • **${boss.rewardMultiplier}x** loot` : ''}`,
+          inline: false
+        });
+      }
+
       return interaction.reply({ embeds: [statusEmbed] });
     }
 
@@ -586,67 +700,98 @@ module.exports = {
       if (!player || player.locationGuildId !== location || (player.travelArrivalAt && Date.now() < player.travelArrivalAt)){
         return interaction.reply({ content: `${userPrefix} You must be visiting this server (arrived) to attack.`, flags: 64 });
       }
+      // World bosses can be fought from any registered server, but not from landmarks
+      if (boss.isWorldBoss && !here) {
+        return interaction.reply({ content: `${userPrefix} You must be at a registered server to attack the world boss.`, flags: 64 });
+      }
       if (boss.expiresAt < Date.now()) {
         db.prepare('UPDATE bosses SET active=0 WHERE id=?').run(boss.id);
         return interaction.reply(`${userPrefix} The boss has vanished.`);
       }
       const weapon = equippedWeapon(userId);
-      const rarity = weapon?.rarity || 'common';
-      const rarityMul = rarityMult(rarity);
-      const attackBonus = weapon?.attackBonus || 1.0;
-      let dmg = Math.floor(Math.random() * 150) + 50;
-      dmg = Math.floor(dmg * rarityMul * attackBonus);
+      // Aggregate stats from every equipped slot (weapon, armor, accessories)
+      const gear = getEquipmentStats(userId);
+      const roll = rollAttackDamage(Math.floor(Math.random() * 150) + 50, gear);
 
       const p = db.prepare('SELECT health, stamina FROM players WHERE userId=?').get(userId) || { health: 100, stamina: 100 };
       const stamina = p.stamina;
       const health = p.health;
+      const downed = getDownedState(userId);
+      if (downed) {
+        return interaction.reply({ content: `${userPrefix} ${downedMessage(downed)}`, flags: 64 });
+      }
       if (health <= 0) {
-        return interaction.reply({ content: `${userPrefix} You are downed (0 health). Use healing items to recover before attacking again.`, flags: 64 });
+        return interaction.reply({ content: `${userPrefix} You have no health left. Use healing items to recover before attacking again.`, flags: 64 });
       }
-      const spend = config.stamina?.attackCost ?? 5;
+      const spend = staminaCost(config.stamina?.attackCost ?? 5, gear);
       if (stamina < spend) {
         return interaction.reply({ content: `${userPrefix} You are too exhausted to attack. (Stamina ${stamina}/${spend} required)`, flags: 64 });
       }
+      // HP and counter-damage follow the number of fighters; an attacker who got this far counts straight away
+      rescaleBossForParticipants(boss, userId);
       const newSt = Math.max(0, stamina - spend);
       db.prepare('UPDATE players SET stamina=?, staminaUpdatedAt=? WHERE userId=?').run(newSt, Date.now(), userId);
 
       // Assign boss fighter role
       await assignBossFighterRole(interaction, userId);
 
+      // Timed consumable buffs and the party bonus stack on top of gear; phase resistance and shields apply last
+      // (only once the attack is allowed: shields record who struck them)
+      const party = partyDamageBonus(userId, boss.id);
+      // Elemental affinity: the weapon's element against the boss's (neutral on either side is ×1)
+      const weaponElement = getWeaponElement(weapon);
+      const bossElement = getBossElement(boss);
+      const elemental = elementMultiplier(weaponElement, bossElement);
+      const pre = applyPreHitMechanics(boss, userId, Math.floor(roll.damage * getEffectMultiplier(userId, 'damage') * party.multiplier * elemental));
+      const dmg = pre.damage;
+
       db.prepare('UPDATE bosses SET hp=MAX(hp-?,0) WHERE id=?').run(dmg, boss.id);
       const current = db.prepare('SELECT hp FROM bosses WHERE id=?').get(boss.id).hp;
       
+      // Phases, enrage and abilities trigger while the boss is still standing
+      const mechanics = current > 0
+        ? applyPostHitMechanics(boss, userId, current)
+        : { events: [], counterMult: 1 };
+      const mechanicEvents = [...pre.events, ...mechanics.events];
+
       // Boss counterattacks if still alive
+      let bossDmg = 0;
+      let newHp = health;
       if (current > 0) {
         const ctr = (config.boss?.counterDamage) || { min: 5, max: 30 };
         const min = Math.max(0, parseInt(ctr.min ?? 5, 10));
         const max = Math.max(min, parseInt(ctr.max ?? 30, 10));
-        const bossDmg = Math.floor(Math.random() * (max - min + 1)) + min;
+        const rawCounter = (Math.floor(Math.random() * (max - min + 1)) + min) * mechanics.counterMult * (boss.counterFactor || 1);
+        bossDmg = Math.round(mitigateDamage(rawCounter, gear) / getEffectMultiplier(userId, 'defense'));
         const rowhp = db.prepare('SELECT health FROM players WHERE userId=?').get(userId) || { health: 100 };
-        const newHp = Math.max(0, (rowhp.health ?? 100) - bossDmg);
+        newHp = Math.max(0, (rowhp.health ?? 100) - bossDmg);
         db.prepare('UPDATE players SET health=? WHERE userId=?').run(newHp, userId);
-        try { 
-          await interaction.followUp(`It strikes back! You take **${bossDmg}** damage (HP **${newHp}**).`); 
-        } catch (e) {
-          // Silently handle follow-up errors
-        }
       }
+      // Swinging wears the weapon; taking a hit wears the rest of the equipped gear
+      const worn = applyCombatWear(userId, { attacked: true, hit: bossDmg > 0 });
+      // Reaching 0 health (from the counter or an area attack) knocks the attacker out
+      const knockedOut = newHp <= 0 || getDownedState(userId) ? knockDown(userId, location) : null;
       const cur = db.prepare('SELECT damage FROM boss_participants WHERE bossId=? AND userId=?').get(boss.id, userId);
       if (!cur) {
         db.prepare('INSERT INTO boss_participants(bossId, userId, damage) VALUES(?,?,?)').run(boss.id, userId, dmg);
       } else {
         db.prepare('UPDATE boss_participants SET damage=damage+? WHERE bossId=? AND userId=?').run(dmg, boss.id, userId);
       }
+      // Credit world boss damage to the server it was dealt from
+      if (boss.isWorldBoss) recordWorldBossContribution(boss.id, location, dmg);
       
-      // Track battle analytics
-      try {
-        db.prepare(`
-          INSERT INTO battle_analytics (userId, bossId, damage, weapon, timestamp)
-          VALUES (?, ?, ?, ?, ?)
-        `).run(userId, boss.id, dmg, weapon?.id || 'none', Date.now());
-      } catch (e) {
-        console.warn('[boss] Failed to track battle analytics:', e.message);
-      }
+      // Track battle analytics (one row per hit, used for fight logs and stats)
+      recordBossHit({
+        userId,
+        bossId: boss.id,
+        damage: dmg,
+        weapon: weapon?.id,
+        crit: roll.crit,
+        counterDamage: bossDmg,
+        staminaSpent: spend,
+        bossHpAfter: current,
+        playerHpAfter: newHp
+      });
       
       // Update challenge progress (avoid circular dependency)
       try {
@@ -668,7 +813,7 @@ module.exports = {
       logger.aqua('⚔️  BOSS ATTACK');
       logger.aqua('👤 User: %s (@%s)', interaction.user.username, userId);
       logger.aqua('👹 Boss: %s (Tier %d)', boss.name, boss.tier || 1);
-      logger.aqua('💥 Damage: %d', dmg);
+      logger.aqua('💥 Damage: %d%s', dmg, roll.crit ? ' (crit)' : '');
       logger.aqua('🗡️  Weapon: %s', weapon ? weapon.name : 'Bare fists');
       logger.aqua('❤️  Boss HP: %d/%d (%d%%)', current, boss.maxHp, Math.round((current/boss.maxHp)*100));
       logger.aqua('⏰ Time: %s', new Date().toISOString());
@@ -676,28 +821,26 @@ module.exports = {
       if (current <= 0) {
         db.prepare('UPDATE bosses SET active=0 WHERE id=?').run(boss.id);
         
-        // Record boss defeat and schedule next spawn
-        try {
-          const { recordBossDefeat, scheduleNextBossSpawn } = require('../utils/boss_spawner');
-          recordBossDefeat();
-          scheduleNextBossSpawn();
-        } catch (error) {
-          console.warn('[boss] Failed to record boss defeat for spawning system:', error.message);
+        // Record boss defeat and schedule next spawn (world bosses don't hold the regular slot)
+        if (!boss.isWorldBoss) {
+          try {
+            const { recordBossDefeat, scheduleNextBossSpawn } = require('../utils/boss_spawner');
+            recordBossDefeat();
+            scheduleNextBossSpawn();
+          } catch (error) {
+            console.warn('[boss] Failed to record boss defeat for spawning system:', error.message);
+          }
         }
         const parts = db.prepare('SELECT * FROM boss_participants WHERE bossId=?').all(boss.id);
+        // Share loot and drakari out by damage contribution
+        const rewards = await distributeBossLoot(interaction.client, boss, parts);
+        // Top contributing servers of a world boss earn server tokens
+        let serverBoard = [];
+        if (boss.isWorldBoss) {
+          awardWorldBossServerTokens(boss.id);
+          serverBoard = getWorldBossLeaderboard(boss.id, 5);
+        }
         for (const part of parts) {
-          const prem = await isPremium(interaction.client, part.userId);
-          // 3-5 rolls per participant using tiered rarity, avoid premiumNeeded for non-premium users
-          const numRolls = 3 + Math.floor(Math.random() * 3); // 3-5 items
-          for (let i = 0; i < numRolls; i++) {
-            const lootId = pickLootByTier(boss.tier || 1, prem);
-            if (!lootId) continue;
-            const existing = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(part.userId, lootId);
-            if (!existing) db.prepare('INSERT INTO inventory(userId,itemId,qty) VALUES(?,?,?)').run(part.userId, lootId, 1);
-            else db.prepare('UPDATE inventory SET qty=qty+1 WHERE userId=? AND itemId=?').run(part.userId, lootId);
-          }
-          db.prepare('UPDATE players SET drakari=drakari+?, bossKills=COALESCE(bossKills,0)+1 WHERE userId=?').run(50 * (boss.tier || 1), part.userId);
-          
           // Remove boss fighter role from participants
           await removeBossFighterRole(interaction.client, part.userId, location);
           
@@ -720,7 +863,7 @@ module.exports = {
         logger.aqua('👹 Boss: %s (Tier %d)', boss.name, boss.tier || 1);
         logger.aqua('🏰 Server: %s', here?.name || location);
         logger.aqua('👥 Participants: %d players', parts.length);
-        logger.aqua('💰 Rewards: %d Drakari each', 50 * (boss.tier || 1));
+        logger.aqua('💰 Rewards: %s', rewards.map(r => `${r.userId}=${r.drakari}d/${r.items.length}i`).join(', '));
         logger.aqua('⚔️  Final Blow: %s', interaction.user.username);
         logger.aqua('⏱️  Duration: %dmin', Math.floor((Date.now() - boss.startedAt) / 60000));
         logger.aqua('⏰ Time: %s', new Date().toISOString());
@@ -754,20 +897,25 @@ module.exports = {
             },
             {
               name: 'Rewards',
-              value: `${50 * (boss.tier || 1)} ${config.currencyName}\nTier ${boss.tier || 1} loot`,
+              value: `${rewards.reduce((sum, r) => sum + r.drakari, 0)} ${config.currencyName} shared\nTier ${boss.tier || 1} loot`,
               inline: true
             },
             {
               name: 'Loot Distribution',
-              value: `• 3-5 items per participant\n• Tier ${boss.tier || 1} quality guaranteed\n• Premium users get enhanced drops`,
+              value: rewards.slice(0, 5).map(r =>
+                `${r.topDamage ? '👑' : `#${r.rank}`} <@${r.userId}> — ${(r.share * 100).toFixed(1)}% • ${r.drakari} ${config.currencyName}${r.partyBonus ? ' 👥' : ''} • ${r.items.reduce((sum, i) => sum + i.qty, 0)} items`
+              ).join('\n') + (rewards.length > 5 ? `\n…and ${rewards.length - 5} more` : ''),
               inline: false
             }
           )
           .setFooter({
-            text: `Check your inventory for rewards • QuestCord`,
+            text: `Loot shared by damage dealt • Check your DMs for your breakdown • QuestCord`,
             iconURL: interaction.client.user.displayAvatarURL()
           })
           .setTimestamp();
+        if (serverBoard.length) {
+          victoryEmbed.addFields({ name: '🌍 Server Leaderboard', value: formatWorldBossLeaderboard(serverBoard), inline: false });
+        }
 
         const victoryReply = await interaction.reply({ embeds: [victoryEmbed] });
         
@@ -776,9 +924,12 @@ module.exports = {
         const battleDuration = Date.now() - boss.startedAt;
         const bossData = { name: boss.name, tier: boss.tier || 1, maxHp: boss.maxHp, startedAt: boss.startedAt };
         const serverData = { name: here?.name, guildId: location };
-        sendBossDefeatNotification(interaction.client, bossData, serverData, parts, battleDuration).catch(e => {
+        sendBossDefeatNotification(interaction.client, bossData, serverData, parts, battleDuration, rewards).catch(e => {
           console.warn('[boss] Failed to send defeat notification:', e.message);
         });
+        sendRewardDMs(interaction.client, boss, rewards, here?.name).catch(e => {
+          console.warn('[boss] Failed to send reward DMs:', e.message);
+        });
         
         // Update bot status
         try {
@@ -816,7 +967,7 @@ module.exports = {
           .addFields(
             {
               name: 'Damage Dealt',
-              value: `${dmg.toLocaleString()} damage\nUsing ${weaponText}`,
+              value: `${dmg.toLocaleString()} damage${roll.crit ? ' 🎯 **CRITICAL!**' : ''}\nUsing ${weaponText}${party.allies ? `\n👥 Party bonus +${Math.round((party.multiplier - 1) * 100)}% (${party.allies} ${party.allies === 1 ? 'ally' : 'allies'})` : ''}${elemental !== 1 ? `\n${formatElement(weaponElement)} vs ${formatElement(bossElement)}: ${describeMultiplier(elemental)}` : ''}`,
               inline: true
             },
             {
@@ -830,6 +981,11 @@ module.exports = {
                      dmg >= 200 ? 'Powerful' :
                      dmg >= 100 ? 'Solid' : 'Decent',
               inline: true
+            },
+            {
+              name: 'Counterattack',
+              value: `It strikes back for **${bossDmg}** damage\nYour HP: **${newHp}**${mechanics.enraged ? ' 😡' : ''}`,
+              inline: true
             }
           )
           .setFooter({
@@ -838,7 +994,48 @@ module.exports = {
           })
           .setTimestamp();
 
-        return interaction.reply({ embeds: [attackEmbed] });
+        if (boss.isWorldBoss) {
+          const board = getWorldBossLeaderboard(boss.id, Infinity);
+          const mine = board.find(r => r.guildId === location);
+          attackEmbed.addFields({
+            name: '🌍 World Boss',
+            value: mine ? `**${mine.name}** is #${mine.rank} of ${board.length} servers with ${mine.damage.toLocaleString()} damage` : 'Your hit counts for this server',
+            inline: false
+          });
+        }
+
+        const mechanicLines = mechanicEvents.map(formatMechanicEvent).filter(Boolean);
+        if (mechanicLines.length) {
+          attackEmbed.addFields({ name: 'Boss Mechanics', value: mechanicLines.join('\n').slice(0, 1024), inline: false });
+        }
+
+        const brokenGear = [...worn.filter(w => w.broke).map(w => w.item), ...(knockedOut?.broken || [])];
+        const weaponWear = worn.find(w => w.item.equipSlot === 'weapon' && !w.broke);
+        if (brokenGear.length) {
+          attackEmbed.addFields({
+            name: '💔 Gear Broken',
+            value: `${brokenGear.map(i => `**${i.name}**`).join(', ')} broke and gives no stats until you \`/repair\` it.`,
+            inline: false
+          });
+        } else if (weaponWear && weaponWear.current / weaponWear.max * 100 <= (config.durability?.lowWarningPercent ?? 20)) {
+          attackEmbed.addFields({
+            name: '⚠️ Weapon Wearing Out',
+            value: `**${weaponWear.item.name}** is at ${weaponWear.current}/${weaponWear.max} durability. Use \`/repair\` before it breaks.`,
+            inline: false
+          });
+        }
+
+        if (knockedOut) {
+          attackEmbed.addFields({
+            name: '💀 Downed',
+            value: `You collapse from your wounds${knockedOut.drakariLost ? ` and drop **${knockedOut.drakariLost.toLocaleString()}** drakari` : ''}.\nYou respawn ${knockedOut.respawnServer ? `at **${knockedOut.respawnServer.name}**` : 'where you fell'} <t:${Math.floor(knockedOut.downedUntil / 1000)}:R>, or use \`/revive\` to get back up sooner.`,
+            inline: false
+          });
+        }
+
+        await interaction.reply({ embeds: [attackEmbed] });
+        await announceBossMechanics(interaction, boss, mechanicEvents);
+        return;
       }
     }
   }
@@ -132,10 +132,11 @@ module.exports = {
 
         challengesEmbed.addFields({
           name: '🎮 **Quick Activities**',
-          value: '• `/travel <server>` - Explore for travel challenges\
+          value: '• `/travel go <server>` - Explore for travel challenges\
 • `/boss` - Fight bosses for combat goals\
 • `/market search` - Trade items for merchant challenges\
-• `/craft` - Create items for crafting objectives',
+• `/craft` - Create items for crafting objectives\
+• `/salvage` - Break down spare gear for salvage challenges',
           inline: false
         });
       }
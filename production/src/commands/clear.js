@@ -132,6 +132,7 @@ module.exports = {
 
       // Clear entire inventory
       const result = db.prepare('DELETE FROM inventory WHERE userId=?').run(targetUser.id);
+      db.prepare('DELETE FROM gear_durability WHERE userId=?').run(targetUser.id);
 
       // Restore default vehicles based on user's role hierarchy
       const userIsPremium = await isPremium(interaction.client, targetUser.id);
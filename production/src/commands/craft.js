@@ -1,64 +1,18 @@
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { db, logCommand } = require('../utils/store_sqlite');
 const config = require('../utils/config');
 const { getUserPrefix, isPremium } = require('../utils/roles');
 const { isBanned, regenStamina } = require('./_guard');
 const logger = require('../utils/logger');
 const { itemById } = require('../utils/items');
-
-const CRAFTING_TIERS = {
-  1: { name: 'Apprentice', requirement: 0, maxRarity: 'common' },
-  2: { name: 'Journeyman', requirement: 25, maxRarity: 'uncommon' },
-  3: { name: 'Expert', requirement: 100, maxRarity: 'rare' },
-  4: { name: 'Artisan', requirement: 250, maxRarity: 'epic' },
-  5: { name: 'Master', requirement: 500, maxRarity: 'legendary' },
-  6: { name: 'Grandmaster', requirement: 750, maxRarity: 'mythic' },
-  7: { name: 'Transcendent', requirement: 1000, maxRarity: 'transcendent' }
-};
-
-function getCraftingLevel(itemsCrafted) {
-  let level = 1;
-  for (const [tier, data] of Object.entries(CRAFTING_TIERS)) {
-    if (itemsCrafted >= data.requirement) {
-      level = parseInt(tier);
-    }
-  }
-  return level;
-}
-
-function canCraftRarity(itemsCrafted, rarity) {
-  const level = getCraftingLevel(itemsCrafted);
-  const tierData = CRAFTING_TIERS[level];
-
-  const rarityOrder = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic', 'transcendent'];
-  const currentMaxIndex = rarityOrder.indexOf(tierData.maxRarity);
-  const requestedIndex = rarityOrder.indexOf(rarity);
-
-  return requestedIndex <= currentMaxIndex;
-}
-
-/**
- * Calculates crafting time in seconds based on item rarity and premium status
- * @param {string} rarity - Item rarity tier
- * @param {boolean} isPremiumUser - Whether user has premium benefits
- * @returns {number} Crafting time in seconds
- */
-function getCraftingTime(rarity, isPremiumUser) {
-  // Base crafting times scale exponentially with rarity
-  const baseTimes = {
-    'common': 60,      // 1 minute - basic items
-    'uncommon': 300,   // 5 minutes - slightly better
-    'rare': 900,       // 15 minutes - valuable items
-    'epic': 1800,      // 30 minutes - powerful gear
-    'legendary': 3600, // 1 hour - exceptional items
-    'mythic': 7200,    // 2 hours - legendary crafts
-    'transcendent': 43200 // 12 hours - ultimate masterpieces
-  };
-  
-  const baseTime = baseTimes[rarity] || 60;
-  // Premium users get 25% speed bonus (75% of normal time)
-  return isPremiumUser ? Math.floor(baseTime * 0.75) : baseTime;
-}
+const { getEffectMultiplier } = require('../utils/regen');
+const { releaseCopies } = require('../utils/durability');
+const {
+  CRAFTING_TIERS, RARITY_ICONS, getCraftingLevel, canCraftRarity, isCraftable, getCraftingTime,
+  maxConcurrentCrafts, countCraftsInProgress, completeFinishedCrafts, formatCraftedItems,
+  planCraft, scheduleCraftPlan, queueCraftPlan, getRecipeGraph
+} = require('../utils/crafting');
+const { unlockMode, getUnlockedRecipeIds, isRecipeKnown, describeRecipeLock, learnRecipe } = require('../utils/recipe_unlocks');
 
 /**
  * Checks if player has all required materials for a recipe
@@ -89,6 +43,7 @@ function consumeIngredients(userId, recipe) {
     // Get current quantity in inventory
     const currentQty = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, ingredient.id)?.qty || 0;
     const newQty = currentQty - ingredient.qty;
+    releaseCopies(userId, ingredient.id, Math.min(ingredient.qty, currentQty));
     
     if (newQty <= 0) {
       // Remove item completely if quantity reaches zero
@@ -117,8 +72,165 @@ function addItemToInventory(userId, itemId, qty = 1) {
   }
 }
 
+// "1h 5m", "3m 20s" or "45s"
+function formatDuration(seconds) {
+  return seconds >= 3600 ? `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m` :
+         seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// Keep embed field values under Discord's 1024 character limit
+function limitLines(lines, max = 12) {
+  return lines.length > max ? [...lines.slice(0, max), `…and ${lines.length - max} more`].join('\n') : lines.join('\n');
+}
+
+// How to unlock a recipe: "craft Iron Ingot, Copper Ingot (1/3)" or "use a Legendary Recipe Scroll"
+function lockHint(lock) {
+  if (lock.mode === 'scroll') return `use a **${lock.scroll?.name || 'recipe scroll'}** with \`/craft learn\``;
+  const related = lock.related.map(item => item.name).join(', ');
+  return `discover by crafting ${related || 'related items'} (${lock.progress}/${lock.needed})`;
+}
+
+// User-facing text for { ok: false, reason } results from the craft planner
+function planFailureMessage(result) {
+  switch (result.reason) {
+    case 'not_craftable': return 'Item not found or not craftable.';
+    case 'recipe_cycle': return `That recipe loops back on itself (${result.cycle.join(' → ')}).`;
+    case 'missing_materials': return `Missing raw materials: ${result.plan.missing.map(m => `${m.item?.name || m.id} ${m.needed - m.missing}/${m.needed}`).join(', ')}`;
+    case 'tier_locked': return `The plan needs **${result.item.name}** (${result.item.rarity}), which takes ${result.requirement} crafted items to unlock.`;
+    case 'premium_required': return `The plan needs **${result.item.name}**, which requires Premium membership.`;
+    case 'recipe_unknown': return `The plan needs the **${result.item.name}** recipe, which you haven't unlocked yet.`;
+    case 'not_enough_slots': return `This plan needs **${result.needed}** craft slots but you only have **${result.free}** free. Wait for crafts to finish or cancel some first.`;
+    default: return 'The plan could not be queued.';
+  }
+}
+
+/**
+ * Bill of materials and craft steps for /craft plan
+ */
+function buildPlanEmbed(interaction, plan, schedule, itemsCrafted) {
+  const now = Date.now();
+  const last = schedule[schedule.length - 1];
+  const unlocked = getUnlockedRecipeIds(interaction.user.id);
+  const locked = plan.steps.filter(step => !canCraftRarity(itemsCrafted, step.item.rarity) || !isRecipeKnown(interaction.user.id, step.item, unlocked));
+  const free = Math.max(0, maxConcurrentCrafts() - countCraftsInProgress(interaction.user.id, now));
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📐 Crafting Plan: ${plan.item.name} x${plan.quantity}`)
+    .setDescription(plan.missing.length
+      ? '❌ You are missing some raw materials for this plan.'
+      : '✅ You have every raw material this plan needs.')
+    .setColor(plan.missing.length ? 0xE67E22 : 0x00AE86)
+    .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+    .addFields(
+      {
+        name: '🔨 Craft Steps',
+        value: limitLines(schedule.map((step, i) =>
+          `${i + 1}. ${RARITY_ICONS[step.item.rarity] || '⚪'} **${step.item.name}** x${step.quantity} — ${formatDuration(Math.round((step.completionTime - step.startTime) / 1000))}`)),
+        inline: false
+      },
+      {
+        name: '🪨 Raw Materials (have / need)',
+        value: limitLines(plan.raw.map(m => `${m.missing ? '❌' : '✅'} **${m.item?.name || m.id}** ${m.have}/${m.needed}`)) || 'None',
+        inline: false
+      }
+    );
+
+  if (plan.fromInventory.length) {
+    embed.addFields({
+      name: '🎒 Crafted Items From Your Inventory',
+      value: limitLines(plan.fromInventory.map(m => `**${m.item?.name || m.id}** x${m.qty}`)),
+      inline: false
+    });
+  }
+
+  embed.addFields(
+    { name: '⏱️ Ready In', value: formatDuration(Math.round((last.completionTime - now) / 1000)), inline: true },
+    { name: '🧰 Craft Slots', value: `${schedule.length} needed • ${free} free`, inline: true }
+  );
+
+  if (locked.length) {
+    embed.addFields({
+      name: '🔒 Locked Recipes',
+      value: limitLines(locked.map(step => canCraftRarity(itemsCrafted, step.item.rarity)
+        ? `**${step.item.name}** — ${lockHint(describeRecipeLock(interaction.user.id, step.item))}`
+        : `**${step.item.name}** (${step.item.rarity}) — crafting level too low`)),
+      inline: false
+    });
+  }
+
+  return embed
+    .setFooter({ text: 'Materials are taken when the plan is queued • QuestCord Workshop', iconURL: interaction.client.user.displayAvatarURL() })
+    .setTimestamp();
+}
+
+// Indented ingredient lines: "└ 🟢 **Iron Ingot** x2"
+function treeLines(node, depth = 0, lines = []) {
+  for (const child of node.children) {
+    const name = child.item?.name || child.id;
+    lines.push(`${'　'.repeat(depth)}└ ${RARITY_ICONS[child.item?.rarity] || '⚪'} **${name}** x${child.qty}${child.cycle ? ' 🔁' : ''}`);
+    treeLines(child, depth + 1, lines);
+  }
+  return lines;
+}
+
+/**
+ * Recipe tree and reverse lookup for /craft tree
+ */
+function buildTreeEmbed(interaction, graph) {
+  const { item } = graph;
+  const base = (config.web && config.web.publicBaseUrl || '').replace(/\/$/, '');
+  const summary = graph.tree.craftable
+    ? `${graph.steps} craft${graph.steps === 1 ? '' : 's'} across ${graph.depth} level${graph.depth === 1 ? '' : 's'} • ${formatDuration(graph.craftSeconds)} of crafting`
+    : 'Raw material — gather, loot or buy it';
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🌳 Recipe Tree: ${item.name}`)
+    .setDescription(`${RARITY_ICONS[item.rarity] || '⚪'} ${item.rarity} ${item.category || 'item'}\n${summary}`)
+    .setColor(0x2ECC71)
+    .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() });
+
+  if (graph.tree.craftable) {
+    // Large trees are cut short here; the web explorer shows the whole graph
+    embed.addFields(
+      { name: '🧬 Made From', value: limitLines(treeLines(graph.tree), 15), inline: false },
+      {
+        name: '🪨 Raw Materials',
+        value: limitLines(graph.raw.map(m => `**${m.item?.name || m.id}** x${m.qty} • used in ${m.usedIn} recipe${m.usedIn === 1 ? '' : 's'}`), 8),
+        inline: false
+      }
+    );
+  }
+
+  embed.addFields({
+    name: `🔁 Used In (${graph.usedIn.length})`,
+    value: graph.usedIn.length
+      ? limitLines(graph.usedIn.map(use => `${RARITY_ICONS[use.item.rarity] || '⚪'} **${use.item.name}** (needs ${use.qty})`), 10)
+      : 'Not used in any recipe',
+    inline: false
+  });
+
+  if (base) {
+    embed.addFields({ name: '🌐 Full Graph', value: `[Open the recipe explorer](${base}/recipes/${encodeURIComponent(item.id)})`, inline: false });
+  }
+
+  return embed
+    .setFooter({ text: 'Plan and queue it with /craft plan • QuestCord Workshop', iconURL: interaction.client.user.displayAvatarURL() })
+    .setTimestamp();
+}
+
+// One-click button that queues the whole plan (custom ID craftplan_<userId>_<quantity>_<itemId>)
+function planButtons(userId, plan) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`craftplan_${userId}_${plan.quantity}_${plan.item.id}`)
+      .setLabel('Craft everything needed')
+      .setStyle(ButtonStyle.Success)
+      .setEmoji('🔨')
+  );
+}
+
 module.exports = {
-  // Define comprehensive slash command structure with 5 subcommands for full crafting system
+  // Define comprehensive slash command structure with 9 subcommands for full crafting system
   data: new SlashCommandBuilder()
     .setName('craft')
     .setDescription('Craft items using materials')
@@ -143,22 +255,58 @@ module.exports = {
     .addSubcommand(sc => sc.setName('complete').setDescription('Complete a finished craft'))
     // Subcommand 5: Cancel active crafts with partial material refund
     .addSubcommand(sc => sc.setName('cancel').setDescription('Cancel an active craft')
-      .addIntegerOption(o => o.setName('craft_id').setDescription('Craft ID to cancel').setRequired(true))),
+      .addIntegerOption(o => o.setName('craft_id').setDescription('Craft ID to cancel').setRequired(true)))
+    // Subcommand 6: Opt in to a DM when finished crafts are delivered automatically
+    .addSubcommand(sc => sc.setName('notify').setDescription('Get a DM when your crafts finish')
+      .addStringOption(o => o.setName('mode').setDescription('Where to notify you').setRequired(true).setChoices(
+        { name: 'Direct message', value: 'dm' },
+        { name: 'Off', value: 'off' }
+      )))
+    // Subcommand 7: Plan a craft through every intermediate and queue the whole chain
+    .addSubcommand(sc => sc.setName('plan').setDescription('Plan every craft and raw material an item needs')
+      .addStringOption(o => o.setName('item').setDescription('Item to plan').setRequired(true).setAutocomplete(true))
+      .addIntegerOption(o => o.setName('quantity').setDescription('Quantity to craft (default: 1)').setMinValue(1).setMaxValue(10)))
+    // Subcommand 8: Explore what an item is made from and what it is used in
+    .addSubcommand(sc => sc.setName('tree').setDescription('Show what an item is made from and what it is used in')
+      .addStringOption(o => o.setName('item').setDescription('Item to explore').setRequired(true).setAutocomplete(true)))
+    // Subcommand 9: Learn a locked recipe with a recipe scroll
+    .addSubcommand(sc => sc.setName('learn').setDescription('Learn a recipe using a recipe scroll')
+      .addStringOption(o => o.setName('recipe').setDescription('Recipe to learn').setRequired(true).setAutocomplete(true))),
 
   async autocomplete(interaction) {
-    if (interaction.options.getSubcommand() !== 'item') return;
+    const sub = interaction.options.getSubcommand();
+    if (!['item', 'plan', 'tree', 'learn'].includes(sub)) return;
     
     const focusedValue = interaction.options.getFocused().toLowerCase();
+
+    // The tree explorer works for any item, including raw materials (to see what uses them)
+    if (sub === 'tree') {
+      const matches = (config.items || [])
+        .filter(item => item.name.toLowerCase().includes(focusedValue) || item.id.includes(focusedValue))
+        .slice(0, 25);
+      return interaction.respond(matches.map(item => ({ name: `${item.name} (${item.rarity})`, value: item.id })));
+    }
     const userId = interaction.user.id;
     
     // Get user's crafting progress
     const userData = db.prepare('SELECT itemsCrafted FROM players WHERE userId=?').get(userId);
     const itemsCrafted = userData?.itemsCrafted || 0;
+    const unlocked = getUnlockedRecipeIds(userId);
+
+    // Scroll recipes the player hasn't learned yet
+    if (sub === 'learn') {
+      const learnable = (config.items || [])
+        .filter(item => isCraftable(item) && unlockMode(item) === 'scroll' && !isRecipeKnown(userId, item, unlocked))
+        .filter(item => item.name.toLowerCase().includes(focusedValue) || item.id.includes(focusedValue))
+        .slice(0, 25);
+      return interaction.respond(learnable.map(item => ({ name: `${item.name} (${item.rarity})`, value: item.id })));
+    }
     
-    // Filter craftable items based on level and search
+    // Filter craftable items based on level, known recipes and search
     const craftableItems = (config.items || []).filter(item => {
-      if (!item.craftable || !item.recipe) return false;
+      if (!isCraftable(item)) return false;
       if (!canCraftRarity(itemsCrafted, item.rarity)) return false;
+      if (!isRecipeKnown(userId, item, unlocked)) return false;
       if (item.premiumNeeded && !isPremium(interaction.client, userId)) return false;
       return item.name.toLowerCase().includes(focusedValue) || item.id.includes(focusedValue);
     }).slice(0, 25);
@@ -189,18 +337,57 @@ module.exports = {
       player = db.prepare('SELECT * FROM players WHERE userId=?').get(userId);
     }
 
-    // Ensure crafting tables exist
-    try {
-      db.prepare(`CREATE TABLE IF NOT EXISTS active_crafts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        userId TEXT NOT NULL,
-        itemId TEXT NOT NULL,
-        quantity INTEGER DEFAULT 1,
-        startTime INTEGER NOT NULL,
-        completionTime INTEGER NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`).run();
-    } catch (e) {}
+    if (subcommand === 'learn') {
+      const result = learnRecipe(userId, interaction.options.getString('recipe'));
+      if (!result.ok) {
+        const message = result.reason === 'not_craftable' ? 'Recipe not found.'
+          : result.reason === 'already_known' ? `You already know the **${result.item.name}** recipe.`
+          : result.reason === 'discover_only' ? `The **${result.item.name}** recipe can't be learned from a scroll — ${lockHint(result.lock)}.`
+          : `You need a **${result.scroll?.name || 'recipe scroll'}** to learn the **${result.item.name}** recipe. Scrolls drop from bosses and landmarks, or can be bought on \`/market\`.`;
+        return interaction.reply({ content: `${userPrefix} ${message}`, ephemeral: true });
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(`📜 Recipe Learned: ${result.item.name}`)
+        .setDescription(`You studied a **${result.scroll.name}** and can now craft **${result.item.name}**.`)
+        .setColor(0xF1C40F)
+        .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+        .addFields({
+          name: '🧪 Recipe',
+          value: result.item.recipe.map(ing => `• ${itemById(ing.id)?.name || ing.id} x${ing.qty}`).join('\n'),
+          inline: false
+        })
+        .setFooter({ text: canCraftRarity(player.itemsCrafted || 0, result.item.rarity) ? 'Start it with /craft item • QuestCord Workshop' : `Reach the ${result.item.rarity} crafting tier to use it • QuestCord Workshop`, iconURL: interaction.client.user.displayAvatarURL() })
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed] });
+    }
+
+    if (subcommand === 'tree') {
+      const graph = getRecipeGraph(interaction.options.getString('item'));
+      if (!graph) return interaction.reply({ content: `${userPrefix} Item not found.`, ephemeral: true });
+      return interaction.reply({ embeds: [buildTreeEmbed(interaction, graph)] });
+    }
+
+    if (subcommand === 'plan') {
+      const plan = planCraft(userId, interaction.options.getString('item'), interaction.options.getInteger('quantity') || 1);
+      if (!plan.ok) return interaction.reply({ content: `${userPrefix} ${planFailureMessage(plan)}`, ephemeral: true });
+
+      const isPremiumUser = await isPremium(interaction.client, userId);
+      const schedule = scheduleCraftPlan(plan, { isPremiumUser, speed: getEffectMultiplier(userId, 'craftSpeed') });
+      return interaction.reply({
+        embeds: [buildPlanEmbed(interaction, plan, schedule, player.itemsCrafted || 0)],
+        components: plan.missing.length ? [] : [planButtons(userId, plan)]
+      });
+    }
+
+    if (subcommand === 'notify') {
+      const mode = interaction.options.getString('mode');
+      db.prepare('UPDATE players SET craftNotify=? WHERE userId=?').run(mode, userId);
+      const message = mode === 'dm'
+        ? '📬 You will get a direct message when your crafts finish.'
+        : '🔕 Craft notifications are off. Finished items still arrive in your inventory automatically.';
+      return interaction.reply({ content: `${userPrefix} ${message}`, ephemeral: true });
+    }
 
     if (subcommand === 'status') {
       const itemsCrafted = player.itemsCrafted || 0;
@@ -234,7 +421,7 @@ module.exports = {
           },
           {
             name: 'Active Crafts',
-            value: `${activeCrafts.length} / 5 slots used\n${activeCrafts.filter(c => c.completionTime <= Date.now()).length} ready`,
+            value: `${countCraftsInProgress(userId)} / ${maxConcurrentCrafts()} slots used\n${activeCrafts.filter(c => c.completionTime <= Date.now()).length} ready`,
             inline: true
           }
         );
@@ -249,18 +436,20 @@ module.exports = {
       }
 
       if (activeCrafts.length > 0) {
-        const craftsList = activeCrafts.map((craft, index) => {
+        const craftsList = activeCrafts.map(craft => {
           const item = itemById(craft.itemId);
           const timeLeft = Math.max(0, Math.ceil((craft.completionTime - Date.now()) / 1000));
           const status = timeLeft > 0 ? 
             `⏱️ ${Math.floor(timeLeft / 60)}m ${timeLeft % 60}s` : 
             '✅ **Ready!**';
-          return `${index + 1}. **${item?.name || craft.itemId}** x${craft.quantity} - ${status}`;
+          const queued = craft.startTime > Date.now() ? ' (queued)' : '';
+          const plan = craft.planRootId ? ` ↳ for #${craft.planRootId}` : '';
+          return `#${craft.id} **${item?.name || craft.itemId}** x${craft.quantity} - ${status}${queued}${plan}`;
         }).join('\n');
 
         statusEmbed.addFields({
           name: 'Current Projects',
-          value: craftsList + (activeCrafts.filter(c => c.completionTime <= Date.now()).length > 0 ? '\n\nUse `/craft complete` to collect finished items!' : ''),
+          value: craftsList + (activeCrafts.filter(c => c.completionTime <= Date.now()).length > 0 ? '\n\nFinished items are delivered automatically, or use `/craft complete` to collect them now!' : ''),
           inline: false
         });
       } else {
@@ -273,7 +462,7 @@ module.exports = {
 
       statusEmbed
         .setFooter({
-          text: `QuestCord Workshop`,
+          text: `Craft DMs: ${player.craftNotify === 'dm' ? 'on' : 'off'} (/craft notify) • QuestCord Workshop`,
           iconURL: interaction.client.user.displayAvatarURL()
         })
         .setTimestamp();
@@ -285,14 +474,17 @@ module.exports = {
       const rarityFilter = interaction.options.getString('rarity');
       const itemsCrafted = player.itemsCrafted || 0;
       
-      let recipes = (config.items || []).filter(item => {
-        if (!item.craftable || !item.recipe) return false;
+      const available = (config.items || []).filter(item => {
+        if (!isCraftable(item)) return false;
         if (!canCraftRarity(itemsCrafted, item.rarity)) return false;
         if (rarityFilter && item.rarity !== rarityFilter) return false;
         return true;
-      }).slice(0, 10);
+      });
+      const unlocked = getUnlockedRecipeIds(userId);
+      let recipes = available.filter(item => isRecipeKnown(userId, item, unlocked)).slice(0, 10);
+      const lockedRecipes = available.filter(item => !isRecipeKnown(userId, item, unlocked));
 
-      if (recipes.length === 0) {
+      if (recipes.length === 0 && lockedRecipes.length === 0) {
         const noRecipesEmbed = new EmbedBuilder()
           .setTitle('📋❌ **NO RECIPES AVAILABLE** ❌📋')
           .setDescription('No recipes match your current crafting level and filters')
@@ -383,6 +575,20 @@ module.exports = {
         });
       });
 
+      if (lockedRecipes.length > 0) {
+        // Hint at the locked recipes closest to being discovered
+        const progress = new Map(db.prepare('SELECT itemId, progress FROM recipe_unlocks WHERE userId=?').all(userId).map(r => [r.itemId, r.progress]));
+        const hints = lockedRecipes
+          .sort((a, b) => (progress.get(b.id) || 0) - (progress.get(a.id) || 0))
+          .slice(0, 5)
+          .map(item => `🔒 **${item.name}** (${item.rarity})\n└ ${lockHint(describeRecipeLock(userId, item))}`);
+        recipesEmbed.addFields({
+          name: `🔒 **LOCKED RECIPES** (${lockedRecipes.length})`,
+          value: hints.join('\n\n'),
+          inline: false
+        });
+      }
+
       recipesEmbed
         .setFooter({ 
           text: `⚡ Use /craft item <name> to start crafting • QuestCord Recipes`,
@@ -394,9 +600,10 @@ module.exports = {
     }
 
     if (subcommand === 'complete') {
-      const completedCrafts = db.prepare('SELECT * FROM active_crafts WHERE userId=? AND completionTime<=? ORDER BY completionTime ASC').all(userId, Date.now());
+      // The completion worker usually delivers crafts first; this collects anything it hasn't reached yet
+      const result = completeFinishedCrafts(userId)[0];
       
-      if (completedCrafts.length === 0) {
+      if (!result) {
         const noCraftsEmbed = new EmbedBuilder()
           .setTitle('⏳🔨 **NO COMPLETED CRAFTS** 🔨⏳')
           .setDescription('Your workshop is still hard at work forging items')
@@ -407,7 +614,7 @@ module.exports = {
           })
           .addFields({
             name: '🛠️ **Current Status**',
-            value: '• No finished items to collect\n• Check active crafts with `/craft status`\n• Start new crafts with `/craft item`',
+            value: '• No finished items to collect\n• Finished crafts are delivered to your inventory automatically\n• Check active crafts with `/craft status`\n• Start new crafts with `/craft item`',
             inline: false
           })
           .setFooter({ 
@@ -418,43 +625,8 @@ module.exports = {
         return interaction.reply({ embeds: [noCraftsEmbed] });
       }
 
-      let completedItems = [];
-      let totalExperience = 0;
-      for (const craft of completedCrafts) {
-        const item = itemById(craft.itemId);
-        addItemToInventory(userId, craft.itemId, craft.quantity);
-        completedItems.push({
-          name: item?.name || craft.itemId,
-          quantity: craft.quantity,
-          rarity: item?.rarity || 'common'
-        });
-        totalExperience += craft.quantity;
-        
-        // Update crafted count
-        db.prepare('UPDATE players SET itemsCrafted=itemsCrafted+? WHERE userId=?').run(craft.quantity, userId);
-      }
-
-      // Remove completed crafts
-      db.prepare('DELETE FROM active_crafts WHERE userId=? AND completionTime<=?').run(userId, Date.now());
-      
-      // Check for level up
-      const newItemsCrafted = (player.itemsCrafted || 0) + totalExperience;
-      const oldLevel = getCraftingLevel(player.itemsCrafted || 0);
-      const newLevel = getCraftingLevel(newItemsCrafted);
-      
-      const itemsList = completedItems.map(item => {
-        const rarityColors = {
-          'common': '⚪',
-          'uncommon': '🟢',
-          'rare': '🔵',
-          'epic': '🟣', 
-          'legendary': '🟠',
-          'mythic': '🔴',
-          'transcendent': '✨'
-        };
-        const icon = rarityColors[item.rarity] || '⚪';
-        return `${icon} **${item.name}** x${item.quantity}`;
-      }).join('\n');
+      const itemsList = formatCraftedItems(result.crafts);
+      const { totalQuantity: totalExperience, itemsCrafted: newItemsCrafted, oldLevel, newLevel } = result;
 
       const completeEmbed = new EmbedBuilder()
         .setTitle('🎉🔨 **CRAFTING COMPLETE** 🔨🎉')
@@ -482,6 +654,14 @@ module.exports = {
           }
         );
 
+      if (result.discovered.length) {
+        completeEmbed.addFields({
+          name: '📜 **RECIPES DISCOVERED**',
+          value: result.discovered.map(item => `**${item.name}** (${item.rarity})`).join('\n'),
+          inline: false
+        });
+      }
+
       if (newLevel > oldLevel) {
         completeEmbed.addFields({
           name: '🎊 **LEVEL UP!** 🎊',
@@ -497,7 +677,7 @@ module.exports = {
         })
         .setTimestamp();
 
-      logger.info('craft_complete: user %s collected %d items', userId, completedCrafts.length);
+      logger.info('craft_complete: user %s collected %d items', userId, result.crafts.length);
       return interaction.reply({ embeds: [completeEmbed] });
     }
 
@@ -527,19 +707,26 @@ module.exports = {
         return interaction.reply({ embeds: [notFoundEmbed], ephemeral: true });
       }
 
-      // Refund 50% of materials
+      if (craft.planRootId) {
+        return interaction.reply({ content: `${userPrefix} Craft #${craftId} is a step of plan #${craft.planRootId}. Cancel #${craft.planRootId} to stop the whole plan.`, ephemeral: true });
+      }
+
+      // Refund 50% of materials: a plan refunds what it took from the inventory, a single craft its recipe
       const item = itemById(craft.itemId);
+      const materials = craft.planMaterials
+        ? JSON.parse(craft.planMaterials)
+        : (item?.recipe || []).map(ingredient => ({ id: ingredient.id, qty: ingredient.qty * craft.quantity }));
       let refundedItems = [];
-      if (item?.recipe) {
-        for (const ingredient of item.recipe) {
-          const refundQty = Math.ceil((ingredient.qty * craft.quantity) / 2);
-          addItemToInventory(userId, ingredient.id, refundQty);
-          const ingItem = itemById(ingredient.id);
-          refundedItems.push(`${ingItem?.name || ingredient.id} x${refundQty}`);
-        }
+      for (const material of materials) {
+        const refundQty = Math.ceil(material.qty / 2);
+        addItemToInventory(userId, material.id, refundQty);
+        const ingItem = itemById(material.id);
+        refundedItems.push(`${ingItem?.name || material.id} x${refundQty}`);
       }
 
       db.prepare('DELETE FROM active_crafts WHERE id=?').run(craftId);
+      // Cancelling a planned craft drops the intermediate steps feeding it; the refund above covers their materials
+      const planSteps = db.prepare('DELETE FROM active_crafts WHERE planRootId=? AND userId=?').run(craftId, userId).changes;
       
       const cancelEmbed = new EmbedBuilder()
         .setTitle('🚫🔨 **CRAFT CANCELLED** 🔨🚫')
@@ -552,7 +739,7 @@ module.exports = {
         .addFields(
           {
             name: '🗑️ **Cancelled Item**',
-            value: `**${item?.name || craft.itemId}** x${craft.quantity}\nCraft ID: #${craftId}`,
+            value: `**${item?.name || craft.itemId}** x${craft.quantity}\nCraft ID: #${craftId}${planSteps ? `\n+${planSteps} planned step${planSteps === 1 ? '' : 's'}` : ''}`,
             inline: true
           },
           {
@@ -581,7 +768,7 @@ module.exports = {
       const quantity = interaction.options.getInteger('quantity') || 1;
       const item = itemById(itemId);
       
-      if (!item || !item.craftable || !item.recipe) {
+      if (!isCraftable(item)) {
         return interaction.reply({ content: `${userPrefix} Item not found or not craftable.`, ephemeral: true });
       }
 
@@ -591,6 +778,10 @@ module.exports = {
         return interaction.reply({ content: `${userPrefix} You need ${requiredLevel?.requirement || 0} crafted items to make ${item.rarity} items.`, ephemeral: true });
       }
 
+      if (!isRecipeKnown(userId, item)) {
+        return interaction.reply({ content: `${userPrefix} You haven't unlocked the **${item.name}** recipe yet — ${lockHint(describeRecipeLock(userId, item))}.`, ephemeral: true });
+      }
+
       if (item.premiumNeeded && !(await isPremium(interaction.client, userId))) {
         return interaction.reply({ content: `${userPrefix} This recipe requires Premium membership.`, ephemeral: true });
       }
@@ -609,13 +800,16 @@ module.exports = {
           return `${ingItem?.name || ing.id}: ${current}/${ing.qty}`;
         }).join(', ');
         
-        return interaction.reply({ content: `${userPrefix} Missing materials: ${missingText}`, ephemeral: true });
+        const planHint = missing.some(ing => isCraftable(itemById(ing.id))) ? '\nUse `/craft plan` to craft the missing intermediates too.' : '';
+        return interaction.reply({ content: `${userPrefix} Missing materials: ${missingText}${planHint}`, ephemeral: true });
       }
 
-      // Check active craft limit (max 5 concurrent crafts)
-      const activeCraftCount = db.prepare('SELECT COUNT(*) as count FROM active_crafts WHERE userId=?').get(userId)?.count || 0;
-      if (activeCraftCount >= 5) {
-        return interaction.reply({ content: `${userPrefix} You can only have 5 active crafts at once. Complete or cancel some first.`, ephemeral: true });
+      // Check active craft limit (config.crafting.maxConcurrentCrafts); deliver finished crafts first so they free their slots
+      completeFinishedCrafts(userId);
+      const activeCraftCount = countCraftsInProgress(userId);
+      const craftSlots = maxConcurrentCrafts();
+      if (activeCraftCount >= craftSlots) {
+        return interaction.reply({ content: `${userPrefix} You can only have ${craftSlots} active crafts at once. Wait for one to finish or cancel one first.`, ephemeral: true });
       }
 
       // Consume materials
@@ -623,7 +817,8 @@ module.exports = {
       
       // Calculate crafting time
       const isPremiumUser = await isPremium(interaction.client, userId);
-      const craftingTime = getCraftingTime(item.rarity, isPremiumUser) * quantity;
+      // Crafting-speed buffs from consumables shorten the queue time
+      const craftingTime = Math.max(1, Math.floor(getCraftingTime(item.rarity, isPremiumUser) * quantity / getEffectMultiplier(userId, 'craftSpeed')));
       const completionTime = Date.now() + (craftingTime * 1000);
       
       // Start craft
@@ -683,7 +878,7 @@ module.exports = {
           },
           {
             name: 'Workshop Status',
-            value: `${activeCraftCount + 1} / 5 slots used`,
+            value: `${activeCraftCount + 1} / ${craftSlots} slots used`,
             inline: true
           }
         );
@@ -710,12 +905,51 @@ module.exports = {
 
       startEmbed
         .setFooter({
-          text: `Use /craft complete when ready • QuestCord Workshop`,
+          text: `Delivered to your inventory when ready • QuestCord Workshop`,
           iconURL: interaction.client.user.displayAvatarURL()
         })
         .setTimestamp();
 
       return interaction.reply({ embeds: [startEmbed] });
     }
+  },
+
+  /**
+   * "Craft everything needed" button on a /craft plan reply
+   */
+  async handleButton(interaction) {
+    const [, ownerId, quantity, ...itemParts] = interaction.customId.split('_');
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    const userId = interaction.user.id;
+
+    if (isBanned(userId)) return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    if (userId !== ownerId) return interaction.reply({ content: `${userPrefix} This plan belongs to someone else. Use \`/craft plan\` to make your own.`, ephemeral: true });
+
+    const isPremiumUser = await isPremium(interaction.client, userId);
+    const result = queueCraftPlan(userId, itemParts.join('_'), parseInt(quantity, 10) || 1, { isPremiumUser });
+    if (!result.ok) return interaction.reply({ content: `${userPrefix} ${planFailureMessage(result)}`, ephemeral: true });
+
+    const root = result.crafts[result.crafts.length - 1];
+    const embed = new EmbedBuilder()
+      .setTitle(`🔨 Plan Queued: ${result.plan.item.name} x${result.plan.quantity}`)
+      .setDescription(`Your workshop will work through **${result.crafts.length}** craft${result.crafts.length === 1 ? '' : 's'} in order.`)
+      .setColor(0x00AE86)
+      .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+      .addFields(
+        {
+          name: '📋 Queue',
+          value: limitLines(result.crafts.map(craft =>
+            `#${craft.id} ${RARITY_ICONS[craft.item.rarity] || '⚪'} **${craft.item.name}** x${craft.quantity} — done <t:${Math.floor(craft.completionTime / 1000)}:R>`)),
+          inline: false
+        },
+        {
+          name: '📦 Materials Used',
+          value: limitLines(result.plan.used.map(m => `• ${itemById(m.id)?.name || m.id} x${m.qty}`)),
+          inline: false
+        }
+      )
+      .setFooter({ text: `Cancel the whole plan with /craft cancel craft_id:${root.id} • QuestCord Workshop`, iconURL: interaction.client.user.displayAvatarURL() })
+      .setTimestamp();
+    return interaction.update({ embeds: [embed], components: [] });
   }
 };
\ No newline at end of file
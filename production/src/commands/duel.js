@@ -0,0 +1,182 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { logCommand } = require('../utils/store_sqlite');
+const config = require('../utils/config');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned } = require('./_guard');
+const logger = require('../utils/logger');
+const { ensurePlayerWithVehicles } = require('../utils/players');
+const { createDuel, acceptDuel, declineDuel, getDuelRecord } = require('../utils/duels');
+
+// User-facing text for { ok: false, reason } results from utils/duels
+function failureMessage(result) {
+  switch (result.reason) {
+    case 'self': return "You can't duel yourself.";
+    case 'wager_too_high': return `Wagers are capped at **${result.maxWager.toLocaleString()}** drakari.`;
+    case 'no_location': return 'You need to be at a server to duel. Use `/travel` first.';
+    case 'no_player':
+    case 'opponent_no_player': return "That player hasn't started their adventure yet.";
+    case 'already_pending': return 'You already have a duel challenge open.';
+    case 'opponent_pending': return 'That player already has a duel challenge open.';
+    case 'traveling': return 'You cannot duel while traveling.';
+    case 'opponent_traveling': return 'That player is traveling.';
+    case 'not_here': return 'You are no longer where the duel was issued.';
+    case 'opponent_not_here': return 'You can only duel players at your current location.';
+    case 'downed': return 'You are downed. Use `/revive` first.';
+    case 'opponent_downed': return 'That player is downed.';
+    case 'cooldown': return `You can duel again <t:${Math.floor(result.readyAt / 1000)}:R>.`;
+    case 'opponent_cooldown': return `That player can duel again <t:${Math.floor(result.readyAt / 1000)}:R>.`;
+    case 'low_health': return `You need at least **${result.minHealth}** health to duel.`;
+    case 'opponent_low_health': return `That player needs at least **${result.minHealth}** health to duel.`;
+    case 'low_stamina': return `Dueling takes **${result.staminaCost}** stamina.`;
+    case 'opponent_low_stamina': return `That player doesn't have the **${result.staminaCost}** stamina a duel takes.`;
+    case 'not_enough_drakari': return `You need **${result.wager.toLocaleString()}** drakari to cover the wager.`;
+    case 'not_found': return 'That duel no longer exists.';
+    case 'not_opponent': return 'Only the challenged player can accept this duel.';
+    case 'not_participant': return 'This duel is not yours.';
+    case 'not_pending': return `This duel is already ${result.status || 'closed'}.`;
+    default: return 'The duel could not go ahead.';
+  }
+}
+
+function recordLine(record) {
+  return `**${record.elo}** elo • ${record.wins}W / ${record.losses}L / ${record.draws}D`;
+}
+
+function duelButtons(duelId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`duel_accept_${duelId}`).setLabel('Accept').setStyle(ButtonStyle.Success).setEmoji('⚔️'),
+    new ButtonBuilder().setCustomId(`duel_decline_${duelId}`).setLabel('Decline / Cancel').setStyle(ButtonStyle.Secondary)
+  );
+}
+
+/**
+ * Result embed for a finished duel
+ */
+function resultEmbed(interaction, result) {
+  const { duel, fight, winnerId, elo, records } = result;
+  const last = fight.rounds[fight.rounds.length - 1];
+  const roundLines = fight.rounds.slice(-5).map(r =>
+    `**R${r.round}** <@${duel.challengerId}> ${r.a.damage}${r.a.crit ? '🎯' : ''} • <@${duel.opponentId}> ${r.b.damage}${r.b.crit ? '🎯' : ''}`
+  );
+  const signed = n => `${n >= 0 ? '+' : ''}${n}`;
+
+  const embed = new EmbedBuilder()
+    .setTitle(winnerId ? '🏆 Duel Won' : '🤝 Duel Drawn')
+    .setDescription(winnerId
+      ? `<@${winnerId}> defeats <@${winnerId === duel.challengerId ? duel.opponentId : duel.challengerId}> after **${fight.rounds.length}** round${fight.rounds.length === 1 ? '' : 's'}!`
+      : `Neither fighter gives ground after **${fight.rounds.length}** rounds.`)
+    .setColor(winnerId ? 0xF1C40F : 0x95A5A6)
+    .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+    .addFields(
+      { name: '📜 Rounds', value: (fight.rounds.length > 5 ? '…\n' : '') + roundLines.join('\n'), inline: false },
+      {
+        name: '❤️ Health Left',
+        value: `<@${duel.challengerId}> **${Math.max(1, last.healthA)}**\n<@${duel.opponentId}> **${Math.max(1, last.healthB)}**`,
+        inline: true
+      },
+      {
+        name: '📈 Elo',
+        value: `<@${duel.challengerId}> ${records.challenger.elo} (${signed(elo.a)})\n<@${duel.opponentId}> ${records.opponent.elo} (${signed(elo.b)})`,
+        inline: true
+      }
+    )
+    .setFooter({ text: `Duel #${duel.id} • QuestCord`, iconURL: interaction.client.user.displayAvatarURL() })
+    .setTimestamp();
+
+  if (duel.wager) {
+    embed.addFields({
+      name: '💰 Wager',
+      value: winnerId ? `<@${winnerId}> takes the **${(duel.wager * 2).toLocaleString()}** drakari pot` : `Both wagers of **${duel.wager.toLocaleString()}** drakari were returned`,
+      inline: false
+    });
+  }
+  if (result.broken.length) {
+    embed.addFields({
+      name: '💔 Gear Broken',
+      value: result.broken.map(b => `<@${b.userId}>'s **${b.item.name}**`).join('\n'),
+      inline: false
+    });
+  }
+  return embed;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('duel')
+    .setDescription('⚔️ Challenge a player at your location to a duel')
+    .addUserOption(o => o.setName('player').setDescription('Player to challenge').setRequired(true))
+    .addIntegerOption(o => o.setName('wager').setDescription('Drakari each side puts up (held until the duel ends)').setRequired(false)
+      .setMinValue(0).setMaxValue(config.duel?.maxWager ?? 100000)),
+
+  async execute(interaction) {
+    // Log command usage for live activity tracking
+    logCommand(interaction.user.id, 'duel', interaction.guild?.id);
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    const userId = interaction.user.id;
+
+    if (isBanned(userId)) {
+      return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    }
+
+    const opponent = interaction.options.getUser('player');
+    if (opponent.bot) return interaction.reply({ content: `${userPrefix} Bots don't duel.`, ephemeral: true });
+    if (isBanned(opponent.id)) return interaction.reply({ content: `${userPrefix} That player cannot duel.`, ephemeral: true });
+
+    await ensurePlayerWithVehicles(interaction.client, userId, interaction.user.username, interaction.guild?.id);
+    const wager = interaction.options.getInteger('wager') || 0;
+    const result = createDuel(userId, opponent.id, wager);
+    if (!result.ok) return interaction.reply({ content: `${userPrefix} ${failureMessage(result)}`, ephemeral: true });
+
+    const { duel } = result;
+    const cfg = config.duel || {};
+    const embed = new EmbedBuilder()
+      .setTitle('⚔️ Duel Challenge')
+      .setDescription(`<@${userId}> challenges <@${opponent.id}> to a duel!`)
+      .setColor(0xE67E22)
+      .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+      .addFields(
+        { name: '🗡️ Challenger', value: recordLine(getDuelRecord(userId)), inline: true },
+        { name: '🛡️ Opponent', value: recordLine(getDuelRecord(opponent.id)), inline: true },
+        { name: '💰 Wager', value: wager ? `**${wager.toLocaleString()}** drakari each` : 'None', inline: true },
+        {
+          name: '📋 Terms',
+          value: `• Costs **${cfg.staminaCost ?? 15}** stamina each; nobody drops below 1 health\n• Expires <t:${Math.floor(duel.expiresAt / 1000)}:R>`,
+          inline: false
+        }
+      )
+      .setFooter({ text: `Duel #${duel.id} • QuestCord`, iconURL: interaction.client.user.displayAvatarURL() })
+      .setTimestamp();
+
+    return interaction.reply({ content: `<@${opponent.id}>`, embeds: [embed], components: [duelButtons(duel.id)] });
+  },
+
+  /**
+   * Accept/decline buttons on a challenge (custom IDs duel_accept_<id> / duel_decline_<id>)
+   */
+  async handleButton(interaction) {
+    const [, action, id] = interaction.customId.split('_');
+    const duelId = parseInt(id, 10);
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+
+    if (isBanned(interaction.user.id)) {
+      return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    }
+
+    if (action === 'decline') {
+      const result = declineDuel(duelId, interaction.user.id);
+      if (!result.ok) return interaction.reply({ content: `${userPrefix} ${failureMessage(result)}`, ephemeral: true });
+      return interaction.update({
+        content: `${result.duel.status === 'cancelled' ? '🚫' : '🙅'} Duel #${duelId} was ${result.duel.status} by <@${interaction.user.id}>.${result.duel.wager ? ' The wager was returned.' : ''}`,
+        embeds: [],
+        components: []
+      });
+    }
+
+    const result = acceptDuel(duelId, interaction.user.id);
+    if (!result.ok) {
+      logger.info('[Duel] #%d could not start: %s', duelId, result.reason);
+      return interaction.reply({ content: `${userPrefix} ${failureMessage(result)}`, ephemeral: true });
+    }
+    return interaction.update({ content: null, embeds: [resultEmbed(interaction, result)], components: [] });
+  }
+};
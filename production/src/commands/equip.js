@@ -5,6 +5,9 @@ const { isBanned, regenStamina } = require('./_guard');
 const { getUserPrefix, isPremium } = require('../utils/roles');
 const config = require('../utils/config');
 const { ensurePlayerWithVehicles } = require('../utils/players');
+const { itemStats, getEquipmentStats, formatStats } = require('../utils/equipment');
+const { getWeaponElement, formatElement } = require('../utils/elements');
+const { getDurability, formatDurability, useBestCopy } = require('../utils/durability');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -108,7 +111,7 @@ module.exports = {
         
         options.push({
           label: `${item.name}`,
-          description: `${slot.charAt(0).toUpperCase() + slot.slice(1)} • ${item.rarity} • Qty: ${item.qty}`,
+          description: `${slot.charAt(0).toUpperCase() + slot.slice(1)} • ${item.rarity} • Qty: ${item.qty}${getDurability(userId, item) ? ` • ${formatDurability(getDurability(userId, item))}` : ''}`,
           value: item.id,
           emoji: slotIcon
         });
@@ -133,7 +136,8 @@ module.exports = {
         accessory: '💍',
         tool: '🔨'
       }[eq.slot] || '📦';
-      return `${slotIcon} **${eq.slot}:** ${item?.name || 'Unknown'}`;
+      const durability = item ? getDurability(userId, item) : null;
+      return `${slotIcon} **${eq.slot}:** ${item?.name || 'Unknown'}${durability ? ` • ${formatDurability(durability)}` : ''}`;
     }).join('\n') || 'No equipment currently equipped';
 
     const equipEmbed = new EmbedBuilder()
@@ -164,11 +168,18 @@ module.exports = {
           inline: true
         }
       )
-      .addFields({
-        name: '**Currently Equipped**',
-        value: equipmentSummary,
-        inline: false
-      })
+      .addFields(
+        {
+          name: '**Currently Equipped**',
+          value: equipmentSummary,
+          inline: false
+        },
+        {
+          name: '**Combat Totals**',
+          value: formatStats(getEquipmentStats(userId)),
+          inline: false
+        }
+      )
       .setFooter({ 
         text: `Equipping items can boost your combat effectiveness • QuestCord Equipment`,
         iconURL: interaction.client.user.displayAvatarURL()
@@ -217,6 +228,7 @@ module.exports = {
       
       // Equip the item
       db.prepare('INSERT OR REPLACE INTO equipment(userId, slot, itemId) VALUES(?,?,?)').run(userId, item.equipSlot, item.id);
+      useBestCopy(userId, item);
       
       if (item.equipSlot === 'vehicle'){
         db.prepare('UPDATE players SET vehicle=? WHERE userId=?').run(item.id, userId);
@@ -234,7 +246,7 @@ module.exports = {
         .addFields(
           {
             name: '**Item Equipped**',
-            value: `**${item.name}**\n${item.rarity} ${item.equipSlot}`,
+            value: `**${item.name}**\n${item.rarity} ${item.equipSlot}${item.equipSlot === 'weapon' ? `\n${formatElement(getWeaponElement(item))}` : ''}${getDurability(userId, item) ? `\n${formatDurability(getDurability(userId, item))}` : ''}`,
             inline: true
           },
           {
@@ -249,6 +261,29 @@ module.exports = {
           }
         );
 
+      if (item.equipSlot !== 'vehicle') {
+        successEmbed.addFields(
+          {
+            name: '**Item Stats**',
+            value: formatStats(itemStats(item)),
+            inline: true
+          },
+          {
+            name: '**New Combat Totals**',
+            value: formatStats(getEquipmentStats(userId)),
+            inline: true
+          }
+        );
+      }
+
+      if (getDurability(userId, item)?.broken) {
+        successEmbed.addFields({
+          name: '**💔 Broken**',
+          value: 'This item gives no stats until you repair it with `/repair`.',
+          inline: false
+        });
+      }
+
       if (item.description) {
         successEmbed.addFields({
           name: '**Item Description**',
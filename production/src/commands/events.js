@@ -0,0 +1,132 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { logCommand } = require('../utils/store_sqlite');
+const config = require('../utils/config');
+const { getUserPrefix, isStaffOrDev } = require('../utils/roles');
+const { isBanned } = require('./_guard');
+const logger = require('../utils/logger');
+const {
+  getEventRegions, parseStartTime, getUpcomingBossEvents, getRecentBossEvents, describeEventTarget,
+  createBossEvent, cancelBossEvent
+} = require('../utils/boss_events');
+
+// User-facing text for { ok: false, reason } results from utils/boss_events
+const REASONS = {
+  start_in_past: 'The start time must be in the future.',
+  start_too_far: `Events can be scheduled at most ${config.boss?.events?.maxLeadDays ?? 60} days ahead.`,
+  server_and_region: 'Pick either a server or a region, not both.',
+  unknown_region: 'Unknown region.',
+  unknown_server: 'That server was not found, is archived or has no coordinates yet.',
+  spawn_server: 'Bosses cannot spawn in the spawn server.',
+  bad_multiplier: `Reward multiplier must be between 1 and ${config.boss?.events?.maxRewardMultiplier ?? 5}.`,
+  not_found: 'No event with that ID.',
+  not_scheduled: 'Only events that have not started can be cancelled.'
+};
+
+const STATUS_ICONS = { spawned: '⚔️', missed: '⌛', failed: '❌', cancelled: '🚫' };
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('events')
+    .setDescription('📅 Scheduled boss events')
+    .addSubcommand(sc => sc
+      .setName('list')
+      .setDescription('Show upcoming and recent boss events'))
+    .addSubcommand(sc => sc
+      .setName('schedule')
+      .setDescription('Schedule a boss event (staff/dev only)')
+      .addStringOption(o => o.setName('title').setDescription('Event title').setRequired(true).setMaxLength(80))
+      .addStringOption(o => o.setName('start').setDescription('Start time: 90m, 2h, 1d, unix seconds or ISO date (UTC)').setRequired(true))
+      .addStringOption(o => o.setName('boss_name').setDescription('Boss name (rolled from the biome when empty)').setRequired(false).setMaxLength(60))
+      .addIntegerOption(o => o.setName('tier').setDescription('Boss tier (rolled when empty)').setRequired(false).setMinValue(1).setMaxValue(config.boss?.maxTier || 5))
+      .addStringOption(o => o.setName('serverid').setDescription('Server to spawn in').setRequired(false))
+      .addStringOption(o => o.setName('region').setDescription('Spawn in an active server of this region').setRequired(false)
+        .addChoices(...getEventRegions().map(r => ({ name: r, value: r }))))
+      .addNumberOption(o => o.setName('reward_multiplier').setDescription('Loot multiplier for this boss (default 1)').setRequired(false)
+        .setMinValue(1).setMaxValue(config.boss?.events?.maxRewardMultiplier ?? 5)))
+    .addSubcommand(sc => sc
+      .setName('cancel')
+      .setDescription('Cancel a scheduled boss event (staff/dev only)')
+      .addIntegerOption(o => o.setName('id').setDescription('Event ID').setRequired(true))),
+
+  async execute(interaction) {
+    const sub = interaction.options.getSubcommand();
+    // Log command usage for live activity tracking
+    logCommand(interaction.user.id, `events ${sub}`, interaction.guild?.id);
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    const userId = interaction.user.id;
+
+    if (isBanned(userId)) {
+      return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    }
+
+    const fail = reason => interaction.reply({ content: `${userPrefix} ${REASONS[reason] || 'That did not work.'}`, ephemeral: true });
+
+    if (sub === 'schedule') {
+      if (!(await isStaffOrDev(interaction.client, userId))) return interaction.reply({ content: `${userPrefix} Staff/Developer only.`, ephemeral: true });
+
+      const startsAt = parseStartTime(interaction.options.getString('start'));
+      if (!startsAt) return interaction.reply({ content: `${userPrefix} Could not read that start time. Try \`2h\`, \`1d\`, unix seconds or \`2025-01-31 18:00Z\`.`, ephemeral: true });
+
+      const result = await createBossEvent({
+        title: interaction.options.getString('title'),
+        startsAt,
+        bossName: interaction.options.getString('boss_name'),
+        tier: interaction.options.getInteger('tier'),
+        guildId: interaction.options.getString('serverid'),
+        region: interaction.options.getString('region'),
+        rewardMultiplier: interaction.options.getNumber('reward_multiplier') ?? 1,
+        createdBy: userId
+      }, interaction.client);
+      if (!result.ok) return fail(result.reason);
+
+      const { event } = result;
+      logger.info('events_schedule: %s scheduled event %s for %s', userId, event.id, new Date(event.startsAt).toISOString());
+      return interaction.reply({
+        content: `${userPrefix} 📅 Event **#${event.id} ${event.title}** scheduled <t:${Math.floor(event.startsAt / 1000)}:F> in ${describeEventTarget(event)}${event.rewardMultiplier > 1 ? ` with **${event.rewardMultiplier}x** loot` : ''}.`,
+        ephemeral: true
+      });
+    }
+
+    if (sub === 'cancel') {
+      if (!(await isStaffOrDev(interaction.client, userId))) return interaction.reply({ content: `${userPrefix} Staff/Developer only.`, ephemeral: true });
+      const result = cancelBossEvent(interaction.options.getInteger('id'));
+      if (!result.ok) return fail(result.reason);
+      logger.info('events_cancel: %s cancelled event %s', userId, result.event.id);
+      return interaction.reply({ content: `${userPrefix} 🚫 Event **#${result.event.id} ${result.event.title}** was cancelled.`, ephemeral: true });
+    }
+
+    // list
+    const upcoming = getUpcomingBossEvents();
+    const recent = getRecentBossEvents(5);
+
+    const embed = new EmbedBuilder()
+      .setTitle('📅 Boss Events')
+      .setDescription('Themed boss spawns scheduled by the QuestCord team')
+      .setColor(0xFF8C00)
+      .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+      .addFields(
+        {
+          name: '⏳ Upcoming',
+          value: upcoming.map(e =>
+            `**#${e.id} ${e.title}** — <t:${Math.floor(e.startsAt / 1000)}:R>\n` +
+            `${e.bossName || 'Mystery boss'}${e.tier ? ` (Tier ${e.tier})` : ''} in ${describeEventTarget(e)}${e.rewardMultiplier > 1 ? ` • 🎁 ${e.rewardMultiplier}x loot` : ''}`
+          ).join('\n') || 'No events scheduled right now',
+          inline: false
+        },
+        {
+          name: '📜 Recent',
+          value: recent.map(e => {
+            const outcome = e.status === 'spawned'
+              ? (e.bossActive ? 'in progress' : e.bossHp <= 0 ? 'defeated' : 'escaped')
+              : e.status;
+            return `${STATUS_ICONS[e.status] || '•'} **#${e.id} ${e.title}** — ${outcome}${e.serverName ? ` at ${e.serverName}` : ''}`;
+          }).join('\n') || 'No past events',
+          inline: false
+        }
+      )
+      .setFooter({ text: 'Boss events • QuestCord', iconURL: interaction.client.user.displayAvatarURL() })
+      .setTimestamp();
+
+    return interaction.reply({ embeds: [embed] });
+  }
+};
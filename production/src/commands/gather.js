@@ -0,0 +1,126 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { db, logCommand } = require('../utils/store_sqlite');
+const config = require('../utils/config');
+const { getUserPrefix, isPremium } = require('../utils/roles');
+const { isBanned, regenStamina } = require('./_guard');
+const logger = require('../utils/logger');
+const { itemById } = require('../utils/items');
+const { ensurePlayerWithVehicles } = require('../utils/players');
+const { getEquipmentStats, staminaCost: gearStaminaCost } = require('../utils/equipment');
+const { getCooldownRemaining, setCooldown } = require('../utils/regen');
+const { getBiomeTable, getGatheringTool, rollGather, grantGatheredItems, gatherCooldownMs } = require('../utils/gathering');
+
+const BIOME_EMOJIS = {
+  volcanic: '🌋',
+  ruins: '🏛️',
+  swamp: '🐊',
+  water: '🌊',
+  forest: '🌲',
+  ice: '❄️',
+  meadow: '🌻',
+  mountain: '⛰️'
+};
+
+// Cooldown key in players.regenEffects
+const COOLDOWN_KEY = 'gather';
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('gather')
+    .setDescription('Gather crafting materials from the biome of the server you are in'),
+
+  async execute(interaction) {
+    // Log command usage for live activity tracking
+    logCommand(interaction.user.id, 'gather', interaction.guild?.id);
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    const userId = interaction.user.id;
+
+    if (isBanned(userId)) {
+      return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    }
+    const cfg = config.gathering || {};
+    if (cfg.enabled === false) {
+      return interaction.reply({ content: `${userPrefix} Gathering is currently disabled.`, ephemeral: true });
+    }
+
+    regenStamina(userId);
+    const p = await ensurePlayerWithVehicles(interaction.client, userId, interaction.user.username, interaction.guild?.id);
+
+    if (p.travelArrivalAt && p.travelArrivalAt > Date.now()) {
+      return interaction.reply({
+        content: `${userPrefix} You can't gather while traveling. You arrive <t:${Math.floor(p.travelArrivalAt / 1000)}:R>.`,
+        ephemeral: true
+      });
+    }
+
+    const locationId = p.locationGuildId || interaction.guild?.id;
+    if (!locationId || locationId.startsWith('landmark_')) {
+      return interaction.reply({ content: `${userPrefix} There is nothing to gather at a landmark. Travel to a server first.`, ephemeral: true });
+    }
+
+    const remaining = getCooldownRemaining(userId, COOLDOWN_KEY);
+    if (remaining > 0) {
+      return interaction.reply({
+        content: `${userPrefix} You're still resting from your last gather. Try again <t:${Math.floor((Date.now() + remaining) / 1000)}:R>.`,
+        ephemeral: true
+      });
+    }
+
+    const cost = gearStaminaCost(cfg.staminaCost ?? 10, getEquipmentStats(userId));
+    const stamina = db.prepare('SELECT stamina FROM players WHERE userId=?').get(userId)?.stamina || 0;
+    if (stamina < cost) {
+      return interaction.reply({
+        content: `${userPrefix} You are too exhausted to gather. (Stamina ${Math.floor(stamina)}/${cost} required)`,
+        ephemeral: true
+      });
+    }
+
+    const server = db.prepare('SELECT name, biome FROM servers WHERE guildId=? ORDER BY addedAt DESC LIMIT 1').get(locationId) || {};
+    const tool = getGatheringTool(userId);
+    const result = rollGather(server.biome, tool);
+    const userIsPremium = await isPremium(interaction.client, userId);
+
+    grantGatheredItems(userId, result.items);
+    db.prepare('UPDATE players SET stamina=?, staminaUpdatedAt=? WHERE userId=?').run(Math.max(0, stamina - cost), Date.now(), userId);
+    setCooldown(userId, COOLDOWN_KEY, gatherCooldownMs(userIsPremium));
+
+    const biomeName = result.biome === 'default' ? 'Wilderness' : result.biome.charAt(0).toUpperCase() + result.biome.slice(1);
+    const biomeEmoji = BIOME_EMOJIS[result.biome] || '🌍';
+    const found = result.items
+      .map(({ itemId, qty }) => {
+        const item = itemById(itemId);
+        return `• **${item?.name || itemId}** × ${qty} *(${item?.rarity || 'common'})*`;
+      })
+      .join('\n') || 'You came back empty-handed.';
+    const possible = getBiomeTable(server.biome).table
+      .map(e => itemById(e.itemId)?.name || e.itemId)
+      .join(', ');
+
+    const embed = new EmbedBuilder()
+      .setTitle(`${biomeEmoji} Gathering in the ${biomeName}`)
+      .setDescription(`${userPrefix} searched around **${server.name || locationId}**`)
+      .setColor(0x2ECC71)
+      .setAuthor({
+        name: `${interaction.user.displayName} - Gatherer`,
+        iconURL: interaction.user.displayAvatarURL()
+      })
+      .addFields(
+        { name: '🎒 Materials Found', value: found, inline: false },
+        {
+          name: '🔨 Tool',
+          value: tool
+            ? `**${tool.name}**\n×${result.multiplier.toFixed(2)} yield${result.affinity ? '\n🎯 Suited to this biome' : ''}`
+            : 'None equipped\nEquip a tool for bigger yields',
+          inline: true
+        },
+        { name: '⚡ Stamina', value: `**${cost}** used\n**${Math.max(0, Math.floor(stamina - cost))}** remaining`, inline: true },
+        { name: '⏳ Next Gather', value: `<t:${Math.floor((Date.now() + gatherCooldownMs(userIsPremium)) / 1000)}:R>`, inline: true },
+        { name: '🗺️ Found Here', value: possible || 'Nothing', inline: false }
+      )
+      .setFooter({ text: 'Use /craft recipes to put your materials to work • QuestCord', iconURL: interaction.client.user.displayAvatarURL() })
+      .setTimestamp();
+
+    logger.info('gather: user %s in %s (%s) found %s', userId, locationId, result.biome, result.items.map(i => `${i.itemId}x${i.qty}`).join(','));
+    return interaction.reply({ embeds: [embed] });
+  }
+};
@@ -187,8 +187,8 @@ module.exports = {
           .setDescription('Explore the world, discover new servers, and embark on adventures')
           .addFields(
             {
-              name: '✈️ `/travel <server_id>`',
-              value: '• Travel to another server to explore new areas\n• **Costs:** Stamina and time (varies by distance)\n• **Rewards:** New biomes, items, and experiences\n• **Tip:** Plan your route using `/nearby` first!',
+              name: '✈️ `/travel go|cancel|reroute`',
+              value: '• `go` — travel to another server or landmark\n• `cancel` — turn back mid-flight; unused stamina and gems are refunded\n• `reroute` — pick a new destination from your current position\n• `notify` — get a DM or server message when you land\n• **Costs:** Stamina and time (varies by distance)\n• **Tip:** Plan your route using `/nearby` first!',
               inline: false
             },
             {
@@ -205,6 +205,11 @@ module.exports = {
               name: '🎯 `/waypoints`',
               value: '• Manage your saved waypoints for quick travel\n• Set waypoints at important locations\n• Fast travel to previously visited servers\n• **Limit:** 10 waypoints maximum per player',
               inline: false
+            },
+            {
+              name: '⛏️ `/gather`',
+              value: '• Gather crafting materials from the biome you are standing in\n• Each biome has its own materials (volcanic, forest, ice...)\n• **Costs:** Stamina, with a cooldown between gathers\n• **Tip:** Equip a tool for bigger yields',
+              inline: false
             }
           )
           .setFooter({ text: '🌍 Each server offers unique biomes, resources, and challenges!' });
@@ -229,6 +234,16 @@ module.exports = {
               value: '• Remove an item from a specific equipment slot\n• Items return to your inventory immediately\n• **Slots:** weapon, armor, accessory, tool\n• **Example:** `/unequip slot:weapon`',
               inline: false
             },
+            {
+              name: '🔧 `/repair`',
+              value: '• Weapons wear with every boss attack, other gear when you take hits\n• Broken gear gives no stats until it is repaired\n• Check durability and costs with `/repair status`\n• Repair with drakari or part of the crafting materials: `/repair item item:iron_sword method:materials`',
+              inline: false
+            },
+            {
+              name: '♻️ `/salvage`',
+              value: '• Break items back into part of their crafting materials (random materials for items without a recipe)\n• `/salvage item` for one item, `/salvage bulk` by rarity and/or category\n• You always see a preview to confirm first, and your equipped copy is kept\n• Counts toward the salvage challenges',
+              inline: false
+            },
             {
               name: '💊 `/useitem <item>`',
               value: '• Consume items like potions, food, or scrolls\n• Effects apply instantly (healing, buffs, etc.)\n• Some items have cooldowns to prevent abuse\n• **Tip:** Stock up on health potions before traveling!',
@@ -251,6 +266,16 @@ module.exports = {
               value: 'Check your crafting level, progress, and active crafts',
               inline: false
             },
+            {
+              name: '/craft plan <item> [quantity]',
+              value: 'See every intermediate craft and raw material an item needs, then queue the whole chain in one click',
+              inline: false
+            },
+            {
+              name: '/craft tree <item>',
+              value: 'See what an item is made from, what it is used in and its raw materials (full graph on the website at /recipes)',
+              inline: false
+            },
             {
               name: '/craft recipes [rarity]',
               value: 'Browse available recipes you can craft',
@@ -258,7 +283,17 @@ module.exports = {
             },
             {
               name: '/craft complete',
-              value: 'Collect finished crafted items',
+              value: 'Collect finished crafts right away (they are also delivered to your inventory automatically)',
+              inline: false
+            },
+            {
+              name: '/craft learn <recipe>',
+              value: 'Learn a legendary or higher recipe with a recipe scroll (rare and epic recipes are discovered by crafting related items)',
+              inline: false
+            },
+            {
+              name: '/craft notify <mode>',
+              value: 'Get a DM when your crafts finish, or turn it off',
               inline: false
             },
             {
@@ -278,7 +313,27 @@ module.exports = {
           .addFields(
             {
               name: '🐲 `/boss`',
-              value: '• View information about the current world boss\n• Join epic battles with other players\n• Earn rare rewards and exclusive loot\n• **Cooldown:** 24 hours between boss fights',
+              value: '• View information about the current world boss\n• Join epic battles with other players\n• Boss HP and counterattacks scale with how many players join the fight\n• Bosses change phase as they weaken and enrage near the end\n• Watch for area attacks, stamina drains and shields that need several fighters to break\n• World bosses share one HP pool across every server — fight with `/boss attack world:true` and climb the server leaderboard\n• Bosses have an element — check `/boss status` and swap to a weapon they are weak to for bonus damage\n• Craft summon stones and use `/boss summon` to call a boss to your current server\n• Earn rare rewards and exclusive loot\n• **Cooldown:** 24 hours between boss fights',
+              inline: false
+            },
+            {
+              name: '👥 `/party`',
+              value: '• Create a party, then invite, kick or leave with `/party invite`, `/party kick` and `/party leave`\n• Accept invites with `/party accept` and check members with `/party info`\n• Party members deal bonus damage when fighting the same boss\n• Defeat a boss together for a party completion bonus\n• **Travel:** The leader can bring everyone along with `/travel go party:true`',
+              inline: false
+            },
+            {
+              name: '💖 `/revive`',
+              value: '• Hitting 0 health in a boss fight downs you: you drop some drakari and can\'t attack, travel or use items\n• Downed players respawn after a timer; the attack that downs you says where\n• Get up sooner with `/revive item` (Phoenix Feather), `/revive gems`, or have a party member use `/revive ally` where you fell',
+              inline: false
+            },
+            {
+              name: '🤺 `/duel <player> [wager]`',
+              value: '• Challenge a player at your location; they accept or decline with buttons\n• Rounds use both sides\' equipment attack, crit and defense\n• Costs stamina and health, but nobody is downed by a duel\n• Optional drakari wager is held until the duel ends — winner takes the pot\n• Wins, losses and elo show in `/stats` and on your web profile',
+              inline: false
+            },
+            {
+              name: '📅 `/events`',
+              value: '• See upcoming and recent boss events with `/events list`\n• Event bosses are announced ahead of time in boss alert channels\n• Some events carry boosted loot multipliers',
               inline: false
             },
             {
@@ -2,7 +2,8 @@ const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { getUserPrefix } = require('../utils/roles');
 const { isBanned, regenStamina } = require('./_guard');
 const { getTravelHistory, getTravelStats } = require('../utils/travel_history');
-const { logCommand } = require('../utils/store_sqlite');
+const { db, logCommand } = require('../utils/store_sqlite');
+const { getPOIById } = require('../utils/pois');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -43,7 +44,7 @@ module.exports = {
       if (history.length === 0) {
         historyEmbed.addFields({
           name: '📭 **No Travel Records**',
-          value: '• Start your journey with `/travel <server>`\
+          value: '• Start your journey with `/travel go <server>`\
 • Explore new servers to build your travel log\
 • Every journey is automatically recorded',
           inline: false
@@ -55,10 +56,21 @@ module.exports = {
           const toName = travel.toServerName || 'Unknown Destination';
           const duration = Math.floor(travel.travelTime / 1000 / 60);
           const timeAgo = Math.floor((Date.now() - travel.timestamp) / (1000 * 60 * 60 * 24));
+          // Interrupted legs show how they ended instead of an arrival
+          let status = '';
+          if (travel.cancelled) {
+            let reroutedName = null;
+            if (travel.reroutedTo && travel.reroutedTo.startsWith('landmark_')) {
+              reroutedName = getPOIById(travel.reroutedTo.replace('landmark_', ''))?.name || travel.reroutedTo;
+            } else if (travel.reroutedTo) {
+              reroutedName = db.prepare('SELECT name FROM servers WHERE guildId = ?').get(travel.reroutedTo)?.name || travel.reroutedTo;
+            }
+            status = reroutedName ? ` • ↪️ Rerouted to **${reroutedName}**` : ' • ❌ Cancelled';
+          }
           
-          return `**${index + 1}.** ${fromName} → **${toName}**\
+          return `**${index + 1}.** ${fromName} → ${travel.cancelled ? `~~${toName}~~` : `**${toName}**`}\
 ` +
-                 `⏱️ ${duration}min travel • 📅 ${timeAgo}d ago`;
+                 `⏱️ ${duration}min travel • 📅 ${timeAgo}d ago${status}`;
         }).join('\
 \
 ');
@@ -126,7 +138,8 @@ Use \`/history stats\` for detailed analytics`,
           name: '🛫 **Journey Totals**',
           value: `**${stats.totalTravels}** total trips\
 **${stats.uniqueServersVisited}** unique servers\
-**${stats.recentTravels}** trips this week`,
+**${stats.recentTravels}** trips this week\
+**${stats.cancelledTravels}** cancelled/rerouted`,
           inline: true
         },
         {
@@ -186,7 +199,7 @@ Ready to start exploring!',
       if (stats.totalTravels === 0) {
         statsEmbed.addFields({
           name: '🚀 **Get Started**',
-          value: '• Use `/travel <server>` to begin your first journey\
+          value: '• Use `/travel go <server>` to begin your first journey\
 • Premium users enjoy 3x faster travel speeds\
 • Save favorite spots with `/waypoints save`\
 • Earn gems and unlock achievements by exploring!',
@@ -1,6 +1,7 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const config = require('../utils/config');
 const { itemById } = require('../utils/items');
+const { getDurability, formatDurability } = require('../utils/durability');
 const { ensurePlayerWithVehicles } = require('../utils/players');
 const { getUserPrefix } = require('../utils/roles');
 const { logCommand } = require('../utils/store_sqlite');
@@ -214,7 +215,8 @@ module.exports = {
       const itemList = items.slice(0, 8).map(item => {
         const rarityEmoji = rarityEmojis[item.rarity] || '⚪';
         const equipInfo = item.equipSlot ? ` (${item.equipSlot})` : '';
-        return `${rarityEmoji} **${item.name}**${equipInfo} × ${item.qty}`;
+        const durability = item.equipSlot ? getDurability(userId, item.meta) : null;
+        return `${rarityEmoji} **${item.name}**${equipInfo} × ${item.qty}${durability && durability.current < durability.max ? ` • ${formatDurability(durability)}` : ''}`;
       }).join('\
 ');
 
@@ -5,6 +5,7 @@ const { getUserPrefix, isPremium } = require('../utils/roles');
 const { isBanned, regenStamina } = require('./_guard');
 const logger = require('../utils/logger');
 const { itemById, isTradable } = require('../utils/items');
+const { releaseCopies, receiveCopies } = require('../utils/durability');
 
 /**
  * Checks if an item is blocked from trading
@@ -103,8 +104,11 @@ module.exports = {
       if (actualFee > 0) {
         db.prepare('UPDATE players SET drakari=drakari-? WHERE userId=?').run(actualFee, userId);
       }
+      // Worn gear keeps its durability on the listing
+      const worn = releaseCopies(userId, itemId, qty);
       db.prepare('UPDATE inventory SET qty=qty-? WHERE userId=? AND itemId=?').run(qty, userId, itemId);
-      const info = db.prepare('INSERT INTO market_listings(sellerId,itemId,qty,price,expiresAt) VALUES(?,?,?,?,?)').run(userId, itemId, qty, price, actualExpires);
+      const info = db.prepare('INSERT INTO market_listings(sellerId,itemId,qty,price,expiresAt,wornCopies) VALUES(?,?,?,?,?,?)')
+        .run(userId, itemId, qty, price, actualExpires, worn.length ? JSON.stringify(worn) : null);
       logger.info('market_list: user %s listed %s x%s for %s', userId, itemId, qty, price);
       const listingEmbed = new EmbedBuilder()
         .setTitle(isPremiumUser ? '📈👑 **PREMIUM LISTING CREATED** 👑📈' : '📈 **ITEM LISTED SUCCESSFULLY** 📈')
@@ -212,6 +216,7 @@ module.exports = {
       const inv = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, row.itemId);
       if (!inv) db.prepare('INSERT INTO inventory(userId,itemId,qty) VALUES(?,?,?)').run(userId, row.itemId, row.qty);
       else db.prepare('UPDATE inventory SET qty=qty+? WHERE userId=? AND itemId=?').run(row.qty, userId, row.itemId);
+      receiveCopies(userId, row.itemId, JSON.parse(row.wornCopies || '[]'));
       // Remove completed listing from marketplace
       db.prepare('DELETE FROM market_listings WHERE id=?').run(id);
       logger.info('market_buy: user %s bought listing %s', userId, id);
@@ -279,6 +284,7 @@ module.exports = {
       const inv = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, row.itemId);
       if (!inv) db.prepare('INSERT INTO inventory(userId,itemId,qty) VALUES(?,?,?)').run(userId, row.itemId, row.qty);
       else db.prepare('UPDATE inventory SET qty=qty+? WHERE userId=? AND itemId=?').run(row.qty, userId, row.itemId);
+      receiveCopies(userId, row.itemId, JSON.parse(row.wornCopies || '[]'));
       logger.info('market_cancel: user %s cancelled listing %s', userId, id);
       const cancelEmbed = new EmbedBuilder()
         .setTitle('🚫 Listing Cancelled')
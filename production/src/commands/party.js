@@ -0,0 +1,149 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { logCommand } = require('../utils/store_sqlite');
+const config = require('../utils/config');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned } = require('./_guard');
+const logger = require('../utils/logger');
+const { ensurePlayerWithVehicles } = require('../utils/players');
+const {
+  getPartySummary, createParty, invitePlayer, getPendingInvites, acceptInvite, leaveParty, kickMember
+} = require('../utils/parties');
+
+// User-facing text for { ok: false, reason } results from utils/parties
+const REASONS = {
+  already_in_party: 'You are already in a party. Use `/party leave` first.',
+  not_in_party: 'You are not in a party. Use `/party create` to start one.',
+  not_leader: 'Only the party leader can do that.',
+  self: "You can't do that to yourself.",
+  target_in_party: 'That player is already in a party.',
+  party_full: 'That party is full.',
+  no_invite: 'You have no pending party invites.',
+  not_member: 'That player is not in your party.'
+};
+
+/**
+ * Build the party overview embed shared by create/accept/info
+ */
+function partyEmbed(interaction, summary, title) {
+  const cfg = config.party || {};
+  const bonusPct = Math.round((cfg.damageBonusPerMember ?? 0.05) * 100);
+  const maxPct = Math.round((cfg.maxDamageBonus ?? 0.2) * 100);
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(`**${summary.name}** • ${summary.size}/${summary.maxSize} members`)
+    .setColor(0x5865F2)
+    .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+    .addFields(
+      {
+        name: '👥 Members',
+        value: summary.members.map(m => `${m.isLeader ? '👑' : '•'} <@${m.userId}>`).join('\n'),
+        inline: true
+      },
+      {
+        name: '⚔️ Party Perks',
+        value: `• +${bonusPct}% boss damage per fighting ally (max +${maxPct}%)\n• Completion bonus when ${cfg.completionMinMembers ?? 2}+ members defeat a boss\n• Leader can move everyone with \`/travel go party:true\``,
+        inline: true
+      }
+    )
+    .setFooter({ text: `Party #${summary.id} • QuestCord`, iconURL: interaction.client.user.displayAvatarURL() })
+    .setTimestamp();
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('party')
+    .setDescription('Group up with other players for boss fights and travel')
+    .addSubcommand(sc => sc
+      .setName('create')
+      .setDescription('Start a new party and become its leader')
+      .addStringOption(o => o.setName('name').setDescription('Party name').setRequired(false).setMaxLength(32)))
+    .addSubcommand(sc => sc
+      .setName('invite')
+      .setDescription('Invite a player to your party (leader only)')
+      .addUserOption(o => o.setName('user').setDescription('Player to invite').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('accept')
+      .setDescription('Accept your most recent party invite'))
+    .addSubcommand(sc => sc
+      .setName('leave')
+      .setDescription('Leave your current party'))
+    .addSubcommand(sc => sc
+      .setName('kick')
+      .setDescription('Remove a member from your party (leader only)')
+      .addUserOption(o => o.setName('user').setDescription('Member to remove').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('info')
+      .setDescription('Show your party and pending invites')),
+
+  async execute(interaction) {
+    const sub = interaction.options.getSubcommand();
+    // Log command usage for live activity tracking
+    logCommand(interaction.user.id, `party ${sub}`, interaction.guild?.id);
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    const userId = interaction.user.id;
+
+    if (isBanned(userId)) {
+      return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    }
+    await ensurePlayerWithVehicles(interaction.client, userId, interaction.user.username, interaction.guild?.id);
+
+    const fail = reason => interaction.reply({ content: `${userPrefix} ${REASONS[reason] || 'That did not work.'}`, ephemeral: true });
+
+    if (sub === 'create') {
+      const name = interaction.options.getString('name') || `${interaction.user.username}'s Party`;
+      const result = createParty(userId, name);
+      if (!result.ok) return fail(result.reason);
+      logger.info('party_create: %s formed party %s', userId, result.party.id);
+      return interaction.reply({ embeds: [partyEmbed(interaction, getPartySummary(userId), '🎉 Party Created')] });
+    }
+
+    if (sub === 'invite') {
+      const target = interaction.options.getUser('user');
+      if (target.bot) return interaction.reply({ content: `${userPrefix} Bots can't join parties.`, ephemeral: true });
+      if (isBanned(target.id)) return interaction.reply({ content: `${userPrefix} That player can't join parties.`, ephemeral: true });
+      const result = invitePlayer(userId, target.id);
+      if (!result.ok) return fail(result.reason);
+      logger.info('party_invite: %s invited %s to party %s', userId, target.id, result.party.id);
+      return interaction.reply({
+        content: `${target} you've been invited to **${result.party.name}** by ${interaction.user}! Use \`/party accept\` before <t:${Math.floor(result.expiresAt / 1000)}:t>.`,
+        allowedMentions: { users: [target.id] }
+      });
+    }
+
+    if (sub === 'accept') {
+      const result = acceptInvite(userId);
+      if (!result.ok) return fail(result.reason);
+      logger.info('party_join: %s joined party %s', userId, result.party.id);
+      return interaction.reply({ embeds: [partyEmbed(interaction, getPartySummary(userId), '🤝 Joined Party')] });
+    }
+
+    if (sub === 'leave') {
+      const result = leaveParty(userId);
+      if (!result.ok) return fail(result.reason);
+      const note = result.disbanded ? ' The party has been disbanded.' : result.newLeaderId ? ` <@${result.newLeaderId}> is the new leader.` : '';
+      logger.info('party_leave: %s left party %s', userId, result.party.id);
+      return interaction.reply({ content: `${userPrefix} You left **${result.party.name}**.${note}`, allowedMentions: { parse: [] } });
+    }
+
+    if (sub === 'kick') {
+      const target = interaction.options.getUser('user');
+      const result = kickMember(userId, target.id);
+      if (!result.ok) return fail(result.reason);
+      logger.info('party_kick: %s removed %s from party %s', userId, target.id, result.party.id);
+      return interaction.reply({ content: `${userPrefix} ${target} was removed from **${result.party.name}**.`, allowedMentions: { parse: [] } });
+    }
+
+    // info
+    const summary = getPartySummary(userId);
+    const invites = getPendingInvites(userId);
+    if (!summary) {
+      const lines = invites.map(i => `• **${i.partyName}** from <@${i.invitedBy}> (expires <t:${Math.floor(i.expiresAt / 1000)}:R>)`);
+      return interaction.reply({
+        content: `${userPrefix} You are not in a party.${lines.length ? `\n📨 Pending invites:\n${lines.join('\n')}\nUse \`/party accept\` to join the newest one.` : ' Use `/party create` to start one.'}`,
+        ephemeral: true,
+        allowedMentions: { parse: [] }
+      });
+    }
+    return interaction.reply({ embeds: [partyEmbed(interaction, summary, '👥 Your Party')], ephemeral: true });
+  }
+};
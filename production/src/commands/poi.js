@@ -250,6 +250,14 @@ module.exports = {
           }
         );
       
+      if (visitResult.scroll) {
+        embed.addFields({
+          name: '📜 **Hidden Find**',
+          value: `You found a **${visitResult.scroll.name}**! Learn a recipe with \`/craft learn\`.`,
+          inline: false
+        });
+      }
+
       if (poi.description) {
         embed.addFields({
           name: '📖 **About This Landmark**',
@@ -4,6 +4,7 @@ const config = require('../utils/config');
 const { isStaffOrDev, getUserPrefix } = require('../utils/roles');
 const { fetchRoleLevel } = require('../web/util');
 const logger = require('../utils/logger');
+const { releaseCopies } = require('../utils/durability');
 
 function findItemByIdOrName(q){
   const items = config.items || [];
@@ -83,6 +84,7 @@ module.exports = {
     const newTotal = previousAmount - amount;
 
     // Remove item from inventory
+    releaseCopies(target.id, item.id, amount);
     db.prepare('UPDATE inventory SET qty=qty-? WHERE userId=? AND itemId=?').run(amount, target.id, item.id);
     db.prepare('DELETE FROM inventory WHERE userId=? AND itemId=? AND qty<=0').run(target.id, item.id);
 
@@ -0,0 +1,105 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { db, logCommand } = require('../utils/store_sqlite');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned } = require('./_guard');
+const { itemById, itemByNameOrId } = require('../utils/items');
+const { getDurability, getRepairCost, repairItem, formatDurability } = require('../utils/durability');
+
+// User-facing text for { ok: false, reason } results from utils/durability
+const REASONS = {
+  unknown_item: 'Unknown item.',
+  not_owned: "You don't own that item.",
+  not_repairable: "That item doesn't wear out.",
+  not_damaged: 'That item is already at full durability.',
+  no_recipe: 'That item has no crafting recipe. Repair it with drakari instead.'
+};
+
+// "3x Iron Ingot, 1x Wood"
+function formatMaterials(materials) {
+  return materials.map(m => `${m.qty}x ${itemById(m.id)?.name || m.id}`).join(', ');
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('repair')
+    .setDescription('🔧 Repair worn or broken gear')
+    .addSubcommand(sc => sc
+      .setName('status')
+      .setDescription('Show the durability of your gear and what repairs cost'))
+    .addSubcommand(sc => sc
+      .setName('item')
+      .setDescription('Repair an item to full durability')
+      .addStringOption(o => o.setName('item').setDescription('Item id or exact name').setRequired(true))
+      .addStringOption(o => o.setName('method').setDescription('Pay with drakari (default) or crafting materials').setRequired(false)
+        .addChoices({ name: 'Drakari', value: 'drakari' }, { name: 'Crafting materials', value: 'materials' }))),
+
+  async execute(interaction) {
+    const sub = interaction.options.getSubcommand();
+    // Log command usage for live activity tracking
+    logCommand(interaction.user.id, `repair ${sub}`, interaction.guild?.id);
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    const userId = interaction.user.id;
+
+    if (isBanned(userId)) {
+      return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    }
+
+    if (sub === 'status') {
+      const equipped = new Set(db.prepare('SELECT itemId FROM equipment WHERE userId=?').all(userId).map(r => r.itemId));
+      const gear = db.prepare('SELECT itemId FROM inventory WHERE userId=? AND qty>0').all(userId)
+        .map(r => itemById(r.itemId))
+        .map(item => ({ item, durability: item ? getDurability(userId, item) : null }))
+        .filter(g => g.durability && (equipped.has(g.item.id) || g.durability.worn))
+        .sort((a, b) => a.durability.percent - b.durability.percent)
+        .slice(0, 15);
+
+      const lines = gear.map(({ item, durability }) => {
+        const cost = getRepairCost(userId, item);
+        const price = cost.missing ? ` — ${cost.drakari.toLocaleString()} drakari${cost.materials ? ` or ${formatMaterials(cost.materials)}` : ''}` : '';
+        // Worn copies other than the one shown
+        const spares = durability.worn - (durability.current < durability.max ? 1 : 0);
+        const spareText = spares > 0 ? ` (+${spares} worn ${spares === 1 ? 'copy' : 'copies'})` : '';
+        return `${equipped.has(item.id) ? '🟢' : '⚪'} **${item.name}** ${formatDurability(durability)}${spareText}${price}`;
+      });
+
+      const embed = new EmbedBuilder()
+        .setTitle('🔧 Gear Durability')
+        .setDescription(lines.join('\n') || 'You have no combat gear yet.')
+        .setColor(0x95A5A6)
+        .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+        .addFields({
+          name: 'How wear works',
+          value: '• Each copy of an item wears separately; only the one in use takes wear\n• Your weapon wears with every `/boss attack`\n• Other equipped gear wears when you take hits\n• Being downed wears everything you have equipped\n• Broken gear gives no stats until repaired',
+          inline: false
+        })
+        .setFooter({ text: '🟢 Equipped • Repair with /repair item • QuestCord', iconURL: interaction.client.user.displayAvatarURL() })
+        .setTimestamp();
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    const item = itemByNameOrId(interaction.options.getString('item'));
+    if (!item) return interaction.reply({ content: `${userPrefix} ${REASONS.unknown_item}`, ephemeral: true });
+
+    const result = repairItem(userId, item.id, interaction.options.getString('method') || 'drakari');
+    if (!result.ok) {
+      const message = result.reason === 'not_enough_drakari' ? `Repairing **${item.name}** costs **${result.drakari.toLocaleString()}** drakari.`
+        : result.reason === 'missing_materials' ? `You need ${formatMaterials(result.materials)} to repair **${item.name}**.`
+        : REASONS[result.reason] || 'The repair failed.';
+      return interaction.reply({ content: `${userPrefix} ${message}`, ephemeral: true });
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🔧 ${item.name} repaired`)
+      .setDescription(`Restored **${result.missing}** durability — back to **${result.max}/${result.max}**.`)
+      .setColor(0x2ECC71)
+      .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+      .addFields({
+        name: '💰 Cost',
+        value: result.method === 'materials' ? formatMaterials(result.materials) : `${result.drakari.toLocaleString()} drakari`,
+        inline: false
+      })
+      .setFooter({ text: 'Gear repair • QuestCord', iconURL: interaction.client.user.displayAvatarURL() })
+      .setTimestamp();
+    return interaction.reply({ embeds: [embed] });
+  }
+};
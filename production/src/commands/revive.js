@@ -0,0 +1,59 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { logCommand } = require('../utils/store_sqlite');
+const config = require('../utils/config');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned, regenStamina } = require('./_guard');
+const { itemByNameOrId } = require('../utils/items');
+const { getDownedState, revivePlayer, reviveFailureMessage, reviveEmbed } = require('../utils/downed');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('revive')
+    .setDescription('💖 Get back up after being downed, or revive a party member')
+    .addSubcommand(sc => sc
+      .setName('item')
+      .setDescription('Use a revive item such as a Phoenix Feather')
+      .addStringOption(o => o.setName('item').setDescription('Revive item id or exact name (first one you own when empty)').setRequired(false)))
+    .addSubcommand(sc => sc
+      .setName('gems')
+      .setDescription(`Pay ${config.downed?.revive?.gemCost ?? 25} gems to get back up`))
+    .addSubcommand(sc => sc
+      .setName('ally')
+      .setDescription('Revive a downed party member where they fell (costs stamina)')
+      .addUserOption(o => o.setName('player').setDescription('Downed party member').setRequired(true))),
+
+  async execute(interaction) {
+    const sub = interaction.options.getSubcommand();
+    // Log command usage for live activity tracking
+    logCommand(interaction.user.id, `revive ${sub}`, interaction.guild?.id);
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    const userId = interaction.user.id;
+
+    if (isBanned(userId)) {
+      return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    }
+
+    let targetId = userId;
+    let result;
+    if (sub === 'ally') {
+      targetId = interaction.options.getUser('player').id;
+      regenStamina(userId);
+      result = revivePlayer(targetId, 'ally', { reviverId: userId });
+    } else {
+      if (!getDownedState(userId)) {
+        return interaction.reply({ content: `${userPrefix} You are not downed.`, ephemeral: true });
+      }
+      let itemId;
+      const query = sub === 'item' ? interaction.options.getString('item') : null;
+      if (query) {
+        const item = itemByNameOrId(query);
+        if (!item) return interaction.reply({ content: `${userPrefix} Unknown item.`, ephemeral: true });
+        itemId = item.id;
+      }
+      result = revivePlayer(userId, sub, { itemId });
+    }
+
+    if (!result.ok) return interaction.reply({ content: `${userPrefix} ${reviveFailureMessage(result)}`, ephemeral: true });
+    return interaction.reply({ embeds: [reviveEmbed(interaction, targetId, result)] });
+  }
+};
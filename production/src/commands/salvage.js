@@ -0,0 +1,194 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { logCommand } = require('../utils/store_sqlite');
+const { getUserPrefix } = require('../utils/roles');
+const { isBanned } = require('./_guard');
+const { itemById, itemByNameOrId } = require('../utils/items');
+const { ensurePlayerWithVehicles } = require('../utils/players');
+const { RARITY_ICONS } = require('../utils/crafting');
+const { getSalvageableStacks, maxItemsPerSalvage, selectItem, selectBulk, previewSalvage, salvageItems } = require('../utils/salvage');
+
+const CATEGORIES = ['equipment', 'tools', 'artifacts', 'components', 'consumables', 'vehicles', 'materials'];
+
+// User-facing text for { ok: false, reason } results from utils/salvage
+function failureMessage(result) {
+  switch (result.reason) {
+    case 'unknown_item': return 'Unknown item.';
+    case 'not_salvageable': return `**${result.item.name}** can't be salvaged.`;
+    case 'not_owned': return `You don't own any **${result.item.name}**.`;
+    case 'not_enough': return `You can only salvage **${result.available}** ${result.item.name}${result.equipped ? ' (your equipped copy is kept)' : ''}.`;
+    case 'too_many': return `You can salvage at most **${result.max}** items at a time.`;
+    case 'no_filter': return 'Pick a rarity, a category or both to bulk salvage.';
+    case 'nothing_to_salvage': return 'Nothing in your inventory matches that filter.';
+    case 'items_changed': return 'Your inventory changed since the preview. Run `/salvage` again.';
+    default: return 'The salvage failed.';
+  }
+}
+
+function limitLines(lines, max = 12) {
+  return lines.length > max ? [...lines.slice(0, max), `…and ${lines.length - max} more`].join('\n') : lines.join('\n');
+}
+
+function selectionLines(selection) {
+  return selection.map(({ item, qty }) => `${RARITY_ICONS[item.rarity] || '⚪'} **${item.name}** x${qty}`);
+}
+
+function filterLabel(rarity, category) {
+  return [rarity, category].filter(Boolean).join(' ');
+}
+
+/**
+ * Confirmation embed listing what will be salvaged and what it can return
+ */
+function buildPreviewEmbed(interaction, selection, { truncated = false, title = '♻️ Salvage Preview' } = {}) {
+  const preview = previewSalvage(selection);
+  const range = m => (m.min === m.max ? `${m.max}` : `${m.min}–${m.max}`);
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(`Break down **${preview.units}** item${preview.units === 1 ? '' : 's'} into materials?` +
+      (truncated ? `\nOnly the first ${maxItemsPerSalvage()} items are included — run it again for the rest.` : ''))
+    .setColor(0xE67E22)
+    .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+    .addFields({ name: '🗑️ Salvaging', value: limitLines(selectionLines(selection)), inline: false })
+    .setFooter({ text: 'Nothing is salvaged until you confirm • QuestCord', iconURL: interaction.client.user.displayAvatarURL() })
+    .setTimestamp();
+
+  if (preview.materials.length) {
+    embed.addFields({
+      name: '🧱 Recipe Materials',
+      value: limitLines(preview.materials
+        .sort((a, b) => b.max - a.max)
+        .map(m => `• ${itemById(m.id)?.name || m.id} ${range(m)}`)),
+      inline: false
+    });
+  }
+  if (preview.generic.length) {
+    embed.addFields({
+      name: '🎲 Random Materials',
+      value: limitLines(preview.generic.map(g =>
+        `• ${g.rolls} ${g.rarity} pick${g.rolls === 1 ? '' : 's'} from ${g.pool.map(id => itemById(id).name).join(', ')}`)),
+      inline: false
+    });
+  }
+  return embed;
+}
+
+function confirmButtons(confirmId, userId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(confirmId).setLabel('Salvage').setStyle(ButtonStyle.Danger).setEmoji('♻️'),
+    new ButtonBuilder().setCustomId(`salvage_cancel_${userId}`).setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+  );
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('salvage')
+    .setDescription('♻️ Break unwanted items down into crafting materials')
+    .addSubcommand(sc => sc
+      .setName('item')
+      .setDescription('Salvage copies of one item')
+      .addStringOption(o => o.setName('item').setDescription('Item to salvage').setRequired(true).setAutocomplete(true))
+      .addIntegerOption(o => o.setName('quantity').setDescription('How many to salvage (default 1)').setRequired(false)
+        .setMinValue(1).setMaxValue(maxItemsPerSalvage())))
+    .addSubcommand(sc => sc
+      .setName('bulk')
+      .setDescription('Salvage everything of a rarity and/or category (equipped copies are kept)')
+      .addStringOption(o => o.setName('rarity').setDescription('Only items of this rarity').setRequired(false)
+        .addChoices(...Object.entries(RARITY_ICONS).map(([rarity, icon]) => ({ name: `${icon} ${rarity}`, value: rarity }))))
+      .addStringOption(o => o.setName('category').setDescription('Only items of this category').setRequired(false)
+        .addChoices(...CATEGORIES.map(category => ({ name: category, value: category }))))),
+
+  async autocomplete(interaction) {
+    const focusedValue = interaction.options.getFocused().toLowerCase();
+    const stacks = getSalvageableStacks(interaction.user.id)
+      .filter(({ item }) => item.name.toLowerCase().includes(focusedValue) || item.id.includes(focusedValue))
+      .slice(0, 25);
+    return interaction.respond(stacks.map(({ item, qty }) => ({ name: `${item.name} (${item.rarity}) x${qty}`, value: item.id })));
+  },
+
+  async execute(interaction) {
+    const sub = interaction.options.getSubcommand();
+    // Log command usage for live activity tracking
+    logCommand(interaction.user.id, `salvage ${sub}`, interaction.guild?.id);
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    const userId = interaction.user.id;
+
+    if (isBanned(userId)) {
+      return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    }
+    await ensurePlayerWithVehicles(interaction.client, userId, interaction.user.username, interaction.guild?.id);
+
+    if (sub === 'item') {
+      const item = itemByNameOrId(interaction.options.getString('item'));
+      if (!item) return interaction.reply({ content: `${userPrefix} ${failureMessage({ reason: 'unknown_item' })}`, ephemeral: true });
+      const quantity = interaction.options.getInteger('quantity') || 1;
+      const result = selectItem(userId, item.id, quantity);
+      if (!result.ok) return interaction.reply({ content: `${userPrefix} ${failureMessage(result)}`, ephemeral: true });
+      return interaction.reply({
+        embeds: [buildPreviewEmbed(interaction, result.selection)],
+        components: [confirmButtons(`salvage_item_${userId}_${quantity}_${item.id}`, userId)],
+        ephemeral: true
+      });
+    }
+
+    const rarity = interaction.options.getString('rarity');
+    const category = interaction.options.getString('category');
+    const result = selectBulk(userId, { rarity, category });
+    if (!result.ok) return interaction.reply({ content: `${userPrefix} ${failureMessage(result)}`, ephemeral: true });
+
+    // The unit count lets the confirm button spot inventory changes since the preview
+    const units = result.selection.reduce((sum, s) => sum + s.qty, 0);
+    return interaction.reply({
+      embeds: [buildPreviewEmbed(interaction, result.selection, { truncated: result.truncated, title: `♻️ Bulk Salvage: ${filterLabel(rarity, category)}` })],
+      components: [confirmButtons(`salvage_bulk_${userId}_${units}_${rarity || 'any'}_${category || 'any'}`, userId)],
+      ephemeral: true
+    });
+  },
+
+  /**
+   * Confirm/cancel buttons on a preview (custom IDs salvage_item_<userId>_<qty>_<itemId>,
+   * salvage_bulk_<userId>_<units>_<rarity|any>_<category|any> and salvage_cancel_<userId>)
+   */
+  async handleButton(interaction) {
+    const [, action, ownerId, ...rest] = interaction.customId.split('_');
+    const userPrefix = await getUserPrefix(interaction.client, interaction.user);
+    const userId = interaction.user.id;
+
+    if (isBanned(userId)) return interaction.reply({ content: `${userPrefix} You are banned from using this bot.`, ephemeral: true });
+    if (userId !== ownerId) return interaction.reply({ content: `${userPrefix} This salvage belongs to someone else.`, ephemeral: true });
+
+    if (action === 'cancel') {
+      return interaction.update({ content: '🚫 Salvage cancelled. Nothing was broken down.', embeds: [], components: [] });
+    }
+
+    let selected;
+    if (action === 'item') {
+      const [quantity, ...itemParts] = rest;
+      selected = selectItem(userId, itemParts.join('_'), parseInt(quantity, 10) || 1);
+    } else {
+      const [units, rarity, category] = rest;
+      selected = selectBulk(userId, { rarity: rarity === 'any' ? null : rarity, category: category === 'any' ? null : category });
+      if (selected.ok && selected.selection.reduce((sum, s) => sum + s.qty, 0) !== parseInt(units, 10)) {
+        selected = { ok: false, reason: 'items_changed' };
+      }
+    }
+    const result = selected.ok ? salvageItems(userId, selected.selection) : selected;
+    if (!result.ok) return interaction.update({ content: `${userPrefix} ${failureMessage(result)}`, embeds: [], components: [] });
+
+    const embed = new EmbedBuilder()
+      .setTitle('♻️ Salvage Complete')
+      .setDescription(`Broke down **${result.units}** item${result.units === 1 ? '' : 's'}.`)
+      .setColor(0x2ECC71)
+      .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+      .addFields(
+        { name: '🗑️ Salvaged', value: limitLines(selectionLines(result.salvaged)), inline: false },
+        {
+          name: '🧱 Materials Recovered',
+          value: limitLines(result.materials.map(m => `• ${m.item?.name || m.id} x${m.qty}`)) || 'Nothing usable was recovered this time.',
+          inline: false
+        }
+      )
+      .setFooter({ text: `${result.totalSalvaged.toLocaleString()} items salvaged in total • QuestCord`, iconURL: interaction.client.user.displayAvatarURL() })
+      .setTimestamp();
+    return interaction.update({ content: null, embeds: [embed], components: [] });
+  }
+};
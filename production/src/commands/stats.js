@@ -10,21 +10,35 @@ module.exports = {
 
   async execute(interaction) {
     const { db } = require('../utils/store_sqlite');
-    const { MAX_H, MAX_S, applyRegenForUser } = require('../utils/regen');
+    const { getMaxStats, getRegenStatus, applyRegenForUser } = require('../utils/regen');
+    const { BUFF_LABELS } = require('../utils/consumables');
+    const { getEquipmentStats, formatStats } = require('../utils/equipment');
+    const { getPartySummary } = require('../utils/parties');
+    const { getDownedState } = require('../utils/downed');
+    const { getDuelRecord } = require('../utils/duels');
 
     // Log command usage for live activity tracking
     logCommand(interaction.user.id, 'stats', interaction.guild?.id);
 
     const userId = interaction.user.id;
     try { applyRegenForUser(userId); } catch {}
+    // Resolves an expired downed timer (respawn) before health is read
+    const downed = getDownedState(userId);
 
     try { db.prepare("ALTER TABLE players ADD COLUMN isPremium INTEGER DEFAULT 0").run(); } catch {}
 
     const row = db.prepare("SELECT health, stamina, isPremium FROM players WHERE userId=?").get(userId) || { health: 0, stamina: 0, isPremium: 0 };
     const userIsPremium = (await isPremium(interaction.client, userId)) || row.isPremium;
 
-    const maxH = userIsPremium ? MAX_H * 1.5 : MAX_H;
-    const maxS = MAX_S;
+    const { maxHealth: maxH, maxStamina: maxS } = getMaxStats(userIsPremium);
+
+    // Active timed buffs/debuffs from consumables
+    const activeEffects = Object.values(getRegenStatus(userId)?.activeEffects || {})
+      .filter(e => e.stat)
+      .map(e => {
+        const pct = Math.round((e.multiplier - 1) * 100);
+        return `${BUFF_LABELS[e.stat] || e.stat}: **${pct >= 0 ? '+' : ''}${pct}%** (<t:${Math.floor(e.expiresAt / 1000)}:R>)`;
+      });
 
     const bar = (v, m) => {
       const pct = m ? Math.round((v/m)*100) : 0;
@@ -34,6 +48,9 @@ module.exports = {
       return `\`${filledBar}${emptyBar}\` **${Math.round(v)}/${Math.round(m)}** (${pct}%)`;
     };
 
+    const party = getPartySummary(userId);
+    const duels = getDuelRecord(userId);
+
     const userPrefix = await getUserPrefix(interaction.client, interaction.user);
     
     const embed = new EmbedBuilder()
@@ -47,7 +64,9 @@ module.exports = {
       .addFields(
         {
           name: '❤️ Health Status',
-          value: `${bar(row.health || 0, maxH)}\n**Regeneration:** ${userIsPremium ? '2x faster' : 'Standard rate'}`,
+          value: downed ?
+            `${bar(0, maxH)}\n💀 **Downed** • Respawn <t:${Math.floor(downed.downedUntil / 1000)}:R>${downed.drakariLost ? ` • Dropped ${downed.drakariLost.toLocaleString()} drakari` : ''}\nUse \`/revive\` to get back up sooner` :
+            `${bar(row.health || 0, maxH)}\n**Regeneration:** ${userIsPremium ? '2x faster' : 'Standard rate'}`,
           inline: false
         },
         {
@@ -55,6 +74,28 @@ module.exports = {
           value: `${bar(row.stamina || 0, maxS)}\n**Usage:** Required for travel and combat`,
           inline: false
         },
+        {
+          name: '⚔️ Combat Stats',
+          value: `${formatStats(getEquipmentStats(userId))}\n**Source:** All equipped gear`,
+          inline: false
+        },
+        {
+          name: '🔮 Active Effects',
+          value: activeEffects.join('\n') || 'No active effects • Use `/useitem` on consumables',
+          inline: false
+        },
+        {
+          name: '👥 Party',
+          value: party ?
+            `**${party.name}** (${party.size}/${party.maxSize})${party.isLeader ? ' • 👑 Leader' : ''}\n${party.members.map(m => `${m.isLeader ? '👑' : '•'} <@${m.userId}>`).join(' ')}` :
+            'Not in a party • Use `/party create` to start one',
+          inline: false
+        },
+        {
+          name: '🤺 Duel Record',
+          value: `**${duels.elo}** elo • ${duels.wins}W / ${duels.losses}L / ${duels.draws}D\nChallenge players at your location with \`/duel\``,
+          inline: false
+        },
         {
           name: '🌟 Account Status',
           value: userIsPremium ?
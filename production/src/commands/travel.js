@@ -1,13 +1,18 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { db, logCommand } = require('../utils/store_sqlite');
-const { haversine } = require('../utils/geo');
+const { haversine, interpolateGreatCircle } = require('../utils/geo');
 const config = require('../utils/config');
 const { isPremium, getUserPrefix } = require('../utils/roles');
 const { isBanned, regenStamina } = require('./_guard');
 const logger = require('../utils/logger');
 const { itemById } = require('../utils/items');
-const { ensurePlayerWithVehicles } = require('../utils/players');
+const { ensurePlayerWithVehicles, getTravelVehicle } = require('../utils/players');
+const { getEquipmentStats, staminaCost: gearStaminaCost } = require('../utils/equipment');
+const { getEffectMultiplier, getMaxStats, scheduleNextArrival } = require('../utils/regen');
+const { recordCancelledTravel } = require('../utils/travel_history');
 const { getAllPOIs, getPOIById, calculateDistance, hasVisitedPOI, visitPOI } = require('../utils/pois');
+const { getPartyForUser, getPartyMembers } = require('../utils/parties');
+const { getDownedState, downedMessage } = require('../utils/downed');
 
 /**
  * Log travel activity to travel history table
@@ -41,32 +46,316 @@ function logTravelHistory(userId, fromServer, toServer, travelData) {
   }
 }
 
-async function vehicleSpeed(client, userId) {
-  if (await isPremium(client, userId)) {
-    return config.vehicles?.private_jet?.speedMultiplier || 3.0;
+/**
+ * Plan a trip: resolve the equipped vehicle, travel time and stamina cost
+ * Travel time = min + distance * distanceMultiplier / (vehicle speed * travel-speed buffs),
+ * reduced by up to travelMaxReductionPct with high stamina, clamped to min/max
+ * 
+ * @param {Client} client - Discord client (premium checks)
+ * @param {string} userId - Traveler
+ * @param {Object|null} fromServer - Origin server row (needs lat/lon for distance)
+ * @param {Object} dest - Destination with lat/lon
+ * @returns {Object} { vehicle, distance, timeSec, staminaCost, stamina }
+ */
+async function planTravel(client, userId, fromServer, dest) {
+  const tcfg = config.travel || {};
+  const minS = tcfg.minSeconds ?? 60;        // Minimum travel time (1 minute)
+  const maxS = tcfg.maxSeconds ?? 600;       // Maximum travel time (10 minutes)
+  const distMult = tcfg.distanceMultiplier ?? 0.2; // Distance to time conversion factor
+
+  const vehicle = await getTravelVehicle(client, userId);
+  const staminaRow = db.prepare('SELECT stamina FROM players WHERE userId=?').get(userId);
+  const stamina = staminaRow?.stamina || 0;
+
+  let timeSec = minS;
+  let distance = 0;
+  let cost = 0;
+  if (fromServer && fromServer.lat != null) {
+    distance = haversine(fromServer.lat, fromServer.lon, dest.lat, dest.lon);
+    // Vehicle speed combined with any timed travel-speed buffs
+    const mult = vehicle.speedMultiplier * getEffectMultiplier(userId, 'travelSpeed');
+    const base = minS + (distance * distMult) / mult;
+
+    // Calculate stamina-based travel time reduction (up to 50% faster with high stamina)
+    const maxReduction = (config.stamina?.travelMaxReductionPct ?? 50) / 100;
+    const staminaFactor = 1 - Math.min(maxReduction, stamina / 200);
+    timeSec = Math.round(base * staminaFactor);
+    if (timeSec < minS) timeSec = minS;
+    if (timeSec > maxS) timeSec = maxS;
+
+    // Per-vehicle stamina cost, reduced by gear stamina efficiency
+    cost = gearStaminaCost(vehicle.staminaCost, getEquipmentStats(userId));
+  }
+
+  return { vehicle, distance, timeSec, staminaCost: cost, stamina };
+}
+
+/**
+ * Start a planned trip: spend stamina and store the in-flight leg on the player
+ * The vehicle/stamina/distance columns are copied into travel_history on arrival,
+ * except for the return leg of a cancelled journey (plan.returning)
+ * 
+ * @returns {number} Arrival timestamp
+ */
+function beginTravel(userId, fromServer, dest, plan) {
+  const now = Date.now();
+  const arrival = now + plan.timeSec * 1000;
+  if (plan.staminaCost > 0) {
+    db.prepare('UPDATE players SET stamina=?, staminaUpdatedAt=? WHERE userId=?').run(Math.max(0, plan.stamina - plan.staminaCost), now, userId);
+  }
+  db.prepare(`
+    UPDATE players SET travelArrivalAt=?, travelStartAt=?, locationGuildId=?, travelFromGuildId=?,
+      travelVehicle=?, travelVehicleSpeed=?, travelStaminaCost=?, travelDistance=?,
+      travelFromLat=?, travelFromLon=?, travelGemCost=?, travelReturning=?
+    WHERE userId=?
+  `).run(
+    arrival, now, dest.guildId, fromServer ? fromServer.guildId : null,
+    plan.vehicle.id, plan.vehicle.speedMultiplier, plan.staminaCost, plan.distance,
+    fromServer?.lat ?? null, fromServer?.lon ?? null, plan.gemCost || 0, plan.returning ? 1 : 0, userId
+  );
+  // Arm the arrival timer so the landing fires within seconds of the ETA
+  scheduleNextArrival();
+  return arrival;
+}
+
+/**
+ * Look up coordinates for a travel destination id (server guildId or landmark_<poiId>)
+ * @returns {Object|null} { guildId, name, lat, lon }
+ */
+function destinationCoords(guildId) {
+  if (!guildId) return null;
+  if (guildId.startsWith('landmark_')) {
+    const poi = getPOIById(guildId.replace('landmark_', ''));
+    return poi ? { guildId, name: poi.name, lat: poi.lat, lon: poi.lon } : null;
+  }
+  const server = db.prepare('SELECT guildId, name, lat, lon FROM servers WHERE guildId=? ORDER BY addedAt DESC LIMIT 1').get(guildId);
+  return server && server.lat != null ? server : null;
+}
+
+/**
+ * Locate a traveling player along the great-circle path of their current leg
+ * Progress is linear in time between travelStartAt and travelArrivalAt
+ * 
+ * @param {Object} p - Player row (travel columns)
+ * @returns {Object|null} { lat, lon, fraction } or null when not traveling / position unknown
+ */
+function currentLegPosition(p) {
+  const now = Date.now();
+  if (!p || !p.travelArrivalAt || p.travelArrivalAt <= now) return null;
+
+  const dest = destinationCoords(p.locationGuildId);
+  let originLat = p.travelFromLat;
+  let originLon = p.travelFromLon;
+  if (originLat == null) {
+    // Legs started before origin coordinates were stored fall back to the departure server
+    const origin = destinationCoords(p.travelFromGuildId);
+    originLat = origin?.lat;
+    originLon = origin?.lon;
+  }
+  if (!dest || originLat == null) return null;
+
+  const total = p.travelArrivalAt - (p.travelStartAt || now);
+  const fraction = total > 0 ? Math.min(1, Math.max(0, (now - p.travelStartAt) / total)) : 1;
+  return { ...interpolateGreatCircle(originLat, originLon, dest.lat, dest.lon, fraction), fraction };
+}
+
+/**
+ * Stop the current leg: record it as cancelled and refund the unused share of its cost
+ * 
+ * @param {string} userId - Traveler
+ * @param {Object} p - Player row before interruption
+ * @param {Object} leg - Result of currentLegPosition
+ * @param {number} maxStamina - Stamina cap for the refund
+ * @param {string|null} reroutedTo - New destination id when rerouting
+ * @returns {Object} { staminaRefund, gemRefund }
+ */
+function interruptLeg(userId, p, leg, maxStamina, reroutedTo = null) {
+  const remaining = 1 - leg.fraction;
+  const staminaRefund = Math.floor((p.travelStaminaCost || 0) * remaining);
+  const gemRefund = Math.floor((p.travelGemCost || 0) * remaining);
+
+  // A return leg belongs to the journey already recorded as cancelled
+  if (!p.travelReturning) {
+    recordCancelledTravel(userId, p.travelFromGuildId, p.locationGuildId, {
+      travelTime: Date.now() - (p.travelStartAt || Date.now()),
+      distance: (p.travelDistance || 0) * leg.fraction,
+      staminaCost: (p.travelStaminaCost || 0) - staminaRefund,
+      vehicle: p.travelVehicle,
+      vehicleSpeed: p.travelVehicleSpeed,
+      isPremium: p.isPremium,
+      startedAt: p.travelStartAt,
+      reroutedTo
+    });
+  }
+
+  db.prepare('UPDATE players SET stamina=MIN(?, COALESCE(stamina, 0) + ?), gems=COALESCE(gems, 0) + ? WHERE userId=?')
+    .run(maxStamina, staminaRefund, gemRefund, userId);
+
+  return { staminaRefund, gemRefund };
+}
+
+/**
+ * Find an active server with coordinates by name or guild ID
+ */
+function findServerDestination(target) {
+  return db.prepare(`
+    SELECT * FROM servers
+    WHERE archived=0 AND (name LIKE ? OR guildId=?)
+    AND lat IS NOT NULL AND lon IS NOT NULL
+    GROUP BY guildId
+    ORDER BY addedAt DESC
+    LIMIT 1
+  `).get(`%${target}%`, target) || null;
+}
+
+/**
+ * Transform POI data into destination format compatible with travel system
+ * This allows landmarks to use the same travel mechanics as server travel
+ */
+function landmarkDestination(userId, landmarkId, poi) {
+  return {
+    guildId: `landmark_${landmarkId}`,  // Unique identifier for landmark location
+    name: poi.name,                     // Display name of landmark
+    lat: poi.lat,                      // Latitude coordinate
+    lon: poi.lon,                      // Longitude coordinate
+    isLandmark: true,                  // Flag to identify landmark travel
+    landmarkId: landmarkId,            // Original POI ID
+    visitCost: poi.visitCost,          // Gem cost to visit
+    emoji: poi.emoji,                  // Landmark emoji for displays
+    country: poi.country,              // Country where landmark is located
+    alreadyVisited: hasVisitedPOI(userId, landmarkId) // Whether user has visited before (affects rewards)
+  };
+}
+
+// Short notice when a premium-only vehicle was skipped for a non-premium player
+function lockedVehicleNote(plan) {
+  return plan.vehicle.lockedItem ? `\n🔒 ${plan.vehicle.lockedItem.name} requires Premium` : '';
+}
+
+/**
+ * Plan the party members who travel with their leader
+ * Members must be standing where the leader is and not already on the road; each
+ * pays their own stamina (and landmark gem cost). Call before the leader departs.
+ * 
+ * @param {Client} client - Discord client (premium checks)
+ * @param {string} leaderId - Party leader starting the trip
+ * @param {string} locationGuildId - Where the leader is standing
+ * @param {Object|null} fromServer - Origin server row
+ * @param {Object} dest - Destination with lat/lon
+ * @param {number} gemCost - Landmark visit cost per traveler (0 for servers)
+ * @returns {Promise<Object>} { companions: [{ userId, plan }], leftBehind: [{ userId, reason }] }
+ */
+async function planPartyTravel(client, leaderId, locationGuildId, fromServer, dest, gemCost = 0) {
+  const companions = [];
+  const leftBehind = [];
+  const party = getPartyForUser(leaderId);
+  if (!party) return { companions, leftBehind };
+
+  for (const member of getPartyMembers(party.id)) {
+    if (member.userId === leaderId) continue;
+    const row = db.prepare('SELECT locationGuildId, travelArrivalAt, gems FROM players WHERE userId=?').get(member.userId);
+    if (!row || isBanned(member.userId)) { leftBehind.push({ userId: member.userId, reason: 'unavailable' }); continue; }
+    if (row.travelArrivalAt && row.travelArrivalAt > Date.now()) { leftBehind.push({ userId: member.userId, reason: 'already traveling' }); continue; }
+    if (getDownedState(member.userId)) { leftBehind.push({ userId: member.userId, reason: 'downed' }); continue; }
+    if (row.locationGuildId !== locationGuildId) { leftBehind.push({ userId: member.userId, reason: 'not here' }); continue; }
+    if ((row.gems || 0) < gemCost) { leftBehind.push({ userId: member.userId, reason: 'not enough gems' }); continue; }
+
+    regenStamina(member.userId);
+    const plan = await planTravel(client, member.userId, fromServer, dest);
+    if (plan.staminaCost > plan.stamina) { leftBehind.push({ userId: member.userId, reason: 'too exhausted' }); continue; }
+    plan.gemCost = gemCost;
+    companions.push({ userId: member.userId, plan });
   }
-  return config.vehicles?.plane?.speedMultiplier || 1.0;
+  return { companions, leftBehind };
+}
+
+/**
+ * Send planned companions off with the leader; the group moves at the pace of its slowest traveler
+ * 
+ * @param {Object|null} fromServer - Origin server row
+ * @param {Object} dest - Destination with lat/lon
+ * @param {Object} leaderPlan - The leader's plan (timeSec is raised to match the group)
+ * @param {Object} partyPlan - Result of planPartyTravel
+ */
+function departWithParty(fromServer, dest, leaderPlan, partyPlan) {
+  const slowest = Math.max(leaderPlan.timeSec, ...partyPlan.companions.map(c => c.plan.timeSec));
+  leaderPlan.timeSec = slowest;
+  for (const { userId, plan } of partyPlan.companions) {
+    plan.timeSec = slowest;
+    if (plan.gemCost) db.prepare('UPDATE players SET gems = COALESCE(gems, 0) - ? WHERE userId = ?').run(plan.gemCost, userId);
+    beginTravel(userId, fromServer, dest, plan);
+  }
+}
+
+/**
+ * Embed field summarising who travels with the leader
+ */
+function partyTravelField(partyPlan) {
+  const going = partyPlan.companions.map(c => `✅ <@${c.userId}>`);
+  const staying = partyPlan.leftBehind.map(m => `❌ <@${m.userId}> (${m.reason})`);
+  return { name: '👥 Party', value: [...going, ...staying].join('\n').slice(0, 1024) || 'No other members', inline: false };
 }
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('travel')
     .setDescription('Travel to a server or famous landmark')
-    .addStringOption(o =>
-      o.setName('destination_type')
-       .setDescription('Choose destination type')
-       .setRequired(true)
-       .addChoices(
-         { name: 'Server', value: 'server' },
-         { name: 'Landmark', value: 'landmark' }
-       )
-    )
-    .addStringOption(o =>
-      o.setName('target')
-       .setDescription('Server name/ID or landmark name')
-       .setRequired(true)
-       .setAutocomplete(true)
-    ),
+    .addSubcommand(sc => sc
+      .setName('go')
+      .setDescription('Travel to a server or famous landmark')
+      .addStringOption(o =>
+        o.setName('destination_type')
+         .setDescription('Choose destination type')
+         .setRequired(true)
+         .addChoices(
+           { name: 'Server', value: 'server' },
+           { name: 'Landmark', value: 'landmark' }
+         )
+      )
+      .addStringOption(o =>
+        o.setName('target')
+         .setDescription('Server name/ID or landmark name')
+         .setRequired(true)
+         .setAutocomplete(true)
+      )
+      .addBooleanOption(o =>
+        o.setName('party')
+         .setDescription('Bring your party along (leader only)')
+      ))
+    .addSubcommand(sc => sc
+      .setName('cancel')
+      .setDescription('Cancel your journey and head back to where you departed'))
+    .addSubcommand(sc => sc
+      .setName('notify')
+      .setDescription('Choose how you are told when you arrive')
+      .addStringOption(o =>
+        o.setName('mode')
+         .setDescription('Where arrival messages are sent')
+         .setRequired(true)
+         .addChoices(
+           { name: 'Direct message', value: 'dm' },
+           { name: 'Destination server', value: 'server' },
+           { name: 'Off', value: 'off' }
+         )
+      ))
+    .addSubcommand(sc => sc
+      .setName('reroute')
+      .setDescription('Change destination mid-journey')
+      .addStringOption(o =>
+        o.setName('destination_type')
+         .setDescription('Choose destination type')
+         .setRequired(true)
+         .addChoices(
+           { name: 'Server', value: 'server' },
+           { name: 'Landmark', value: 'landmark' }
+         )
+      )
+      .addStringOption(o =>
+        o.setName('target')
+         .setDescription('Server name/ID or landmark name')
+         .setRequired(true)
+         .setAutocomplete(true)
+      )),
 
   /**
    * Autocomplete handler that provides intelligent destination suggestions
@@ -79,17 +368,15 @@ module.exports = {
     const focusedValue = interaction.options.getFocused();
     const focusedOption = interaction.options.getFocused(true);
     const destinationType = interaction.options.getString('destination_type');
+    const subcommand = interaction.options.getSubcommand(false);
     const userId = interaction.user.id;
 
     try {
       // Get user's current location and travel status from database
-      const player = db.prepare(`
-        SELECT locationGuildId, travelArrivalAt
-        FROM players WHERE userId=?
-      `).get(userId) || {};
+      const player = db.prepare('SELECT * FROM players WHERE userId=?').get(userId) || {};
 
-      // Prevent autocomplete suggestions if user is currently traveling
-      if (player.travelArrivalAt && player.travelArrivalAt > Date.now()) {
+      // Prevent autocomplete suggestions if user is currently traveling (rerouting is allowed)
+      if (player.travelArrivalAt && player.travelArrivalAt > Date.now() && subcommand !== 'reroute') {
         return interaction.respond([
           { name: 'You are currently traveling', value: 'traveling' }
         ]);
@@ -97,7 +384,9 @@ module.exports = {
 
       // Determine current location for distance calculations
       const currentGuildId = player.locationGuildId || interaction.guildId;
-      const currentServer = db.prepare('SELECT lat, lon FROM servers WHERE guildId=? ORDER BY addedAt DESC LIMIT 1').get(currentGuildId);
+      let currentServer = db.prepare('SELECT lat, lon FROM servers WHERE guildId=? ORDER BY addedAt DESC LIMIT 1').get(currentGuildId);
+      // While rerouting, measure distances from the current mid-air position
+      if (subcommand === 'reroute') currentServer = currentLegPosition(player) || currentServer;
 
       // Handle landmark autocomplete suggestions
       if (focusedOption.name === 'target' && destinationType === 'landmark') {
@@ -215,6 +504,20 @@ module.exports = {
       // Regenerate user's stamina based on time passed since last update
       regenStamina(interaction.user.id);
 
+      const subcommand = interaction.options.getSubcommand();
+      if (subcommand === 'cancel') {
+        return await this.handleCancel(interaction, userPrefix);
+      }
+      if (subcommand === 'notify') {
+        return await this.handleNotify(interaction, userPrefix);
+      }
+
+      // Downed players can't move until they are revived or respawn
+      const downed = getDownedState(interaction.user.id);
+      if (downed) {
+        return interaction.reply({ content: `${userPrefix} ${downedMessage(downed)}`, ephemeral: true });
+      }
+
       // Extract command options from user input
       const destinationType = interaction.options.getString('destination_type');
       const target = interaction.options.getString('target');
@@ -227,13 +530,32 @@ module.exports = {
         });
       }
 
+      if (subcommand === 'reroute') {
+        return await this.handleReroute(interaction, userPrefix, destinationType, target);
+      }
+
+      // A journey in progress must be cancelled or rerouted first
+      const traveling = db.prepare('SELECT travelArrivalAt FROM players WHERE userId=?').get(interaction.user.id);
+      if (traveling && traveling.travelArrivalAt > Date.now()) {
+        return interaction.reply({
+          content: `${userPrefix} You are already traveling (arrival <t:${Math.floor(traveling.travelArrivalAt / 1000)}:R>). Use \`/travel reroute\` or \`/travel cancel\` to change plans.`,
+          ephemeral: true
+        });
+      }
+
+      // Only a party leader can move the whole party
+      const withParty = interaction.options.getBoolean('party') || false;
+      if (withParty && getPartyForUser(interaction.user.id)?.leaderId !== interaction.user.id) {
+        return interaction.reply({ content: `${userPrefix} Only a party leader can bring the party along.`, ephemeral: true });
+      }
+
       // Route to appropriate travel handler based on destination type
       if (destinationType === 'landmark') {
         // Handle landmark travel using POI ID
-        return await this.handleLandmarkTravelById(interaction, userPrefix, target);
+        return await this.handleLandmarkTravelById(interaction, userPrefix, target, withParty);
       } else {
         // Handle server travel using server name/ID
-        return await this.handleServerTravel(interaction, userPrefix, target);
+        return await this.handleServerTravel(interaction, userPrefix, target, withParty);
       }
     } catch (error) {
       console.error('[travel] Error executing travel command:', error.message);
@@ -268,8 +590,9 @@ module.exports = {
    * @param {CommandInteraction} interaction - Discord command interaction
    * @param {string} userPrefix - User's display prefix (premium/regular)
    * @param {string} landmarkId - The POI ID of the landmark to visit
+   * @param {boolean} withParty - Bring party members along
    */
-  async handleLandmarkTravelById(interaction, userPrefix, landmarkId) {
+  async handleLandmarkTravelById(interaction, userPrefix, landmarkId, withParty = false) {
     try {
       const userId = interaction.user.id;
       // Fetch landmark data from POI system
@@ -294,26 +617,11 @@ module.exports = {
         });
       }
       
-      // Check if user has visited this landmark before (affects rewards)
-      const alreadyVisited = hasVisitedPOI(userId, landmarkId);
-      
       // Transform POI data into destination format compatible with travel system
-      // This allows landmarks to use the same travel mechanics as server travel
-      const landmarkAsDestination = {
-        guildId: `landmark_${landmarkId}`,  // Unique identifier for landmark location
-        name: poi.name,                     // Display name of landmark
-        lat: poi.lat,                      // Latitude coordinate
-        lon: poi.lon,                      // Longitude coordinate
-        isLandmark: true,                  // Flag to identify landmark travel
-        landmarkId: landmarkId,            // Original POI ID
-        visitCost: poi.visitCost,          // Gem cost to visit
-        emoji: poi.emoji,                  // Landmark emoji for displays
-        country: poi.country,              // Country where landmark is located
-        alreadyVisited: alreadyVisited     // Whether user has visited before
-      };
+      const landmarkAsDestination = landmarkDestination(userId, landmarkId, poi);
       
       // Route to the main landmark travel handler with prepared destination data
-      return await this.handleLandmarkTravel(interaction, userPrefix, landmarkAsDestination);
+      return await this.handleLandmarkTravel(interaction, userPrefix, landmarkAsDestination, withParty);
         
     } catch (error) {
       // Log landmark travel errors and return user-friendly error message
@@ -332,8 +640,9 @@ module.exports = {
    * @param {CommandInteraction} interaction - Discord command interaction
    * @param {string} userPrefix - User's display prefix
    * @param {Object} dest - Destination object with landmark data
+   * @param {boolean} withParty - Bring party members along
    */
-  async handleLandmarkTravel(interaction, userPrefix, dest) {
+  async handleLandmarkTravel(interaction, userPrefix, dest, withParty = false) {
     // Get or create player record with vehicle information
     let p = await ensurePlayerWithVehicles(interaction.client, interaction.user.id, interaction.user.username, interaction.guild?.id);
     // Get the server data for the player's current location
@@ -350,43 +659,23 @@ module.exports = {
       fromServer = db.prepare('SELECT * FROM servers WHERE guildId=? AND archived=0 ORDER BY addedAt DESC LIMIT 1').get(interaction.guild?.id);
     }
     
-    // Get travel configuration settings with fallback defaults
-    const tcfg = config.travel || {};
-    const minS = tcfg.minSeconds ?? 60;        // Minimum travel time (1 minute)
-    const maxS = tcfg.maxSeconds ?? 600;       // Maximum travel time (10 minutes)
-    const distMult = tcfg.distanceMultiplier ?? 0.2; // Distance to time conversion factor
-
-
-    // Initialize travel time with minimum duration as fallback
-    let timeSec = minS;
-    if (fromServer && fromServer.lat != null) {
-      // Calculate distance
-      const d = haversine(fromServer.lat, fromServer.lon, dest.lat, dest.lon);
-      // Get user's vehicle speed multiplier (premium users travel faster)
-      const mult = await vehicleSpeed(interaction.client, interaction.user.id);
-      // Calculate base travel time: minimum + (distance * multiplier) / vehicle speed
-      let base = minS + (d * distMult) / mult;
-
-      // Get player's current stamina for travel time reduction calculation
-      const staminaRow = db.prepare('SELECT stamina FROM players WHERE userId=?').get(interaction.user.id);
-      const stamina = staminaRow?.stamina || 0;
-      // Calculate stamina-based travel time reduction (up to 50% faster with high stamina)
-      const maxReduction = (config.stamina?.travelMaxReductionPct ?? 50) / 100;
-      const staminaFactor = 1 - Math.min(maxReduction, stamina / 200);
-      timeSec = Math.round(base * staminaFactor);
-      // Enforce minimum and maximum travel time limits
-      if (timeSec < minS) timeSec = minS;
-      if (timeSec > maxS) timeSec = maxS;
-      
-      // Deduct stamina cost for travel and update player record
-      const spend = config.stamina?.travelCost ?? 10;
-      const newSt = Math.max(0, stamina - spend);
-      db.prepare('UPDATE players SET stamina=?, staminaUpdatedAt=? WHERE userId=?').run(newSt, Date.now(), interaction.user.id);
+    // Plan the trip with the player's equipped vehicle
+    const plan = await planTravel(interaction.client, interaction.user.id, fromServer, dest);
+    if (plan.staminaCost > plan.stamina) {
+      return interaction.reply({
+        content: `${userPrefix} You are too exhausted to travel by ${plan.vehicle.name}. (Stamina ${Math.floor(plan.stamina)}/${plan.staminaCost} required)`,
+        ephemeral: true
+      });
     }
-    
-    // Calculate exact arrival timestamp (current time + travel duration)
-    const arrival = Date.now() + timeSec * 1000;
-    
+    plan.gemCost = dest.visitCost;
+
+    // Companions pay their own way and the group lands together
+    const partyPlan = withParty
+      ? await planPartyTravel(interaction.client, interaction.user.id, p.locationGuildId || interaction.guild?.id, fromServer, dest, dest.visitCost)
+      : null;
+    if (partyPlan) departWithParty(fromServer, dest, plan, partyPlan);
+    const timeSec = plan.timeSec;
+
     // Deduct gem cost for landmark travel from player's balance
     db.prepare('UPDATE players SET gems = COALESCE(gems, 0) - ? WHERE userId = ?').run(dest.visitCost, interaction.user.id);
     
@@ -395,20 +684,14 @@ module.exports = {
     // travelStartAt: When travel began (current timestamp)
     // locationGuildId: Set to landmark ID during travel
     // travelFromGuildId: Remember original server for return navigation
-    db.prepare('UPDATE players SET travelArrivalAt=?, travelStartAt=?, locationGuildId=?, travelFromGuildId=? WHERE userId=?').run(
-      arrival, Date.now(), dest.guildId, fromServer ? fromServer.guildId : null, interaction.user.id
-    );
+    beginTravel(interaction.user.id, fromServer, dest, plan);
 
     // Get web base URL for map links (if configured)
     const base = (config.web && config.web.publicBaseUrl || '').replace(/\/$/, '');
     // Check premium status for enhanced embed styling and features
     const isPremiumUser = await isPremium(interaction.client, interaction.user.id);
-    // Get speed multiplier for display in embed
-    const speedMult = await vehicleSpeed(interaction.client, interaction.user.id);
-    
-    // Calculate actual distance for display purposes
-    const distance = fromServer && fromServer.lat != null ? 
-      haversine(fromServer.lat, fromServer.lon, dest.lat, dest.lon) : 0;
+    // Distance for display purposes
+    const distance = plan.distance;
     
     const travelEmbed = new EmbedBuilder()
       .setTitle(`🏛️ Traveling to ${dest.name}`)
@@ -422,7 +705,7 @@ module.exports = {
       .addFields(
         {
           name: '✈️ Transportation',
-          value: `**${isPremiumUser ? 'Private Jet' : 'Commercial Flight'}**\n• Speed: ${speedMult}x multiplier`,
+          value: `**${plan.vehicle.name}**\n• Speed: ${plan.vehicle.speedMultiplier}x multiplier${lockedVehicleNote(plan)}`,
           inline: true
         },
         {
@@ -437,7 +720,7 @@ module.exports = {
         },
         {
           name: '💰 Journey Cost',
-          value: `**${dest.visitCost}** 💎 gems\n⚡ **${config.stamina?.travelCost ?? 10}** stamina`,
+          value: `**${dest.visitCost}** 💎 gems\n⚡ **${plan.staminaCost}** stamina`,
           inline: true
         },
         {
@@ -453,6 +736,8 @@ module.exports = {
       );
 
 
+    if (partyPlan) travelEmbed.addFields(partyTravelField(partyPlan));
+
     travelEmbed.setFooter({
       text: `QuestCord • Landing in ${Math.round(timeSec / 60)} minutes`,
       iconURL: interaction.client.user.displayAvatarURL()
@@ -469,63 +754,242 @@ module.exports = {
     await interaction.reply({ embeds: [travelEmbed] });
   },
 
-  async handleServerTravel(interaction, userPrefix, target) {
-    const servers = db.prepare(`
-      SELECT * FROM servers
-      WHERE archived=0 AND (name LIKE ? OR guildId=?)
-      AND lat IS NOT NULL AND lon IS NOT NULL
-      GROUP BY guildId
-      ORDER BY addedAt DESC
-      LIMIT 1
-    `).all(`%${target}%`, target);
-    if (!servers.length) {
+  /**
+   * Stores the player's arrival notification preference
+   * 
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {string} userPrefix - User's display prefix
+   */
+  async handleNotify(interaction, userPrefix) {
+    const mode = interaction.options.getString('mode');
+    await ensurePlayerWithVehicles(interaction.client, interaction.user.id, interaction.user.username, interaction.guild?.id);
+    db.prepare('UPDATE players SET arrivalNotify=? WHERE userId=?').run(mode, interaction.user.id);
+
+    const labels = {
+      dm: '📬 You will get a direct message when you arrive.',
+      server: '📢 Arrivals will be announced in the destination server (DM for landmarks).',
+      off: '🔕 Arrival notifications are off.'
+    };
+    return interaction.reply({ content: `${userPrefix} ${labels[mode]}`, ephemeral: true });
+  },
+
+  /**
+   * Cancels the journey in progress and flies back to the departure server
+   * The unused share of stamina and gems is refunded; the return leg is free
+   * 
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {string} userPrefix - User's display prefix
+   */
+  async handleCancel(interaction, userPrefix) {
+    const userId = interaction.user.id;
+    const p = db.prepare('SELECT * FROM players WHERE userId=?').get(userId);
+    if (!p || !p.travelArrivalAt || p.travelArrivalAt <= Date.now()) {
+      return interaction.reply({ content: `${userPrefix} You are not currently traveling.`, ephemeral: true });
+    }
+    if (p.travelReturning) {
+      return interaction.reply({ content: `${userPrefix} You are already heading back — use \`/travel reroute\` to go somewhere else.`, ephemeral: true });
+    }
+
+    const leg = currentLegPosition(p);
+    const origin = destinationCoords(p.travelFromGuildId);
+    if (!leg || !origin || origin.guildId.startsWith('landmark_')) {
+      return interaction.reply({ content: `${userPrefix} This journey can't be cancelled — your departure point is unknown.`, ephemeral: true });
+    }
+
+    const isPremiumUser = await isPremium(interaction.client, userId);
+    const abandoned = destinationCoords(p.locationGuildId);
+    const refund = interruptLeg(userId, p, leg, getMaxStats(isPremiumUser).maxStamina);
+
+    // Head home from the current mid-air position at no extra stamina cost
+    const midAir = { guildId: p.travelFromGuildId, lat: leg.lat, lon: leg.lon };
+    const plan = await planTravel(interaction.client, userId, midAir, origin);
+    plan.staminaCost = 0;
+    plan.returning = true;
+    const arrival = beginTravel(userId, midAir, origin, plan);
+
+    const embed = new EmbedBuilder()
+      .setTitle('🛑 Journey Cancelled')
+      .setDescription(`${userPrefix} Turning back towards **${origin.name || origin.guildId}**`)
+      .setColor(0xE67E22)
+      .setAuthor({
+        name: `${interaction.user.displayName} - Adventurer`,
+        iconURL: interaction.user.displayAvatarURL()
+      })
+      .addFields(
+        {
+          name: '🎯 Abandoned Destination',
+          value: `**${abandoned?.name || p.locationGuildId}**\n${Math.round(leg.fraction * 100)}% of the way there`,
+          inline: true
+        },
+        {
+          name: '📍 Current Position',
+          value: `${leg.lat.toFixed(2)}, ${leg.lon.toFixed(2)}`,
+          inline: true
+        },
+        {
+          name: '💰 Refund',
+          value: `⚡ **${refund.staminaRefund}** stamina${refund.gemRefund ? `\n💎 **${refund.gemRefund}** gems` : ''}`,
+          inline: true
+        },
+        {
+          name: '🕰️ Return Arrival',
+          value: `<t:${Math.floor(arrival / 1000)}:t>\n<t:${Math.floor(arrival / 1000)}:R>`,
+          inline: true
+        }
+      )
+      .setFooter({
+        text: `QuestCord • The return flight is on the house`,
+        iconURL: interaction.client.user.displayAvatarURL()
+      })
+      .setTimestamp();
+
+    logger.info('travel_cancel: user %s abandoned %s at %s%%', userId, p.locationGuildId, Math.round(leg.fraction * 100));
+    await interaction.reply({ embeds: [embed] });
+  },
+
+  /**
+   * Changes destination mid-journey, starting a new leg from the current position
+   * The old leg is refunded proportionally before the new leg's costs are charged
+   * 
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {string} userPrefix - User's display prefix
+   * @param {string} destinationType - 'server' or 'landmark'
+   * @param {string} target - Server name/ID or POI ID
+   */
+  async handleReroute(interaction, userPrefix, destinationType, target) {
+    const userId = interaction.user.id;
+    const p = db.prepare('SELECT * FROM players WHERE userId=?').get(userId);
+    if (!p || !p.travelArrivalAt || p.travelArrivalAt <= Date.now()) {
+      return interaction.reply({ content: `${userPrefix} You are not currently traveling. Use \`/travel go\` instead.`, ephemeral: true });
+    }
+
+    let dest;
+    if (destinationType === 'landmark') {
+      const poi = getPOIById(target);
+      if (!poi) return interaction.reply({ content: `${userPrefix} Landmark not found.`, ephemeral: true });
+      dest = landmarkDestination(userId, target, poi);
+    } else {
+      dest = findServerDestination(target);
+      if (!dest) return interaction.reply({ content: `${userPrefix} No matching active server with coordinates.`, ephemeral: true });
+    }
+    if (dest.guildId === p.locationGuildId) {
+      return interaction.reply({ content: `${userPrefix} You are already heading to **${dest.name}**.`, ephemeral: true });
+    }
+
+    const leg = currentLegPosition(p);
+    if (!leg) {
+      return interaction.reply({ content: `${userPrefix} This journey can't be rerouted — your current position is unknown.`, ephemeral: true });
+    }
+
+    // Validate the new leg against balances as they will be after the refund
+    const remaining = 1 - leg.fraction;
+    const staminaRefund = Math.floor((p.travelStaminaCost || 0) * remaining);
+    const gemRefund = Math.floor((p.travelGemCost || 0) * remaining);
+    const isPremiumUser = await isPremium(interaction.client, userId);
+    const { maxStamina } = getMaxStats(isPremiumUser);
+
+    const gemCost = dest.visitCost || 0;
+    if ((p.gems || 0) + gemRefund < gemCost) {
+      return interaction.reply({
+        content: `${userPrefix} Insufficient gems! You need ${gemCost} 💎 gems to visit ${dest.name}. You would have ${(p.gems || 0) + gemRefund} after your refund.`,
+        ephemeral: true
+      });
+    }
+
+    const midAir = { guildId: p.travelFromGuildId, lat: leg.lat, lon: leg.lon };
+    const plan = await planTravel(interaction.client, userId, midAir, dest);
+    plan.stamina = Math.min(maxStamina, plan.stamina + staminaRefund);
+    plan.gemCost = gemCost;
+    if (plan.staminaCost > plan.stamina) {
+      return interaction.reply({
+        content: `${userPrefix} You are too exhausted to reroute by ${plan.vehicle.name}. (Stamina ${Math.floor(plan.stamina)}/${plan.staminaCost} required)`,
+        ephemeral: true
+      });
+    }
+
+    const previous = destinationCoords(p.locationGuildId);
+    interruptLeg(userId, p, leg, maxStamina, dest.guildId);
+    if (gemCost > 0) {
+      db.prepare('UPDATE players SET gems = COALESCE(gems, 0) - ? WHERE userId = ?').run(gemCost, userId);
+    }
+    const arrival = beginTravel(userId, midAir, dest, plan);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`↪️ Rerouted to ${dest.name}`)
+      .setDescription(`${userPrefix} Changing course mid-journey`)
+      .setColor(isPremiumUser ? 0xFFD700 : 0x5865F2)
+      .setAuthor({
+        name: `${interaction.user.displayName} - Adventurer`,
+        iconURL: interaction.user.displayAvatarURL()
+      })
+      .addFields(
+        {
+          name: '✈️ Vehicle Type',
+          value: `**${plan.vehicle.name}**\n• Speed: ${plan.vehicle.speedMultiplier}x multiplier${lockedVehicleNote(plan)}`,
+          inline: true
+        },
+        {
+          name: '🎯 New Destination',
+          value: `**${dest.name}**${dest.emoji ? ` ${dest.emoji}` : ''}\n~~${previous?.name || p.locationGuildId}~~`,
+          inline: true
+        },
+        {
+          name: '🗺️ Distance',
+          value: `**${plan.distance.toFixed(1)} km** from your current position`,
+          inline: true
+        },
+        {
+          name: '💰 Costs',
+          value: `Refunded: ⚡ ${staminaRefund}${gemRefund ? ` • 💎 ${gemRefund}` : ''}\nCharged: ⚡ ${plan.staminaCost}${gemCost ? ` • 💎 ${gemCost}` : ''}`,
+          inline: true
+        },
+        {
+          name: '🕰️ Arrival Time',
+          value: `<t:${Math.floor(arrival / 1000)}:t>\n<t:${Math.floor(arrival / 1000)}:R>`,
+          inline: true
+        }
+      )
+      .setFooter({
+        text: `QuestCord • Plans change, adventures continue!`,
+        iconURL: interaction.client.user.displayAvatarURL()
+      })
+      .setTimestamp();
+
+    logger.info('travel_reroute: user %s from %s to %s', userId, p.locationGuildId, dest.guildId);
+    await interaction.reply({ embeds: [embed] });
+  },
+
+  async handleServerTravel(interaction, userPrefix, target, withParty = false) {
+    const dest = findServerDestination(target);
+    if (!dest) {
       return interaction.reply({ content: `${userPrefix} No matching active server with coordinates.`, ephemeral: true });
     }
-    const dest = servers[0];
     let p = await ensurePlayerWithVehicles(interaction.client, interaction.user.id, interaction.user.username, interaction.guild?.id);
     let fromServer = db.prepare('SELECT * FROM servers WHERE guildId=? AND archived=0 ORDER BY addedAt DESC LIMIT 1').get(p.locationGuildId || interaction.guild?.id);
     if (!fromServer || fromServer.lat == null) {
       fromServer = db.prepare('SELECT * FROM servers WHERE guildId=? AND archived=0 ORDER BY addedAt DESC LIMIT 1').get(interaction.guild?.id);
     }
-    const tcfg = config.travel || {};
-    const minS = tcfg.minSeconds ?? 60;
-    const maxS = tcfg.maxSeconds ?? 600;
-    const distMult = tcfg.distanceMultiplier ?? 0.2;
-
-
-    let timeSec = minS;
-    if (fromServer && fromServer.lat != null) {
-      const d = haversine(fromServer.lat, fromServer.lon, dest.lat, dest.lon);
-      const mult = await vehicleSpeed(interaction.client, interaction.user.id);
-      let base = minS + (d * distMult) / mult;
-      
-      
-      const staminaRow = db.prepare('SELECT stamina FROM players WHERE userId=?').get(interaction.user.id);
-      const stamina = staminaRow?.stamina || 0;
-      const maxReduction = (config.stamina?.travelMaxReductionPct ?? 50) / 100;
-      const staminaFactor = 1 - Math.min(maxReduction, stamina / 200);
-      timeSec = Math.round(base * staminaFactor);
-      if (timeSec < minS) timeSec = minS;
-      if (timeSec > maxS) timeSec = maxS;
-      const spend = config.stamina?.travelCost ?? 10;
-      const newSt = Math.max(0, stamina - spend);
-      db.prepare('UPDATE players SET stamina=?, staminaUpdatedAt=? WHERE userId=?').run(newSt, Date.now(), interaction.user.id);
+    const plan = await planTravel(interaction.client, interaction.user.id, fromServer, dest);
+    if (plan.staminaCost > plan.stamina) {
+      return interaction.reply({
+        content: `${userPrefix} You are too exhausted to travel by ${plan.vehicle.name}. (Stamina ${Math.floor(plan.stamina)}/${plan.staminaCost} required)`,
+        ephemeral: true
+      });
     }
-    const arrival = Date.now() + timeSec * 1000;
-    db.prepare('UPDATE players SET travelArrivalAt=?, travelStartAt=?, locationGuildId=?, travelFromGuildId=? WHERE userId=?').run(arrival, Date.now(), dest.guildId, fromServer ? fromServer.guildId : null, interaction.user.id);
+    // Companions pay their own way and the group lands together
+    const partyPlan = withParty
+      ? await planPartyTravel(interaction.client, interaction.user.id, p.locationGuildId || interaction.guild?.id, fromServer, dest)
+      : null;
+    if (partyPlan) departWithParty(fromServer, dest, plan, partyPlan);
+    const timeSec = plan.timeSec;
+    const arrival = beginTravel(interaction.user.id, fromServer, dest, plan);
 
     const base = (config.web && config.web.publicBaseUrl || '').replace(/\/$/, '');
     const isPremiumUser = await isPremium(interaction.client, interaction.user.id);
-    const speedMult = await vehicleSpeed(interaction.client, interaction.user.id);
-    
-    // Calculate distance
-    const distance = fromServer && fromServer.lat != null ? 
-      haversine(fromServer.lat, fromServer.lon, dest.lat, dest.lon) : 0;
-    
-    // Get stamina info
-    const staminaRow = db.prepare('SELECT stamina FROM players WHERE userId=?').get(interaction.user.id);
-    const currentStamina = staminaRow?.stamina || 0;
-    const staminaCost = config.stamina?.travelCost ?? 10;
+    const speedMult = plan.vehicle.speedMultiplier;
+    const distance = plan.distance;
+    const staminaCost = plan.staminaCost;
+    const currentStamina = plan.stamina;
     
     const travelEmbed = new EmbedBuilder()
       .setTitle(`🌍 Journey to ${dest.name}`)
@@ -538,7 +1002,7 @@ module.exports = {
       .addFields(
         {
           name: '✈️ Vehicle Type',
-          value: `**${isPremiumUser ? 'Private Jet 🚁' : 'Commercial Flight ✈️'}**\n${isPremiumUser ? 'Premium travel experience' : 'Standard transportation'}`,
+          value: `**${plan.vehicle.name}**\n• Speed: ${speedMult}x multiplier${lockedVehicleNote(plan)}`,
           inline: true
         },
         {
@@ -581,6 +1045,8 @@ module.exports = {
       inline: true
     });
 
+    if (partyPlan) travelEmbed.addFields(partyTravelField(partyPlan));
+
     if (isPremiumUser) {
       travelEmbed.addFields({
         name: '🌟 Premium Perks',
@@ -604,7 +1070,8 @@ module.exports = {
       })
       .setTimestamp();
 
-    logger.info('travel_start: user %s to %s from %s (speed: %sx)', interaction.user.id, dest.guildId, fromServer?.guildId, speedMult);
+    logger.info('travel_start: user %s to %s from %s (speed: %sx)%s', interaction.user.id, dest.guildId, fromServer?.guildId, speedMult,
+      partyPlan ? ` with ${partyPlan.companions.length} party members` : '');
     await interaction.reply({ embeds: [travelEmbed] });
   }
 };
@@ -3,24 +3,9 @@ const { db, logCommand } = require('../utils/store_sqlite');
 const { itemByNameOrId } = require('../utils/items');
 const { isBanned, regenStamina } = require('./_guard');
 const { getUserPrefix, isPremium } = require('../utils/roles');
-
-function applyEffects(userId, effects){
-  const p = db.prepare('SELECT health, stamina FROM players WHERE userId=?').get(userId) || { health: 100, stamina: 100 };
-  let health = p.health, stamina = p.stamina;
-  if (!effects) return { health, stamina };
-  for (const [k,v] of Object.entries(effects)){
-    if (k === 'health'){
-      const n = parseInt(String(v).replace('+',''),10) || 0;
-      health = Math.min(100, Math.max(0, health + n));
-    }
-    if (k === 'stamina'){
-      const n = parseInt(String(v).replace('+',''),10) || 0;
-      stamina = Math.min(100, Math.max(0, stamina + n));
-    }
-  }
-  db.prepare('UPDATE players SET health=?, stamina=?, staminaUpdatedAt=? WHERE userId=?').run(health, stamina, Date.now(), userId);
-  return { health, stamina };
-}
+const { canUseConsumable, useConsumable, formatEffects } = require('../utils/consumables');
+const { summonBoss, summonFailureMessage, summonEmbed } = require('../utils/boss_summon');
+const { getDownedState, getReviveItems, revivePlayer, downedMessage, reviveFailureMessage, reviveEmbed } = require('../utils/downed');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -38,20 +23,51 @@ module.exports = {
     const amt = Math.max(1, interaction.options.getInteger('amount') || 1);
     const item = itemByNameOrId(q);
     if (!item) return interaction.reply({ content: `${userPrefix} Unknown item.`, ephemeral: true });
-    if (item.premiumNeeded && !(await isPremium(interaction.client, interaction.user.id))){
+    const userIsPremium = await isPremium(interaction.client, interaction.user.id);
+    if (item.premiumNeeded && !userIsPremium){
       return interaction.reply({ content: `${userPrefix} This item is for Premium users only.`, ephemeral: true });
     }
+    // While downed only revive items can be used
+    const downed = getDownedState(interaction.user.id);
+    if (downed) {
+      if (!getReviveItems().some(i => i.id === item.id)) {
+        return interaction.reply({ content: `${userPrefix} ${downedMessage(downed)}`, ephemeral: true });
+      }
+      const result = revivePlayer(interaction.user.id, 'item', { itemId: item.id });
+      if (!result.ok) return interaction.reply({ content: `${userPrefix} ${reviveFailureMessage(result)}`, ephemeral: true });
+      return interaction.reply({ embeds: [reviveEmbed(interaction, interaction.user.id, result)] });
+    }
+    // Summon stones spawn a boss instead of applying effects (one per use)
+    if (item.summonTier) {
+      const result = await summonBoss(interaction.user.id, item.id, interaction.client);
+      if (!result.ok) return interaction.reply({ content: `${userPrefix} ${summonFailureMessage(result)}`, ephemeral: true });
+      return interaction.reply({ embeds: [summonEmbed(interaction, result)] });
+    }
     if (!item.consumable) return interaction.reply({ content: `${userPrefix} That item is not consumable.`, ephemeral: true });
     const inv = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(interaction.user.id, item.id);
     if (!inv || inv.qty < amt) return interaction.reply({ content: `${userPrefix} You do not have enough of that item.`, ephemeral: true });
+
+    // Enforce per-item cooldowns before anything is consumed
+    const check = canUseConsumable(interaction.user.id, item, amt);
+    if (!check.ok) {
+      const msg = check.reason === 'cooldown'
+        ? `${item.name} is on cooldown for another **${Math.ceil(check.remainingMs / 1000)}s**.`
+        : `${item.name} has a cooldown and can only be used one at a time.`;
+      return interaction.reply({ content: `${userPrefix} ${msg}`, ephemeral: true });
+    }
+
     db.prepare('UPDATE inventory SET qty=qty-? WHERE userId=? AND itemId=?').run(amt, interaction.user.id, item.id);
     db.prepare('DELETE FROM inventory WHERE userId=? AND itemId=? AND qty<=0').run(interaction.user.id, item.id);
-    for (let i=0;i<amt;i++) applyEffects(interaction.user.id, item.effects);
-    const p = db.prepare('SELECT health, stamina FROM players WHERE userId=?').get(interaction.user.id);
+    const result = useConsumable(interaction.user.id, item, amt, userIsPremium);
+    const p = { health: Math.round(result.health), stamina: Math.round(result.stamina) };
     
-    // Calculate health and stamina bars
-    const healthBar = '█'.repeat(Math.floor(p.health/5)) + '░'.repeat(20 - Math.floor(p.health/5));
-    const staminaBar = '█'.repeat(Math.floor(p.stamina/5)) + '░'.repeat(20 - Math.floor(p.stamina/5));
+    // Calculate health and stamina bars against premium-aware caps
+    const bar = (v, m) => {
+      const filled = Math.max(0, Math.min(20, Math.floor((v / m) * 20)));
+      return '█'.repeat(filled) + '░'.repeat(20 - filled);
+    };
+    const healthBar = bar(p.health, result.maxHealth);
+    const staminaBar = bar(p.stamina, result.maxStamina);
     
     // Determine rarity color and effects
     const rarityColors = {
@@ -65,13 +81,12 @@ module.exports = {
     };
     const itemColor = rarityColors[item.rarity] || 0x00AE86;
     
-    // Calculate total effects
-    let totalHealthGain = 0;
-    let totalStaminaGain = 0;
-    if (item.effects) {
-      if (item.effects.health) totalHealthGain = (parseInt(String(item.effects.health).replace('+',''),10) || 0) * amt;
-      if (item.effects.stamina) totalStaminaGain = (parseInt(String(item.effects.stamina).replace('+',''),10) || 0) * amt;
-    }
+    // Summarize what actually changed (after caps)
+    const immediate = [];
+    if (result.healthGained > 0) immediate.push(`💚 **+${result.healthGained}** Health`);
+    if (result.staminaGained > 0) immediate.push(`💙 **+${result.staminaGained}** Stamina`);
+    if (Object.keys(result.effects.buffs).length) immediate.push(`🔮 **${Object.keys(result.effects.buffs).length}** timed buff(s)`);
+    if (result.effects.cleanse) immediate.push(`✨ Cleansed${result.cleansed ? ` **${result.cleansed}** debuff(s)` : ''}`);
 
     const embed = new EmbedBuilder()
       .setTitle('🧪⚡ **ITEM CONSUMED** ⚡🧪')
@@ -89,11 +104,7 @@ module.exports = {
         },
         {
           name: '📊 **Immediate Effects**',
-          value: totalHealthGain > 0 && totalStaminaGain > 0 ? 
-            `💚 **+${totalHealthGain}** Health\n💙 **+${totalStaminaGain}** Stamina` :
-            totalHealthGain > 0 ? `💚 **+${totalHealthGain}** Health` :
-            totalStaminaGain > 0 ? `💙 **+${totalStaminaGain}** Stamina` :
-            '✨ Special effects applied',
+          value: immediate.join('\n') || '➖ Already at full strength',
           inline: true
         },
         {
@@ -103,36 +114,22 @@ module.exports = {
         },
         {
           name: '❤️ **Health Status**',
-          value: `\`${healthBar}\`\n**${p.health}**/100 HP (${p.health}%)`,
+          value: `\`${healthBar}\`\n**${p.health}**/${result.maxHealth} HP (${Math.round((p.health / result.maxHealth) * 100)}%)`,
           inline: false
         },
         {
           name: '💨 **Stamina Status**',
-          value: `\`${staminaBar}\`\n**${p.stamina}**/100 Stamina (${p.stamina}%)`,
+          value: `\`${staminaBar}\`\n**${p.stamina}**/${result.maxStamina} Stamina (${Math.round((p.stamina / result.maxStamina) * 100)}%)`,
           inline: false
         }
       );
 
-    // Add detailed effects information if available
-    if (item.effects) {
-      const effectsDetails = Object.entries(item.effects).map(([key, value]) => {
-        const effectIcon = {
-          'health': '❤️',
-          'stamina': '💨',
-          'damage': '⚔️',
-          'defense': '🛡️',
-          'speed': '⚡'
-        }[key.toLowerCase()] || '✨';
-        
-        return `${effectIcon} **${key.charAt(0).toUpperCase() + key.slice(1)}:** ${value} per use`;
-      }).join('\n');
-      
-      embed.addFields({
-        name: '🔮 **Alchemical Properties**',
-        value: effectsDetails + `\n\n📈 **Total Applied:** All effects × ${amt}`,
-        inline: false
-      });
-    }
+    // Add detailed effects information
+    embed.addFields({
+      name: '🔮 **Alchemical Properties**',
+      value: formatEffects(result.effects) + (amt > 1 ? `\n\n📈 **Instant effects applied:** × ${amt}` : ''),
+      inline: false
+    });
 
     if (item.description) {
       embed.addFields({
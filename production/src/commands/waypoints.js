@@ -2,6 +2,7 @@ const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { getUserPrefix } = require('../utils/roles');
 const { isBanned, regenStamina } = require('./_guard');
 const { db, logCommand } = require('../utils/store_sqlite');
+const { getDownedState, downedMessage } = require('../utils/downed');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -320,12 +321,22 @@ module.exports = {
         return interaction.reply({ embeds: [unavailableEmbed], ephemeral: true });
       }
 
-      // Use the regular travel system
-      // We'll integrate with the existing travel command by redirecting
-      return interaction.reply({
-        content: `${userPrefix} **Waypoint Travel:** Use \`/travel ${server.name || waypoint.guildId}\` to travel to your **${name}** waypoint!\n\n💡 *Waypoint quick-travel will be available in a future update.*`,
-        ephemeral: true
-      });
+      // Travel with the regular server travel flow (equipped vehicle, stamina, history)
+      const player = db.prepare('SELECT travelArrivalAt FROM players WHERE userId = ?').get(userId);
+      if (player && player.travelArrivalAt && player.travelArrivalAt > Date.now()) {
+        return interaction.reply({
+          content: `${userPrefix} You are already traveling. Arrival <t:${Math.floor(player.travelArrivalAt / 1000)}:R>.`,
+          ephemeral: true
+        });
+      }
+
+      const downed = getDownedState(userId);
+      if (downed) {
+        return interaction.reply({ content: `${userPrefix} ${downedMessage(downed)}`, ephemeral: true });
+      }
+
+      const travel = require('./travel');
+      return travel.handleServerTravel(interaction, userPrefix, waypoint.guildId);
     }
   }
 };
\ No newline at end of file
@@ -176,6 +176,10 @@ client.once(Events.ClientReady, async () => {
   initializeBotNotifications(client);
   logger.info('[Bot] Notification system initialized');
 
+  // Send opt-in arrival DMs/server messages when travel completes
+  const { initializeArrivalNotifications } = require('./utils/arrival_notifications');
+  initializeArrivalNotifications(client);
+
   // Log bot startup notification via bot
   try {
     await logBotStartup(); // Send startup notification via Discord bot
@@ -203,9 +207,37 @@ client.once(Events.ClientReady, async () => {
   // Initialize regeneration system (handles travel completion and stats recording)
   // This system processes player health/stamina regeneration and completes travel
   const { applyRegenToAll } = require('./utils/regen'); // Import regeneration functions
-  applyRegenToAll(); // Run once on startup to process any pending travels
+  applyRegenToAll(); // Run once on startup to process any pending travels (also arms the arrival timer)
   setInterval(applyRegenToAll, 60000); // Run every 60 seconds continuously
   logger.info('[Regen] Batch regeneration system started - travel completion and stats recording active');
+
+  // Downed players respawn once their timer runs out (commands also resolve expired timers on demand)
+  const { processRespawns } = require('./utils/downed');
+  setInterval(() => {
+    try {
+      processRespawns();
+    } catch (error) {
+      logger.warn('[Downed] Respawn check failed:', error.message);
+    }
+  }, (config.downed?.checkIntervalSeconds || 30) * 1000);
+
+  // Refund wagers on duel challenges nobody answered (also checked whenever duels are used)
+  const { expireStaleDuels } = require('./utils/duels');
+  setInterval(() => {
+    try {
+      expireStaleDuels();
+    } catch (error) {
+      logger.warn('[Duel] Expiry check failed:', error.message);
+    }
+  }, 60000);
+
+  // Deliver finished crafts into inventories (and DM players who opted in); runs on startup for crafts that finished while offline
+  const { processCraftCompletions } = require('./utils/crafting');
+  const runCraftCompletions = () => processCraftCompletions(client)
+    .catch(error => logger.warn('[Crafting] Completion check failed:', error.message));
+  runCraftCompletions();
+  setInterval(runCraftCompletions, (config.crafting?.completionCheckSeconds || 30) * 1000);
+  require('./utils/recipe_unlocks').checkRecipeUnlocks();
   
 
   // Initialize weekly reset system
@@ -308,6 +340,28 @@ client.once(Events.ClientReady, async () => {
   
   scheduleNextBossSpawn(); // Start the randomized scheduling
   logger.info('[Boss Spawner] Automatic boss spawning system initialized - 1 hour intervals with chance-based spawning (all servers eligible)');
+
+  // Scheduled boss events live in the database, so anything due while the bot was down fires now
+  const { recoverInterruptedBossEvents, processBossEvents } = require('./utils/boss_events');
+  try {
+    recoverInterruptedBossEvents();
+  } catch (error) {
+    logger.warn('[Boss Events] Recovery failed:', error.message);
+  }
+  let bossEventsRunning = false;
+  const runBossEvents = async () => {
+    if (bossEventsRunning) return; // Skip overlapping polls while announcements are still sending
+    bossEventsRunning = true;
+    try {
+      await processBossEvents(client);
+    } catch (error) {
+      logger.warn('[Boss Events] Event check failed:', error.message);
+    } finally {
+      bossEventsRunning = false;
+    }
+  };
+  setTimeout(runBossEvents, 10000); // Wait for guild caches like the startup cleanup does
+  setInterval(runBossEvents, (config.boss?.events?.checkIntervalSeconds || 30) * 1000);
   
   for (const [id, guild] of client.guilds.cache) {
     const iconUrl = guild.iconURL({ extension: 'png', size: 64 });
@@ -453,6 +507,18 @@ client.on(Events.InteractionCreate, async (interaction) => {
     }
     if (interaction.isButton()) {
       // Handle button interactions
+      if (interaction.customId.startsWith('duel_')) {
+        return require('./commands/duel').handleButton(interaction);
+      }
+
+      if (interaction.customId.startsWith('craftplan_')) {
+        return require('./commands/craft').handleButton(interaction);
+      }
+
+      if (interaction.customId.startsWith('salvage_')) {
+        return require('./commands/salvage').handleButton(interaction);
+      }
+
       if (interaction.customId.startsWith('market_buy_')) {
         const listingId = parseInt(interaction.customId.replace('market_buy_', ''));
         
@@ -718,6 +784,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
           const config = require('./utils/config');
           const { getUserPrefix } = require('./utils/roles');
           const logger = require('./utils/logger');
+          const { releaseCopies } = require('./utils/durability');
           const { EmbedBuilder } = require('discord.js');
           
           const userPrefix = await getUserPrefix(interaction.client, interaction.user);
@@ -759,12 +826,15 @@ client.on(Events.InteractionCreate, async (interaction) => {
           }
           
           // Deduct items from inventory and listing fee
+          // (worn gear keeps its durability on the listing)
+          const worn = releaseCopies(interaction.user.id, itemId, qty);
           db.prepare('UPDATE inventory SET qty=qty-? WHERE userId=? AND itemId=?').run(qty, interaction.user.id, itemId);
           db.prepare('DELETE FROM inventory WHERE qty<=0').run();
           db.prepare('UPDATE players SET drakari=drakari-? WHERE userId=?').run(actualFee, interaction.user.id);
           
           // Create market listing
-          const info = db.prepare('INSERT INTO market_listings(sellerId,itemId,qty,price,expiresAt) VALUES(?,?,?,?,?)').run(interaction.user.id, itemId, qty, price, actualExpires);
+          const info = db.prepare('INSERT INTO market_listings(sellerId,itemId,qty,price,expiresAt,wornCopies) VALUES(?,?,?,?,?,?)')
+            .run(interaction.user.id, itemId, qty, price, actualExpires, worn.length ? JSON.stringify(worn) : null);
           logger.info('market_list: user %s listed %s x%s for %s', interaction.user.id, itemId, qty, price);
           
           // Create success embed
@@ -0,0 +1,148 @@
+/**
+ * ARRIVAL NOTIFICATIONS
+ *
+ * Subscribes to travel 'arrival' events and tells players who opted in
+ * (players.arrivalNotify, set with /travel notify) that they have landed:
+ * - 'dm'     → direct message to the traveler
+ * - 'server' → message in the destination guild's boss notification channel,
+ *              falling back to its system channel
+ *
+ * The message summarizes the trip, any active boss at the destination and
+ * landmarks near the arrival point.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { db } = require('./store_sqlite');
+const { travelEvents } = require('./travel_events');
+const { getPOIById, getNearbyPOIs, calculateDistance } = require('./pois');
+const logger = require('./logger');
+
+const NEARBY_RADIUS_KM = 1500;
+const NEARBY_LIMIT = 3;
+
+let discordClient = null;
+
+/**
+ * Resolve display name and coordinates for an arrival destination
+ */
+function describeDestination(toGuildId) {
+  if (String(toGuildId).startsWith('landmark_')) {
+    const poi = getPOIById(toGuildId.replace('landmark_', ''));
+    return poi ? { name: `${poi.emoji || '🏛️'} ${poi.name}`, lat: poi.lat, lon: poi.lon } : { name: toGuildId };
+  }
+  const server = db.prepare('SELECT name, lat, lon FROM servers WHERE guildId=? ORDER BY addedAt DESC LIMIT 1').get(toGuildId);
+  return server ? { name: server.name || toGuildId, lat: server.lat, lon: server.lon } : { name: toGuildId };
+}
+
+/**
+ * Build the arrival summary embed
+ * @param {Object} arrival - Payload from the 'arrival' travel event
+ * @returns {EmbedBuilder}
+ */
+function buildArrivalEmbed(arrival) {
+  const dest = describeDestination(arrival.toGuildId);
+  const minutes = Math.floor(arrival.travelTime / 60000);
+  const seconds = Math.round((arrival.travelTime % 60000) / 1000);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🛬 Arrived at ${dest.name}`)
+    .setDescription(arrival.returning ? '↩️ Journey cancelled — back where you set out from.'
+      : arrival.firstVisit ? '✨ First time here — enjoy the discovery!' : 'Welcome back, traveler.')
+    .setColor(0x00D26A)
+    .addFields(
+      {
+        name: '🧳 Journey',
+        value: `**Duration:** ${minutes}m ${seconds}s\n**Distance:** ${Math.round(arrival.distance)} km\n**Stamina:** ${arrival.staminaCost}`,
+        inline: true
+      }
+    );
+
+  if (!arrival.isLandmark) {
+    const boss = db.prepare('SELECT name, hp, maxHp, tier, expiresAt FROM bosses WHERE guildId=? AND active=1 AND COALESCE(isWorldBoss,0)=0 AND expiresAt > ? ORDER BY id DESC LIMIT 1')
+      .get(arrival.toGuildId, Date.now());
+    embed.addFields({
+      name: '🐉 Boss',
+      value: boss
+        ? `**${boss.name}** (Tier ${boss.tier || 1})\n❤️ ${boss.hp}/${boss.maxHp} • ends <t:${Math.floor(boss.expiresAt / 1000)}:R>\nUse \`/boss attack\` to join!`
+        : 'No active boss here',
+      inline: true
+    });
+  }
+
+  if (dest.lat != null) {
+    const nearby = getNearbyPOIs(dest.lat, dest.lon, NEARBY_RADIUS_KM)
+      .filter(poi => `landmark_${poi.id}` !== arrival.toGuildId)
+      .slice(0, NEARBY_LIMIT);
+    embed.addFields({
+      name: '🗺️ Nearby Landmarks',
+      value: nearby.length
+        ? nearby.map(poi => `${poi.emoji} **${poi.name}** — ${Math.round(calculateDistance(dest.lat, dest.lon, poi.lat, poi.lon))} km`).join('\n')
+        : 'None within range',
+      inline: false
+    });
+  }
+
+  return embed
+    .setFooter({ text: 'Turn these off with /travel notify • QuestCord' })
+    .setTimestamp(arrival.arrivedAt);
+}
+
+/**
+ * Find a channel in the destination guild to post arrival messages
+ */
+async function resolveGuildChannel(guildId) {
+  const settings = db.prepare('SELECT channelId FROM boss_notification_settings WHERE guildId=? AND enabled=1').get(guildId);
+  if (settings && settings.channelId) {
+    const channel = await discordClient.channels.fetch(settings.channelId).catch(() => null);
+    if (channel && channel.isTextBased()) return channel;
+  }
+  const guild = await discordClient.guilds.fetch(guildId).catch(() => null);
+  return guild?.systemChannel || null;
+}
+
+/**
+ * Deliver the arrival message according to the player's preference
+ * @param {Object} arrival - Payload from the 'arrival' travel event
+ */
+async function notifyArrival(arrival) {
+  if (!discordClient) return;
+  const pref = db.prepare('SELECT arrivalNotify FROM players WHERE userId=?').get(arrival.userId)?.arrivalNotify || 'off';
+  if (pref === 'off') return;
+
+  try {
+    const embed = buildArrivalEmbed(arrival);
+
+    // Landmarks have no guild, so server messages fall back to a DM there
+    if (pref === 'server' && !arrival.isLandmark) {
+      const channel = await resolveGuildChannel(arrival.toGuildId);
+      if (channel) {
+        await channel.send({ content: `<@${arrival.userId}>`, embeds: [embed], allowedMentions: { users: [arrival.userId] } });
+        return;
+      }
+    }
+
+    const user = await discordClient.users.fetch(arrival.userId);
+    await user.send({ embeds: [embed] });
+  } catch (error) {
+    // Closed DMs and missing permissions are expected; never fail the arrival
+    logger.warn('[Arrival] Could not notify %s: %s', arrival.userId, error.message);
+  }
+}
+
+/**
+ * Start listening for arrivals
+ * @param {Client} client - Discord.js client instance
+ */
+function initializeArrivalNotifications(client) {
+  discordClient = client;
+  travelEvents.on('arrival', arrival => {
+    notifyArrival(arrival).catch(error => logger.error('[Arrival] Notification error:', error.message));
+  });
+  logger.info('[Arrival] Arrival notifications initialized');
+}
+
+module.exports = {
+  initializeArrivalNotifications,
+  buildArrivalEmbed,
+  notifyArrival
+};
@@ -0,0 +1,65 @@
+/**
+ * BATTLE LOG
+ *
+ * Persists every boss hit into battle_analytics and reads it back as a
+ * blow-by-blow fight log. The same rows feed /api/analytics, the admin
+ * debug stats and player profiles.
+ */
+
+const { db } = require('./store_sqlite');
+const { itemById } = require('./items');
+const logger = require('./logger');
+
+/**
+ * Record one boss attack
+ * @param {Object} hit - { userId, bossId, damage, weapon, crit, counterDamage, staminaSpent, bossHpAfter, playerHpAfter }
+ * @returns {boolean} Whether the row was written
+ */
+function recordBossHit(hit) {
+  try {
+    db.prepare(`
+      INSERT INTO battle_analytics (userId, bossId, damage, weapon, crit, counterDamage, staminaSpent, bossHpAfter, playerHpAfter, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      hit.userId,
+      hit.bossId,
+      hit.damage || 0,
+      hit.weapon || 'none',
+      hit.crit ? 1 : 0,
+      hit.counterDamage || 0,
+      hit.staminaSpent || 0,
+      hit.bossHpAfter ?? null,
+      hit.playerHpAfter ?? null,
+      Date.now()
+    );
+    return true;
+  } catch (error) {
+    logger.warn('[Battle Log] Failed to record boss hit:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the full fight log for a boss, oldest hit first
+ * @param {number} bossId - Boss ID
+ * @returns {Array} Hits with player and weapon names
+ */
+function getBossFightLog(bossId) {
+  return db.prepare(`
+    SELECT ba.id, ba.userId, p.name as playerName, ba.damage, ba.weapon, ba.crit, ba.counterDamage,
+           ba.staminaSpent, ba.bossHpAfter, ba.playerHpAfter, ba.timestamp
+    FROM battle_analytics ba
+    LEFT JOIN players p ON p.userId = ba.userId
+    WHERE ba.bossId = ?
+    ORDER BY ba.timestamp ASC, ba.id ASC
+  `).all(bossId).map(row => ({
+    ...row,
+    crit: !!row.crit,
+    weaponName: row.weapon && row.weapon !== 'none' ? (itemById(row.weapon)?.name || row.weapon) : 'Bare fists'
+  }));
+}
+
+module.exports = {
+  recordBossHit,
+  getBossFightLog
+};
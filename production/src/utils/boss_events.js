@@ -0,0 +1,319 @@
+/**
+ * SCHEDULED BOSS EVENTS
+ *
+ * Staff schedule themed boss spawns ahead of time (config.boss.events):
+ * - Each event fixes a start time and optionally the boss name, tier, target server
+ *   or region (continent) and a loot rewardMultiplier
+ * - Alert channels get an announcement when the event is scheduled and a reminder
+ *   reminderMinutes before it starts
+ * - processBossEvents() is polled by the bot; everything lives in boss_events, so
+ *   events scheduled before a restart still fire afterwards. Events that could not
+ *   spawn within maxLateMinutes of their start are marked missed
+ *
+ * Mutating helpers return { ok: true, ... } or { ok: false, reason } for the command layer.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { broadcastBossAlert } = require('./boss_settings');
+const { getEligibleServersForBoss, pickWeightedServer, spawnBossInServer } = require('./boss_spawner');
+const { findNearestCountry, getCountriesByContinent } = require('./countries');
+
+function eventsConfig() {
+  return (config.boss && config.boss.events) || {};
+}
+
+/**
+ * Regions an event can target (continents from the relocation country list)
+ * @returns {Array<string>}
+ */
+function getEventRegions() {
+  return Object.keys(getCountriesByContinent()).sort();
+}
+
+/**
+ * Continent a server sits in, based on the nearest known country
+ * @param {Object} server - Server row with lat/lon
+ * @returns {string|null}
+ */
+function getServerRegion(server) {
+  if (server.lat == null || server.lon == null) return null;
+  return findNearestCountry(server.lat, server.lon, eventsConfig().regionMaxDistanceKm ?? 3000)?.continent || null;
+}
+
+/**
+ * Parse a start time: relative ("90m", "2h", "1d"), unix seconds or an ISO date
+ * @param {string} input - User input
+ * @returns {number|null} Timestamp in ms or null when unparseable
+ */
+function parseStartTime(input) {
+  const text = String(input || '').trim();
+  const relative = text.match(/^(\d+)\s*(m|h|d)$/i);
+  if (relative) {
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[relative[2].toLowerCase()];
+    return Date.now() + parseInt(relative[1], 10) * unit;
+  }
+  if (/^\d{9,10}$/.test(text)) return parseInt(text, 10) * 1000;
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Get an event by ID
+ * @param {number} eventId - Event ID
+ * @returns {Object|null}
+ */
+function getBossEvent(eventId) {
+  return db.prepare('SELECT * FROM boss_events WHERE id=?').get(eventId) || null;
+}
+
+/**
+ * Events that have not started yet, soonest first
+ * @param {number} limit - Max rows
+ * @returns {Array}
+ */
+function getUpcomingBossEvents(limit = eventsConfig().listLimit ?? 10) {
+  return db.prepare(`
+    SELECT e.*, s.name AS serverName FROM boss_events e
+    LEFT JOIN servers s ON s.guildId = e.guildId
+    WHERE e.status IN ('scheduled', 'spawning')
+    GROUP BY e.id
+    ORDER BY e.startsAt ASC LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * Events that already fired (or were missed/cancelled), newest first, with boss outcome
+ * @param {number} limit - Max rows
+ * @returns {Array}
+ */
+function getRecentBossEvents(limit = eventsConfig().listLimit ?? 10) {
+  return db.prepare(`
+    SELECT e.*, s.name AS serverName, b.hp AS bossHp, b.maxHp AS bossMaxHp, b.active AS bossActive
+    FROM boss_events e
+    LEFT JOIN servers s ON s.guildId = COALESCE(e.spawnedGuildId, e.guildId)
+    LEFT JOIN bosses b ON b.id = e.bossId
+    WHERE e.status NOT IN ('scheduled', 'spawning')
+    GROUP BY e.id
+    ORDER BY e.startsAt DESC LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * Human readable target of an event
+ */
+function describeEventTarget(event) {
+  if (event.guildId) return `**${event.serverName || event.guildId}**`;
+  if (event.region) return `a server in **${event.region}**`;
+  return 'an active server';
+}
+
+// Embed used for both the schedule announcement and the reminder
+function eventEmbed(event, title, client) {
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(`**${event.title}**\nA boss will appear in ${describeEventTarget(event)} <t:${Math.floor(event.startsAt / 1000)}:R>.`)
+    .setColor(0xFF8C00)
+    .addFields(
+      { name: '💀 Boss', value: `${event.bossName || 'Mystery boss'}${event.tier ? ` (Tier ${event.tier})` : ''}`, inline: true },
+      { name: '⏰ Starts', value: `<t:${Math.floor(event.startsAt / 1000)}:F>`, inline: true },
+      { name: '🎁 Rewards', value: event.rewardMultiplier > 1 ? `**${event.rewardMultiplier}x** loot` : 'Standard loot', inline: true }
+    )
+    .setFooter({ text: `Event #${event.id} • QuestCord`, iconURL: client.user?.displayAvatarURL() })
+    .setTimestamp();
+}
+
+async function announceEvent(client, event, title) {
+  await broadcastBossAlert(client, target => ({
+    content: `${target.roleId ? `<@&${target.roleId}> ` : ''}📅 **BOSS EVENT** 📅`,
+    embeds: [eventEmbed(event, title, client)]
+  }));
+}
+
+/**
+ * Schedule a boss event
+ *
+ * @param {Object} options - { title, startsAt, bossName, tier, guildId, region, rewardMultiplier, createdBy }
+ * @param {Client|null} client - Discord client; when given the event is announced right away
+ */
+async function createBossEvent(options, client = null) {
+  const cfg = eventsConfig();
+  const now = Date.now();
+  const { startsAt, guildId, region } = options;
+  if (!startsAt || startsAt <= now) return { ok: false, reason: 'start_in_past' };
+  if (startsAt - now > (cfg.maxLeadDays ?? 60) * 24 * 60 * 60 * 1000) return { ok: false, reason: 'start_too_far' };
+  if (guildId && region) return { ok: false, reason: 'server_and_region' };
+  if (region && !getEventRegions().includes(region)) return { ok: false, reason: 'unknown_region' };
+  if (guildId) {
+    const server = db.prepare('SELECT guildId, lat FROM servers WHERE guildId=? AND archived=0').get(guildId);
+    if (!server || server.lat == null) return { ok: false, reason: 'unknown_server' };
+    if (process.env.SPAWN_GUILD_ID && guildId === process.env.SPAWN_GUILD_ID) return { ok: false, reason: 'spawn_server' };
+  }
+  const rewardMultiplier = options.rewardMultiplier ?? 1;
+  if (rewardMultiplier < 1 || rewardMultiplier > (cfg.maxRewardMultiplier ?? 5)) return { ok: false, reason: 'bad_multiplier' };
+
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO boss_events (title, bossName, tier, guildId, region, startsAt, rewardMultiplier, createdBy, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(options.title, options.bossName || null, options.tier || null, guildId || null, region || null,
+    startsAt, rewardMultiplier, options.createdBy || null, now);
+
+  const event = db.prepare(`
+    SELECT e.*, s.name AS serverName FROM boss_events e
+    LEFT JOIN servers s ON s.guildId = e.guildId
+    WHERE e.id = ? GROUP BY e.id
+  `).get(lastInsertRowid);
+  logger.info('[Boss Events] Scheduled event %s "%s" for %s', event.id, event.title, new Date(startsAt).toISOString());
+
+  if (client) {
+    try {
+      await announceEvent(client, event, '📅 Boss Event Scheduled');
+      // Events starting inside the reminder window don't need a second ping
+      const soon = startsAt - now <= (cfg.reminderMinutes ?? 30) * 60 * 1000;
+      db.prepare('UPDATE boss_events SET announcedAt=?, remindedAt=? WHERE id=?').run(now, soon ? now : null, event.id);
+    } catch (error) {
+      logger.warn('[Boss Events] Failed to announce event %s: %s', event.id, error.message);
+    }
+  }
+
+  return { ok: true, event };
+}
+
+/**
+ * Cancel an event that has not spawned yet
+ * @param {number} eventId - Event ID
+ */
+function cancelBossEvent(eventId) {
+  const event = getBossEvent(eventId);
+  if (!event) return { ok: false, reason: 'not_found' };
+  if (event.status !== 'scheduled') return { ok: false, reason: 'not_scheduled' };
+  db.prepare("UPDATE boss_events SET status='cancelled' WHERE id=? AND status='scheduled'").run(eventId);
+  logger.info('[Boss Events] Cancelled event %s', eventId);
+  return { ok: true, event };
+}
+
+// Pick the host server for a due event, or null to retry on the next poll
+function resolveEventServer(event) {
+  if (event.guildId) {
+    const server = db.prepare('SELECT * FROM servers WHERE guildId=? AND archived=0').get(event.guildId);
+    if (!server) return null;
+    const busy = db.prepare('SELECT 1 FROM bosses WHERE guildId=? AND active=1 AND COALESCE(isWorldBoss, 0) = 0').get(event.guildId);
+    return busy ? null : server;
+  }
+  // Events ignore the per-server spawn cooldown, but not opt-outs or active bosses
+  const servers = getEligibleServersForBoss({ ignoreCooldown: true })
+    .filter(s => !event.region || getServerRegion(s) === event.region);
+  return servers.length ? pickWeightedServer(servers) : null;
+}
+
+/**
+ * Restore events interrupted mid-spawn by a restart
+ * A boss row carrying the eventId means the spawn went through before the crash
+ */
+function recoverInterruptedBossEvents() {
+  const stuck = db.prepare("SELECT * FROM boss_events WHERE status='spawning'").all();
+  for (const event of stuck) {
+    const boss = db.prepare('SELECT id, guildId FROM bosses WHERE eventId=? ORDER BY id DESC LIMIT 1').get(event.id);
+    if (boss) {
+      db.prepare("UPDATE boss_events SET status='spawned', bossId=?, spawnedGuildId=? WHERE id=?").run(boss.id, boss.guildId, event.id);
+    } else {
+      db.prepare("UPDATE boss_events SET status='scheduled' WHERE id=?").run(event.id);
+    }
+    logger.info('[Boss Events] Recovered interrupted event %s (%s)', event.id, boss ? 'spawned' : 'rescheduled');
+  }
+  return stuck.length;
+}
+
+/**
+ * Send due reminders and spawn due events; safe to call repeatedly
+ *
+ * @param {Client|null} client - Discord client for announcements
+ * @returns {Promise<Array>} Boss data for events spawned this call
+ */
+async function processBossEvents(client = null) {
+  const cfg = eventsConfig();
+  const now = Date.now();
+  const spawned = [];
+
+  if (client) {
+    const reminderMs = (cfg.reminderMinutes ?? 30) * 60 * 1000;
+    const due = db.prepare(`
+      SELECT e.*, s.name AS serverName FROM boss_events e
+      LEFT JOIN servers s ON s.guildId = e.guildId
+      WHERE e.status = 'scheduled' AND e.remindedAt IS NULL AND e.startsAt > ? AND e.startsAt <= ?
+      GROUP BY e.id
+    `).all(now, now + reminderMs);
+    for (const event of due) {
+      try {
+        await announceEvent(client, event, '⏰ Boss Event Starting Soon');
+        db.prepare('UPDATE boss_events SET remindedAt=? WHERE id=?').run(Date.now(), event.id);
+      } catch (error) {
+        logger.warn('[Boss Events] Failed to send reminder for event %s: %s', event.id, error.message);
+      }
+    }
+  }
+
+  const ready = db.prepare("SELECT * FROM boss_events WHERE status='scheduled' AND startsAt <= ? ORDER BY startsAt").all(now);
+  for (const event of ready) {
+    if (now - event.startsAt > (cfg.maxLateMinutes ?? 360) * 60 * 1000) {
+      db.prepare("UPDATE boss_events SET status='missed', error=? WHERE id=?").run('No host server became available in time', event.id);
+      logger.warn('[Boss Events] Event %s missed its start window', event.id);
+      continue;
+    }
+
+    const server = resolveEventServer(event);
+    if (!server) continue;
+
+    // Claim the event so overlapping polls can't spawn it twice
+    const claimed = db.prepare("UPDATE boss_events SET status='spawning' WHERE id=? AND status='scheduled'").run(event.id);
+    if (!claimed.changes) continue;
+
+    try {
+      const boss = await spawnBossInServer(server, {
+        name: event.bossName,
+        tier: event.tier,
+        eventId: event.id,
+        rewardMultiplier: event.rewardMultiplier,
+        notify: false
+      }, client);
+      db.prepare("UPDATE boss_events SET status='spawned', bossId=?, spawnedGuildId=? WHERE id=?").run(boss.id, server.guildId, event.id);
+      logger.info('[Boss Events] Event %s spawned %s in %s', event.id, boss.name, server.guildId);
+      spawned.push(boss);
+
+      if (client) {
+        const embed = new EmbedBuilder()
+          .setTitle(`🎉 ${event.title} has begun!`)
+          .setDescription(`**${boss.name}** (Tier ${boss.tier}) has appeared in **${server.name || server.guildId}**. Travel there and use \`/boss attack\`!`)
+          .setColor(0xFF8C00)
+          .addFields({ name: '🎁 Rewards', value: boss.rewardMultiplier > 1 ? `**${boss.rewardMultiplier}x** loot` : 'Standard loot', inline: true })
+          .setFooter({ text: `Event #${event.id} • QuestCord`, iconURL: client.user?.displayAvatarURL() })
+          .setTimestamp();
+        await broadcastBossAlert(client, target => ({
+          content: `${target.roleId ? `<@&${target.roleId}> ` : ''}🎉 **BOSS EVENT STARTED** 🎉`,
+          embeds: [embed]
+        })).catch(error => logger.warn('[Boss Events] Failed to announce start of event %s: %s', event.id, error.message));
+      }
+    } catch (error) {
+      db.prepare("UPDATE boss_events SET status='failed', error=? WHERE id=?").run(error.message, event.id);
+      logger.error('[Boss Events] Failed to spawn event %s: %s', event.id, error.message);
+    }
+  }
+
+  return spawned;
+}
+
+module.exports = {
+  getEventRegions,
+  getServerRegion,
+  parseStartTime,
+  getBossEvent,
+  getUpcomingBossEvents,
+  getRecentBossEvents,
+  describeEventTarget,
+  createBossEvent,
+  cancelBossEvent,
+  recoverInterruptedBossEvents,
+  processBossEvents
+};
@@ -0,0 +1,232 @@
+/**
+ * BOSS LOOT DISTRIBUTION
+ *
+ * Shares out a defeated boss's loot by damage contribution (config.boss.loot):
+ * - The boss rolls baseRolls + rollsPerParticipant * participants items with
+ *   pickLootByTier(); each participant is guaranteed minRollsPerParticipant and the
+ *   rest are handed out at random, weighted by share of boss_participants.damage
+ * - The drakari pool (drakariPerTier * tier * participants) is split by the same share
+ * - The top damage dealer gets topDamageBonusRolls extra rolls one tier higher and
+ *   topDamageDrakariBonusPct extra drakari
+ * - Each roll has biomeDropChance to become a biome-themed material from the
+ *   gathering table of the boss's server
+ * - Parties that fought together (config.party) get a completion bonus: extra
+ *   drakari (completionDrakariBonusPct of each member's payout) and bonus rolls
+ * - Scheduled event bosses carry a rewardMultiplier that scales the shared rolls
+ *   and the drakari pool
+ * - Every participant has a chance at a recipe scroll (config.crafting.unlocks)
+ *
+ * Results are stored in boss_rewards so players can review them later (DM + API).
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const { itemById, pickLootByTier } = require('./items');
+const { isPremium } = require('./roles');
+const { getBiomeTable } = require('./gathering');
+const { fightingParties } = require('./parties');
+const { rollBossScroll } = require('./recipe_unlocks');
+const logger = require('./logger');
+
+function lootConfig() {
+  return (config.boss && config.boss.loot) || {};
+}
+
+// Biome-themed material from the boss server's gathering table
+function rollBiomeDrop(biome) {
+  const { table } = getBiomeTable(biome);
+  if (!table.length) return null;
+  const total = table.reduce((sum, e) => sum + (e.weight || 0), 0);
+  let roll = Math.random() * total;
+  const entry = table.find(e => (roll -= e.weight || 0) < 0) || table[table.length - 1];
+  const maxQty = Math.max(1, lootConfig().biomeDropMaxQty || 1);
+  return { itemId: entry.itemId, qty: 1 + Math.floor(Math.random() * maxQty) };
+}
+
+// Pick a participant index weighted by damage share
+function pickByShare(shares) {
+  let roll = Math.random();
+  for (let i = 0; i < shares.length; i++) {
+    roll -= shares[i];
+    if (roll < 0) return i;
+  }
+  return shares.length - 1;
+}
+
+function addItem(list, itemId, qty, source) {
+  const existing = list.find(e => e.itemId === itemId && e.source === source);
+  if (existing) existing.qty += qty;
+  else list.push({ itemId, qty, source });
+}
+
+/**
+ * Roll, grant and record loot for every participant of a defeated boss
+ * 
+ * @param {Client} client - Discord client (premium checks)
+ * @param {Object} boss - Boss row
+ * @param {Array} participants - boss_participants rows ({ userId, damage })
+ * @returns {Promise<Array>} Reward breakdowns sorted by rank
+ */
+async function distributeBossLoot(client, boss, participants) {
+  const cfg = lootConfig();
+  const tier = boss.tier || 1;
+  const biome = db.prepare('SELECT biome FROM servers WHERE guildId=? ORDER BY addedAt DESC LIMIT 1').get(boss.guildId)?.biome;
+
+  const ranked = participants.slice().sort((a, b) => (b.damage || 0) - (a.damage || 0));
+  if (!ranked.length) return [];
+  const totalDamage = ranked.reduce((sum, p) => sum + Math.max(0, p.damage || 0), 0);
+  const shares = ranked.map(p => (totalDamage > 0 ? Math.max(0, p.damage || 0) / totalDamage : 1 / ranked.length));
+
+  const rewards = [];
+  for (let i = 0; i < ranked.length; i++) {
+    rewards.push({
+      userId: ranked[i].userId,
+      damage: ranked[i].damage || 0,
+      share: shares[i],
+      rank: i + 1,
+      premium: await isPremium(client, ranked[i].userId),
+      topDamage: i === 0,
+      drakari: 0,
+      partyBonus: 0,
+      items: []
+    });
+  }
+
+  const rollFor = (reward, rollTier, source) => {
+    // Bonus rolls are always boss loot; regular rolls may become biome materials
+    if (source === 'boss' && Math.random() < (cfg.biomeDropChance || 0)) {
+      const drop = rollBiomeDrop(biome);
+      if (drop) return addItem(reward.items, drop.itemId, drop.qty, 'biome');
+    }
+    const lootId = pickLootByTier(rollTier, reward.premium);
+    if (lootId) addItem(reward.items, lootId, 1, source);
+  };
+
+  // Guaranteed participation rolls, then the shared pool by contribution
+  const minRolls = cfg.minRollsPerParticipant ?? 1;
+  const multiplier = boss.rewardMultiplier || 1;
+  const totalRolls = Math.round(((cfg.baseRolls ?? 4) + (cfg.rollsPerParticipant ?? 3) * ranked.length) * multiplier);
+  for (const reward of rewards) {
+    for (let r = 0; r < minRolls; r++) rollFor(reward, tier, 'boss');
+  }
+  for (let r = rewards.length * minRolls; r < totalRolls; r++) {
+    rollFor(rewards[pickByShare(shares)], tier, 'boss');
+  }
+
+  // Drakari pool split by share
+  const pool = (cfg.drakariPerTier ?? 50) * tier * ranked.length * multiplier;
+  for (const reward of rewards) reward.drakari = Math.round(pool * reward.share);
+
+  // Top damage bonus
+  const top = rewards[0];
+  const bonusTier = Math.min(tier + (cfg.topDamageTierBonus ?? 1), (config.boss && config.boss.maxTier) || tier);
+  for (let r = 0; r < (cfg.topDamageBonusRolls ?? 2); r++) rollFor(top, bonusTier, 'top_damage');
+  top.drakari += Math.round(top.drakari * (cfg.topDamageDrakariBonusPct ?? 0));
+
+  // Recipe scrolls roll separately so they don't crowd out regular loot
+  for (const reward of rewards) {
+    const scrollId = rollBossScroll(tier);
+    if (scrollId) addItem(reward.items, scrollId, 1, 'scroll');
+  }
+
+  // Party completion bonus for members who fought alongside their party
+  const partyCfg = config.party || {};
+  for (const members of fightingParties(rewards.map(r => r.userId)).values()) {
+    for (const reward of rewards.filter(r => members.includes(r.userId))) {
+      reward.partyBonus = Math.round(reward.drakari * (partyCfg.completionDrakariBonusPct ?? 0));
+      reward.drakari += reward.partyBonus;
+      for (let r = 0; r < (partyCfg.completionBonusRolls ?? 0); r++) rollFor(reward, tier, 'party');
+    }
+  }
+
+  const now = Date.now();
+  const grant = db.transaction(() => {
+    for (const reward of rewards) {
+      for (const { itemId, qty } of reward.items) {
+        const existing = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(reward.userId, itemId);
+        if (!existing) db.prepare('INSERT INTO inventory(userId,itemId,qty) VALUES(?,?,?)').run(reward.userId, itemId, qty);
+        else db.prepare('UPDATE inventory SET qty=qty+? WHERE userId=? AND itemId=?').run(qty, reward.userId, itemId);
+      }
+      db.prepare('UPDATE players SET drakari=drakari+?, bossKills=COALESCE(bossKills,0)+1 WHERE userId=?').run(reward.drakari, reward.userId);
+      db.prepare(`
+        INSERT OR REPLACE INTO boss_rewards (bossId, userId, damage, share, rank, drakari, items, topDamage, partyBonus, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(boss.id, reward.userId, reward.damage, reward.share, reward.rank, reward.drakari,
+        JSON.stringify(reward.items), reward.topDamage ? 1 : 0, reward.partyBonus, now);
+    }
+  });
+  grant();
+
+  return rewards;
+}
+
+/**
+ * Get the stored reward breakdown for a boss
+ * @param {number} bossId - Boss ID
+ * @param {string|null} userId - Optional participant filter
+ * @returns {Array} Rows with parsed items
+ */
+function getBossRewards(bossId, userId = null) {
+  const rows = userId
+    ? db.prepare('SELECT * FROM boss_rewards WHERE bossId=? AND userId=? ORDER BY rank').all(bossId, userId)
+    : db.prepare('SELECT * FROM boss_rewards WHERE bossId=? ORDER BY rank').all(bossId);
+  return rows.map(row => {
+    let items = [];
+    try { items = JSON.parse(row.items || '[]'); } catch { items = []; }
+    return { ...row, topDamage: !!row.topDamage, items };
+  });
+}
+
+/**
+ * Render a reward's items as display lines
+ */
+function formatRewardItems(items) {
+  const icons = { boss: '🎁', top_damage: '👑', biome: '🌿', party: '👥', scroll: '📜' };
+  return items
+    .map(({ itemId, qty, source }) => `${icons[source] || '🎁'} **${itemById(itemId)?.name || itemId}** × ${qty}`)
+    .join('\n') || 'No items';
+}
+
+/**
+ * DM every participant their personal reward breakdown
+ * Failures (closed DMs) are logged and ignored
+ * 
+ * @param {Client} client - Discord client
+ * @param {Object} boss - Boss row
+ * @param {Array} rewards - Result of distributeBossLoot
+ * @param {string} serverName - Where the boss was fought
+ */
+async function sendRewardDMs(client, boss, rewards, serverName) {
+  for (const reward of rewards) {
+    try {
+      const embed = new EmbedBuilder()
+        .setTitle(`🏆 ${boss.name} Defeated — Your Rewards`)
+        .setDescription(`Tier ${boss.tier || 1} boss at **${serverName || boss.guildId}**`)
+        .setColor(reward.topDamage ? 0xFFD700 : 0x5865F2)
+        .addFields(
+          {
+            name: '⚔️ Contribution',
+            value: `**${reward.damage.toLocaleString()}** damage\n**${(reward.share * 100).toFixed(1)}%** of total • Rank #${reward.rank}${reward.topDamage ? '\n👑 Top damage bonus!' : ''}`,
+            inline: true
+          },
+          { name: '💰 Currency', value: `**${reward.drakari}** ${config.currencyName || 'Drakari'}${reward.partyBonus ? `\n👥 +${reward.partyBonus} party bonus` : ''}`, inline: true },
+          { name: '🎒 Loot', value: formatRewardItems(reward.items), inline: false }
+        )
+        .setFooter({ text: `Boss #${boss.id} • QuestCord` })
+        .setTimestamp();
+
+      const user = await client.users.fetch(reward.userId);
+      await user.send({ embeds: [embed] });
+    } catch (error) {
+      logger.warn('[Boss Loot] Could not DM rewards to %s: %s', reward.userId, error.message);
+    }
+  }
+}
+
+module.exports = {
+  distributeBossLoot,
+  getBossRewards,
+  formatRewardItems,
+  sendRewardDMs
+};
@@ -0,0 +1,284 @@
+/**
+ * BOSS FIGHT MECHANICS
+ *
+ * Config-driven phases, enrage and special abilities for boss fights.
+ * A boss's definition is resolved in order from:
+ *   config.boss.definitions[<boss name>]  → per-boss override
+ *   config.boss.archetypes[<biome>]       → biome whose config.boss.names list contains the name
+ *   config.boss.archetypes._default
+ *
+ * Definition shape:
+ *   phases: [{ threshold, name, counterMult?, damageTakenMult?, abilities: [key], onEnter?: [key] }]
+ *           threshold is the HP fraction at or below which the phase starts (first phase uses 1)
+ *   enrage: { name, beforeExpiryMs, counterMult, abilityChanceMult }
+ *
+ * Abilities live in config.boss.abilities keyed by name:
+ *   aoe           { damage: { min, max } }                 → hits every participant at the fight (gear mitigates)
+ *   shield        { attackers, reduction, durationMs }      → cuts damage until N distinct players hit
+ *   stamina_drain { amount, target: 'attacker' | 'all' }    → removes stamina
+ * Each has `chance` (per attack, in phases that list it), `name` and `emoji`.
+ *
+ * State is stored on the bosses row (phase, enraged, shieldAbility, shieldAttackers, shieldExpiresAt).
+ */
+
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const { getEquipmentStats, mitigateDamage } = require('./equipment');
+const { getEffectMultiplier, applyRegenForUser } = require('./regen');
+const { knockDown } = require('./downed');
+
+function bossConfig() {
+  return config.boss || {};
+}
+
+// Biome whose name list contains this boss
+function biomeForName(name) {
+  const names = bossConfig().names || {};
+  for (const [biome, list] of Object.entries(names)) {
+    if (Array.isArray(list) && list.includes(name)) return biome;
+  }
+  return '_default';
+}
+
+/**
+ * Resolve the mechanics definition for a boss
+ * @param {Object} boss - Boss row
+ * @returns {Object} { phases, enrage }
+ */
+function getBossDefinition(boss) {
+  const cfg = bossConfig();
+  const archetypes = cfg.archetypes || {};
+  const def = (cfg.definitions || {})[boss.name] || archetypes[biomeForName(boss.name)] || archetypes._default || {};
+  const phases = (def.phases && def.phases.length ? def.phases : [{ threshold: 1, name: 'Battle', abilities: [] }])
+    .slice()
+    .sort((a, b) => b.threshold - a.threshold);
+  return { phases, enrage: def.enrage || null };
+}
+
+function getAbility(key) {
+  const ability = (bossConfig().abilities || {})[key];
+  return ability ? { key, ...ability } : null;
+}
+
+/**
+ * Phase index for an HP value
+ */
+function phaseIndexFor(def, hp, maxHp) {
+  const fraction = maxHp > 0 ? hp / maxHp : 0;
+  let index = 0;
+  def.phases.forEach((phase, i) => {
+    if (fraction <= phase.threshold) index = i;
+  });
+  return index;
+}
+
+function isEnrageDue(def, boss, now) {
+  return !!def.enrage && now >= boss.expiresAt - (def.enrage.beforeExpiryMs || 0);
+}
+
+function activeShield(boss, now) {
+  if (!boss.shieldAbility || !(boss.shieldExpiresAt > now)) return null;
+  const ability = getAbility(boss.shieldAbility);
+  if (!ability) return null;
+  let attackers = [];
+  try { attackers = JSON.parse(boss.shieldAttackers || '[]'); } catch { attackers = []; }
+  return { ability, attackers };
+}
+
+/**
+ * Adjust an incoming hit for phase resistance and any active shield
+ * A shield breaks once enough distinct players have struck it; the breaking hit lands in full
+ * 
+ * @param {Object} boss - Boss row (before the hit)
+ * @param {string} userId - Attacker
+ * @param {number} damage - Raw damage
+ * @returns {Object} { damage, events }
+ */
+function applyPreHitMechanics(boss, userId, damage) {
+  const now = Date.now();
+  const def = getBossDefinition(boss);
+  const phase = def.phases[boss.phase || 0] || def.phases[0];
+  const events = [];
+  let dealt = damage * (phase.damageTakenMult ?? 1);
+
+  const shield = activeShield(boss, now);
+  if (shield) {
+    if (!shield.attackers.includes(userId)) shield.attackers.push(userId);
+    if (shield.attackers.length >= (shield.ability.attackers || 1)) {
+      db.prepare('UPDATE bosses SET shieldAbility=NULL, shieldAttackers=NULL, shieldExpiresAt=0 WHERE id=?').run(boss.id);
+      events.push({ kind: 'shield_break', ability: shield.ability, announce: true });
+    } else {
+      db.prepare('UPDATE bosses SET shieldAttackers=? WHERE id=?').run(JSON.stringify(shield.attackers), boss.id);
+      dealt *= 1 - (shield.ability.reduction || 0);
+      events.push({
+        kind: 'shield_block',
+        ability: shield.ability,
+        remaining: (shield.ability.attackers || 1) - shield.attackers.length
+      });
+    }
+  }
+
+  return { damage: Math.max(0, Math.floor(dealt)), events };
+}
+
+// Carry out one ability and describe what happened
+function executeAbility(boss, ability, attackerId) {
+  const now = Date.now();
+
+  if (ability.type === 'aoe') {
+    const min = ability.damage?.min ?? 5;
+    const max = Math.max(min, ability.damage?.max ?? min);
+    // Only fighters still at the fight and not travelling: the boss's server, or any registered
+    // server for a world boss (where it can be attacked from)
+    const targets = db.prepare(`
+      SELECT bp.userId FROM boss_participants bp
+      JOIN players p ON p.userId = bp.userId
+      WHERE bp.bossId = ? AND p.health > 0
+        AND (COALESCE(p.travelArrivalAt, 0) = 0 OR p.travelArrivalAt <= ?)
+        AND (p.locationGuildId = ? OR (? = 1 AND EXISTS (
+          SELECT 1 FROM servers s WHERE s.guildId = p.locationGuildId AND s.archived = 0
+        )))
+    `).all(boss.id, now, boss.guildId, boss.isWorldBoss ? 1 : 0);
+    const hits = [];
+    for (const t of targets) {
+      // Bank regen accrued so far before overwriting health
+      applyRegenForUser(t.userId);
+      const health = db.prepare('SELECT health FROM players WHERE userId=?').get(t.userId)?.health || 0;
+      if (health <= 0) continue;
+      const raw = Math.floor(Math.random() * (max - min + 1)) + min;
+      const damage = Math.round(mitigateDamage(raw, getEquipmentStats(t.userId)) / getEffectMultiplier(t.userId, 'defense'));
+      const hp = Math.max(0, health - damage);
+      db.prepare('UPDATE players SET health=? WHERE userId=?').run(hp, t.userId);
+      if (hp === 0) knockDown(t.userId);
+      hits.push({ userId: t.userId, damage, hp });
+    }
+    return { kind: 'aoe', ability, hits, announce: true };
+  }
+
+  if (ability.type === 'shield') {
+    if (activeShield(boss, now)) return null;
+    db.prepare('UPDATE bosses SET shieldAbility=?, shieldAttackers=?, shieldExpiresAt=? WHERE id=?')
+      .run(ability.key, '[]', now + (ability.durationMs || 300000), boss.id);
+    boss.shieldAbility = ability.key;
+    boss.shieldAttackers = '[]';
+    boss.shieldExpiresAt = now + (ability.durationMs || 300000);
+    return { kind: 'shield_up', ability, announce: true };
+  }
+
+  if (ability.type === 'stamina_drain') {
+    const amount = ability.amount || 5;
+    const targets = ability.target === 'all'
+      ? db.prepare('SELECT userId FROM boss_participants WHERE bossId=?').all(boss.id).map(r => r.userId)
+      : [attackerId];
+    const drain = db.prepare('UPDATE players SET stamina=MAX(0, COALESCE(stamina, 0) - ?), staminaUpdatedAt=? WHERE userId=?');
+    for (const userId of targets) drain.run(amount, now, userId);
+    return { kind: 'stamina_drain', ability, amount, targets, announce: true };
+  }
+
+  return null;
+}
+
+/**
+ * Advance phases/enrage and roll abilities after a hit that left the boss alive
+ * 
+ * @param {Object} boss - Boss row (before the hit)
+ * @param {string} userId - Attacker
+ * @param {number} hpAfter - Boss HP after the hit
+ * @returns {Object} { events, counterMult, phase, enraged }
+ */
+function applyPostHitMechanics(boss, userId, hpAfter) {
+  const now = Date.now();
+  const def = getBossDefinition(boss);
+  const events = [];
+
+  const prevIndex = boss.phase || 0;
+  const index = Math.max(prevIndex, phaseIndexFor(def, hpAfter, boss.maxHp));
+  const phase = def.phases[index];
+  if (index > prevIndex) {
+    db.prepare('UPDATE bosses SET phase=? WHERE id=?').run(index, boss.id);
+    events.push({ kind: 'phase', phase, index, announce: true });
+    for (const key of phase.onEnter || []) {
+      const ability = getAbility(key);
+      const event = ability && executeAbility(boss, ability, userId);
+      if (event) events.push(event);
+    }
+  }
+
+  let enraged = !!boss.enraged;
+  if (!enraged && isEnrageDue(def, boss, now)) {
+    enraged = true;
+    db.prepare('UPDATE bosses SET enraged=1 WHERE id=?').run(boss.id);
+    events.push({ kind: 'enrage', enrage: def.enrage, announce: true });
+  }
+
+  // At most one random ability per attack, rolled in listed order
+  const chanceMult = enraged ? (def.enrage?.abilityChanceMult ?? 1) : 1;
+  for (const key of phase.abilities || []) {
+    const ability = getAbility(key);
+    if (!ability || Math.random() >= Math.min(1, (ability.chance || 0) * chanceMult)) continue;
+    const event = executeAbility(boss, ability, userId);
+    if (event) {
+      events.push(event);
+      break;
+    }
+  }
+
+  const counterMult = (phase.counterMult ?? 1) * (enraged ? (def.enrage?.counterMult ?? 1) : 1);
+  return { events, counterMult, phase, enraged };
+}
+
+/**
+ * Render a mechanic event as a display line
+ */
+function formatMechanicEvent(event) {
+  const a = event.ability;
+  switch (event.kind) {
+    case 'phase':
+      return `⚠️ **Phase ${event.index + 1}: ${event.phase.name}** — the boss grows stronger!`;
+    case 'enrage':
+      return `😡 **${event.enrage.name || 'Enrage'}!** Time is running out — the boss hits harder and uses abilities more often.`;
+    case 'aoe':
+      return `${a.emoji || '💥'} **${a.name}** hits ${event.hits.length} fighter(s)` +
+        (event.hits.length ? `: ${event.hits.slice(0, 5).map(h => `<@${h.userId}> -${h.damage}`).join(', ')}${event.hits.length > 5 ? '…' : ''}` : '');
+    case 'shield_up':
+      return `${a.emoji || '🛡️'} **${a.name}** raised! Damage reduced by ${Math.round((a.reduction || 0) * 100)}% until ${a.attackers} different fighters strike it.`;
+    case 'shield_block':
+      return `${a.emoji || '🛡️'} **${a.name}** absorbs the blow — ${event.remaining} more fighter(s) needed to break it.`;
+    case 'shield_break':
+      return `💥 **${a.name}** shatters!`;
+    case 'stamina_drain':
+      return `${a.emoji || '💨'} **${a.name}** drains **${event.amount}** stamina from ${event.targets.length > 1 ? `${event.targets.length} fighters` : `<@${event.targets[0]}>`}.`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Status lines for the current phase, enrage and shield
+ * @param {Object} boss - Boss row
+ * @returns {string}
+ */
+function describeBossState(boss) {
+  const def = getBossDefinition(boss);
+  const phase = def.phases[boss.phase || 0] || def.phases[0];
+  const lines = [`**Phase ${(boss.phase || 0) + 1}/${def.phases.length}:** ${phase.name}`];
+  if (boss.enraged) {
+    lines.push(`😡 **${def.enrage?.name || 'Enraged'}**`);
+  } else if (def.enrage) {
+    lines.push(`⏳ Enrages <t:${Math.floor((boss.expiresAt - (def.enrage.beforeExpiryMs || 0)) / 1000)}:R>`);
+  }
+  const shield = activeShield(boss, Date.now());
+  if (shield) {
+    lines.push(`${shield.ability.emoji || '🛡️'} **${shield.ability.name}** — ${shield.attackers.length}/${shield.ability.attackers} fighters`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  biomeForName,
+  getBossDefinition,
+  applyPreHitMechanics,
+  applyPostHitMechanics,
+  formatMechanicEvent,
+  describeBossState
+};
@@ -0,0 +1,84 @@
+/**
+ * BOSS PARTICIPANT SCALING
+ *
+ * Regular bosses rescale as fighters join (config.boss.scaling):
+ * - HP factor = 1 + (participants - baselineParticipants) * hpPerParticipant,
+ *   clamped to [minHpFactor, maxHpFactor]; counter-damage scales the same way with
+ *   counterPerParticipant and its own floor/ceiling
+ * - maxHp is recomputed from the boss's unscaled baseMaxHp and current HP keeps its
+ *   percentage, so phases and the health bar stay consistent
+ * - World bosses already have a network-sized HP pool and are never rescaled
+ */
+
+const { db } = require('./store_sqlite');
+const config = require('./config');
+
+function scalingConfig() {
+  return (config.boss && config.boss.scaling) || {};
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Scaling factors for a given number of participants
+ * @param {number} participants - Distinct fighters on the boss
+ * @returns {{hpFactor: number, counterFactor: number}}
+ */
+function getScaleFactors(participants) {
+  const cfg = scalingConfig();
+  if (cfg.enabled === false) return { hpFactor: 1, counterFactor: 1 };
+  const extra = participants - (cfg.baselineParticipants ?? 3);
+  const round = v => Math.round(v * 100) / 100;
+  return {
+    hpFactor: round(clamp(1 + extra * (cfg.hpPerParticipant ?? 0.35), cfg.minHpFactor ?? 0.5, cfg.maxHpFactor ?? 4)),
+    counterFactor: round(clamp(1 + extra * (cfg.counterPerParticipant ?? 0.1), cfg.minCounterFactor ?? 0.6, cfg.maxCounterFactor ?? 2))
+  };
+}
+
+/**
+ * Rescale a boss for its current fighters before a hit lands
+ * Mutates and returns the boss row so callers keep working with fresh HP values
+ *
+ * @param {Object} boss - Boss row
+ * @param {string} userId - Attacker, counted even before their first hit is recorded
+ * @returns {Object} The (updated) boss row
+ */
+function rescaleBossForParticipants(boss, userId) {
+  if (boss.isWorldBoss || boss.hp <= 0) return boss;
+
+  const { n } = db.prepare(`
+    SELECT COUNT(*) AS n FROM boss_participants WHERE bossId = ? AND userId != ?
+  `).get(boss.id, userId);
+  const participants = n + 1;
+  if (participants === boss.participantCount) return boss;
+
+  const { hpFactor, counterFactor } = getScaleFactors(participants);
+  const baseMaxHp = boss.baseMaxHp || Math.round(boss.maxHp / (boss.scaleFactor || 1));
+  const maxHp = Math.max(1, Math.round(baseMaxHp * hpFactor));
+  const hp = Math.max(1, Math.round((boss.hp / boss.maxHp) * maxHp));
+
+  db.prepare(`
+    UPDATE bosses SET hp = ?, maxHp = ?, baseMaxHp = ?, scaleFactor = ?, counterFactor = ?, participantCount = ?
+    WHERE id = ? AND hp > 0
+  `).run(hp, maxHp, baseMaxHp, hpFactor, counterFactor, participants, boss.id);
+
+  return Object.assign(boss, { hp, maxHp, baseMaxHp, scaleFactor: hpFactor, counterFactor, participantCount: participants });
+}
+
+/**
+ * Scaling summary for embeds and the API
+ * @param {Object} boss - Boss row
+ * @returns {{hpFactor: number, counterFactor: number, participants: number, baseMaxHp: number}}
+ */
+function describeScaling(boss) {
+  return {
+    hpFactor: boss.scaleFactor || 1,
+    counterFactor: boss.counterFactor || 1,
+    participants: boss.participantCount || 0,
+    baseMaxHp: boss.baseMaxHp || boss.maxHp
+  };
+}
+
+module.exports = { getScaleFactors, rescaleBossForParticipants, describeScaling };
@@ -0,0 +1,73 @@
+const { db } = require('./store_sqlite');
+
+/**
+ * Per-guild boss settings stored in boss_notification_settings
+ * Each server configures its own fighter role, alert channel and ping role;
+ * guilds without a row (or with the relevant column unset) are skipped
+ */
+
+/**
+ * Get the raw settings row for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Settings row or null if the guild never configured anything
+ */
+function getBossSettings(guildId) {
+  if (!guildId) return null;
+  return db.prepare('SELECT * FROM boss_notification_settings WHERE guildId=?').get(guildId) || null;
+}
+
+/**
+ * Get the boss fighter role configured for a guild
+ * The fighter role is independent of whether alerts are enabled
+ * @param {string} guildId - Discord guild ID
+ * @returns {string|null} Role ID or null when not configured
+ */
+function getFighterRoleId(guildId) {
+  const settings = getBossSettings(guildId);
+  return settings?.fighterRoleId || null;
+}
+
+/**
+ * Get every guild that has boss alerts enabled with a channel set
+ * @returns {Array<{guildId: string, channelId: string, roleId: string|null}>}
+ */
+function getAlertTargets() {
+  return db.prepare(`
+    SELECT guildId, channelId, roleId FROM boss_notification_settings
+    WHERE enabled = 1 AND channelId IS NOT NULL
+  `).all();
+}
+
+/**
+ * Get every guild that has a fighter role configured
+ * @returns {Array<{guildId: string, fighterRoleId: string}>}
+ */
+function getFighterRoleGuilds() {
+  return db.prepare(`
+    SELECT guildId, fighterRoleId FROM boss_notification_settings
+    WHERE fighterRoleId IS NOT NULL
+  `).all();
+}
+
+/**
+ * Send a message to the alert channel of every configured guild
+ * Failures in one guild never stop delivery to the others
+ * @param {Client} client - Discord client
+ * @param {Function} buildMessage - (target) => message options for channel.send
+ * @returns {Promise<Array<Message>>} Messages that were delivered
+ */
+async function broadcastBossAlert(client, buildMessage) {
+  const sent = [];
+  for (const target of getAlertTargets()) {
+    try {
+      const channel = await client.channels.fetch(target.channelId).catch(() => null);
+      if (!channel || !channel.isTextBased()) continue;
+      sent.push(await channel.send(buildMessage(target)));
+    } catch (e) {
+      console.warn('[boss_settings] Failed to send boss alert to guild %s:', target.guildId, e.message);
+    }
+  }
+  return sent;
+}
+
+module.exports = { getBossSettings, getFighterRoleId, getAlertTargets, getFighterRoleGuilds, broadcastBossAlert };
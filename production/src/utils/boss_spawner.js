@@ -1,6 +1,8 @@
 const { db } = require('./store_sqlite');
 const config = require('./config');
 const logger = require('./logger');
+const { getFighterRoleId, getFighterRoleGuilds, broadcastBossAlert } = require('./boss_settings');
+const { maybeSpawnWorldBoss } = require('./world_boss');
 
 /**
  * Automatic Boss Spawning System
@@ -13,9 +15,7 @@ const BOSS_CONFIG = {
   SPAWN_INTERVAL: 2 * 60 * 60 * 1000, // 2 hours in milliseconds (check more frequently for single boss)
   get MAX_GLOBAL_BOSSES() { return config.boss?.maxActiveGlobal || 1; }, // Configurable max active bosses globally
   get MAX_BOSSES_PER_CYCLE() { return Math.min(this.MAX_GLOBAL_BOSSES, 3); }, // Maximum bosses that can spawn in a single cycle
-  SPAWN_CHANCE: 1.0, // 100% chance to spawn when no boss is active
-  NOTIFICATION_CHANNEL_ID: '1411045103921004554',
-  BOSS_ROLE_ID: '1411051374153826386' // Correct boss notification role
+  SPAWN_CHANCE: 1.0 // 100% chance to spawn when no boss is active
 };
 
 // Boss tier distribution (weighted random selection)
@@ -106,8 +106,8 @@ async function cleanupExpiredBosses(client = null) {
       
       logger.info(`[Boss Spawner] Cleaned up ${expiredBosses.length} expired bosses`);
 
-      // Schedule next boss spawn after expiry
-      if (expiredBosses.length > 0) {
+      // Schedule next boss spawn after expiry (world bosses run on their own cooldown)
+      if (expiredBosses.some(b => !b.isWorldBoss)) {
         scheduleNextBossSpawn();
       }
     }
@@ -159,12 +159,16 @@ async function cleanupExpiredBosses(client = null) {
 
 /**
  * Get random weighted boss tier
+ * The server biome scales individual tier weights via config.boss.biomeTierModifiers,
+ * so e.g. volcanic servers roll high tiers more often than meadows
  */
-function getRandomBossTier() {
-  const totalWeight = Object.values(BOSS_TIER_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+function getRandomBossTier(biome = null) {
+  const modifiers = (config.boss?.biomeTierModifiers || {})[biome ? biome.toLowerCase() : ''] || {};
+  const weights = Object.entries(BOSS_TIER_WEIGHTS).map(([tier, weight]) => [tier, weight * (modifiers[tier] ?? 1)]);
+  const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
   let random = Math.random() * totalWeight;
   
-  for (const [tier, weight] of Object.entries(BOSS_TIER_WEIGHTS)) {
+  for (const [tier, weight] of weights) {
     random -= weight;
     if (random <= 0) {
       return parseInt(tier);
@@ -183,10 +187,76 @@ function getBossNameForBiome(biome) {
   return names[Math.floor(Math.random() * names.length)];
 }
 
+/**
+ * Recent activity per guild used to weight boss spawns
+ * - arrivals: completed travel_history arrivals within the window
+ * - commands: command_logs entries run in the guild within the window
+ * - visitors: players currently standing in the guild (not traveling)
+ *
+ * @returns {Map<string, {arrivals: number, commands: number, visitors: number}>}
+ */
+function getServerActivity() {
+  const now = Date.now();
+  const since = now - (config.boss?.spawnWeighting?.windowHours ?? 24) * 60 * 60 * 1000;
+  const activity = new Map();
+  const bump = (guildId, key, n) => {
+    if (!guildId) return;
+    if (!activity.has(guildId)) activity.set(guildId, { arrivals: 0, commands: 0, visitors: 0 });
+    activity.get(guildId)[key] += n;
+  };
+
+  db.prepare(`
+    SELECT toGuildId AS guildId, COUNT(*) AS n FROM travel_history
+    WHERE COALESCE(cancelled, 0) = 0 AND arrivedAt >= ? AND arrivedAt <= ?
+    GROUP BY toGuildId
+  `).all(since, now).forEach(r => bump(r.guildId, 'arrivals', r.n));
+
+  db.prepare(`
+    SELECT guildId, COUNT(*) AS n FROM command_logs
+    WHERE guildId IS NOT NULL AND timestamp >= ?
+    GROUP BY guildId
+  `).all(since).forEach(r => bump(r.guildId, 'commands', r.n));
+
+  db.prepare(`
+    SELECT locationGuildId AS guildId, COUNT(*) AS n FROM players
+    WHERE locationGuildId IS NOT NULL AND (travelArrivalAt = 0 OR travelArrivalAt <= ?)
+    GROUP BY locationGuildId
+  `).all(now).forEach(r => bump(r.guildId, 'visitors', r.n));
+
+  return activity;
+}
+
+/**
+ * Spawn weight for a server from its activity (config.boss.spawnWeighting)
+ * Every eligible server keeps baseWeight so quiet servers can still roll a boss
+ */
+function getSpawnWeight({ arrivals, commands, visitors }) {
+  const w = config.boss?.spawnWeighting || {};
+  const weight = (w.baseWeight ?? 1) +
+    arrivals * (w.arrivalWeight ?? 3) +
+    commands * (w.commandWeight ?? 1) +
+    visitors * (w.visitorWeight ?? 5);
+  return Math.min(weight, w.maxWeight ?? 500);
+}
+
+/**
+ * Pick a server with probability proportional to its spawnWeight
+ */
+function pickWeightedServer(servers) {
+  const totalWeight = servers.reduce((sum, s) => sum + s.spawnWeight, 0);
+  let random = Math.random() * totalWeight;
+  for (const server of servers) {
+    random -= server.spawnWeight;
+    if (random <= 0) return server;
+  }
+  return servers[servers.length - 1];
+}
+
 /**
  * Find eligible servers for boss spawning
+ * @param {Object} options - { ignoreCooldown } skips the per-server cooldown (scheduled events)
  */
-function getEligibleServersForBoss() {
+function getEligibleServersForBoss({ ignoreCooldown = false } = {}) {
   try {
     // Get servers that are eligible for boss spawns
     // - Not archived
@@ -202,23 +272,90 @@ function getEligibleServersForBoss() {
     const servers = db.prepare(`
       SELECT s.*, b.id as activeBossId
       FROM servers s
-      LEFT JOIN bosses b ON s.guildId = b.guildId AND b.active = 1
+      LEFT JOIN bosses b ON s.guildId = b.guildId AND b.active = 1 AND COALESCE(b.isWorldBoss, 0) = 0
+      LEFT JOIN boss_notification_settings bns ON bns.guildId = s.guildId
       WHERE s.archived = 0
         AND s.lat IS NOT NULL
         AND s.lon IS NOT NULL
         AND s.guildId != ?
         AND b.id IS NULL
         AND (s.lastBossAt IS NULL OR s.lastBossAt < ?)
-    `).all(spawnGuildId || '', now - cooldownMs);
-
-    // All servers (except spawn server) are now eligible for boss spawns
-    return servers;
+        AND COALESCE(bns.spawnOptOut, 0) = 0
+    `).all(spawnGuildId || '', ignoreCooldown ? Number.MAX_SAFE_INTEGER : now - cooldownMs);
+
+    // Attach activity so spawnRandomBoss can favour servers people actually visit
+    const activity = getServerActivity();
+    return servers.map(server => {
+      const stats = activity.get(server.guildId) || { arrivals: 0, commands: 0, visitors: 0 };
+      return { ...server, ...stats, spawnWeight: getSpawnWeight(stats) };
+    });
   } catch (error) {
     logger.error('[Boss Spawner] Error getting eligible servers:', error.message);
     return [];
   }
 }
 
+/**
+ * Create a boss in a specific server and announce it
+ * Name and tier are rolled from the server biome unless given (scheduled events set both)
+ *
+ * @param {Object} server - Server row hosting the boss
+ * @param {Object} options - { name, tier, eventId, rewardMultiplier, summonedBy, notify } (notify: false skips the spawn alert)
+ * @param {Client|null} client - Discord client for notifications
+ * @returns {Promise<Object>} Boss data
+ */
+async function spawnBossInServer(server, options = {}, client = null) {
+  // Generate boss parameters
+  const tier = options.tier || getRandomBossTier(server.biome);
+  const name = options.name || getBossNameForBiome(server.biome);
+  const baseHp = config.boss?.baseHp || 2000;
+  const hp = Math.floor(baseHp * (1 + (tier - 1) * 0.4)); // More HP scaling for higher tiers
+  const duration = (config.boss?.ttlSeconds || 3600) * 1000; // Default 1 hour
+  const now = Date.now();
+  const expiresAt = now + duration;
+  const rewardMultiplier = options.rewardMultiplier || 1;
+
+  // Create boss in database
+  const result = db.prepare(`
+    INSERT INTO bosses (guildId, name, maxHp, hp, startedAt, expiresAt, active, tier, eventId, rewardMultiplier, summonedBy)
+    VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
+  `).run(server.guildId, name, hp, hp, now, expiresAt, tier, options.eventId || null, rewardMultiplier, options.summonedBy || null);
+
+  // Update server's last boss time
+  db.prepare('UPDATE servers SET lastBossAt = ? WHERE guildId = ?').run(now, server.guildId);
+
+  const bossData = {
+    id: result.lastInsertRowid,
+    guildId: server.guildId,
+    name,
+    maxHp: hp,
+    hp,
+    tier,
+    serverName: server.name,
+    biome: server.biome,
+    startedAt: now,
+    expiresAt,
+    eventId: options.eventId || null,
+    rewardMultiplier,
+    summonedBy: options.summonedBy || null
+  };
+
+  logger.aqua('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  logger.aqua('👹 BOSS SPAWNED');
+  logger.aqua('💀 Boss: %s (Tier %d)', name, tier);
+  logger.aqua('❤️  HP: %d', hp);
+  logger.aqua('🏰 Server: %s (%s)', server.name, server.guildId);
+  logger.aqua('🌿 Biome: %s', server.biome || 'Unknown');
+  logger.aqua('⏰ Expires: %s', new Date(expiresAt).toISOString());
+
+  // Alert every configured guild (events announce their own start instead)
+  if (client && options.notify !== false) {
+    await notifyBossSpawn(bossData, client);
+  }
+
+  return bossData;
+}
+
 /**
  * Spawn a boss on a random eligible server
  */
@@ -231,56 +368,11 @@ async function spawnRandomBoss(client = null) {
       return null;
     }
     
-    // Select random server
-    const server = eligibleServers[Math.floor(Math.random() * eligibleServers.length)];
-    
-    // Generate boss parameters
-    const tier = getRandomBossTier();
-    const name = getBossNameForBiome(server.biome);
-    const baseHp = config.boss?.baseHp || 2000;
-    const hp = Math.floor(baseHp * (1 + (tier - 1) * 0.4)); // More HP scaling for higher tiers
-    const duration = (config.boss?.ttlSeconds || 3600) * 1000; // Default 1 hour
-    const now = Date.now();
-    const expiresAt = now + duration;
-    
-    // Create boss in database
-    const result = db.prepare(`
-      INSERT INTO bosses (guildId, name, maxHp, hp, startedAt, expiresAt, active, tier)
-      VALUES (?, ?, ?, ?, ?, ?, 1, ?)
-    `).run(server.guildId, name, hp, hp, now, expiresAt, tier);
-    
-    // Update server's last boss time
-    db.prepare('UPDATE servers SET lastBossAt = ? WHERE guildId = ?').run(now, server.guildId);
-    
-    const bossData = {
-      id: result.lastInsertRowid,
-      guildId: server.guildId,
-      name,
-      maxHp: hp,
-      hp,
-      tier,
-      serverName: server.name,
-      biome: server.biome,
-      startedAt: now,
-      expiresAt
-    };
-    
-    const logger = require('./logger');
-    logger.aqua('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    logger.aqua('👹 BOSS SPAWNED');
-    logger.aqua('💀 Boss: %s (Tier %d)', name, tier);
-    logger.aqua('❤️  HP: %d', hp);
-    logger.aqua('🏰 Server: %s (%s)', server.name, server.guildId);
-    logger.aqua('🌿 Biome: %s', server.biome || 'Unknown');
-    logger.aqua('⏰ Expires: %s', new Date(expiresAt).toISOString());
-    
-    // Send Discord notification (both global and server-specific)
-    if (client) {
-      await notifyBossSpawn(bossData, client);
-    }
-    
-    return bossData;
+    // Select a server weighted by recent activity
+    const server = pickWeightedServer(eligibleServers);
+    logger.info(`[Boss Spawner] Picked ${server.name} (weight ${server.spawnWeight}: ${server.arrivals} arrivals, ${server.commands} commands, ${server.visitors} visitors)`);
     
+    return await spawnBossInServer(server, {}, client);
   } catch (error) {
     logger.error('[Boss Spawner] Error spawning random boss:', error.message);
     logger.error('[Boss Spawner] Stack trace:', error.stack);
@@ -308,52 +400,43 @@ async function spawnRandomBoss(client = null) {
 }
 
 /**
- * Send Discord notification for new boss spawn
+ * Send the spawn alert to every guild with boss alerts configured (boss_notification_settings),
+ * pinging each guild's own role. The guild the boss spawned in gets the local variant.
  */
 async function notifyBossSpawn(bossData, client) {
-  const maxRetries = 3;
-  let retryCount = 0;
-
-  while (retryCount < maxRetries) {
-    try {
-      if (!client || !client.isReady()) {
-        throw new Error('Discord client is not ready');
-      }
-
-      const channel = await client.channels.fetch(BOSS_CONFIG.NOTIFICATION_CHANNEL_ID);
-      if (!channel) {
-        throw new Error(`Boss notification channel not found: ${BOSS_CONFIG.NOTIFICATION_CHANNEL_ID}`);
-      }
-
-      if (!channel.isTextBased()) {
-        throw new Error('Boss notification channel is not a text channel');
-      }
+  if (!client || !client.isReady()) {
+    logger.warn(`[Boss Spawner] Discord client is not ready, skipping spawn alert for ${bossData.name}`);
+    return;
+  }
 
-    // Calculate time remaining
-    const timeRemainingMs = bossData.expiresAt - Date.now();
-    const timeRemainingHours = Math.round(timeRemainingMs / 1000 / 60 / 60 * 10) / 10;
-
-    // Tier-based color and description
-    const tierColors = {
-      1: 0x808080, // Gray
-      2: 0x00FF00, // Green  
-      3: 0x0080FF, // Blue
-      4: 0x8000FF, // Purple
-      5: 0xFFD700  // Gold
-    };
-    
-    const tierNames = {
-      1: 'Common',
-      2: 'Uncommon', 
-      3: 'Rare',
-      4: 'Epic',
-      5: 'Legendary'
-    };
-
-    const { EmbedBuilder } = require('discord.js');
+  // Calculate time remaining
+  const timeRemainingMs = bossData.expiresAt - Date.now();
+  const timeRemainingHours = Math.round(timeRemainingMs / 1000 / 60 / 60 * 10) / 10;
+
+  // Tier-based color and description
+  const tierColors = {
+    1: 0x808080, // Gray
+    2: 0x00FF00, // Green
+    3: 0x0080FF, // Blue
+    4: 0x8000FF, // Purple
+    5: 0xFFD700  // Gold
+  };
+
+  const tierNames = {
+    1: 'Common',
+    2: 'Uncommon',
+    3: 'Rare',
+    4: 'Epic',
+    5: 'Legendary'
+  };
+
+  const { EmbedBuilder } = require('discord.js');
+  const buildEmbed = local => {
     const embed = new EmbedBuilder()
-      .setTitle(`⚔️ ${bossData.name} has spawned!`)
-      .setDescription(`A **Tier ${bossData.tier} ${tierNames[bossData.tier]}** boss has emerged and threatens the realm!`)
+      .setTitle(local ? '🌟 A boss has spawned in your realm!' : `⚔️ ${bossData.name} has spawned!`)
+      .setDescription(local
+        ? `**${bossData.name}** has emerged and threatens your server!`
+        : `A **Tier ${bossData.tier} ${tierNames[bossData.tier]}** boss has emerged and threatens the realm!`)
       .setColor(tierColors[bossData.tier] || 0xFF0000)
       .addFields(
         {
@@ -374,133 +457,34 @@ async function notifyBossSpawn(bossData, client) {
       )
       .addFields({
         name: '⚔️ How to Fight',
-        value: '• Join the server where the boss spawned\n• Use `/boss attack` to deal damage\n• Work together with other players!\n• Defeat it for valuable rewards',
+        value: local
+          ? '• Use `/boss attack` to deal damage\n• Coordinate with other players\n• Defeat it for valuable rewards!'
+          : '• Join the server where the boss spawned\n• Use `/boss attack` to deal damage\n• Work together with other players!\n• Defeat it for valuable rewards',
         inline: false
       })
       .setFooter({
-        text: 'Boss spawned on server • QuestCord',
+        text: local ? 'QuestCord • Boss spawned locally' : 'Boss spawned on server • QuestCord',
         iconURL: client.user?.displayAvatarURL()
       })
       .setTimestamp();
 
-      // Send notification with boss role ping
-      await channel.send({
-        content: `<@&${BOSS_CONFIG.BOSS_ROLE_ID}> 🔥 NEW BOSS ALERT 🔥`,
-        embeds: [embed]
-      });
-
-      logger.info(`[Boss Spawner] Sent global Discord notification for ${bossData.name}`);
-
-      // Also send server-specific notification if configured
-      await sendServerSpecificBossNotification(bossData, client);
-
-      return; // Success, exit retry loop
-
-    } catch (error) {
-      retryCount++;
-      logger.error(`[Boss Spawner] Failed to send boss notification (attempt ${retryCount}/${maxRetries}):`, error.message);
-
-      if (retryCount >= maxRetries) {
-        logger.error('[Boss Spawner] Max retries reached for boss notification');
-        logger.error('boss_notification_failed', {
-          error: error.message,
-          bossId: bossData.id,
-          bossName: bossData.name,
-          channelId: BOSS_CONFIG.NOTIFICATION_CHANNEL_ID,
-          attempts: retryCount
-        });
-        return;
-      }
-
-      // Wait before retrying (exponential backoff)
-      const delay = Math.pow(2, retryCount) * 1000; // 2s, 4s, 8s
-      logger.info(`[Boss Spawner] Retrying notification in ${delay}ms...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+    if (bossData.summonedBy) {
+      embed.addFields({ name: '🔮 Summoned By', value: `<@${bossData.summonedBy}>`, inline: false });
     }
-  }
-}
+    return embed;
+  };
 
-/**
- * Send server-specific boss notification if configured
- */
-async function sendServerSpecificBossNotification(bossData, client) {
   try {
-    // Check if the server where the boss spawned has notification settings
-    const notificationSettings = db.prepare(`
-      SELECT * FROM boss_notification_settings
-      WHERE guildId = ? AND enabled = 1
-    `).get(bossData.guildId);
-
-    if (!notificationSettings || !notificationSettings.channelId) {
-      logger.info(`[Boss Spawner] No server-specific notification settings for ${bossData.guildId}`);
-      return;
-    }
-
-    const channel = await client.channels.fetch(notificationSettings.channelId);
-    if (!channel || !channel.isTextBased()) {
-      logger.warn(`[Boss Spawner] Server notification channel not found or invalid: ${notificationSettings.channelId}`);
-      return;
-    }
-
-    // Create server-specific embed
-    const { EmbedBuilder } = require('discord.js');
-
-    const timeRemainingMs = bossData.expiresAt - Date.now();
-    const timeRemainingHours = Math.round(timeRemainingMs / 1000 / 60 / 60 * 10) / 10;
-
-    const tierColors = {
-      1: 0x808080, // Gray
-      2: 0x00FF00, // Green
-      3: 0x0080FF, // Blue
-      4: 0x8000FF, // Purple
-      5: 0xFFD700  // Gold
-    };
-
-    const tierNames = {
-      1: 'Common',
-      2: 'Uncommon',
-      3: 'Rare',
-      4: 'Epic',
-      5: 'Legendary'
-    };
-
-    const embed = new EmbedBuilder()
-      .setTitle(`🌟 A boss has spawned in your realm!`)
-      .setDescription(`**${bossData.name}** has emerged and threatens your server!`)
-      .setColor(tierColors[bossData.tier] || 0xFF0000)
-      .addFields(
-        {
-          name: '💀 Boss Details',
-          value: `**HP:** ${bossData.maxHp.toLocaleString()}\n**Tier:** ${bossData.tier} (${tierNames[bossData.tier]})\n**Time Left:** ${timeRemainingHours}h`,
-          inline: true
-        },
-        {
-          name: '⚔️ Fight Instructions',
-          value: `• Use \`/boss attack\` to deal damage\n• Coordinate with other players\n• Defeat it for valuable rewards!`,
-          inline: true
-        }
-      )
-      .setFooter({
-        text: `QuestCord • Boss spawned locally`,
-        iconURL: client.user?.displayAvatarURL()
-      })
-      .setTimestamp();
-
-    // Send notification with optional role ping
-    let content = '🎯 **Local Boss Alert!**';
-    if (notificationSettings.roleId) {
-      content = `<@&${notificationSettings.roleId}> ${content}`;
-    }
-
-    await channel.send({
-      content: content,
-      embeds: [embed]
+    const sent = await broadcastBossAlert(client, target => {
+      const local = target.guildId === bossData.guildId;
+      return {
+        content: `${target.roleId ? `<@&${target.roleId}> ` : ''}${local ? '🎯 **Local Boss Alert!**' : '🔥 NEW BOSS ALERT 🔥'}`,
+        embeds: [buildEmbed(local)]
+      };
     });
-
-    logger.info(`[Boss Spawner] Sent server-specific notification for ${bossData.name} to ${bossData.guildId}`);
-
+    logger.info(`[Boss Spawner] Sent spawn alert for ${bossData.name} to ${sent.length} guild(s)`);
   } catch (error) {
-    logger.error('[Boss Spawner] Failed to send server-specific boss notification:', error.message);
+    logger.error('[Boss Spawner] Failed to send boss notification:', error.message);
   }
 }
 
@@ -581,8 +565,16 @@ async function runBossSpawningCycle(client = null) {
       cleanupOrphanedBossFighterRoles(client);
     }
     
-    // Get current active boss count
-    const activeBosses = db.prepare('SELECT COUNT(*) as count FROM bosses WHERE active = 1').get();
+    // Rare network-wide world boss, independent of the regular boss slot
+    try {
+      const worldBoss = await maybeSpawnWorldBoss(client);
+      if (worldBoss) logger.info(`[Boss Spawner] World boss ${worldBoss.name} spawned (lair ${worldBoss.serverName || worldBoss.guildId})`);
+    } catch (error) {
+      logger.warn('[Boss Spawner] World boss spawn failed:', error.message);
+    }
+    
+    // Get current active boss count (world bosses don't take the regular slot)
+    const activeBosses = db.prepare('SELECT COUNT(*) as count FROM bosses WHERE active = 1 AND COALESCE(isWorldBoss, 0) = 0').get();
     const currentCount = activeBosses?.count || 0;
     
     logger.info(`[Boss Spawner] Current active bosses: ${currentCount}/1 (single boss system, cleaned up ${expiredCount} expired)`);
@@ -690,23 +682,26 @@ function recordBossDefeat() {
 
 /**
  * Remove boss fighter roles from specific users in a guild
+ * Uses the guild's configured fighter role and skips guilds without one
  */
 async function cleanupBossFighterRoles(client, guildId, userIds) {
   if (!client || !userIds || userIds.length === 0) return;
   
   try {
+    const fighterRoleId = getFighterRoleId(guildId);
+    if (!fighterRoleId) return;
+    
     const guild = await client.guilds.fetch(guildId);
     if (!guild) return;
     
-    const BOSS_FIGHTER_ROLE_ID = '1411043105830076497';
-    const role = guild.roles.cache.get(BOSS_FIGHTER_ROLE_ID);
+    const role = guild.roles.cache.get(fighterRoleId);
     if (!role) return;
     
     let removedCount = 0;
     for (const userId of userIds) {
       try {
         const member = await guild.members.fetch(userId);
-        if (member && member.roles.cache.has(BOSS_FIGHTER_ROLE_ID)) {
+        if (member && member.roles.cache.has(fighterRoleId)) {
           // Check if user still has active boss participations in ANY guild
           const activeParticipations = db.prepare(`
             SELECT COUNT(*) as count 
@@ -739,11 +734,10 @@ async function cleanupBossFighterRoles(client, guildId, userIds) {
 
 /**
  * Clean up orphaned boss fighter roles (users who have the role but aren't in any active boss fights)
+ * Checks every guild that configured a fighter role via /boss-notifications
  */
 async function cleanupOrphanedBossFighterRoles(client) {
   try {
-    const BOSS_FIGHTER_ROLE_ID = '1411043105830076497';
-    
     // Get all active boss participants
     const activeBossParticipants = db.prepare(`
       SELECT DISTINCT bp.userId, b.guildId 
@@ -761,21 +755,17 @@ async function cleanupOrphanedBossFighterRoles(client) {
       activeParticipantMap.get(p.guildId).add(p.userId);
     });
     
-    // Check all servers that have active bosses or have had bosses recently
-    const serversWithBosses = db.prepare(`
-      SELECT DISTINCT guildId 
-      FROM bosses 
-      WHERE startedAt > ? OR active = 1
-    `).all(Date.now() - 24 * 60 * 60 * 1000); // Check servers with bosses in last 24 hours
+    // Check every server that has a fighter role configured; guilds without one are skipped
+    const serversWithRoles = getFighterRoleGuilds();
     
     let totalCleaned = 0;
     
-    for (const serverData of serversWithBosses) {
+    for (const serverData of serversWithRoles) {
       try {
         const guild = await client.guilds.fetch(serverData.guildId);
         if (!guild) continue;
         
-        const role = guild.roles.cache.get(BOSS_FIGHTER_ROLE_ID);
+        const role = guild.roles.cache.get(serverData.fighterRoleId);
         if (!role) continue;
         
         // Get all members with the boss fighter role
@@ -813,8 +803,11 @@ module.exports = {
   initializeBossSpawner,
   cleanupExpiredBosses,
   spawnRandomBoss,
+  spawnBossInServer,
   runBossSpawningCycle,
   getEligibleServersForBoss,
+  getServerActivity,
+  pickWeightedServer,
   recordBossDefeat,
   cleanupOrphanedBossFighterRoles,
   getNextSpawnInterval,
@@ -0,0 +1,135 @@
+/**
+ * BOSS SUMMONING
+ *
+ * Summon stones are craftable items (config.items entries with a summonTier) that
+ * let a player spawn a boss of that tier at the server they are standing in.
+ * Summons follow the same rules as the automatic spawner:
+ * - not while traveling, and never in the spawn server
+ * - one regular boss per server, and the per-server cooldown (servers.lastBossAt)
+ * - the global active-boss cap (config.boss.maxActiveGlobal, world bosses excluded)
+ * The stone is only consumed once every check passes; the summoner is credited in
+ * the spawn notifications (bosses.summonedBy).
+ *
+ * summonBoss returns { ok: true, boss, stone } or { ok: false, reason, ... } for the command layer.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { itemById } = require('./items');
+const { BOSS_CONFIG, spawnBossInServer } = require('./boss_spawner');
+
+/**
+ * All summon stone items, lowest tier first
+ * @returns {Array} Item definitions
+ */
+function getSummonStones() {
+  return (config.items || []).filter(i => i.summonTier).sort((a, b) => a.summonTier - b.summonTier);
+}
+
+/**
+ * Summon stone for a boss tier
+ * @param {number} tier - Boss tier
+ * @returns {Object|null} Item definition
+ */
+function summonStoneForTier(tier) {
+  return getSummonStones().find(i => i.summonTier === tier) || null;
+}
+
+/**
+ * Spawn a boss at the player's current server using a summon stone
+ *
+ * @param {string} userId - Summoner
+ * @param {string} itemId - Summon stone item ID
+ * @param {Client|null} client - Discord client for spawn notifications
+ * @returns {Promise<Object>} Result object
+ */
+async function summonBoss(userId, itemId, client = null) {
+  const stone = itemById(itemId);
+  if (!stone || !stone.summonTier) return { ok: false, reason: 'not_summon_stone' };
+
+  const now = Date.now();
+  const player = db.prepare('SELECT locationGuildId, travelArrivalAt FROM players WHERE userId=?').get(userId);
+  if (!player || !player.locationGuildId) return { ok: false, reason: 'no_location' };
+  if (player.travelArrivalAt && player.travelArrivalAt > now) return { ok: false, reason: 'traveling' };
+
+  const server = db.prepare('SELECT * FROM servers WHERE guildId=? AND archived=0').get(player.locationGuildId);
+  if (!server || server.lat == null) return { ok: false, reason: 'no_coordinates' };
+  if (process.env.SPAWN_GUILD_ID && server.guildId === process.env.SPAWN_GUILD_ID) return { ok: false, reason: 'spawn_server' };
+
+  const active = db.prepare('SELECT 1 FROM bosses WHERE guildId=? AND active=1 AND COALESCE(isWorldBoss, 0) = 0').get(server.guildId);
+  if (active) return { ok: false, reason: 'boss_active' };
+
+  const cooldownMs = (config.boss?.cooldownSeconds || 3600) * 1000;
+  if (server.lastBossAt && now - server.lastBossAt < cooldownMs) {
+    return { ok: false, reason: 'cooldown', readyAt: server.lastBossAt + cooldownMs };
+  }
+
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM bosses WHERE active=1 AND expiresAt > ? AND COALESCE(isWorldBoss, 0) = 0').get(now);
+  if (count >= BOSS_CONFIG.MAX_GLOBAL_BOSSES) return { ok: false, reason: 'global_cap', limit: BOSS_CONFIG.MAX_GLOBAL_BOSSES };
+
+  // Take the stone before the (async) spawn so it can't be used twice
+  const taken = db.prepare('UPDATE inventory SET qty=qty-1 WHERE userId=? AND itemId=? AND qty>=1').run(userId, stone.id);
+  if (!taken.changes) return { ok: false, reason: 'no_stone', stone };
+  db.prepare('DELETE FROM inventory WHERE userId=? AND itemId=? AND qty<=0').run(userId, stone.id);
+
+  try {
+    const boss = await spawnBossInServer(server, { tier: stone.summonTier, summonedBy: userId }, client);
+    logger.info('[Boss Summon] %s used %s to summon %s (Tier %d) in %s', userId, stone.id, boss.name, boss.tier, server.guildId);
+    return { ok: true, boss, stone };
+  } catch (error) {
+    // Refund the stone when the spawn itself failed
+    db.prepare(`
+      INSERT INTO inventory (userId, itemId, qty) VALUES (?, ?, 1)
+      ON CONFLICT(userId, itemId) DO UPDATE SET qty = qty + 1
+    `).run(userId, stone.id);
+    logger.error('[Boss Summon] Failed to summon boss for %s: %s', userId, error.message);
+    return { ok: false, reason: 'spawn_failed' };
+  }
+}
+
+/**
+ * User-facing text for a failed summonBoss result
+ */
+function summonFailureMessage(result) {
+  switch (result.reason) {
+    case 'not_summon_stone': return 'That item is not a summon stone.';
+    case 'no_location': return 'You need to be at a server to summon a boss. Use `/travel` first.';
+    case 'traveling': return 'You cannot summon a boss while traveling.';
+    case 'no_coordinates': return 'This server has no map location yet, so no boss can appear here.';
+    case 'spawn_server': return 'Bosses cannot be summoned in the spawn server.';
+    case 'boss_active': return 'A boss is already active here. Defeat it first!';
+    case 'cooldown': return `This server is on boss cooldown. Try again <t:${Math.floor(result.readyAt / 1000)}:R>.`;
+    case 'global_cap': return `The realm can only hold **${result.limit}** active boss${result.limit === 1 ? '' : 'es'} at a time. Wait for the current fight to end.`;
+    case 'no_stone': return `You don't have a **${result.stone.name}**. Craft one with \`/craft item\`.`;
+    default: return 'The summoning failed. Your stone was returned.';
+  }
+}
+
+/**
+ * Embed shown to the summoner after a successful summon
+ */
+function summonEmbed(interaction, result) {
+  const { boss, stone } = result;
+  return new EmbedBuilder()
+    .setTitle(`🔮 ${boss.name} has been summoned!`)
+    .setDescription(`The **${stone.name}** shatters and a **Tier ${boss.tier}** boss emerges in **${boss.serverName || boss.guildId}**!`)
+    .setColor(0x9B59B6)
+    .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+    .addFields(
+      { name: '💀 Boss Info', value: `**HP:** ${boss.maxHp.toLocaleString()}\n**Tier:** ${boss.tier}`, inline: true },
+      { name: '⏰ Time Limit', value: `Escapes <t:${Math.floor(boss.expiresAt / 1000)}:R>`, inline: true },
+      { name: '⚔️ Next Step', value: 'Use `/boss attack` and rally other players!', inline: false }
+    )
+    .setFooter({ text: 'Boss summoning • QuestCord', iconURL: interaction.client.user.displayAvatarURL() })
+    .setTimestamp();
+}
+
+module.exports = {
+  getSummonStones,
+  summonStoneForTier,
+  summonBoss,
+  summonFailureMessage,
+  summonEmbed
+};
@@ -39,6 +39,15 @@ const DAILY_CHALLENGES = {
     type: 'daily'
   },
   
+  SALVAGE_ITEMS: {
+    id: 'salvage_items',
+    name: '♻️ Scrapper',
+    description: 'Salvage 10 items',
+    target: 10,
+    reward: { gems: 10, drakari: 3000 },
+    type: 'daily'
+  },
+  
   LOGIN_STREAK: {
     id: 'login_streak',
     name: '📅 Daily Dedication',
@@ -94,6 +103,15 @@ const WEEKLY_CHALLENGES = {
     target: 25,
     reward: { gems: 65, drakari: 22000 },
     type: 'weekly'
+  },
+  
+  SALVAGE_EXPERT: {
+    id: 'salvage_expert',
+    name: '🧰 Salvage Expert',
+    description: 'Salvage 50 items this week',
+    target: 50,
+    reward: { gems: 60, drakari: 20000 },
+    type: 'weekly'
   }
 };
 
@@ -208,6 +226,7 @@ function updateChallengeProgress(userId, challengeType, amount = 1) {
       'boss_damage': ['boss_damage'],
       'market_trade': ['market_trades'],
       'craft': ['craft_items'],
+      'salvage': ['salvage_items'],
       'login': ['login_streak']
     };
     
@@ -216,7 +235,8 @@ function updateChallengeProgress(userId, challengeType, amount = 1) {
       'travel': ['server_explorer', 'social_butterfly'],
       'boss_fight': ['boss_hunter'],
       'market_trade': ['market_mogul'],
-      'craft': ['crafting_master']
+      'craft': ['crafting_master'],
+      'salvage': ['salvage_expert']
     };
     
     const relevantDailies = dailyUpdates[challengeType] || [];
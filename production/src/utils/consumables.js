@@ -0,0 +1,159 @@
+/**
+ * CONSUMABLE EFFECTS ENGINE
+ *
+ * Resolves what a consumable does and applies it to a player. Supported effects:
+ * - health / stamina: instant restore, capped at the player's (premium-aware) maximum
+ * - buffs: timed multipliers for damage, defense, travelSpeed, craftSpeed,
+ *   healthRegen and staminaRegen, stored in players.regenEffects via utils/regen
+ * - cleanse: removes debuffs and the in-combat regen penalty
+ * - cooldown: milliseconds before the same item can be used again
+ *
+ * Items with an `effects` block in config.json use it as-is. Everything else derives
+ * effects from the first matching profile in config.consumables, scaled by rarity.
+ */
+
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const { getMaxStats, addTimedEffect, cleanseEffects, getCooldownRemaining, setCooldown } = require('./regen');
+
+// Buff stats the engine understands, with display labels
+const BUFF_LABELS = {
+  damage: '⚔️ Damage',
+  defense: '🛡️ Defense',
+  travelSpeed: '🧭 Travel Speed',
+  craftSpeed: '🔨 Crafting Speed',
+  healthRegen: '💚 Health Regen',
+  staminaRegen: '💙 Stamina Regen'
+};
+
+function consumablesConfig() {
+  return config.consumables || {};
+}
+
+// Accepts numbers or legacy "+N" strings
+function toNumber(v) {
+  if (typeof v === 'number') return v;
+  return parseInt(String(v ?? '').replace('+', ''), 10) || 0;
+}
+
+/**
+ * Normalize an explicit effects block from an item definition
+ * Buffs may be given as { multiplier, duration } or { bonus, duration }
+ */
+function normalizeEffects(raw, scale = 1) {
+  const effects = {
+    health: Math.round(toNumber(raw.health) * scale),
+    stamina: Math.round(toNumber(raw.stamina) * scale),
+    buffs: {},
+    cleanse: !!raw.cleanse,
+    cooldown: toNumber(raw.cooldown ?? consumablesConfig().defaultCooldownMs ?? 0)
+  };
+
+  for (const [stat, buff] of Object.entries(raw.buffs || {})) {
+    if (!BUFF_LABELS[stat] || !buff) continue;
+    const multiplier = typeof buff.multiplier === 'number'
+      ? buff.multiplier
+      : 1 + (buff.bonus || 0) * scale;
+    effects.buffs[stat] = { multiplier: Math.round(multiplier * 100) / 100, duration: toNumber(buff.duration) || 600000 };
+  }
+
+  return effects;
+}
+
+/**
+ * Resolve the effects a consumable applies per use
+ * @param {Object} item - Item definition from config.items
+ * @returns {Object|null} Normalized effects, or null for non-consumables
+ */
+function resolveEffects(item) {
+  if (!item || !item.consumable) return null;
+  if (item.effects) return normalizeEffects(item.effects);
+
+  const cfg = consumablesConfig();
+  const scale = (cfg.rarityScale || {})[item.rarity] || 1;
+  const id = String(item.id).toLowerCase();
+  const profile = (cfg.profiles || []).find(p => (p.match || []).some(m => id.includes(m)));
+
+  return normalizeEffects(profile ? profile.effects : (cfg.fallback || {}), scale);
+}
+
+/**
+ * Use a consumable (inventory must already be deducted by the caller)
+ * @param {string} userId - Player consuming the item
+ * @param {Object} item - Item definition
+ * @param {number} amount - Number of items used; instant effects stack, buffs do not
+ * @param {boolean} isPremium - Whether premium caps apply
+ * @returns {Object} Summary of what was applied
+ */
+function useConsumable(userId, item, amount, isPremium) {
+  const effects = resolveEffects(item) || normalizeEffects({});
+  const { maxHealth, maxStamina } = getMaxStats(isPremium);
+  const p = db.prepare('SELECT health, stamina FROM players WHERE userId=?').get(userId) || { health: maxHealth, stamina: maxStamina };
+
+  // Restores fill up to the cap but never pull an over-cap value down
+  const restore = (cur, gain, max) => (gain > 0 ? Math.max(cur, Math.min(max, cur + gain)) : cur);
+  const health = restore(p.health ?? 0, effects.health * amount, maxHealth);
+  const stamina = restore(p.stamina ?? 0, effects.stamina * amount, maxStamina);
+  db.prepare('UPDATE players SET health=?, stamina=?, staminaUpdatedAt=? WHERE userId=?').run(health, stamina, Date.now(), userId);
+
+  let cleansed = 0;
+  if (effects.cleanse) cleansed = cleanseEffects(userId);
+
+  for (const [stat, buff] of Object.entries(effects.buffs)) {
+    addTimedEffect(userId, stat, buff.multiplier, buff.duration, item.id);
+  }
+
+  setCooldown(userId, item.id, effects.cooldown);
+
+  return {
+    effects,
+    healthGained: Math.max(0, Math.round(health - (p.health ?? 0))),
+    staminaGained: Math.max(0, Math.round(stamina - (p.stamina ?? 0))),
+    cleansed,
+    health,
+    stamina,
+    maxHealth,
+    maxStamina
+  };
+}
+
+/**
+ * Check whether a player may use a consumable right now
+ * @returns {Object} { ok, reason, remainingMs }
+ */
+function canUseConsumable(userId, item, amount) {
+  const effects = resolveEffects(item);
+  if (!effects) return { ok: false, reason: 'not_consumable' };
+
+  const remainingMs = getCooldownRemaining(userId, item.id);
+  if (remainingMs > 0) return { ok: false, reason: 'cooldown', remainingMs };
+  if (effects.cooldown > 0 && amount > 1) return { ok: false, reason: 'single_use' };
+  return { ok: true };
+}
+
+/**
+ * Render effects as display lines for embeds
+ * @param {Object} effects - Normalized effects from resolveEffects
+ * @returns {string} Formatted lines
+ */
+function formatEffects(effects) {
+  if (!effects) return 'No effects';
+  const lines = [];
+  if (effects.health) lines.push(`❤️ **Health:** +${effects.health}`);
+  if (effects.stamina) lines.push(`💨 **Stamina:** +${effects.stamina}`);
+  for (const [stat, buff] of Object.entries(effects.buffs)) {
+    const pct = Math.round((buff.multiplier - 1) * 100);
+    lines.push(`${BUFF_LABELS[stat]}: **${pct >= 0 ? '+' : ''}${pct}%** for ${Math.round(buff.duration / 60000)}m`);
+  }
+  if (effects.cleanse) lines.push('✨ **Cleanse:** removes debuffs and combat fatigue');
+  if (effects.cooldown) lines.push(`⏳ **Cooldown:** ${Math.round(effects.cooldown / 1000)}s`);
+  return lines.join('\n') || 'No effects';
+}
+
+module.exports = {
+  BUFF_LABELS,
+  resolveEffects,
+  useConsumable,
+  canUseConsumable,
+  formatEffects
+};
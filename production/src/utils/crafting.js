@@ -0,0 +1,525 @@
+/**
+ * CRAFT COMPLETION
+ *
+ * Crafts wait in active_crafts until their completionTime. Finished crafts are
+ * finalised here, either by the background worker (processCraftCompletions, run on
+ * startup and every config.crafting.completionCheckSeconds) or on demand with
+ * /craft complete. Finalising a craft deletes its row and credits the item,
+ * itemsCrafted and 'craft' challenge progress in one step, so a craft is only ever
+ * delivered once. Because rows survive restarts, crafts that finished while the bot
+ * was offline are delivered on the next run.
+ *
+ * Players who opted in (players.craftNotify, set with /craft notify) get a DM
+ * when the worker delivers their items.
+ *
+ * The planner (planCraft / queueCraftPlan) expands a recipe through every craftable
+ * intermediate, using what the player already owns first. Queued plans become one
+ * craft row per item, scheduled so each step starts once its ingredients finish.
+ * Intermediate rows point at the final craft through planRootId; their output is
+ * already committed to the plan, so delivering them counts the craft but adds
+ * nothing to the inventory.
+ *
+ * getRecipeTree / getRecipeUsages / getRecipeGraph describe recipes independently of
+ * any player, for /craft tree and /api/recipes/:itemId.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { itemById } = require('./items');
+const challenges = require('./challenges');
+const { getEffectMultiplier } = require('./regen');
+const { releaseCopies } = require('./durability');
+const { isRecipeKnown, getUnlockedRecipeIds, recordCraftForDiscovery } = require('./recipe_unlocks');
+
+const CRAFTING_TIERS = {
+  1: { name: 'Apprentice', requirement: 0, maxRarity: 'common' },
+  2: { name: 'Journeyman', requirement: 25, maxRarity: 'uncommon' },
+  3: { name: 'Expert', requirement: 100, maxRarity: 'rare' },
+  4: { name: 'Artisan', requirement: 250, maxRarity: 'epic' },
+  5: { name: 'Master', requirement: 500, maxRarity: 'legendary' },
+  6: { name: 'Grandmaster', requirement: 750, maxRarity: 'mythic' },
+  7: { name: 'Transcendent', requirement: 1000, maxRarity: 'transcendent' }
+};
+
+const RARITY_ICONS = {
+  common: '⚪',
+  uncommon: '🟢',
+  rare: '🔵',
+  epic: '🟣',
+  legendary: '🟠',
+  mythic: '🔴',
+  transcendent: '✨'
+};
+
+function getCraftingLevel(itemsCrafted) {
+  let level = 1;
+  for (const [tier, data] of Object.entries(CRAFTING_TIERS)) {
+    if (itemsCrafted >= data.requirement) {
+      level = parseInt(tier);
+    }
+  }
+  return level;
+}
+
+const RARITY_ORDER = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic', 'transcendent'];
+
+function canCraftRarity(itemsCrafted, rarity) {
+  const tierData = CRAFTING_TIERS[getCraftingLevel(itemsCrafted)];
+  return RARITY_ORDER.indexOf(rarity) <= RARITY_ORDER.indexOf(tierData.maxRarity);
+}
+
+/**
+ * Whether an item can be crafted: it has a recipe and isn't flagged craftable: false
+ * @param {Object} item - Item definition
+ * @returns {boolean}
+ */
+function isCraftable(item) {
+  return !!item && Array.isArray(item.recipe) && item.recipe.length > 0 && item.craftable !== false;
+}
+
+/**
+ * Calculates crafting time in seconds based on item rarity and premium status
+ * @param {string} rarity - Item rarity tier
+ * @param {boolean} isPremiumUser - Whether user has premium benefits
+ * @returns {number} Crafting time in seconds
+ */
+function getCraftingTime(rarity, isPremiumUser) {
+  // Base crafting times scale exponentially with rarity
+  const baseTimes = {
+    'common': 60,      // 1 minute - basic items
+    'uncommon': 300,   // 5 minutes - slightly better
+    'rare': 900,       // 15 minutes - valuable items
+    'epic': 1800,      // 30 minutes - powerful gear
+    'legendary': 3600, // 1 hour - exceptional items
+    'mythic': 7200,    // 2 hours - legendary crafts
+    'transcendent': 43200 // 12 hours - ultimate masterpieces
+  };
+  
+  const baseTime = baseTimes[rarity] || 60;
+  // Premium users get 25% speed bonus (75% of normal time)
+  return isPremiumUser ? Math.floor(baseTime * 0.75) : baseTime;
+}
+
+/**
+ * Number of crafts a player may have in progress at once (config.crafting.maxConcurrentCrafts)
+ */
+function maxConcurrentCrafts() {
+  return config.crafting?.maxConcurrentCrafts || 5;
+}
+
+/**
+ * Crafts still being worked on; finished crafts waiting for delivery don't hold a slot
+ * @param {string} userId - Player
+ * @param {number} [now] - Reference time
+ * @returns {number}
+ */
+function countCraftsInProgress(userId, now = Date.now()) {
+  return db.prepare('SELECT COUNT(*) as count FROM active_crafts WHERE userId=? AND completionTime>?').get(userId, now)?.count || 0;
+}
+
+function addToInventory(userId, itemId, qty) {
+  db.prepare(`
+    INSERT INTO inventory (userId, itemId, qty) VALUES (?, ?, ?)
+    ON CONFLICT(userId, itemId) DO UPDATE SET qty = qty + excluded.qty
+  `).run(userId, itemId, qty);
+}
+
+/**
+ * Deliver every finished craft, for one player or for everyone
+ *
+ * @param {string|null} [userId] - Only finalise this player's crafts
+ * @param {number} [now] - Reference time
+ * @returns {Array<Object>} One summary per player: { userId, crafts, totalQuantity, itemsCrafted, oldLevel, newLevel, discovered }
+ */
+function completeFinishedCrafts(userId = null, now = Date.now()) {
+  const due = userId
+    ? db.prepare('SELECT * FROM active_crafts WHERE userId=? AND completionTime<=? ORDER BY completionTime ASC').all(userId, now)
+    : db.prepare('SELECT * FROM active_crafts WHERE completionTime<=? ORDER BY completionTime ASC').all(now);
+  if (!due.length) return [];
+
+  const byPlayer = new Map();
+  const deliver = db.transaction(craft => {
+    // Deleting the row claims the craft, so the worker and /craft complete can't both deliver it
+    if (!db.prepare('DELETE FROM active_crafts WHERE id=?').run(craft.id).changes) return false;
+    if (!craft.planRootId) addToInventory(craft.userId, craft.itemId, craft.quantity);
+    db.prepare('UPDATE players SET itemsCrafted=COALESCE(itemsCrafted, 0)+? WHERE userId=?').run(craft.quantity, craft.userId);
+    return true;
+  });
+
+  for (const craft of due) {
+    if (!byPlayer.has(craft.userId)) {
+      const before = db.prepare('SELECT itemsCrafted FROM players WHERE userId=?').get(craft.userId)?.itemsCrafted || 0;
+      byPlayer.set(craft.userId, { userId: craft.userId, crafts: [], totalQuantity: 0, discovered: [], before });
+    }
+    if (!deliver(craft)) continue;
+    const summary = byPlayer.get(craft.userId);
+    summary.crafts.push({ ...craft, item: itemById(craft.itemId) });
+    summary.totalQuantity += craft.quantity;
+    summary.discovered.push(...recordCraftForDiscovery(craft.userId, craft.itemId));
+  }
+
+  const results = [];
+  for (const summary of byPlayer.values()) {
+    if (!summary.crafts.length) continue;
+    challenges.updateChallengeProgress(summary.userId, 'craft', summary.totalQuantity);
+    const itemsCrafted = summary.before + summary.totalQuantity;
+    results.push({
+      userId: summary.userId,
+      crafts: summary.crafts,
+      totalQuantity: summary.totalQuantity,
+      itemsCrafted,
+      oldLevel: getCraftingLevel(summary.before),
+      newLevel: getCraftingLevel(itemsCrafted),
+      discovered: summary.discovered
+    });
+    logger.info('[Crafting] Delivered %d craft(s) (%d items) to %s', summary.crafts.length, summary.totalQuantity, summary.userId);
+  }
+  return results;
+}
+
+let usageIndex = null;
+
+// Reverse recipe index (ingredient id -> recipes using it), built on first use
+function recipeUsageIndex() {
+  if (!usageIndex) {
+    usageIndex = new Map();
+    for (const item of config.items || []) {
+      if (!isCraftable(item)) continue;
+      for (const ingredient of item.recipe) {
+        if (!usageIndex.has(ingredient.id)) usageIndex.set(ingredient.id, []);
+        usageIndex.get(ingredient.id).push({ item, qty: ingredient.qty });
+      }
+    }
+  }
+  return usageIndex;
+}
+
+/**
+ * Craftable items that use an item as an ingredient
+ * @param {string} itemId - Ingredient
+ * @returns {Array<{item: Object, qty: number}>} qty is how many one craft consumes
+ */
+function getRecipeUsages(itemId) {
+  return recipeUsageIndex().get(itemId) || [];
+}
+
+/**
+ * Full ingredient tree of an item
+ *
+ * @param {string} itemId - Root item
+ * @param {number} [quantity] - How many of the root to make; quantities multiply down the tree
+ * @returns {Object|null} { id, item, qty, craftable, cycle, children } or null for unknown items
+ */
+function getRecipeTree(itemId, quantity = 1, path = []) {
+  const item = itemById(itemId);
+  if (!item) return null;
+  const node = { id: itemId, item, qty: quantity, craftable: isCraftable(item), cycle: path.includes(itemId), children: [] };
+  if (node.craftable && !node.cycle) {
+    node.children = item.recipe
+      .map(ingredient => getRecipeTree(ingredient.id, ingredient.qty * quantity, [...path, itemId]) ||
+        { id: ingredient.id, item: null, qty: ingredient.qty * quantity, craftable: false, cycle: false, children: [] });
+  }
+  return node;
+}
+
+/**
+ * Raw materials at the leaves of a recipe tree, most needed first
+ * @param {Object} tree - getRecipeTree result
+ * @returns {Array<{id, item, qty, usedIn}>} usedIn counts every recipe using the material (a bottleneck hint)
+ */
+function getRawMaterials(tree) {
+  const totals = new Map();
+  const walk = node => {
+    if (node.children.length) return node.children.forEach(walk);
+    totals.set(node.id, (totals.get(node.id) || 0) + node.qty);
+  };
+  tree.children.forEach(walk);
+  return [...totals.entries()]
+    .map(([id, qty]) => ({ id, item: itemById(id), qty, usedIn: getRecipeUsages(id).length }))
+    .sort((a, b) => b.qty - a.qty);
+}
+
+/**
+ * Everything known about an item's recipes: what it is made from, what it makes and its raw bill
+ * @param {string} itemId - Item to describe
+ * @returns {Object|null} { item, tree, usedIn, raw, steps, depth, craftSeconds } or null for unknown items
+ */
+function getRecipeGraph(itemId) {
+  const tree = getRecipeTree(itemId);
+  if (!tree) return null;
+
+  let steps = 0;
+  let craftSeconds = 0;
+  const depthOf = node => {
+    if (!node.children.length) return 0;
+    steps += 1;
+    craftSeconds += getCraftingTime(node.item.rarity, false) * node.qty;
+    return 1 + Math.max(...node.children.map(depthOf));
+  };
+  const depth = depthOf(tree);
+
+  return {
+    item: tree.item,
+    tree,
+    usedIn: getRecipeUsages(itemId),
+    raw: tree.craftable ? getRawMaterials(tree) : [],
+    steps,
+    depth,
+    craftSeconds
+  };
+}
+
+/**
+ * "🔵 **Iron Sword** x2" lines for a completion summary
+ */
+function formatCraftedItems(crafts) {
+  return crafts.map(craft =>
+    `${RARITY_ICONS[craft.item?.rarity] || '⚪'} **${craft.item?.name || craft.itemId}** x${craft.quantity}` +
+    (craft.planRootId ? ` → used for craft #${craft.planRootId}` : '')
+  ).join('\n');
+}
+
+/**
+ * Work out everything needed to craft an item, crafting missing intermediates
+ *
+ * Inventory is used first for every ingredient (never for the target itself). Missing
+ * craftable ingredients become craft steps; everything else is a raw material.
+ *
+ * @param {string} userId - Player
+ * @param {string} itemId - Item to craft
+ * @param {number} [quantity] - How many to craft
+ * @returns {Object} { ok: true, item, quantity, steps, raw, fromInventory, used, missing } or { ok: false, reason }
+ *   steps are in dependency order, ending with the target itself
+ */
+function planCraft(userId, itemId, quantity = 1) {
+  const item = itemById(itemId);
+  if (!isCraftable(item)) return { ok: false, reason: 'not_craftable' };
+
+  const owned = new Map(db.prepare('SELECT itemId, qty FROM inventory WHERE userId=? AND qty>0').all(userId).map(r => [r.itemId, r.qty]));
+  const stock = new Map(owned);
+  const steps = new Map();
+  const raw = new Map();
+  const used = new Map();
+  let cycle = null;
+
+  const take = (id, qty) => {
+    const taken = Math.min(stock.get(id) || 0, qty);
+    if (taken) {
+      stock.set(id, stock.get(id) - taken);
+      used.set(id, (used.get(id) || 0) + taken);
+    }
+    return taken;
+  };
+
+  const need = (id, qty, path) => {
+    const node = itemById(id);
+    if (!isCraftable(node)) {
+      const entry = raw.get(id) || { id, item: node, needed: 0, missing: 0 };
+      entry.needed += qty;
+      entry.missing += qty - take(id, qty);
+      raw.set(id, entry);
+      return;
+    }
+    if (path.includes(id)) {
+      cycle = cycle || [...path, id];
+      return;
+    }
+    const toCraft = path.length ? qty - take(id, qty) : qty;
+    if (!toCraft) return;
+    const step = steps.get(id) || { itemId: id, item: node, quantity: 0 };
+    step.quantity += toCraft;
+    steps.set(id, step);
+    for (const ingredient of node.recipe) need(ingredient.id, ingredient.qty * toCraft, [...path, id]);
+  };
+  need(item.id, quantity, []);
+  if (cycle) return { ok: false, reason: 'recipe_cycle', cycle };
+
+  // Order steps by how many crafting levels sit below them
+  const depth = new Map();
+  const depthOf = id => {
+    if (!depth.has(id)) {
+      depth.set(id, 0);
+      const below = itemById(id).recipe.filter(ing => steps.has(ing.id)).map(ing => depthOf(ing.id));
+      depth.set(id, 1 + Math.max(0, ...below));
+    }
+    return depth.get(id);
+  };
+  const ordered = [...steps.values()]
+    .map(step => ({ ...step, level: depthOf(step.itemId) }))
+    .sort((a, b) => a.level - b.level);
+
+  const rawList = [...raw.values()].map(entry => ({ ...entry, have: owned.get(entry.id) || 0 }));
+  return {
+    ok: true,
+    item,
+    quantity,
+    steps: ordered,
+    raw: rawList,
+    fromInventory: [...used.entries()].filter(([id]) => isCraftable(itemById(id)))
+      .map(([id, qty]) => ({ id, item: itemById(id), qty })),
+    used: [...used.entries()].map(([id, qty]) => ({ id, qty })),
+    missing: rawList.filter(entry => entry.missing > 0)
+  };
+}
+
+/**
+ * Timetable for a plan: each step starts once the steps making its ingredients finish
+ * @param {Object} plan - planCraft result
+ * @param {Object} options
+ * @param {boolean} [options.isPremiumUser] - Premium crafting speed
+ * @param {number} [options.speed] - Crafting-speed multiplier from active effects
+ * @param {number} [options.now] - Reference time
+ * @returns {Array<Object>} Steps with startTime and completionTime
+ */
+function scheduleCraftPlan(plan, { isPremiumUser = false, speed = 1, now = Date.now() } = {}) {
+  const finishes = new Map();
+  return plan.steps.map(step => {
+    const startTime = Math.max(now, ...step.item.recipe.map(ing => finishes.get(ing.id) || 0));
+    const seconds = Math.max(1, Math.floor(getCraftingTime(step.item.rarity, isPremiumUser) * step.quantity / speed));
+    const completionTime = startTime + seconds * 1000;
+    finishes.set(step.itemId, completionTime);
+    return { ...step, startTime, completionTime };
+  });
+}
+
+/**
+ * Queue every craft a plan needs, consuming its materials up front
+ *
+ * @param {string} userId - Player
+ * @param {string} itemId - Item to craft
+ * @param {number} [quantity] - How many to craft
+ * @param {Object} [options]
+ * @param {boolean} [options.isPremiumUser] - Premium speed and premium-only recipes
+ * @returns {Object} { ok: true, plan, rootId, crafts } or { ok: false, reason, ... }
+ */
+function queueCraftPlan(userId, itemId, quantity = 1, { isPremiumUser = false } = {}) {
+  const plan = planCraft(userId, itemId, quantity);
+  if (!plan.ok) return plan;
+  if (plan.missing.length) return { ok: false, reason: 'missing_materials', plan };
+
+  const itemsCrafted = db.prepare('SELECT itemsCrafted FROM players WHERE userId=?').get(userId)?.itemsCrafted || 0;
+  const locked = plan.steps.find(step => !canCraftRarity(itemsCrafted, step.item.rarity));
+  if (locked) {
+    const tier = Object.values(CRAFTING_TIERS).find(t => t.maxRarity === locked.item.rarity);
+    return { ok: false, reason: 'tier_locked', plan, item: locked.item, requirement: tier?.requirement || 0 };
+  }
+  const unlocked = getUnlockedRecipeIds(userId);
+  const unknown = plan.steps.find(step => !isRecipeKnown(userId, step.item, unlocked));
+  if (unknown) return { ok: false, reason: 'recipe_unknown', plan, item: unknown.item };
+  const premiumStep = plan.steps.find(step => step.item.premiumNeeded);
+  if (premiumStep && !isPremiumUser) return { ok: false, reason: 'premium_required', plan, item: premiumStep.item };
+
+  const now = Date.now();
+  const free = maxConcurrentCrafts() - countCraftsInProgress(userId, now);
+  if (plan.steps.length > free) return { ok: false, reason: 'not_enough_slots', plan, needed: plan.steps.length, free: Math.max(0, free) };
+
+  const schedule = scheduleCraftPlan(plan, { isPremiumUser, speed: getEffectMultiplier(userId, 'craftSpeed'), now });
+  const insert = db.prepare('INSERT INTO active_crafts(userId, itemId, quantity, startTime, completionTime, planRootId, planMaterials) VALUES(?,?,?,?,?,?,?)');
+  const queue = db.transaction(() => {
+    for (const material of plan.used) {
+      releaseCopies(userId, material.id, material.qty);
+      const taken = db.prepare('UPDATE inventory SET qty=qty-? WHERE userId=? AND itemId=? AND qty>=?').run(material.qty, userId, material.id, material.qty);
+      if (!taken.changes) throw new Error('materials_changed');
+    }
+    db.prepare('DELETE FROM inventory WHERE userId=? AND qty<=0').run(userId);
+
+    // The final craft goes in first so the intermediate steps can point at it; it keeps what the
+    // plan took from the inventory so cancelling refunds those materials, not the intermediates
+    const root = schedule[schedule.length - 1];
+    const planMaterials = JSON.stringify(plan.used);
+    const rootId = insert.run(userId, root.itemId, root.quantity, root.startTime, root.completionTime, null, planMaterials).lastInsertRowid;
+    const crafts = schedule.slice(0, -1).map(step => ({
+      ...step,
+      id: insert.run(userId, step.itemId, step.quantity, step.startTime, step.completionTime, rootId, null).lastInsertRowid
+    }));
+    crafts.push({ ...root, id: rootId });
+    return { rootId, crafts };
+  });
+
+  let queued;
+  try {
+    queued = queue();
+  } catch (error) {
+    if (error.message !== 'materials_changed') throw error;
+    return { ok: false, reason: 'missing_materials', plan: planCraft(userId, itemId, quantity) };
+  }
+  logger.info('[Crafting] %s queued a %d-step plan for %s x%d (craft #%d)', userId, queued.crafts.length, itemId, quantity, queued.rootId);
+  return { ok: true, plan, ...queued };
+}
+
+/**
+ * DM embed for crafts the worker delivered
+ * @param {Object} result - completeFinishedCrafts summary
+ * @returns {EmbedBuilder}
+ */
+function buildCraftNotificationEmbed(result) {
+  const embed = new EmbedBuilder()
+    .setTitle('🔨 Crafting Complete')
+    .setDescription('Your workshop finished these items and added them to your inventory.')
+    .setColor(0x00D26A)
+    .addFields(
+      { name: '🎁 Items', value: formatCraftedItems(result.crafts), inline: false },
+      { name: '📈 Items Crafted', value: `**+${result.totalQuantity}** (total ${result.itemsCrafted})`, inline: true }
+    );
+  if (result.discovered.length) {
+    embed.addFields({ name: '📜 Recipes Discovered', value: result.discovered.map(item => `**${item.name}**`).join('\n'), inline: false });
+  }
+  if (result.newLevel > result.oldLevel) {
+    const tier = CRAFTING_TIERS[result.newLevel];
+    embed.addFields({ name: '🎊 Level Up', value: `You are now a **${tier.name}** and can craft **${tier.maxRarity}** items!`, inline: true });
+  }
+  return embed
+    .setFooter({ text: 'Turn these off with /craft notify • QuestCord Workshop' })
+    .setTimestamp();
+}
+
+async function notifyCraftCompletion(client, result) {
+  const pref = db.prepare('SELECT craftNotify FROM players WHERE userId=?').get(result.userId)?.craftNotify || 'off';
+  if (pref !== 'dm') return;
+  try {
+    const user = await client.users.fetch(result.userId);
+    await user.send({ embeds: [buildCraftNotificationEmbed(result)] });
+  } catch (error) {
+    // Closed DMs are expected; the items are already delivered
+    logger.warn('[Crafting] Could not notify %s: %s', result.userId, error.message);
+  }
+}
+
+/**
+ * Background job: deliver every finished craft and DM players who opted in
+ * @param {Client} [client] - Discord.js client used for DMs
+ * @returns {Promise<number>} Number of players who received items
+ */
+async function processCraftCompletions(client) {
+  const results = completeFinishedCrafts();
+  if (client) {
+    for (const result of results) {
+      await notifyCraftCompletion(client, result);
+    }
+  }
+  return results.length;
+}
+
+module.exports = {
+  CRAFTING_TIERS,
+  RARITY_ICONS,
+  getCraftingLevel,
+  canCraftRarity,
+  isCraftable,
+  getCraftingTime,
+  maxConcurrentCrafts,
+  countCraftsInProgress,
+  completeFinishedCrafts,
+  formatCraftedItems,
+  planCraft,
+  scheduleCraftPlan,
+  queueCraftPlan,
+  getRecipeUsages,
+  getRecipeTree,
+  getRawMaterials,
+  getRecipeGraph,
+  buildCraftNotificationEmbed,
+  processCraftCompletions
+};
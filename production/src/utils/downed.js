@@ -0,0 +1,295 @@
+/**
+ * DOWNED STATE AND RESPAWN
+ *
+ * A player knocked to 0 health in a boss fight is downed (config.downed):
+ * - they lose drakariLossPercent of their carried drakari straight away, and their
+ *   equipped gear loses durability.downedWearPercent (utils/durability)
+ * - attacking, traveling and using items are blocked until the downed timer ends
+ * - when it ends they respawn at the nearest server whose biome is in respawnBiomes
+ *   (biome names as in /biome, any case), falling back to the spawn server, with
+ *   respawnHealthPercent health
+ * - /revive ends it early where they fell: a revive item, gems, or a party member
+ *   standing at the same location
+ *
+ * Expired timers are resolved both by the processRespawns poll and lazily whenever
+ * getDownedState is checked, so handlers never see a stale downed player.
+ * revivePlayer returns { ok: true, ... } or { ok: false, reason } for the command layer.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { haversine } = require('./geo');
+const { itemById } = require('./items');
+const { getMaxStats } = require('./regen');
+const { spendGems } = require('./gems');
+const { getPartyForUser } = require('./parties');
+const { wearAllEquipped } = require('./durability');
+
+function downedConfig() {
+  return config.downed || {};
+}
+
+function reviveConfig() {
+  return downedConfig().revive || {};
+}
+
+// Health restored as a share of the player's (premium-aware) maximum
+function healthShare(userId, percent) {
+  const row = db.prepare('SELECT isPremium FROM players WHERE userId=?').get(userId);
+  const { maxHealth } = getMaxStats(row?.isPremium);
+  return Math.max(1, Math.round(maxHealth * percent / 100));
+}
+
+/**
+ * Current downed state of a player, respawning them first if their timer has run out
+ * @param {string} userId - Player
+ * @returns {{downedAt: number, downedUntil: number, guildId: string, drakariLost: number}|null}
+ */
+function getDownedState(userId) {
+  const row = db.prepare('SELECT downedAt, downedUntil, downedGuildId, downedDrakariLost FROM players WHERE userId=?').get(userId);
+  if (!row || !row.downedUntil) return null;
+  if (row.downedUntil <= Date.now()) {
+    respawnPlayer(userId);
+    return null;
+  }
+  return { downedAt: row.downedAt, downedUntil: row.downedUntil, guildId: row.downedGuildId, drakariLost: row.downedDrakariLost || 0 };
+}
+
+/**
+ * Knock a player out: start the downed timer and take the drakari penalty
+ * Players who are already downed keep their current timer and penalty (nothing is taken twice)
+ * @param {string} userId - Player who reached 0 health
+ * @param {string} [guildId] - Location they fell at (defaults to their current location)
+ * @returns {{downedUntil: number, drakariLost: number, broken: Array, respawnServer: Object|null}} broken lists gear
+ *   the fall broke; respawnServer is where the timer will put them (null to stay put)
+ */
+function knockDown(userId, guildId = null) {
+  const existing = getDownedState(userId);
+  if (existing) {
+    return { downedUntil: existing.downedUntil, drakariLost: existing.drakariLost, broken: [], respawnServer: findRespawnServer(existing.guildId) };
+  }
+
+  const cfg = downedConfig();
+  const now = Date.now();
+  if (!guildId) guildId = db.prepare('SELECT locationGuildId FROM players WHERE userId=?').get(userId)?.locationGuildId || null;
+  const downedUntil = now + (cfg.durationMinutes ?? 10) * 60000;
+
+  const { drakari } = db.prepare('SELECT COALESCE(drakari, 0) AS drakari FROM players WHERE userId=?').get(userId) || { drakari: 0 };
+  const drakariLost = Math.floor(drakari * (cfg.drakariLossPercent ?? 10) / 100);
+
+  db.prepare(`
+    UPDATE players SET health=0, healthUpdatedAt=?, drakari=COALESCE(drakari, 0) - ?,
+      downedAt=?, downedUntil=?, downedGuildId=?, downedDrakariLost=?
+    WHERE userId=?
+  `).run(now, drakariLost, now, downedUntil, guildId, drakariLost, userId);
+
+  const worn = wearAllEquipped(userId);
+
+  logger.info('[Downed] %s was downed in %s (lost %d drakari, respawn at %s)', userId, guildId, drakariLost, new Date(downedUntil).toISOString());
+  return { downedUntil, drakariLost, broken: worn.filter(w => w.broke).map(w => w.item), respawnServer: findRespawnServer(guildId) };
+}
+
+/**
+ * Where a downed player respawns: the nearest respawn-biome server to where they fell,
+ * otherwise the spawn server
+ * @param {string|null} guildId - Location they fell at
+ * @returns {Object|null} Server row, or null to stay put
+ */
+function findRespawnServer(guildId) {
+  const biomes = (downedConfig().respawnBiomes || ['Meadow', 'Forest']).map(biome => String(biome).toLowerCase());
+  const spawn = process.env.SPAWN_GUILD_ID
+    ? db.prepare('SELECT * FROM servers WHERE guildId=? AND archived=0').get(process.env.SPAWN_GUILD_ID)
+    : null;
+  const origin = (guildId && db.prepare('SELECT lat, lon FROM servers WHERE guildId=?').get(guildId)) || spawn;
+
+  if (origin && origin.lat != null && biomes.length) {
+    const candidates = db.prepare(`
+      SELECT * FROM servers
+      WHERE archived=0 AND lat IS NOT NULL AND LOWER(biome) IN (${biomes.map(() => '?').join(',')})
+    `).all(...biomes);
+    let nearest = null;
+    let best = Infinity;
+    for (const server of candidates) {
+      const distance = haversine(origin.lat, origin.lon, server.lat, server.lon);
+      if (distance < best) {
+        best = distance;
+        nearest = server;
+      }
+    }
+    if (nearest) return nearest;
+  }
+  return spawn || null;
+}
+
+/**
+ * End a player's downed state at the respawn point
+ * @param {string} userId - Downed player
+ * @returns {{guildId: string|null, serverName: string|null, health: number}}
+ */
+function respawnPlayer(userId) {
+  const row = db.prepare('SELECT downedGuildId, locationGuildId FROM players WHERE userId=?').get(userId);
+  if (!row) return null;
+  const server = findRespawnServer(row.downedGuildId || row.locationGuildId);
+  const guildId = server ? server.guildId : row.locationGuildId;
+  const health = healthShare(userId, downedConfig().respawnHealthPercent ?? 50);
+
+  db.prepare(`
+    UPDATE players SET locationGuildId=?, health=?, healthUpdatedAt=?,
+      downedAt=NULL, downedUntil=NULL, downedGuildId=NULL, downedDrakariLost=0
+    WHERE userId=?
+  `).run(guildId, health, Date.now(), userId);
+
+  logger.info('[Downed] %s respawned at %s', userId, guildId);
+  return { guildId, serverName: server?.name || null, health };
+}
+
+/**
+ * Respawn every player whose downed timer has run out
+ * @returns {number} Players respawned
+ */
+function processRespawns() {
+  const due = db.prepare('SELECT userId FROM players WHERE downedUntil IS NOT NULL AND downedUntil <= ?').all(Date.now());
+  for (const { userId } of due) {
+    try {
+      respawnPlayer(userId);
+    } catch (error) {
+      logger.warn('[Downed] Failed to respawn %s: %s', userId, error.message);
+    }
+  }
+  return due.length;
+}
+
+// Stand a downed player back up where they fell
+function standUp(userId) {
+  const health = healthShare(userId, reviveConfig().healthPercent ?? 30);
+  db.prepare(`
+    UPDATE players SET health=?, healthUpdatedAt=?, downedAt=NULL, downedUntil=NULL, downedGuildId=NULL, downedDrakariLost=0
+    WHERE userId=?
+  `).run(health, Date.now(), userId);
+  return health;
+}
+
+/**
+ * Revive items the player could use, in config order
+ * @returns {Array} Item definitions
+ */
+function getReviveItems() {
+  return (reviveConfig().items || []).map(id => itemById(id)).filter(Boolean);
+}
+
+/**
+ * Revive a downed player before their respawn timer ends
+ *
+ * @param {string} userId - Downed player
+ * @param {string} method - 'item', 'gems' or 'ally'
+ * @param {Object} [options]
+ * @param {string} [options.itemId] - Revive item to use (method 'item'; defaults to the first one owned)
+ * @param {string} [options.reviverId] - Party member doing the reviving (method 'ally')
+ * @returns {Object} Result object
+ */
+function revivePlayer(userId, method, options = {}) {
+  const state = getDownedState(userId);
+  if (!state) return { ok: false, reason: 'not_downed' };
+  const cfg = reviveConfig();
+
+  if (method === 'item') {
+    const owned = getReviveItems().filter(item =>
+      (db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, item.id)?.qty || 0) > 0
+    );
+    const item = options.itemId ? owned.find(i => i.id === options.itemId) : owned[0];
+    if (!item) return { ok: false, reason: options.itemId && !getReviveItems().some(i => i.id === options.itemId) ? 'not_revive_item' : 'no_revive_item' };
+    const taken = db.prepare('UPDATE inventory SET qty=qty-1 WHERE userId=? AND itemId=? AND qty>=1').run(userId, item.id);
+    if (!taken.changes) return { ok: false, reason: 'no_revive_item' };
+    db.prepare('DELETE FROM inventory WHERE userId=? AND itemId=? AND qty<=0').run(userId, item.id);
+    logger.info('[Downed] %s revived with %s', userId, item.id);
+    return { ok: true, method, item, health: standUp(userId) };
+  }
+
+  if (method === 'gems') {
+    const cost = cfg.gemCost ?? 25;
+    if (!spendGems(userId, cost, 'revive', 'Revived after being downed')) return { ok: false, reason: 'not_enough_gems', cost };
+    logger.info('[Downed] %s revived for %d gems', userId, cost);
+    return { ok: true, method, cost, health: standUp(userId) };
+  }
+
+  if (method === 'ally') {
+    const reviverId = options.reviverId;
+    if (!reviverId || reviverId === userId) return { ok: false, reason: 'self' };
+    const party = getPartyForUser(userId);
+    if (!party || getPartyForUser(reviverId)?.id !== party.id) return { ok: false, reason: 'not_party_member' };
+    if (getDownedState(reviverId)) return { ok: false, reason: 'reviver_downed' };
+
+    const reviver = db.prepare('SELECT locationGuildId, travelArrivalAt, stamina FROM players WHERE userId=?').get(reviverId);
+    if (!reviver || reviver.locationGuildId !== state.guildId || (reviver.travelArrivalAt && reviver.travelArrivalAt > Date.now())) {
+      return { ok: false, reason: 'not_nearby' };
+    }
+    const cost = cfg.allyStaminaCost ?? 20;
+    if ((reviver.stamina || 0) < cost) return { ok: false, reason: 'not_enough_stamina', cost };
+    db.prepare('UPDATE players SET stamina=stamina-?, staminaUpdatedAt=? WHERE userId=?').run(cost, Date.now(), reviverId);
+    logger.info('[Downed] %s was revived by party member %s', userId, reviverId);
+    return { ok: true, method, reviverId, cost, health: standUp(userId) };
+  }
+
+  return { ok: false, reason: 'unknown_method' };
+}
+
+/**
+ * One-line downed notice for blocked commands
+ * @param {Object} state - getDownedState result
+ * @returns {string}
+ */
+function downedMessage(state) {
+  return `You are downed and respawn <t:${Math.floor(state.downedUntil / 1000)}:R>. Use \`/revive\` to get back up sooner.`;
+}
+
+/**
+ * User-facing text for a failed revivePlayer result
+ */
+function reviveFailureMessage(result) {
+  switch (result.reason) {
+    case 'not_downed': return 'That player is not downed.';
+    case 'not_revive_item': return `That item can't revive you. Revive items: ${getReviveItems().map(i => `**${i.name}**`).join(', ') || 'none'}.`;
+    case 'no_revive_item': return `You don't have a revive item (${getReviveItems().map(i => `**${i.name}**`).join(', ') || 'none configured'}).`;
+    case 'not_enough_gems': return `Reviving costs **${result.cost}** gems.`;
+    case 'self': return "You can't revive yourself that way. Use `/revive item` or `/revive gems`.";
+    case 'not_party_member': return 'You can only revive members of your own party.';
+    case 'reviver_downed': return 'You are downed yourself!';
+    case 'not_nearby': return 'You need to be standing where they fell to revive them.';
+    case 'not_enough_stamina': return `Reviving an ally takes **${result.cost}** stamina.`;
+    default: return 'The revive failed.';
+  }
+}
+
+/**
+ * Embed shown after a successful revive
+ * @param {Interaction} interaction - Command interaction (the reviver for ally revives)
+ * @param {string} userId - Revived player
+ * @param {Object} result - revivePlayer result
+ */
+function reviveEmbed(interaction, userId, result) {
+  const how = result.method === 'item' ? `using a **${result.item.name}**`
+    : result.method === 'gems' ? `for **${result.cost}** gems`
+    : `with help from <@${result.reviverId}> (-${result.cost} stamina)`;
+  return new EmbedBuilder()
+    .setTitle('💖 Back on your feet!')
+    .setDescription(`<@${userId}> was revived ${how} and is back in the fight with **${result.health}** health.`)
+    .setColor(0x2ECC71)
+    .setAuthor({ name: interaction.user.displayName, iconURL: interaction.user.displayAvatarURL() })
+    .setFooter({ text: 'Revive • QuestCord', iconURL: interaction.client.user.displayAvatarURL() })
+    .setTimestamp();
+}
+
+module.exports = {
+  getDownedState,
+  knockDown,
+  findRespawnServer,
+  respawnPlayer,
+  processRespawns,
+  getReviveItems,
+  revivePlayer,
+  downedMessage,
+  reviveFailureMessage,
+  reviveEmbed
+};
@@ -0,0 +1,330 @@
+/**
+ * PVP DUELS
+ *
+ * Players standing at the same location can challenge each other (config.duel):
+ * - both need minHealth, staminaCost stamina, no active duel cooldown, and must not be
+ *   traveling or downed; the checks run again when the challenge is accepted
+ * - the challenger's wager is taken into escrow when the challenge is issued and the
+ *   opponent's when they accept; declined, cancelled and expired challenges refund it
+ * - rounds are simultaneous: each side rolls baseDamage through their equipment attack
+ *   and crit, reduced by the other side's defense, until someone drops or maxRounds pass
+ *   (then the fighter with more health left wins)
+ * - duels never down anyone: fighters keep at least 1 health, and gear wears like a boss fight
+ * - the winner takes the pot and both elo ratings move by the standard formula (eloK)
+ *
+ * Functions return { ok: true, ... } or { ok: false, reason, ... } for the command layer.
+ */
+
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { getEquipmentStats, rollAttackDamage, mitigateDamage } = require('./equipment');
+const { applyCombatWear } = require('./durability');
+const { getDownedState } = require('./downed');
+const { applyRegenForUser } = require('./regen');
+
+function duelConfig() {
+  return config.duel || {};
+}
+
+function startingElo() {
+  return duelConfig().startingElo ?? 1000;
+}
+
+/**
+ * Duel record for a player
+ * @param {string} userId - Player
+ * @returns {{wins: number, losses: number, draws: number, elo: number}}
+ */
+function getDuelRecord(userId) {
+  const row = db.prepare('SELECT duelWins, duelLosses, duelDraws, duelElo FROM players WHERE userId=?').get(userId) || {};
+  return { wins: row.duelWins || 0, losses: row.duelLosses || 0, draws: row.duelDraws || 0, elo: row.duelElo ?? startingElo() };
+}
+
+/**
+ * Most recent completed duels involving a player, newest first
+ * @param {string} userId - Player
+ * @param {number} [limit=5]
+ * @returns {Array<{id, opponentId, result: 'win'|'loss'|'draw', wager, eloChange, resolvedAt}>}
+ */
+function getRecentDuels(userId, limit = 5) {
+  return db.prepare(`
+    SELECT * FROM duels WHERE status='completed' AND (challengerId=? OR opponentId=?)
+    ORDER BY resolvedAt DESC LIMIT ?
+  `).all(userId, userId, limit).map(d => {
+    const isChallenger = d.challengerId === userId;
+    return {
+      id: d.id,
+      opponentId: isChallenger ? d.opponentId : d.challengerId,
+      result: !d.winnerId ? 'draw' : d.winnerId === userId ? 'win' : 'loss',
+      wager: d.wager,
+      eloChange: isChallenger ? d.challengerEloChange : d.opponentEloChange,
+      resolvedAt: d.resolvedAt
+    };
+  });
+}
+
+/**
+ * Elo changes for a finished duel
+ * @param {number} ratingA - Player A rating
+ * @param {number} ratingB - Player B rating
+ * @param {number} scoreA - 1 win, 0.5 draw, 0 loss (from A's side)
+ * @returns {{a: number, b: number}} Rating deltas
+ */
+function eloChanges(ratingA, ratingB, scoreA) {
+  const k = duelConfig().eloK ?? 32;
+  const expectedA = 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+  const a = Math.round(k * (scoreA - expectedA));
+  return { a, b: -a };
+}
+
+// Shared readiness checks for one side of a duel; returns a reason or null
+function unreadyReason(userId, guildId, now) {
+  const cfg = duelConfig();
+  try { applyRegenForUser(userId); } catch {}
+  const p = db.prepare('SELECT locationGuildId, travelArrivalAt, health, stamina, lastDuelAt FROM players WHERE userId=?').get(userId);
+  if (!p) return { reason: 'no_player' };
+  if (p.travelArrivalAt && p.travelArrivalAt > now) return { reason: 'traveling' };
+  if (guildId && p.locationGuildId !== guildId) return { reason: 'not_here' };
+  if (getDownedState(userId)) return { reason: 'downed' };
+  const cooldownMs = (cfg.cooldownMinutes ?? 10) * 60000;
+  if (p.lastDuelAt && now - p.lastDuelAt < cooldownMs) return { reason: 'cooldown', readyAt: p.lastDuelAt + cooldownMs };
+  if ((p.health || 0) < (cfg.minHealth ?? 25)) return { reason: 'low_health', minHealth: cfg.minHealth ?? 25 };
+  if ((p.stamina || 0) < (cfg.staminaCost ?? 15)) return { reason: 'low_stamina', staminaCost: cfg.staminaCost ?? 15 };
+  return null;
+}
+
+// Move drakari in or out of escrow (negative amount takes from the player)
+function adjustDrakari(userId, amount) {
+  if (!amount) return true;
+  if (amount < 0) {
+    return db.prepare('UPDATE players SET drakari=drakari-? WHERE userId=? AND COALESCE(drakari, 0)>=?').run(-amount, userId, -amount).changes > 0;
+  }
+  db.prepare('UPDATE players SET drakari=COALESCE(drakari, 0)+? WHERE userId=?').run(amount, userId);
+  return true;
+}
+
+/**
+ * Refund and close pending challenges whose request window has passed
+ * Duels left 'fighting' by older versions (a failed settlement) get both wagers back
+ * @returns {number} Duels expired
+ */
+function expireStaleDuels() {
+  const stale = db.prepare("SELECT id, challengerId, opponentId, wager, status FROM duels WHERE (status='pending' AND expiresAt <= ?) OR status='fighting'")
+    .all(Date.now());
+  for (const duel of stale) {
+    db.transaction(() => {
+      const closed = db.prepare("UPDATE duels SET status='expired', resolvedAt=? WHERE id=? AND status=?").run(Date.now(), duel.id, duel.status);
+      if (!closed.changes) return;
+      adjustDrakari(duel.challengerId, duel.wager);
+      if (duel.status === 'fighting') adjustDrakari(duel.opponentId, duel.wager);
+    })();
+  }
+  return stale.length;
+}
+
+/**
+ * Issue a duel challenge and put the challenger's wager into escrow
+ *
+ * @param {string} challengerId - Player issuing the challenge
+ * @param {string} opponentId - Challenged player
+ * @param {number} [wager=0] - Drakari each side puts up
+ * @returns {Object} Result object with the duel row on success
+ */
+function createDuel(challengerId, opponentId, wager = 0) {
+  const cfg = duelConfig();
+  const now = Date.now();
+  expireStaleDuels();
+
+  if (challengerId === opponentId) return { ok: false, reason: 'self' };
+  wager = Math.max(0, Math.floor(wager || 0));
+  if (wager > (cfg.maxWager ?? 100000)) return { ok: false, reason: 'wager_too_high', maxWager: cfg.maxWager ?? 100000 };
+
+  const challenger = db.prepare('SELECT locationGuildId FROM players WHERE userId=?').get(challengerId);
+  if (!challenger || !challenger.locationGuildId) return { ok: false, reason: 'no_location' };
+  if (!db.prepare('SELECT 1 FROM players WHERE userId=?').get(opponentId)) return { ok: false, reason: 'opponent_no_player' };
+
+  const busy = db.prepare("SELECT challengerId, opponentId FROM duels WHERE status='pending' AND (challengerId IN (?, ?) OR opponentId IN (?, ?))")
+    .get(challengerId, opponentId, challengerId, opponentId);
+  if (busy) return { ok: false, reason: [busy.challengerId, busy.opponentId].includes(challengerId) ? 'already_pending' : 'opponent_pending' };
+
+  const mine = unreadyReason(challengerId, challenger.locationGuildId, now);
+  if (mine) return { ok: false, ...mine };
+  const theirs = unreadyReason(opponentId, challenger.locationGuildId, now);
+  if (theirs) return { ok: false, ...theirs, reason: `opponent_${theirs.reason}` };
+
+  const create = db.transaction(() => {
+    if (!adjustDrakari(challengerId, -wager)) return null;
+    const info = db.prepare(`
+      INSERT INTO duels (challengerId, opponentId, guildId, wager, status, createdAt, expiresAt)
+      VALUES (?, ?, ?, ?, 'pending', ?, ?)
+    `).run(challengerId, opponentId, challenger.locationGuildId, wager, now, now + (cfg.requestTimeoutSeconds ?? 120) * 1000);
+    return getDuel(info.lastInsertRowid);
+  });
+  const duel = create();
+  if (!duel) return { ok: false, reason: 'not_enough_drakari', wager };
+
+  logger.info('[Duel] %s challenged %s in %s (wager %d)', challengerId, opponentId, duel.guildId, wager);
+  return { ok: true, duel };
+}
+
+/**
+ * Fetch a duel by ID
+ * @param {number} id - Duel ID
+ * @returns {Object|null} Duel row
+ */
+function getDuel(id) {
+  return db.prepare('SELECT * FROM duels WHERE id=?').get(id) || null;
+}
+
+/**
+ * Decline (opponent) or cancel (challenger) a pending duel and refund the escrow
+ * @param {number} duelId - Duel ID
+ * @param {string} userId - Player pressing the button
+ * @returns {Object} Result object
+ */
+function declineDuel(duelId, userId) {
+  expireStaleDuels();
+  const duel = getDuel(duelId);
+  if (!duel) return { ok: false, reason: 'not_found' };
+  if (userId !== duel.challengerId && userId !== duel.opponentId) return { ok: false, reason: 'not_participant' };
+  if (duel.status !== 'pending') return { ok: false, reason: 'not_pending', status: duel.status };
+
+  const status = userId === duel.challengerId ? 'cancelled' : 'declined';
+  const closed = db.transaction(() => {
+    const res = db.prepare("UPDATE duels SET status=?, resolvedAt=? WHERE id=? AND status='pending'").run(status, Date.now(), duel.id);
+    if (res.changes) adjustDrakari(duel.challengerId, duel.wager);
+    return res.changes > 0;
+  })();
+  if (!closed) return { ok: false, reason: 'not_pending' };
+  return { ok: true, duel: { ...duel, status } };
+}
+
+/**
+ * Simulate the rounds of a duel
+ * @param {Object} a - { userId, health }
+ * @param {Object} b - { userId, health }
+ * @returns {{rounds: Array, healthA: number, healthB: number, winner: 'a'|'b'|null}}
+ */
+function simulateDuel(a, b) {
+  const cfg = duelConfig();
+  const min = cfg.baseDamage?.min ?? 8;
+  const max = Math.max(min, cfg.baseDamage?.max ?? 20);
+  const gearA = getEquipmentStats(a.userId);
+  const gearB = getEquipmentStats(b.userId);
+  const rollBase = () => Math.floor(Math.random() * (max - min + 1)) + min;
+
+  let healthA = a.health;
+  let healthB = b.health;
+  const rounds = [];
+  for (let round = 1; round <= (cfg.maxRounds ?? 12); round++) {
+    const hitA = rollAttackDamage(rollBase(), gearA);
+    const hitB = rollAttackDamage(rollBase(), gearB);
+    const damageA = mitigateDamage(hitA.damage, gearB);
+    const damageB = mitigateDamage(hitB.damage, gearA);
+    healthA = Math.max(0, healthA - damageB);
+    healthB = Math.max(0, healthB - damageA);
+    rounds.push({ round, a: { damage: damageA, crit: hitA.crit }, b: { damage: damageB, crit: hitB.crit }, healthA, healthB });
+    if (healthA <= 0 || healthB <= 0) break;
+  }
+
+  let winner = null;
+  if (healthA !== healthB) winner = healthA > healthB ? 'a' : 'b';
+  return { rounds, healthA, healthB, winner };
+}
+
+/**
+ * Accept a pending duel: take the opponent's wager, fight, and settle pot, elo and record
+ *
+ * @param {number} duelId - Duel ID
+ * @param {string} userId - Player pressing accept (must be the opponent)
+ * @returns {Object} Result object with the settled duel and fight summary
+ */
+function acceptDuel(duelId, userId) {
+  const cfg = duelConfig();
+  const now = Date.now();
+  expireStaleDuels();
+  const duel = getDuel(duelId);
+  if (!duel) return { ok: false, reason: 'not_found' };
+  if (userId !== duel.opponentId) return { ok: false, reason: 'not_opponent' };
+  if (duel.status !== 'pending') return { ok: false, reason: 'not_pending', status: duel.status };
+
+  // Conditions may have changed while the challenge was open
+  const theirs = unreadyReason(duel.challengerId, duel.guildId, now);
+  if (theirs) return { ok: false, ...theirs, reason: `opponent_${theirs.reason}` };
+  const mine = unreadyReason(duel.opponentId, duel.guildId, now);
+  if (mine) return { ok: false, ...mine };
+
+  const cost = cfg.staminaCost ?? 15;
+  const health = id => db.prepare('SELECT health FROM players WHERE userId=?').get(id).health || 0;
+  const fight = simulateDuel({ userId: duel.challengerId, health: health(duel.challengerId) }, { userId: duel.opponentId, health: health(duel.opponentId) });
+  const winnerId = fight.winner === 'a' ? duel.challengerId : fight.winner === 'b' ? duel.opponentId : null;
+
+  const recordA = getDuelRecord(duel.challengerId);
+  const recordB = getDuelRecord(duel.opponentId);
+  const elo = eloChanges(recordA.elo, recordB.elo, fight.winner === 'a' ? 1 : fight.winner === 'b' ? 0 : 0.5);
+
+  // Claiming the duel, the opponent's escrow and the settlement commit together, so a
+  // failure anywhere leaves the challenge pending with only the challenger's wager held
+  const settleDuel = db.transaction(() => {
+    const claimed = db.prepare(`
+      UPDATE duels SET status='completed', winnerId=?, rounds=?, challengerEloChange=?, opponentEloChange=?, resolvedAt=?
+      WHERE id=? AND status='pending'
+    `).run(winnerId, JSON.stringify(fight.rounds), elo.a, elo.b, now, duel.id);
+    if (!claimed.changes) throw new Error('not_pending');
+    if (!adjustDrakari(duel.opponentId, -duel.wager)) throw new Error('not_enough_drakari');
+
+    const update = db.prepare(`
+      UPDATE players SET health=?, healthUpdatedAt=?, stamina=MAX(0, COALESCE(stamina, 0) - ?), staminaUpdatedAt=?, lastDuelAt=?,
+        duelElo=?, duelWins=COALESCE(duelWins, 0) + ?, duelLosses=COALESCE(duelLosses, 0) + ?, duelDraws=COALESCE(duelDraws, 0) + ?
+      WHERE userId=?
+    `);
+    const settle = (userId, hp, record, delta) => {
+      const won = winnerId === userId;
+      update.run(Math.max(1, hp), now, cost, now, now, record.elo + delta, won ? 1 : 0, winnerId && !won ? 1 : 0, winnerId ? 0 : 1, userId);
+    };
+    settle(duel.challengerId, fight.healthA, recordA, elo.a);
+    settle(duel.opponentId, fight.healthB, recordB, elo.b);
+
+    // Winner takes the pot; a draw returns each wager
+    if (winnerId) adjustDrakari(winnerId, duel.wager * 2);
+    else {
+      adjustDrakari(duel.challengerId, duel.wager);
+      adjustDrakari(duel.opponentId, duel.wager);
+    }
+  });
+  try {
+    settleDuel();
+  } catch (error) {
+    if (error.message !== 'not_pending' && error.message !== 'not_enough_drakari') throw error;
+    return { ok: false, reason: error.message, wager: duel.wager };
+  }
+
+  // Both fighters swung and took hits
+  const broken = [duel.challengerId, duel.opponentId].flatMap(id =>
+    applyCombatWear(id, { attacked: true, hit: true }).filter(w => w.broke).map(w => ({ userId: id, item: w.item }))
+  );
+
+  logger.info('[Duel] #%d %s vs %s: %s in %d rounds', duel.id, duel.challengerId, duel.opponentId, winnerId || 'draw', fight.rounds.length);
+  return {
+    ok: true,
+    duel: getDuel(duel.id),
+    fight,
+    winnerId,
+    elo,
+    records: { challenger: getDuelRecord(duel.challengerId), opponent: getDuelRecord(duel.opponentId) },
+    broken
+  };
+}
+
+module.exports = {
+  getDuelRecord,
+  getRecentDuels,
+  eloChanges,
+  expireStaleDuels,
+  createDuel,
+  getDuel,
+  declineDuel,
+  simulateDuel,
+  acceptDuel
+};
@@ -0,0 +1,318 @@
+/**
+ * GEAR DURABILITY
+ *
+ * Combat gear (any slot in config.equipment.slotStats) wears down (config.durability):
+ * - the equipped weapon loses weaponWearPerAttack on every boss attack
+ * - every other equipped combat piece loses armorWearPerHit when a hit lands on the player
+ * - everything equipped loses downedWearPercent of its maximum when the player is downed
+ * Maximum durability comes from the item's `durability` field or maxByRarity.
+ *
+ * Every copy in a stack has its own durability. gear_durability holds one row per worn copy;
+ * copies without a row are at full durability. One copy of an item is "in use": the row flagged
+ * inUse, else a fresh copy while the stack has one, else the best worn copy. Only the copy in
+ * use wears, and it is what getDurability reports. Equipping picks the best copy
+ * (useBestCopy), /repair fixes the copy in use or else the most worn one, and salvage takes
+ * the most worn copies first (takeWornCopies). When copies leave the inventory any other way
+ * (market, admin removal, crafting) the fresh ones go first, then the least worn (releaseCopies);
+ * market listings carry their worn copies to the buyer, or back to the seller (receiveCopies).
+ *
+ * Broken gear (0) contributes no stats (see utils/equipment) until repaired with drakari or a
+ * share of its crafting materials. repairItem returns { ok: true, ... } or { ok: false, reason }
+ * for the command layer.
+ */
+
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { itemById } = require('./items');
+
+function durabilityConfig() {
+  return config.durability || {};
+}
+
+/**
+ * Maximum durability of an item
+ * @param {Object} item - Item definition
+ * @returns {number|null} Max durability, or null for items that never wear
+ */
+function maxDurability(item) {
+  const cfg = durabilityConfig();
+  if (cfg.enabled === false || !item || !item.equipSlot) return null;
+  if (!((config.equipment && config.equipment.slotStats) || {})[item.equipSlot]) return null;
+  if (typeof item.durability === 'number') return item.durability;
+  return (cfg.maxByRarity || {})[item.rarity] || 100;
+}
+
+/**
+ * Worn copies of an item a player owns, capped at the stack size (read only)
+ * @param {string} userId - Owner
+ * @param {string} itemId - Item
+ * @returns {{owned: number, copies: Array<{id, durability, inUse}>}} copies: in-use copy first, then most worn
+ */
+function getWornCopies(userId, itemId) {
+  const owned = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, itemId)?.qty || 0;
+  const copies = db.prepare('SELECT id, durability, inUse FROM gear_durability WHERE userId=? AND itemId=? ORDER BY inUse DESC, durability ASC, id ASC')
+    .all(userId, itemId);
+  return { owned, copies: copies.slice(0, owned) };
+}
+
+// The copy in use: the flagged one, a fresh copy if any is left, else the best worn copy
+function copyInUse({ owned, copies }) {
+  const flagged = copies.find(copy => copy.inUse);
+  if (flagged) return flagged;
+  if (copies.length < owned) return null;
+  return copies.reduce((best, copy) => (!best || copy.durability > best.durability ? copy : best), null);
+}
+
+/**
+ * Durability of the copy of an item a player uses
+ * @param {string} userId - Owner
+ * @param {Object} item - Item definition
+ * @returns {{current: number, max: number, percent: number, broken: boolean, worn: number}|null} Null for items that
+ *   never wear; worn counts the damaged copies in the stack
+ */
+function getDurability(userId, item) {
+  const max = maxDurability(item);
+  if (max == null) return null;
+  const stack = getWornCopies(userId, item.id);
+  const copy = copyInUse(stack);
+  const current = copy ? Math.min(max, Math.max(0, copy.durability)) : max;
+  return { current, max, percent: Math.round((current / max) * 100), broken: current <= 0, worn: stack.copies.length };
+}
+
+// Store the durability of a copy. Only the copy in use wears, so a damaged copy is flagged
+// inUse; copies back at full durability lose their row
+function setCopyDurability(userId, item, copy, durability) {
+  if (durability >= maxDurability(item)) {
+    if (copy) db.prepare('DELETE FROM gear_durability WHERE id=?').run(copy.id);
+  } else if (copy) {
+    db.prepare('UPDATE gear_durability SET durability=?, inUse=1, updatedAt=? WHERE id=?').run(durability, Date.now(), copy.id);
+  } else {
+    db.prepare('INSERT INTO gear_durability (userId, itemId, durability, inUse, updatedAt) VALUES (?, ?, ?, 1, ?)')
+      .run(userId, item.id, durability, Date.now());
+  }
+}
+
+/**
+ * Switch to the best copy of an item (called when it is equipped)
+ * @param {string} userId - Owner
+ * @param {Object} item - Item definition
+ */
+function useBestCopy(userId, item) {
+  if (maxDurability(item) == null) return;
+  const { owned, copies } = getWornCopies(userId, item.id);
+  db.prepare('UPDATE gear_durability SET inUse=0 WHERE userId=? AND itemId=?').run(userId, item.id);
+  // A fresh copy needs no flag; otherwise flag the least worn copy
+  if (copies.length && copies.length >= owned) {
+    const best = copies.reduce((a, b) => (b.durability > a.durability ? b : a));
+    db.prepare('UPDATE gear_durability SET inUse=1 WHERE id=?').run(best.id);
+  }
+}
+
+/**
+ * Drop the most worn copies of an item that are about to leave the inventory (salvage)
+ * @param {string} userId - Owner
+ * @param {string} itemId - Item
+ * @param {number} count - Copies being removed
+ * @param {Object} [options]
+ * @param {boolean} [options.keepInUse] - Never take the copy in use (the item stays equipped)
+ */
+function takeWornCopies(userId, itemId, count, { keepInUse = false } = {}) {
+  const stack = getWornCopies(userId, itemId);
+  const inUse = keepInUse ? copyInUse(stack) : null;
+  const remove = db.prepare('DELETE FROM gear_durability WHERE id=?');
+  stack.copies
+    .filter(copy => copy !== inUse)
+    .sort((a, b) => a.durability - b.durability)
+    .slice(0, count)
+    .forEach(copy => remove.run(copy.id));
+}
+
+/**
+ * Drop the copies of an item that are about to leave the inventory any other way (market,
+ * admin removal, crafting): fresh copies go first, then the least worn, the copy in use last.
+ * Call before the inventory is reduced.
+ * @param {string} userId - Owner
+ * @param {string} itemId - Item
+ * @param {number} count - Copies being removed
+ * @returns {Array<number>} Durability of each worn copy that left, for receiveCopies
+ */
+function releaseCopies(userId, itemId, count) {
+  const stack = getWornCopies(userId, itemId);
+  const worn = count - Math.max(0, stack.owned - stack.copies.length);
+  if (worn <= 0) return [];
+  const remove = db.prepare('DELETE FROM gear_durability WHERE id=?');
+  return stack.copies
+    .slice()
+    .sort((a, b) => a.inUse - b.inUse || b.durability - a.durability)
+    .slice(0, worn)
+    .map(copy => {
+      remove.run(copy.id);
+      return copy.durability;
+    });
+}
+
+/**
+ * Add worn copies that came into a player's inventory (a market purchase or a returned listing)
+ * @param {string} userId - New owner
+ * @param {string} itemId - Item
+ * @param {Array<number>} durabilities - From releaseCopies
+ */
+function receiveCopies(userId, itemId, durabilities) {
+  const add = db.prepare('INSERT INTO gear_durability (userId, itemId, durability, inUse, updatedAt) VALUES (?, ?, ?, 0, ?)');
+  for (const durability of durabilities || []) add.run(userId, itemId, durability, Date.now());
+}
+
+/**
+ * Take durability off the copy of an item a player uses
+ * @param {string} userId - Owner
+ * @param {Object} item - Item definition
+ * @param {number} amount - Points to remove
+ * @returns {{item: Object, current: number, max: number, broke: boolean}|null} broke is true when this wear broke it
+ */
+function wearItem(userId, item, amount) {
+  const before = getDurability(userId, item);
+  if (!before || before.broken || amount <= 0) return null;
+  const current = Math.max(0, before.current - Math.round(amount));
+  setCopyDurability(userId, item, copyInUse(getWornCopies(userId, item.id)), current);
+  if (current === 0) logger.info('[Durability] %s broke their %s', userId, item.id);
+  return { item, current, max: before.max, broke: current === 0 };
+}
+
+// Equipped items that can wear
+function equippedWearable(userId) {
+  return db.prepare('SELECT itemId FROM equipment WHERE userId=?').all(userId)
+    .map(row => itemById(row.itemId))
+    .filter(item => maxDurability(item) != null);
+}
+
+/**
+ * Apply combat wear after a boss attack
+ * @param {string} userId - Attacker
+ * @param {Object} options
+ * @param {boolean} [options.attacked] - The player swung their weapon
+ * @param {boolean} [options.hit] - The player took damage
+ * @returns {Array} wearItem results for every item that took wear
+ */
+function applyCombatWear(userId, { attacked = false, hit = false } = {}) {
+  const cfg = durabilityConfig();
+  const results = [];
+  for (const item of equippedWearable(userId)) {
+    const amount = item.equipSlot === 'weapon'
+      ? (attacked ? cfg.weaponWearPerAttack ?? 1 : 0)
+      : (hit ? cfg.armorWearPerHit ?? 1 : 0);
+    const result = wearItem(userId, item, amount);
+    if (result) results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Wear every equipped piece by a share of its maximum (used when a player is downed)
+ * @param {string} userId - Player
+ * @param {number} [percent] - Share of max durability to remove (defaults to downedWearPercent)
+ * @returns {Array} wearItem results
+ */
+function wearAllEquipped(userId, percent = durabilityConfig().downedWearPercent ?? 10) {
+  return equippedWearable(userId)
+    .map(item => wearItem(userId, item, Math.ceil(maxDurability(item) * percent / 100)))
+    .filter(Boolean);
+}
+
+// The copy /repair works on: the copy in use when it is damaged, else the most worn copy
+function repairTarget(userId, item) {
+  const stack = getWornCopies(userId, item.id);
+  return copyInUse(stack) || stack.copies.reduce((worst, copy) => (!worst || copy.durability < worst.durability ? copy : worst), null);
+}
+
+/**
+ * Cost of fully repairing the copy /repair would fix (see repairTarget)
+ * @param {string} userId - Owner
+ * @param {Object} item - Item definition
+ * @returns {{missing: number, drakari: number, materials: Array<{id, qty}>|null}|null} Null for items that never wear
+ */
+function getRepairCost(userId, item) {
+  const max = maxDurability(item);
+  if (max == null) return null;
+  const copy = repairTarget(userId, item);
+  const repair = durabilityConfig().repair || {};
+  const missing = copy ? max - Math.max(0, copy.durability) : 0;
+  const perPoint = (repair.drakariPerPoint || {})[item.rarity] || 1;
+  const share = (repair.materialShare ?? 0.5) * missing / max;
+  const materials = Array.isArray(item.recipe) && item.recipe.length
+    ? item.recipe.map(m => ({ id: m.id, qty: missing ? Math.max(1, Math.ceil(m.qty * share)) : 0 }))
+    : null;
+  return { missing, drakari: missing * perPoint, materials };
+}
+
+/**
+ * Restore one copy of an item to full durability (see repairTarget)
+ *
+ * @param {string} userId - Owner
+ * @param {string} itemId - Item to repair
+ * @param {string} method - 'drakari' or 'materials'
+ * @returns {Object} Result object
+ */
+function repairItem(userId, itemId, method) {
+  const item = itemById(itemId);
+  if (!item) return { ok: false, reason: 'unknown_item' };
+  const owned = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, item.id);
+  if (!owned || owned.qty <= 0) return { ok: false, reason: 'not_owned' };
+  const cost = getRepairCost(userId, item);
+  if (!cost) return { ok: false, reason: 'not_repairable', item };
+  if (cost.missing <= 0) return { ok: false, reason: 'not_damaged', item };
+  const max = maxDurability(item);
+
+  if (method === 'materials') {
+    if (!cost.materials) return { ok: false, reason: 'no_recipe', item };
+    const missingMaterials = cost.materials.filter(m =>
+      (db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, m.id)?.qty || 0) < m.qty
+    );
+    if (missingMaterials.length) return { ok: false, reason: 'missing_materials', item, materials: missingMaterials };
+
+    db.transaction(() => {
+      for (const m of cost.materials) {
+        releaseCopies(userId, m.id, m.qty);
+        db.prepare('UPDATE inventory SET qty=qty-? WHERE userId=? AND itemId=?').run(m.qty, userId, m.id);
+      }
+      db.prepare('DELETE FROM inventory WHERE userId=? AND qty<=0').run(userId);
+      setCopyDurability(userId, item, repairTarget(userId, item), max);
+    })();
+    logger.info('[Durability] %s repaired %s with materials', userId, item.id);
+    return { ok: true, item, method, materials: cost.materials, missing: cost.missing, max };
+  }
+
+  const taken = db.prepare('UPDATE players SET drakari=drakari-? WHERE userId=? AND COALESCE(drakari, 0)>=?').run(cost.drakari, userId, cost.drakari);
+  if (!taken.changes) return { ok: false, reason: 'not_enough_drakari', item, drakari: cost.drakari };
+  setCopyDurability(userId, item, repairTarget(userId, item), max);
+  logger.info('[Durability] %s repaired %s for %d drakari', userId, item.id, cost.drakari);
+  return { ok: true, item, method: 'drakari', drakari: cost.drakari, missing: cost.missing, max };
+}
+
+/**
+ * Short durability label for embeds and menus, e.g. "🔧 120/200" or "💔 Broken"
+ * @param {Object|null} durability - getDurability result
+ * @returns {string} Empty string for items that never wear
+ */
+function formatDurability(durability) {
+  if (!durability) return '';
+  if (durability.broken) return `💔 Broken 0/${durability.max}`;
+  const low = durability.percent <= (durabilityConfig().lowWarningPercent ?? 20);
+  return `${low ? '⚠️' : '🔧'} ${durability.current}/${durability.max}`;
+}
+
+module.exports = {
+  maxDurability,
+  getDurability,
+  getWornCopies,
+  useBestCopy,
+  takeWornCopies,
+  releaseCopies,
+  receiveCopies,
+  wearItem,
+  applyCombatWear,
+  wearAllEquipped,
+  getRepairCost,
+  repairItem,
+  formatDurability
+};
@@ -0,0 +1,117 @@
+/**
+ * ELEMENTAL AFFINITIES
+ *
+ * Weapons and bosses can carry an element (config.elements.types):
+ * - a weapon uses its own `element` field, otherwise the first weaponProfiles entry
+ *   whose keywords appear in its id or name; weapons with no match are neutral
+ * - a boss uses config.boss.definitions[name].element, then the biome its name belongs
+ *   to, then the biome of the server it spawned in (config.elements.biomes)
+ * - matrix[attacker][defender] is the damage multiplier; pairs that are not listed,
+ *   and neutral weapons or bosses, deal normal damage
+ */
+
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const { biomeForName } = require('./boss_mechanics');
+
+function elementsConfig() {
+  return config.elements || {};
+}
+
+/**
+ * Element of a weapon item
+ * @param {Object|null} item - Item definition
+ * @returns {string|null} Element key or null when neutral
+ */
+function getWeaponElement(item) {
+  if (!item) return null;
+  const cfg = elementsConfig();
+  const types = cfg.types || {};
+  if (item.element) return types[item.element] ? item.element : null;
+  const haystack = `${item.id || ''} ${item.name || ''}`.toLowerCase();
+  const profile = (cfg.weaponProfiles || []).find(p =>
+    types[p.element] && (p.match || []).some(word => haystack.includes(word))
+  );
+  return profile ? profile.element : null;
+}
+
+/**
+ * Element of a boss
+ * @param {Object} boss - Boss row
+ * @returns {string|null} Element key or null when neutral
+ */
+function getBossElement(boss) {
+  const cfg = elementsConfig();
+  const types = cfg.types || {};
+  const biomes = cfg.biomes || {};
+
+  const def = ((config.boss && config.boss.definitions) || {})[boss.name];
+  if (def && types[def.element]) return def.element;
+
+  const nameBiome = biomeForName(boss.name);
+  if (types[biomes[nameBiome]]) return biomes[nameBiome];
+
+  // World bosses roam the whole network, so only their name decides
+  if (boss.isWorldBoss || !boss.guildId) return null;
+  const server = db.prepare('SELECT biome FROM servers WHERE guildId=?').get(boss.guildId);
+  return server && types[biomes[server.biome]] ? biomes[server.biome] : null;
+}
+
+/**
+ * Damage multiplier for an attacker element hitting a defender element
+ * @param {string|null} attacker - Attacking element
+ * @param {string|null} defender - Defending element
+ * @returns {number} Multiplier (1 when either side is neutral)
+ */
+function elementMultiplier(attacker, defender) {
+  if (!attacker || !defender) return 1;
+  const row = (elementsConfig().matrix || {})[attacker] || {};
+  return typeof row[defender] === 'number' ? row[defender] : 1;
+}
+
+/**
+ * Elements that deal extra / reduced damage to a defender element
+ * @param {string|null} defender - Defending element
+ * @returns {{weaknesses: string[], resistances: string[]}}
+ */
+function getElementMatchups(defender) {
+  const weaknesses = [];
+  const resistances = [];
+  if (!defender) return { weaknesses, resistances };
+  for (const attacker of Object.keys(elementsConfig().types || {})) {
+    const mult = elementMultiplier(attacker, defender);
+    if (mult > 1) weaknesses.push(attacker);
+    else if (mult < 1) resistances.push(attacker);
+  }
+  return { weaknesses, resistances };
+}
+
+/**
+ * Display label for an element, e.g. "🔥 Fire"
+ * @param {string|null} element - Element key
+ * @returns {string}
+ */
+function formatElement(element) {
+  const type = element && (elementsConfig().types || {})[element];
+  return type ? `${type.emoji} ${type.label}` : '⚪ Neutral';
+}
+
+/**
+ * Short verdict for a multiplier, used in attack and status embeds
+ * @param {number} multiplier - Elemental damage multiplier
+ * @returns {string}
+ */
+function describeMultiplier(multiplier) {
+  if (multiplier > 1) return `Super effective ×${multiplier}`;
+  if (multiplier < 1) return `Resisted ×${multiplier}`;
+  return 'Normal damage';
+}
+
+module.exports = {
+  getWeaponElement,
+  getBossElement,
+  elementMultiplier,
+  getElementMatchups,
+  formatElement,
+  describeMultiplier
+};
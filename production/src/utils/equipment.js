@@ -0,0 +1,158 @@
+/**
+ * EQUIPMENT STAT MODEL
+ *
+ * Turns equipped gear into numeric combat stats:
+ * - attack: percentage bonus applied to outgoing damage
+ * - defense: mitigation rating applied to incoming damage
+ * - crit: chance (0-1) for an attack to critically hit
+ * - staminaEfficiency: fraction (0-1) shaved off stamina costs
+ *
+ * Each item's stats are derived from its slot (config.equipment.slotStats) scaled by
+ * its rarity (config.equipment.rarityScale). An item can override any derived value
+ * with its own `stats` block in config.json. Totals are summed across every row in
+ * the equipment table and capped by the limits in config.equipment. Broken gear
+ * (utils/durability) contributes nothing.
+ */
+
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const { itemById } = require('./items');
+const { getDurability } = require('./durability');
+
+// Stat keys every stat object carries, in display order
+const STAT_KEYS = ['attack', 'defense', 'crit', 'staminaEfficiency'];
+
+function emptyStats() {
+  return { attack: 0, defense: 0, crit: 0, staminaEfficiency: 0 };
+}
+
+function equipmentConfig() {
+  return config.equipment || {};
+}
+
+/**
+ * Compute the stat contribution of a single item
+ * @param {Object} item - Item definition from config.items
+ * @returns {Object} Stat object (all zero for items without combat stats)
+ */
+function itemStats(item) {
+  const stats = emptyStats();
+  if (!item || !item.equipSlot) return stats;
+
+  const cfg = equipmentConfig();
+  const base = (cfg.slotStats || {})[item.equipSlot] || {};
+  const scale = (cfg.rarityScale || {})[item.rarity] || 1;
+
+  for (const key of STAT_KEYS) {
+    stats[key] = (base[key] || 0) * scale;
+  }
+
+  // Per-item overrides from config.json take precedence over derived values
+  if (item.stats) {
+    for (const key of STAT_KEYS) {
+      if (typeof item.stats[key] === 'number') stats[key] = item.stats[key];
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Get every equipped item for a player with its computed stats
+ * @param {string} userId - Discord user ID
+ * @returns {Array} Array of { slot, item, durability, stats } entries
+ */
+function getEquippedItems(userId) {
+  const rows = db.prepare('SELECT slot, itemId FROM equipment WHERE userId=?').all(userId);
+  return rows
+    .map(row => {
+      const item = itemById(row.itemId);
+      if (!item) return null;
+      // Broken gear stays equipped but gives no stats until repaired
+      const durability = getDurability(userId, item);
+      return { slot: row.slot, item, durability, stats: durability && durability.broken ? emptyStats() : itemStats(item) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Aggregate stats across everything the player has equipped
+ * @param {string} userId - Discord user ID
+ * @returns {Object} Capped stat totals
+ */
+function getEquipmentStats(userId) {
+  const cfg = equipmentConfig();
+  const totals = emptyStats();
+
+  for (const entry of getEquippedItems(userId)) {
+    for (const key of STAT_KEYS) totals[key] += entry.stats[key];
+  }
+
+  totals.attack = Math.round(totals.attack);
+  totals.defense = Math.round(totals.defense);
+  totals.crit = Math.min(cfg.maxCritChance ?? 0.5, totals.crit);
+  totals.staminaEfficiency = Math.min(cfg.maxStaminaEfficiency ?? 0.5, totals.staminaEfficiency);
+  return totals;
+}
+
+/**
+ * Apply attack and crit stats to a base damage roll
+ * @param {number} baseDamage - Raw damage before gear
+ * @param {Object} stats - Stat totals from getEquipmentStats
+ * @returns {Object} { damage, crit } where crit is true on a critical hit
+ */
+function rollAttackDamage(baseDamage, stats) {
+  const cfg = equipmentConfig();
+  let damage = baseDamage * (1 + (stats.attack || 0) / 100);
+  const crit = Math.random() < (stats.crit || 0);
+  if (crit) damage *= cfg.critMultiplier || 1.75;
+  return { damage: Math.floor(damage), crit };
+}
+
+/**
+ * Reduce incoming damage by the player's defense rating
+ * Uses diminishing returns: 100 defense halves incoming damage
+ * @param {number} incoming - Raw damage dealt to the player
+ * @param {Object} stats - Stat totals from getEquipmentStats
+ * @returns {number} Damage actually taken
+ */
+function mitigateDamage(incoming, stats) {
+  const defense = Math.max(0, stats.defense || 0);
+  return Math.max(0, Math.round(incoming * 100 / (100 + defense)));
+}
+
+/**
+ * Apply stamina efficiency to an action's stamina cost
+ * @param {number} baseCost - Stamina cost before gear
+ * @param {Object} stats - Stat totals from getEquipmentStats
+ * @returns {number} Adjusted cost (at least 1 when baseCost is positive)
+ */
+function staminaCost(baseCost, stats) {
+  if (baseCost <= 0) return 0;
+  return Math.max(1, Math.round(baseCost * (1 - (stats.staminaEfficiency || 0))));
+}
+
+/**
+ * Render a stat object as short display lines for embeds
+ * @param {Object} stats - Stat object (item or totals)
+ * @returns {string} Formatted stat lines, or a placeholder when empty
+ */
+function formatStats(stats) {
+  const lines = [];
+  if (stats.attack) lines.push(`⚔️ Attack: **+${Math.round(stats.attack)}%**`);
+  if (stats.defense) lines.push(`🛡️ Defense: **${Math.round(stats.defense)}**`);
+  if (stats.crit) lines.push(`🎯 Crit: **${(stats.crit * 100).toFixed(1)}%**`);
+  if (stats.staminaEfficiency) lines.push(`⚡ Stamina Efficiency: **${(stats.staminaEfficiency * 100).toFixed(1)}%**`);
+  return lines.join('\n') || 'No combat bonuses';
+}
+
+module.exports = {
+  STAT_KEYS,
+  itemStats,
+  getEquippedItems,
+  getEquipmentStats,
+  rollAttackDamage,
+  mitigateDamage,
+  staminaCost,
+  formatStats
+};
@@ -0,0 +1,135 @@
+/**
+ * GATHERING SYSTEM
+ *
+ * Rolls biome-specific crafting materials for /gather. Everything is driven by
+ * config.gathering so yields can be rebalanced without code changes:
+ * - tables: biome → weighted entries { itemId, weight, min, max } ('default' is the fallback)
+ * - rolls: weighted picks per gather
+ * - toolRarityBonus: yield multiplier bonus from the equipped `tool` slot item by rarity
+ * - toolAffinity / toolAffinityBonus: extra yield when the tool suits the biome
+ * - staminaCost, cooldownMs, premiumCooldownMultiplier: per-gather costs
+ */
+
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const { itemById } = require('./items');
+
+function gatheringConfig() {
+  return config.gathering || {};
+}
+
+/**
+ * Get the yield table for a biome
+ * @param {string|null} biome - Server biome (case-insensitive)
+ * @returns {Object} { biome, table } where biome is the table actually used
+ */
+function getBiomeTable(biome) {
+  const tables = gatheringConfig().tables || {};
+  const key = String(biome || '').trim().toLowerCase();
+  if (Array.isArray(tables[key]) && tables[key].length) return { biome: key, table: tables[key] };
+  return { biome: 'default', table: tables.default || [] };
+}
+
+/**
+ * Get the player's equipped gathering tool, if any
+ * @param {string} userId - Discord user ID
+ * @returns {Object|null} Item definition
+ */
+function getGatheringTool(userId) {
+  const row = db.prepare("SELECT itemId FROM equipment WHERE userId=? AND slot='tool'").get(userId);
+  return row ? itemById(row.itemId) : null;
+}
+
+/**
+ * Yield multiplier granted by a tool in a biome
+ * @param {Object|null} tool - Equipped tool item
+ * @param {string} biome - Biome key of the table being rolled
+ * @returns {Object} { multiplier, affinity }
+ */
+function toolMultiplier(tool, biome) {
+  if (!tool) return { multiplier: 1, affinity: false };
+  const cfg = gatheringConfig();
+  const affinity = ((cfg.toolAffinity || {})[tool.id] || []).includes(biome);
+  const bonus = ((cfg.toolRarityBonus || {})[tool.rarity] || 0) + (affinity ? (cfg.toolAffinityBonus || 0) : 0);
+  return { multiplier: 1 + bonus, affinity };
+}
+
+function pickWeighted(table) {
+  const total = table.reduce((sum, e) => sum + (e.weight || 0), 0);
+  let roll = Math.random() * total;
+  for (const entry of table) {
+    roll -= entry.weight || 0;
+    if (roll < 0) return entry;
+  }
+  return table[table.length - 1];
+}
+
+/**
+ * Roll a gather for a biome
+ * Quantities are scaled by the tool multiplier; the fractional part becomes a chance
+ * for one extra unit so small bonuses still matter
+ * 
+ * @param {string} biome - Server biome
+ * @param {Object|null} tool - Equipped tool item
+ * @returns {Object} { biome, affinity, multiplier, items: [{ itemId, qty }] }
+ */
+function rollGather(biome, tool) {
+  const { biome: tableBiome, table } = getBiomeTable(biome);
+  const { multiplier, affinity } = toolMultiplier(tool, tableBiome);
+  const rolls = gatheringConfig().rolls || 3;
+  const totals = {};
+
+  if (table.length) {
+    for (let i = 0; i < rolls; i++) {
+      const entry = pickWeighted(table);
+      const min = entry.min || 1;
+      const base = min + Math.floor(Math.random() * ((entry.max || min) - min + 1));
+      const scaled = base * multiplier;
+      const qty = Math.floor(scaled) + (Math.random() < scaled % 1 ? 1 : 0);
+      totals[entry.itemId] = (totals[entry.itemId] || 0) + qty;
+    }
+  }
+
+  return {
+    biome: tableBiome,
+    affinity,
+    multiplier,
+    items: Object.entries(totals).map(([itemId, qty]) => ({ itemId, qty }))
+  };
+}
+
+/**
+ * Add gathered items to a player's inventory
+ * @param {string} userId - Discord user ID
+ * @param {Array} items - [{ itemId, qty }]
+ */
+function grantGatheredItems(userId, items) {
+  const tx = db.transaction(() => {
+    for (const { itemId, qty } of items) {
+      if (qty <= 0) continue;
+      const existing = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, itemId);
+      if (!existing) db.prepare('INSERT INTO inventory(userId,itemId,qty) VALUES(?,?,?)').run(userId, itemId, qty);
+      else db.prepare('UPDATE inventory SET qty=qty+? WHERE userId=? AND itemId=?').run(qty, userId, itemId);
+    }
+  });
+  tx();
+}
+
+/**
+ * Cooldown between gathers in milliseconds
+ * @param {boolean} isPremium - Premium players gather more often
+ */
+function gatherCooldownMs(isPremium) {
+  const cfg = gatheringConfig();
+  const base = cfg.cooldownMs ?? 300000;
+  return Math.round(isPremium ? base * (cfg.premiumCooldownMultiplier ?? 1) : base);
+}
+
+module.exports = {
+  getBiomeTable,
+  getGatheringTool,
+  toolMultiplier,
+  rollGather,
+  grantGatheredItems,
+  gatherCooldownMs
+};
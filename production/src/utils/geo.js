@@ -12,6 +12,39 @@ function haversine(lat1, lon1, lat2, lon2) {
   return 6371 * c;
 }
 
+/**
+ * GREAT-CIRCLE INTERPOLATION
+ * 
+ * Returns the point a given fraction of the way along the shortest path between two
+ * coordinates (spherical linear interpolation). Used to locate players mid-journey.
+ * 
+ * @param {number} lat1 - Start latitude
+ * @param {number} lon1 - Start longitude
+ * @param {number} lat2 - End latitude
+ * @param {number} lon2 - End longitude
+ * @param {number} fraction - Progress along the path (0 = start, 1 = end)
+ * @returns {Object} Position with lat/lon properties
+ */
+function interpolateGreatCircle(lat1, lon1, lat2, lon2, fraction) {
+  const f = Math.max(0, Math.min(1, fraction));
+  const phi1 = deg2rad(lat1), lam1 = deg2rad(lon1);
+  const phi2 = deg2rad(lat2), lam2 = deg2rad(lon2);
+  // Angular distance between the two points
+  const delta = haversine(lat1, lon1, lat2, lon2) / 6371;
+  if (delta === 0) return { lat: lat1, lon: lon1 };
+
+  const a = Math.sin((1 - f) * delta) / Math.sin(delta);
+  const b = Math.sin(f * delta) / Math.sin(delta);
+  const x = a * Math.cos(phi1) * Math.cos(lam1) + b * Math.cos(phi2) * Math.cos(lam2);
+  const y = a * Math.cos(phi1) * Math.sin(lam1) + b * Math.cos(phi2) * Math.sin(lam2);
+  const z = a * Math.sin(phi1) + b * Math.sin(phi2);
+
+  return {
+    lat: Math.atan2(z, Math.sqrt(x * x + y * y)) * 180 / Math.PI,
+    lon: Math.atan2(y, x) * 180 / Math.PI
+  };
+}
+
 /**
  * SPIRAL PLACEMENT ALGORITHM
  * 
@@ -548,6 +581,7 @@ async function checkAndFixWaterServers(db) {
  * 
  * Export all geographic utility functions for use by other modules:
  * - haversine: Distance calculation between coordinates
+ * - interpolateGreatCircle: Point part-way along a great-circle path
  * - placeOnSpiral: Spiral search pattern generation  
  * - isOnLand: Comprehensive land/water detection
  * - isLandByCoordinates: Fast coordinate-based land detection
@@ -563,6 +597,7 @@ async function checkAndFixWaterServers(db) {
  */
 module.exports = { 
   haversine,                      // Distance calculations
+  interpolateGreatCircle,         // Mid-journey positions
   placeOnSpiral,                  // Spiral search patterns
   isOnLand,                       // Primary land/water detection
   isLandByCoordinates,           // Fast coordinate-based detection  
@@ -0,0 +1,241 @@
+/**
+ * PARTY SYSTEM
+ *
+ * Players group up into parties (config.party) to fight bosses and travel together:
+ * - One party per player; the creator is the leader and leadership passes to the
+ *   longest-standing member when the leader leaves
+ * - Invites expire after inviteTtlMs and must be accepted by the invited player
+ * - Members attacking a boss get damageBonusPerMember for every other member who
+ *   has also hit that boss (capped at maxDamageBonus)
+ * - When a boss falls, every party with completionMinMembers participants earns a
+ *   completion bonus (granted by distributeBossLoot in boss_loot.js)
+ *
+ * Mutating helpers return { ok: true, ... } or { ok: false, reason } for the command layer.
+ */
+
+const { db } = require('./store_sqlite');
+const config = require('./config');
+
+function partyConfig() {
+  return config.party || {};
+}
+
+/**
+ * Get the party a player belongs to
+ * @param {string} userId - Discord user ID
+ * @returns {Object|null} Party row or null when not in a party
+ */
+function getPartyForUser(userId) {
+  return db.prepare(`
+    SELECT p.* FROM party_members m JOIN parties p ON p.id = m.partyId WHERE m.userId = ?
+  `).get(userId) || null;
+}
+
+/**
+ * Get the members of a party, leader first, then by join time
+ * @param {number} partyId - Party ID
+ * @returns {Array<{userId, joinedAt, isLeader}>}
+ */
+function getPartyMembers(partyId) {
+  const party = db.prepare('SELECT leaderId FROM parties WHERE id=?').get(partyId);
+  if (!party) return [];
+  return db.prepare('SELECT userId, joinedAt FROM party_members WHERE partyId=? ORDER BY joinedAt').all(partyId)
+    .map(m => ({ ...m, isLeader: m.userId === party.leaderId }))
+    .sort((a, b) => (b.isLeader ? 1 : 0) - (a.isLeader ? 1 : 0));
+}
+
+/**
+ * Party summary for /stats and the profile API
+ * @param {string} userId - Discord user ID
+ * @returns {Object|null} { id, name, leaderId, isLeader, size, maxSize, members } or null
+ */
+function getPartySummary(userId) {
+  const party = getPartyForUser(userId);
+  if (!party) return null;
+  const members = getPartyMembers(party.id);
+  return {
+    id: party.id,
+    name: party.name,
+    leaderId: party.leaderId,
+    isLeader: party.leaderId === userId,
+    size: members.length,
+    maxSize: partyConfig().maxSize ?? 5,
+    createdAt: party.createdAt,
+    members: members.map(m => {
+      const row = db.prepare('SELECT name FROM players WHERE userId=?').get(m.userId);
+      return { userId: m.userId, name: row?.name || null, isLeader: m.isLeader, joinedAt: m.joinedAt };
+    })
+  };
+}
+
+/**
+ * Form a new party led by the given player
+ * @param {string} userId - Leader
+ * @param {string} name - Party name
+ */
+function createParty(userId, name) {
+  if (getPartyForUser(userId)) return { ok: false, reason: 'already_in_party' };
+  const now = Date.now();
+  const partyName = String(name || '').trim().slice(0, partyConfig().nameMaxLength ?? 32);
+  const create = db.transaction(() => {
+    const { lastInsertRowid } = db.prepare('INSERT INTO parties (name, leaderId, createdAt) VALUES (?, ?, ?)').run(partyName, userId, now);
+    db.prepare('INSERT INTO party_members (userId, partyId, joinedAt) VALUES (?, ?, ?)').run(userId, lastInsertRowid, now);
+    return lastInsertRowid;
+  });
+  const partyId = Number(create());
+  return { ok: true, party: db.prepare('SELECT * FROM parties WHERE id=?').get(partyId) };
+}
+
+/**
+ * Invite a player to the inviter's party (leader only)
+ * @param {string} inviterId - Party leader
+ * @param {string} userId - Player being invited
+ */
+function invitePlayer(inviterId, userId) {
+  const party = getPartyForUser(inviterId);
+  if (!party) return { ok: false, reason: 'not_in_party' };
+  if (party.leaderId !== inviterId) return { ok: false, reason: 'not_leader' };
+  if (inviterId === userId) return { ok: false, reason: 'self' };
+  if (getPartyForUser(userId)) return { ok: false, reason: 'target_in_party' };
+  if (getPartyMembers(party.id).length >= (partyConfig().maxSize ?? 5)) return { ok: false, reason: 'party_full' };
+
+  const now = Date.now();
+  const expiresAt = now + (partyConfig().inviteTtlMs ?? 600000);
+  db.prepare(`
+    INSERT OR REPLACE INTO party_invites (partyId, userId, invitedBy, createdAt, expiresAt)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(party.id, userId, inviterId, now, expiresAt);
+  return { ok: true, party, expiresAt };
+}
+
+/**
+ * Get a player's pending (unexpired) invites, newest first
+ * @param {string} userId - Invited player
+ * @returns {Array} Invite rows with partyName
+ */
+function getPendingInvites(userId) {
+  return db.prepare(`
+    SELECT i.*, p.name AS partyName FROM party_invites i JOIN parties p ON p.id = i.partyId
+    WHERE i.userId = ? AND i.expiresAt > ? ORDER BY i.createdAt DESC
+  `).all(userId, Date.now());
+}
+
+/**
+ * Accept a pending invite; with no partyId the newest invite is used
+ * @param {string} userId - Invited player
+ * @param {number|null} partyId - Specific party to join
+ */
+function acceptInvite(userId, partyId = null) {
+  if (getPartyForUser(userId)) return { ok: false, reason: 'already_in_party' };
+  const invites = getPendingInvites(userId);
+  const invite = partyId ? invites.find(i => i.partyId === partyId) : invites[0];
+  if (!invite) return { ok: false, reason: 'no_invite' };
+  if (getPartyMembers(invite.partyId).length >= (partyConfig().maxSize ?? 5)) return { ok: false, reason: 'party_full' };
+
+  const join = db.transaction(() => {
+    db.prepare('INSERT INTO party_members (userId, partyId, joinedAt) VALUES (?, ?, ?)').run(userId, invite.partyId, Date.now());
+    db.prepare('DELETE FROM party_invites WHERE userId=?').run(userId);
+  });
+  join();
+  return { ok: true, party: db.prepare('SELECT * FROM parties WHERE id=?').get(invite.partyId) };
+}
+
+// Remove a member; disbands empty parties and hands leadership on when the leader goes
+function removeMember(party, userId) {
+  const remove = db.transaction(() => {
+    db.prepare('DELETE FROM party_members WHERE userId=? AND partyId=?').run(userId, party.id);
+    const next = db.prepare('SELECT userId FROM party_members WHERE partyId=? ORDER BY joinedAt LIMIT 1').get(party.id);
+    if (!next) {
+      db.prepare('DELETE FROM party_invites WHERE partyId=?').run(party.id);
+      db.prepare('DELETE FROM parties WHERE id=?').run(party.id);
+      return { disbanded: true, newLeaderId: null };
+    }
+    if (party.leaderId === userId) {
+      db.prepare('UPDATE parties SET leaderId=? WHERE id=?').run(next.userId, party.id);
+      return { disbanded: false, newLeaderId: next.userId };
+    }
+    return { disbanded: false, newLeaderId: null };
+  });
+  return remove();
+}
+
+/**
+ * Leave the current party
+ * @param {string} userId - Leaving player
+ * @returns {Object} { ok, party, disbanded, newLeaderId }
+ */
+function leaveParty(userId) {
+  const party = getPartyForUser(userId);
+  if (!party) return { ok: false, reason: 'not_in_party' };
+  return { ok: true, party, ...removeMember(party, userId) };
+}
+
+/**
+ * Remove another member from the party (leader only)
+ * @param {string} leaderId - Party leader
+ * @param {string} userId - Member to remove
+ */
+function kickMember(leaderId, userId) {
+  const party = getPartyForUser(leaderId);
+  if (!party) return { ok: false, reason: 'not_in_party' };
+  if (party.leaderId !== leaderId) return { ok: false, reason: 'not_leader' };
+  if (leaderId === userId) return { ok: false, reason: 'self' };
+  const target = getPartyForUser(userId);
+  if (!target || target.id !== party.id) return { ok: false, reason: 'not_member' };
+  return { ok: true, party, ...removeMember(party, userId) };
+}
+
+/**
+ * Damage bonus for a party member attacking a boss
+ * Counts the other members of the attacker's party who have already hit this boss
+ *
+ * @param {string} userId - Attacker
+ * @param {number} bossId - Boss being attacked
+ * @returns {Object} { multiplier, allies } where allies is the number of fighting party members
+ */
+function partyDamageBonus(userId, bossId) {
+  const party = getPartyForUser(userId);
+  if (!party) return { multiplier: 1, allies: 0 };
+  const { allies } = db.prepare(`
+    SELECT COUNT(*) AS allies FROM party_members m
+    JOIN boss_participants bp ON bp.userId = m.userId AND bp.bossId = ?
+    WHERE m.partyId = ? AND m.userId != ?
+  `).get(bossId, party.id, userId);
+  const cfg = partyConfig();
+  const bonus = Math.min(cfg.maxDamageBonus ?? 0.2, allies * (cfg.damageBonusPerMember ?? 0.05));
+  return { multiplier: 1 + bonus, allies };
+}
+
+/**
+ * Group boss participants by party, keeping only parties that fought together
+ * @param {Array<string>} userIds - Participants of a defeated boss
+ * @returns {Map<number, Array<string>>} partyId -> participating member IDs
+ */
+function fightingParties(userIds) {
+  const groups = new Map();
+  for (const userId of userIds) {
+    const party = getPartyForUser(userId);
+    if (!party) continue;
+    if (!groups.has(party.id)) groups.set(party.id, []);
+    groups.get(party.id).push(userId);
+  }
+  const minMembers = partyConfig().completionMinMembers ?? 2;
+  for (const [partyId, members] of groups) {
+    if (members.length < minMembers) groups.delete(partyId);
+  }
+  return groups;
+}
+
+module.exports = {
+  getPartyForUser,
+  getPartyMembers,
+  getPartySummary,
+  createParty,
+  invitePlayer,
+  getPendingInvites,
+  acceptInvite,
+  leaveParty,
+  kickMember,
+  partyDamageBonus,
+  fightingParties
+};
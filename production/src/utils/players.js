@@ -15,6 +15,9 @@
 const { db } = require('./store_sqlite');
 // Import premium status checking utility
 const { isPremium } = require('./roles');
+// Import item lookup and config for vehicle travel stats
+const { itemById } = require('./items');
+const config = require('./config');
 
 /**
  * ENSURE PLAYER EXISTS WITH VEHICLE SETUP
@@ -175,6 +178,49 @@ function ensureDefaultVehicle(userId) {
   }
 }
 
+/**
+ * RESOLVE THE VEHICLE USED FOR TRAVEL
+ * 
+ * Looks up the vehicle in the player's equipment slot and returns its travel stats.
+ * Premium-only vehicles (premiumNeeded) fall back to the commercial plane when the
+ * player is not premium; the equipment row is left alone so the vehicle works again
+ * once premium is restored.
+ * 
+ * Stamina cost resolution order:
+ * item.travelStaminaCost -> config.vehicles.<id>.staminaCost ->
+ * config.travel.staminaCostByRarity.<rarity> -> config.stamina.travelCost -> 10
+ * 
+ * @param {Object} client - Discord bot client for premium role checking
+ * @param {string} userId - Discord user ID of the traveler
+ * @returns {Object} { id, name, speedMultiplier, staminaCost, lockedItem }
+ */
+async function getTravelVehicle(client, userId) {
+  const userIsPremium = await isPremium(client, userId);
+  const row = db.prepare('SELECT itemId FROM equipment WHERE userId=? AND slot=?').get(userId, 'vehicle');
+  let item = row ? itemById(row.itemId) : null;
+  let lockedItem = null;
+
+  if (!item || item.equipSlot !== 'vehicle') {
+    item = itemById('plane');
+  } else if (item.premiumNeeded && !userIsPremium) {
+    // Premium vehicle without premium - travel on the default plane instead
+    lockedItem = item;
+    item = itemById('plane');
+  }
+
+  const id = item?.id || 'plane';
+  const vehicleCfg = (config.vehicles || {})[id] || {};
+  const rarityCosts = (config.travel || {}).staminaCostByRarity || {};
+
+  return {
+    id,
+    name: item?.name || vehicleCfg.name || 'Commercial Plane',
+    speedMultiplier: item?.vehicleSpeedMultiplier ?? vehicleCfg.speedMultiplier ?? 1.0,
+    staminaCost: item?.travelStaminaCost ?? vehicleCfg.staminaCost ?? rarityCosts[item?.rarity] ?? config.stamina?.travelCost ?? 10,
+    lockedItem
+  };
+}
+
 /**
  * MODULE EXPORTS
  * 
@@ -183,5 +229,6 @@ function ensureDefaultVehicle(userId) {
 module.exports = {
   ensurePlayerWithVehicles,    // Main player initialization function
   updatePremiumVehicles,       // Premium vehicle access management
-  ensureDefaultVehicle         // Safety function for vehicle equipment
+  ensureDefaultVehicle,        // Safety function for vehicle equipment
+  getTravelVehicle             // Equipped vehicle speed/stamina for travel
 };
\ No newline at end of file
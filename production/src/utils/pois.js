@@ -268,6 +268,7 @@ function visitPOI(userId, poiId) {
 
   // Give rewards for first visit
   let reward = 0;
+  let scroll = null;
   if (isFirstVisit) {
     reward = poi.discoveryReward;
     
@@ -284,12 +285,23 @@ function visitPOI(userId, poiId) {
         VALUES (?, 'Unknown', NULL, 'plane', 100, 100, ?, 0)
       `).run(userId, reward);
     }
+
+    // First visits can turn up a recipe scroll
+    const scrollId = require('./recipe_unlocks').rollLandmarkScroll();
+    if (scrollId) {
+      db.prepare(`
+        INSERT INTO inventory (userId, itemId, qty) VALUES (?, ?, 1)
+        ON CONFLICT(userId, itemId) DO UPDATE SET qty = qty + 1
+      `).run(userId, scrollId);
+      scroll = require('./items').itemById(scrollId);
+    }
   }
 
   return {
     poi,
     isFirstVisit,
     reward,
+    scroll,
     visitedAt: now
   };
 }
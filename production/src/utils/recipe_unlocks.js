@@ -0,0 +1,279 @@
+/**
+ * RECIPE UNLOCKS
+ *
+ * Whether a player knows a recipe depends on its unlock mode (config.crafting.unlocks,
+ * overridable per item with `unlock: 'known' | 'discover' | 'scroll'`):
+ * - known    → available as soon as the crafting tier allows its rarity
+ * - discover → learned after discoverAfter finished crafts of related items: the recipe's
+ *              craftable ingredients, or items of the same category that share one of its
+ *              ingredients. Each craft counts once whatever its quantity
+ * - scroll   → learned with /craft learn by using up a recipe scroll of the recipe's rarity
+ *              (recipe_scroll_<rarity>). Scrolls drop from bosses of bossScrollMinTier and up,
+ *              can come from first landmark visits, and can be traded on the player market
+ *
+ * A discover recipe with no related items, or only related items that can never be unlocked
+ * themselves, falls back to scroll (when a scroll of its rarity exists) or known; these are
+ * logged by checkRecipeUnlocks() at startup.
+ *
+ * The crafting tier still applies to known recipes. Discovery progress and unlocks are
+ * stored per player in recipe_unlocks. learnRecipe returns { ok: false, reason } for the
+ * command layer.
+ */
+
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { itemById } = require('./items');
+
+const UNLOCK_MODES = ['known', 'discover', 'scroll'];
+
+function unlockConfig() {
+  return (config.crafting && config.crafting.unlocks) || {};
+}
+
+// Loaded lazily: utils/crafting requires this module
+function isCraftable(item) {
+  return require('./crafting').isCraftable(item);
+}
+
+// Unlock mode from config and the item's override, before the reachability fallback
+function configuredMode(item) {
+  const cfg = unlockConfig();
+  if (cfg.enabled === false || !item) return 'known';
+  if (UNLOCK_MODES.includes(item.unlock)) return item.unlock;
+  if ((cfg.scrollRarities || []).includes(item.rarity)) return 'scroll';
+  if ((cfg.discoverRarities || []).includes(item.rarity)) return 'discover';
+  return 'known';
+}
+
+/**
+ * How a recipe is unlocked
+ * @param {Object} item - Craftable item
+ * @returns {string} 'known', 'discover' or 'scroll'
+ */
+function unlockMode(item) {
+  const mode = configuredMode(item);
+  if (mode !== 'discover' || !getDiscoveryIndex().unreachable.has(item.id)) return mode;
+  return itemById(scrollIdFor(item.rarity)) ? 'scroll' : 'known';
+}
+
+function scrollIdFor(rarity) {
+  return `recipe_scroll_${rarity}`;
+}
+
+function discoverAfter() {
+  return unlockConfig().discoverAfter ?? 3;
+}
+
+/**
+ * IDs of every recipe a player has unlocked (discovered or learned)
+ * @param {string} userId - Player
+ * @returns {Set<string>}
+ */
+function getUnlockedRecipeIds(userId) {
+  return new Set(db.prepare('SELECT itemId FROM recipe_unlocks WHERE userId=? AND unlockedAt IS NOT NULL').all(userId).map(r => r.itemId));
+}
+
+/**
+ * Whether a player knows a recipe (tier requirements are checked separately)
+ * @param {string} userId - Player
+ * @param {Object} item - Craftable item
+ * @param {Set<string>} [unlocked] - getUnlockedRecipeIds result, to avoid a query per item in lists
+ * @returns {boolean}
+ */
+function isRecipeKnown(userId, item, unlocked = null) {
+  if (unlockMode(item) === 'known') return true;
+  return (unlocked || getUnlockedRecipeIds(userId)).has(item.id);
+}
+
+let discoveryIndex = null;
+
+// crafted item id -> discoverable recipes it counts toward, the reverse, and the discover
+// recipes no chain of unlocks can reach
+function getDiscoveryIndex() {
+  if (!discoveryIndex) {
+    const craftable = (config.items || []).filter(isCraftable);
+    const byIngredient = new Map();
+    for (const item of craftable) {
+      for (const ingredient of item.recipe) {
+        if (!byIngredient.has(ingredient.id)) byIngredient.set(ingredient.id, []);
+        byIngredient.get(ingredient.id).push(item);
+      }
+    }
+
+    const targets = craftable.filter(item => configuredMode(item) === 'discover');
+    const relatedTo = new Map();
+    for (const target of targets) {
+      const related = new Set();
+      for (const ingredient of target.recipe) {
+        if (isCraftable(itemById(ingredient.id))) related.add(ingredient.id);
+        for (const other of byIngredient.get(ingredient.id) || []) {
+          if (other.id !== target.id && other.category === target.category) related.add(other.id);
+        }
+      }
+      relatedTo.set(target.id, [...related]);
+    }
+
+    // Known and scroll recipes can always be unlocked; a discover recipe can once any of its
+    // related items can be. Anything left over when nothing changes is unreachable
+    const reachable = new Set(craftable.filter(item => configuredMode(item) !== 'discover').map(item => item.id));
+    let pending = targets;
+    let changed = true;
+    while (changed) {
+      changed = false;
+      pending = pending.filter(target => {
+        if (!relatedTo.get(target.id).some(id => reachable.has(id))) return true;
+        reachable.add(target.id);
+        changed = true;
+        return false;
+      });
+    }
+    const unreachable = new Set(pending.map(item => item.id));
+
+    discoveryIndex = { byCrafted: new Map(), relatedTo: new Map(), unreachable };
+    for (const target of targets.filter(item => !unreachable.has(item.id))) {
+      discoveryIndex.relatedTo.set(target.id, relatedTo.get(target.id));
+      for (const id of relatedTo.get(target.id)) {
+        if (!discoveryIndex.byCrafted.has(id)) discoveryIndex.byCrafted.set(id, []);
+        discoveryIndex.byCrafted.get(id).push(target);
+      }
+    }
+  }
+  return discoveryIndex;
+}
+
+/**
+ * Build the discovery index and log discover recipes that fell back to another mode
+ * @returns {Array<Object>} Unreachable discover recipes
+ */
+function checkRecipeUnlocks() {
+  const unreachable = [...getDiscoveryIndex().unreachable].map(id => itemById(id));
+  if (unreachable.length) {
+    logger.warn('[Recipes] %d discover recipe(s) have no reachable related items and fall back to scroll/known: %s',
+      unreachable.length, unreachable.map(item => `${item.id} (${unlockMode(item)})`).join(', '));
+  }
+  return unreachable;
+}
+
+/**
+ * What a player still has to do to unlock a recipe, for hints
+ * @param {string} userId - Player
+ * @param {Object} item - Craftable item
+ * @returns {Object} { mode, known, progress, needed, scroll, related } — related lists a few
+ *   items (preferring ones the player knows) that count toward discovery
+ */
+function describeRecipeLock(userId, item) {
+  const mode = unlockMode(item);
+  const row = db.prepare('SELECT progress, unlockedAt FROM recipe_unlocks WHERE userId=? AND itemId=?').get(userId, item.id);
+  const lock = { mode, known: mode === 'known' || !!row?.unlockedAt, progress: row?.progress || 0, needed: discoverAfter(), scroll: null, related: [] };
+  if (mode === 'scroll') lock.scroll = itemById(scrollIdFor(item.rarity));
+  if (mode === 'discover') {
+    const unlocked = getUnlockedRecipeIds(userId);
+    lock.related = (getDiscoveryIndex().relatedTo.get(item.id) || [])
+      .map(id => itemById(id))
+      .sort((a, b) => isRecipeKnown(userId, b, unlocked) - isRecipeKnown(userId, a, unlocked))
+      .slice(0, 3);
+  }
+  return lock;
+}
+
+function saveUnlock(userId, itemId, progress, unlockedAt, source) {
+  db.prepare(`
+    INSERT INTO recipe_unlocks (userId, itemId, progress, unlockedAt, source) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(userId, itemId) DO UPDATE SET progress = excluded.progress, unlockedAt = excluded.unlockedAt, source = excluded.source
+  `).run(userId, itemId, progress, unlockedAt, source);
+}
+
+/**
+ * Count a finished craft toward discovering related recipes
+ * @param {string} userId - Crafter
+ * @param {string} itemId - Item that was crafted
+ * @returns {Array<Object>} Items whose recipes were discovered by this craft
+ */
+function recordCraftForDiscovery(userId, itemId) {
+  const needed = discoverAfter();
+  const discovered = [];
+  for (const target of getDiscoveryIndex().byCrafted.get(itemId) || []) {
+    const row = db.prepare('SELECT progress, unlockedAt FROM recipe_unlocks WHERE userId=? AND itemId=?').get(userId, target.id);
+    if (row?.unlockedAt) continue;
+    const progress = Math.min(needed, (row?.progress || 0) + 1);
+    const unlockedAt = progress >= needed ? Date.now() : null;
+    saveUnlock(userId, target.id, progress, unlockedAt, unlockedAt ? 'discovered' : null);
+    if (unlockedAt) discovered.push(target);
+  }
+  if (discovered.length) logger.info('[Recipes] %s discovered %s', userId, discovered.map(i => i.id).join(', '));
+  return discovered;
+}
+
+/**
+ * Learn a scroll recipe by using up a recipe scroll of its rarity
+ *
+ * @param {string} userId - Player
+ * @param {string} itemId - Recipe to learn
+ * @returns {Object} { ok: true, item, scroll } or { ok: false, reason, ... }
+ */
+function learnRecipe(userId, itemId) {
+  const item = itemById(itemId);
+  if (!isCraftable(item)) return { ok: false, reason: 'not_craftable' };
+  const mode = unlockMode(item);
+  if (isRecipeKnown(userId, item)) return { ok: false, reason: 'already_known', item };
+  if (mode !== 'scroll') return { ok: false, reason: 'discover_only', item, lock: describeRecipeLock(userId, item) };
+
+  const scrollId = scrollIdFor(item.rarity);
+  const scroll = itemById(scrollId);
+  const learned = db.transaction(() => {
+    const taken = db.prepare('UPDATE inventory SET qty=qty-1 WHERE userId=? AND itemId=? AND qty>=1').run(userId, scrollId);
+    if (!taken.changes) return false;
+    db.prepare('DELETE FROM inventory WHERE userId=? AND itemId=? AND qty<=0').run(userId, scrollId);
+    saveUnlock(userId, item.id, discoverAfter(), Date.now(), 'scroll');
+    return true;
+  })();
+  if (!learned) return { ok: false, reason: 'no_scroll', item, scroll };
+
+  logger.info('[Recipes] %s learned %s from a scroll', userId, item.id);
+  return { ok: true, item, scroll };
+}
+
+// Weighted pick of a recipe scroll (config.crafting.unlocks.scrollWeights)
+function rollScroll() {
+  const entries = Object.entries(unlockConfig().scrollWeights || {}).filter(([rarity]) => itemById(scrollIdFor(rarity)));
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (!total) return null;
+  let roll = Math.random() * total;
+  const [rarity] = entries.find(([, weight]) => (roll -= weight) < 0) || entries[entries.length - 1];
+  return scrollIdFor(rarity);
+}
+
+/**
+ * Maybe drop a recipe scroll for a boss participant
+ * @param {number} tier - Boss tier
+ * @returns {string|null} Scroll item ID
+ */
+function rollBossScroll(tier) {
+  const cfg = unlockConfig();
+  if (cfg.enabled === false || tier < (cfg.bossScrollMinTier ?? 1)) return null;
+  return Math.random() < (cfg.bossScrollChance || 0) ? rollScroll() : null;
+}
+
+/**
+ * Maybe find a recipe scroll on a first landmark visit
+ * @returns {string|null} Scroll item ID
+ */
+function rollLandmarkScroll() {
+  const cfg = unlockConfig();
+  if (cfg.enabled === false) return null;
+  return Math.random() < (cfg.landmarkScrollChance || 0) ? rollScroll() : null;
+}
+
+module.exports = {
+  unlockMode,
+  checkRecipeUnlocks,
+  scrollIdFor,
+  getUnlockedRecipeIds,
+  isRecipeKnown,
+  describeRecipeLock,
+  recordCraftForDiscovery,
+  learnRecipe,
+  rollBossScroll,
+  rollLandmarkScroll
+};
@@ -3,7 +3,7 @@
  * 
  * This module manages the core regeneration system for QuestCord, handling:
  * - Automatic health and stamina regeneration over time
- * - Travel completion when arrival times are reached
+ * - Travel completion when arrival times are reached (timer-driven, emits 'arrival')
  * - Location-based regeneration modifiers (biome effects)
  * - Activity penalties (recent travel, combat) affecting regen rates
  * - Premium user bonuses for faster regeneration and higher maximums
@@ -19,6 +19,8 @@
 const { db } = require('./store_sqlite');
 // Import travel history recording functionality
 const { recordTravel } = require('./travel_history');
+// Import travel event bus (arrival notifications subscribe to it)
+const { travelEvents } = require('./travel_events');
 // Import logger for consistent color-coded logging
 const logger = require('./logger');
 
@@ -178,43 +180,160 @@ function getActivityPenalty(userId, now) {
   return { health: healthMult, stamina: staminaMult };
 }
 
-function getActiveItemEffects(userId, now) {
+/**
+ * TIMED EFFECT STORAGE
+ *
+ * The regenEffects column holds a JSON map of named effects, each with an expiresAt
+ * timestamp. Three kinds of entries share the map:
+ * - legacy regen bonuses keyed by regen.itemBonuses name: { expiresAt }
+ * - stat buffs/debuffs keyed "buff_<stat>": { expiresAt, stat, multiplier, source }
+ * - consumable cooldowns keyed "cooldown_<itemId>": { expiresAt, type: 'cooldown' }
+ * Expired entries are pruned whenever the map is read.
+ */
+
+/**
+ * Read and prune a player's effect map
+ * @param {string} userId - Player to read effects for
+ * @param {number} now - Current timestamp used for expiry
+ * @returns {Object} Map of active effects
+ */
+function readEffects(userId, now = Date.now()) {
   const player = db.prepare(`SELECT regenEffects FROM players WHERE userId=?`).get(userId);
-  if (!player || !player.regenEffects) return { health: 1.0, stamina: 1.0 };
+  if (!player || !player.regenEffects) return {};
 
   let effects;
   try {
-    effects = JSON.parse(player.regenEffects);
+    effects = JSON.parse(player.regenEffects) || {};
   } catch {
-    return { health: 1.0, stamina: 1.0 };
+    return {};
   }
 
-  let healthMult = 1.0;
-  let staminaMult = 1.0;
-  const itemBonuses = regenConfig.itemBonuses || {};
   let effectsChanged = false;
-
   for (const [effectName, effectData] of Object.entries(effects)) {
-    if (effectData.expiresAt > now) {
-      const bonus = itemBonuses[effectName];
-      if (bonus) {
-        healthMult *= (bonus.healthMultiplier || 1.0);
-        staminaMult *= (bonus.staminaMultiplier || 1.0);
-      }
-    } else {
+    if (!effectData || !(effectData.expiresAt > now)) {
       delete effects[effectName];
       effectsChanged = true;
     }
   }
 
-  if (effectsChanged) {
-    db.prepare(`UPDATE players SET regenEffects=? WHERE userId=?`)
-      .run(JSON.stringify(effects), userId);
+  if (effectsChanged) writeEffects(userId, effects);
+  return effects;
+}
+
+function writeEffects(userId, effects) {
+  db.prepare(`UPDATE players SET regenEffects=? WHERE userId=?`)
+    .run(JSON.stringify(effects), userId);
+}
+
+/**
+ * Combine regen multipliers from an effect map
+ * Handles both legacy itemBonuses entries and healthRegen/staminaRegen stat buffs
+ * @param {Object} effects - Active effect map
+ * @returns {Object} Object with health and stamina multipliers
+ */
+function regenMultipliersFrom(effects) {
+  let healthMult = 1.0;
+  let staminaMult = 1.0;
+  const itemBonuses = regenConfig.itemBonuses || {};
+
+  for (const [effectName, effectData] of Object.entries(effects)) {
+    const bonus = itemBonuses[effectName];
+    if (bonus) {
+      healthMult *= (bonus.healthMultiplier || 1.0);
+      staminaMult *= (bonus.staminaMultiplier || 1.0);
+    }
+    if (effectData.stat === 'healthRegen') healthMult *= effectData.multiplier || 1.0;
+    if (effectData.stat === 'staminaRegen') staminaMult *= effectData.multiplier || 1.0;
   }
 
   return { health: healthMult, stamina: staminaMult };
 }
 
+function getActiveItemEffects(userId, now) {
+  return regenMultipliersFrom(readEffects(userId, now));
+}
+
+/**
+ * Apply (or refresh) a timed stat effect
+ * A new effect on the same stat keeps the stronger multiplier and the later expiry
+ * @param {string} userId - Player receiving the effect
+ * @param {string} stat - damage, defense, travelSpeed, craftSpeed, healthRegen or staminaRegen
+ * @param {number} multiplier - Multiplier applied while active (below 1 is a debuff)
+ * @param {number} duration - Duration in milliseconds
+ * @param {string} source - Item or ability that caused the effect
+ * @returns {Object} The stored effect entry
+ */
+function addTimedEffect(userId, stat, multiplier, duration, source = null) {
+  const now = Date.now();
+  const effects = readEffects(userId, now);
+  const key = `buff_${stat}`;
+  const existing = effects[key];
+  const expiresAt = now + duration;
+
+  if (existing && (existing.multiplier >= 1) === (multiplier >= 1)) {
+    const stronger = multiplier >= 1
+      ? Math.max(existing.multiplier, multiplier)
+      : Math.min(existing.multiplier, multiplier);
+    effects[key] = { ...existing, multiplier: stronger, expiresAt: Math.max(existing.expiresAt, expiresAt), source: source || existing.source };
+  } else {
+    effects[key] = { expiresAt, stat, multiplier, source };
+  }
+
+  writeEffects(userId, effects);
+  return effects[key];
+}
+
+/**
+ * Get the combined multiplier of active effects for a stat
+ * @param {string} userId - Player to check
+ * @param {string} stat - Stat name (see addTimedEffect)
+ * @returns {number} Multiplier (1.0 when nothing is active)
+ */
+function getEffectMultiplier(userId, stat) {
+  let mult = 1.0;
+  for (const effect of Object.values(readEffects(userId))) {
+    if (effect.stat === stat) mult *= effect.multiplier || 1.0;
+  }
+  return mult;
+}
+
+/**
+ * Remove all harmful effects and the in-combat regen penalty
+ * @param {string} userId - Player to cleanse
+ * @returns {number} Number of effects removed
+ */
+function cleanseEffects(userId) {
+  const effects = readEffects(userId);
+  let removed = 0;
+  for (const [key, effect] of Object.entries(effects)) {
+    if (effect.stat && effect.multiplier < 1) {
+      delete effects[key];
+      removed++;
+    }
+  }
+  writeEffects(userId, effects);
+  db.prepare(`UPDATE players SET lastCombatAt=0 WHERE userId=?`).run(userId);
+  return removed;
+}
+
+/**
+ * Milliseconds until a consumable can be used again
+ * @param {string} userId - Player to check
+ * @param {string} itemId - Consumable item ID
+ * @returns {number} Remaining cooldown (0 when ready)
+ */
+function getCooldownRemaining(userId, itemId) {
+  const entry = readEffects(userId)[`cooldown_${itemId}`];
+  return entry ? Math.max(0, entry.expiresAt - Date.now()) : 0;
+}
+
+function setCooldown(userId, itemId, duration) {
+  if (!duration || duration <= 0) return;
+  const effects = readEffects(userId);
+  effects[`cooldown_${itemId}`] = { expiresAt: Date.now() + duration, type: 'cooldown' };
+  writeEffects(userId, effects);
+}
+
 /**
  * PREMIUM USER REGENERATION BONUSES
  * 
@@ -239,6 +358,19 @@ function getPremiumBonuses(isPremium) {
   };
 }
 
+/**
+ * Maximum health and stamina for a player, including premium cap bonuses
+ * @param {boolean} isPremium - Whether user has premium status
+ * @returns {Object} { maxHealth, maxStamina }
+ */
+function getMaxStats(isPremium) {
+  const premiumBonuses = getPremiumBonuses(isPremium);
+  return {
+    maxHealth: MAX_H + premiumBonuses.maxHealthBonus,
+    maxStamina: MAX_S + premiumBonuses.maxStaminaBonus
+  };
+}
+
 function applyItemEffect(userId, itemId, duration = null) {
   const itemBonuses = regenConfig.itemBonuses || {};
   const bonus = itemBonuses[itemId];
@@ -278,7 +410,7 @@ function applyRegenForUser(userId) {
     const now = Date.now();
     const row = db.prepare(`
       SELECT health, stamina, healthUpdatedAt, staminaUpdatedAt, 
-             isPremium, currentBiome, travelArrivalAt, lastCombatAt, regenEffects 
+             isPremium, currentBiome, travelArrivalAt, lastCombatAt, regenEffects, downedUntil 
       FROM players WHERE userId=?
     `).get(userId);
     
@@ -301,8 +433,8 @@ function applyRegenForUser(userId) {
       const activityPenalty = getActivityPenalty(userId, now);
       const itemEffects = getActiveItemEffects(userId, now);
 
-      // Calculate health regeneration
-      if (hElapsedMin > 0 && health < maxH) {
+      // Calculate health regeneration (downed players stay at 0 until revived or respawned)
+      if (hElapsedMin > 0 && health < maxH && !(row.downedUntil > now)) {
         const totalHealthMult = locationMult.health * 
                                activityPenalty.health * 
                                itemEffects.health * 
@@ -338,76 +470,171 @@ function applyRegenForUser(userId) {
   }
 }
 
-function applyRegenToAll() {
-  try {
-    const now = Date.now();
+/**
+ * Complete every travel whose arrival time has passed
+ * Records history and landmark visits in one transaction, then emits an
+ * 'arrival' event per player on travelEvents once the transaction has committed
+ * 
+ * @returns {Array} Arrival payloads that were emitted
+ */
+function completeArrivedTravels() {
+  const now = Date.now();
+  const arrivals = [];
+
+  // Process travel completions in a transaction to prevent race conditions
+  const completeTravels = db.transaction(() => {
+    // First, get and lock the completed travels
+    const completedTravels = db.prepare(`
+      SELECT userId, travelFromGuildId, locationGuildId, travelStartAt, travelArrivalAt,
+             travelVehicle, travelVehicleSpeed, travelStaminaCost, travelDistance, isPremium, travelReturning
+      FROM players
+      WHERE travelArrivalAt > 0 AND travelArrivalAt <= ?
+    `).all(now);
+
+    if (completedTravels.length === 0) return;
+
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.info(`🚶 TRAVEL COMPLETIONS: ${completedTravels.length} player(s) arrived`);
+    logger.info('⏰ Time: %s', new Date().toISOString());
+
+    // Record travel history for completed travels
+    for (const travel of completedTravels) {
+      const travelTime = travel.travelArrivalAt - travel.travelStartAt;
+      const travelMinutes = Math.round(travelTime / 60000);
+      // A server counts as visited once the player has landed there or set out from it
+      const isLandmark = travel.locationGuildId.startsWith('landmark_');
+      const serverFirstVisit = !isLandmark && !travel.travelReturning && !db.prepare(`
+        SELECT 1 FROM travel_history
+        WHERE userId = ? AND ((toGuildId = ? AND COALESCE(cancelled, 0) = 0) OR fromGuildId = ?)
+        LIMIT 1
+      `).get(travel.userId, travel.locationGuildId, travel.locationGuildId);
+      // The return leg of a cancelled journey was already recorded with the cancellation
+      if (!travel.travelReturning) {
+        recordTravel(travel.userId, travel.travelFromGuildId, travel.locationGuildId, travelTime, {
+          vehicle: travel.travelVehicle,
+          vehicleSpeed: travel.travelVehicleSpeed,
+          staminaCost: travel.travelStaminaCost,
+          distance: travel.travelDistance,
+          isPremium: travel.isPremium,
+          startedAt: travel.travelStartAt,
+          arrivedAt: travel.travelArrivalAt
+        });
+      }
 
-    // Process travel completions in a transaction to prevent race conditions
-    const completeTravels = db.transaction(() => {
-      // First, get and lock the completed travels
-      const completedTravels = db.prepare(`
-        SELECT userId, travelFromGuildId, locationGuildId, travelStartAt, travelArrivalAt
-        FROM players
-        WHERE travelArrivalAt > 0 AND travelArrivalAt <= ?
-      `).all(now);
-
-      if (completedTravels.length === 0) return;
-
-      logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-      logger.info(`🚶 TRAVEL COMPLETIONS: ${completedTravels.length} player(s) arrived`);
-      logger.info('⏰ Time: %s', new Date().toISOString());
-
-      // Record travel history for completed travels
-      for (const travel of completedTravels) {
-        const travelTime = travel.travelArrivalAt - travel.travelStartAt;
-        const travelMinutes = Math.round(travelTime / 60000);
-        recordTravel(travel.userId, travel.travelFromGuildId, travel.locationGuildId, travelTime);
-
-        // Log individual travel completion
-        const destination = travel.locationGuildId.startsWith('landmark_')
-          ? `Landmark: ${travel.locationGuildId}`
-          : `Server: ${travel.locationGuildId}`;
-        logger.info(`   👤 User ${travel.userId} → ${destination} (${travelMinutes} min)`);
-
-        // Handle landmark arrivals
-        if (travel.locationGuildId && travel.locationGuildId.startsWith('landmark_')) {
-          const landmarkId = travel.locationGuildId.replace('landmark_', '');
-
-          try {
-            // Get POI info
-            const poi = db.prepare('SELECT * FROM pois WHERE id = ?').get(landmarkId);
-            if (poi) {
-              // Check if already visited
-              const alreadyVisited = db.prepare('SELECT 1 FROM poi_visits WHERE userId = ? AND poiId = ?').get(travel.userId, landmarkId);
-
-              if (!alreadyVisited) {
-                // Record first visit
-                db.prepare('INSERT INTO poi_visits (userId, poiId, visitedAt, isFirstVisit) VALUES (?, ?, ?, 1)').run(
-                  travel.userId, landmarkId, now
-                );
-                logger.info(`      🎉 First visit to ${poi.name}!`);
-              }
+      // Log individual travel completion
+      const destination = travel.locationGuildId.startsWith('landmark_')
+        ? `Landmark: ${travel.locationGuildId}`
+        : `Server: ${travel.locationGuildId}`;
+      logger.info(`   👤 User ${travel.userId} → ${destination} (${travelMinutes} min)`);
+
+      const arrival = {
+        userId: travel.userId,
+        fromGuildId: travel.travelFromGuildId,
+        toGuildId: travel.locationGuildId,
+        isLandmark,
+        returning: !!travel.travelReturning,
+        firstVisit: serverFirstVisit,
+        travelTime,
+        distance: travel.travelDistance || 0,
+        staminaCost: travel.travelStaminaCost || 0,
+        vehicle: travel.travelVehicle,
+        startedAt: travel.travelStartAt,
+        arrivedAt: travel.travelArrivalAt
+      };
+      arrivals.push(arrival);
+
+      // Handle landmark arrivals
+      if (arrival.isLandmark) {
+        const landmarkId = travel.locationGuildId.replace('landmark_', '');
+
+        try {
+          // Get POI info
+          const poi = db.prepare('SELECT * FROM pois WHERE id = ?').get(landmarkId);
+          if (poi) {
+            // Check if already visited
+            const alreadyVisited = db.prepare('SELECT 1 FROM poi_visits WHERE userId = ? AND poiId = ?').get(travel.userId, landmarkId);
+
+            if (!alreadyVisited) {
+              // Record first visit
+              db.prepare('INSERT INTO poi_visits (userId, poiId, visitedAt, isFirstVisit) VALUES (?, ?, ?, 1)').run(
+                travel.userId, landmarkId, now
+              );
+              arrival.firstVisit = true;
+              logger.info(`      🎉 First visit to ${poi.name}!`);
             }
-          } catch (error) {
-            logger.error('Error processing landmark arrival:', error);
           }
+        } catch (error) {
+          logger.error('Error processing landmark arrival:', error);
         }
       }
+    }
 
-      // Clear completed travels atomically
-      db.prepare(`
-        UPDATE players
-        SET travelArrivalAt = 0
-        WHERE travelArrivalAt > 0 AND travelArrivalAt <= ?
-      `).run(now);
-    });
+    // Clear completed travels atomically
+    db.prepare(`
+      UPDATE players
+      SET travelArrivalAt = 0, travelReturning = 0
+      WHERE travelArrivalAt > 0 AND travelArrivalAt <= ?
+    `).run(now);
+  });
+
+  // Execute the travel completion transaction
+  completeTravels();
+
+  for (const arrival of arrivals) {
+    try {
+      travelEvents.emit('arrival', arrival);
+    } catch (error) {
+      logger.error('[Travel] Arrival listener failed:', error.message);
+    }
+  }
+  return arrivals;
+}
+
+// Single timer armed for the next pending arrival so travel completes on time
+// instead of waiting for the next batch pass
+let arrivalTimer = null;
+
+/**
+ * (Re)arm the arrival timer for the earliest pending travel
+ * Call after starting, cancelling or rerouting a journey
+ */
+function scheduleNextArrival() {
+  try {
+    if (arrivalTimer) clearTimeout(arrivalTimer);
+    arrivalTimer = null;
+
+    const next = db.prepare('SELECT MIN(travelArrivalAt) as at FROM players WHERE travelArrivalAt > 0').get();
+    if (!next || !next.at) return;
+
+    // Cap the wait so a long timer never drifts far from the database state
+    const delay = Math.min(Math.max(0, next.at - Date.now()) + 250, 300000);
+    arrivalTimer = setTimeout(() => {
+      arrivalTimer = null;
+      try {
+        completeArrivedTravels();
+      } catch (error) {
+        logger.error('[Travel] Scheduled arrival processing failed:', error);
+      }
+      scheduleNextArrival();
+    }, delay);
+    // Never keep the process alive just for an arrival check
+    if (arrivalTimer.unref) arrivalTimer.unref();
+  } catch (error) {
+    logger.error('[Travel] Failed to schedule next arrival:', error.message);
+  }
+}
+
+function applyRegenToAll() {
+  try {
+    const now = Date.now();
 
-    // Execute the travel completion transaction
-    completeTravels();
+    // Complete finished travels, then make sure the next one is timed precisely
+    completeArrivedTravels();
+    scheduleNextArrival();
     
     const rows = db.prepare(`
       SELECT userId, health, stamina, healthUpdatedAt, staminaUpdatedAt, 
-             isPremium, currentBiome, travelArrivalAt, lastCombatAt, regenEffects 
+             isPremium, currentBiome, travelArrivalAt, lastCombatAt, regenEffects, downedUntil 
       FROM players
     `).all();
     
@@ -455,21 +682,15 @@ function applyRegenToAll() {
           
           if (regenEffects) {
             try {
-              effects = JSON.parse(regenEffects);
-              const itemBonuses = regenConfig.itemBonuses || {};
+              effects = JSON.parse(regenEffects) || {};
               
               for (const [effectName, effectData] of Object.entries(effects)) {
-                if (effectData.expiresAt > now) {
-                  const bonus = itemBonuses[effectName];
-                  if (bonus) {
-                    itemHealthMult *= (bonus.healthMultiplier || 1.0);
-                    itemStaminaMult *= (bonus.staminaMultiplier || 1.0);
-                  }
-                } else {
-                  delete effects[effectName];
-                }
+                if (!effectData || !(effectData.expiresAt > now)) delete effects[effectName];
               }
               
+              const mults = regenMultipliersFrom(effects);
+              itemHealthMult = mults.health;
+              itemStaminaMult = mults.stamina;
               regenEffects = JSON.stringify(effects);
             } catch {
               regenEffects = '{}';
@@ -478,8 +699,8 @@ function applyRegenToAll() {
             regenEffects = '{}';
           }
 
-          // Apply regeneration
-          if (hMin > 0 && h < maxH) {
+          // Apply regeneration (downed players stay at 0 until revived or respawned)
+          if (hMin > 0 && h < maxH && !(r.downedUntil > now)) {
             const totalHealthMult = locationMult.health * 
                                    activityHealthMult * 
                                    itemHealthMult * 
@@ -549,7 +770,7 @@ function getRegenStatus(userId) {
     staminaRegenPerMinute: effectiveStaminaRegen,
     currentBiome: row.currentBiome,
     isPremium: row.isPremium,
-    activeEffects: row.regenEffects ? JSON.parse(row.regenEffects) : {}
+    activeEffects: readEffects(userId, now)
   };
 }
 
@@ -562,10 +783,18 @@ function getRegenStatus(userId) {
 module.exports = { 
   applyRegenForUser,      // Apply regeneration to single player
   applyRegenToAll,        // Batch regeneration for all players + travel completion
+  completeArrivedTravels, // Complete due travels and emit arrival events
+  scheduleNextArrival,    // Arm the precise timer for the next pending arrival
   applyItemEffect,        // Apply temporary item-based regeneration effects
   updateCombatStatus,     // Mark player as recently in combat (affects regen)
   updateBiome,            // Update player's current biome for location bonuses
   getRegenStatus,         // Get current regeneration rates and status for player
+  getMaxStats,            // Health/stamina caps including premium bonuses
+  addTimedEffect,         // Apply a timed stat buff or debuff
+  getEffectMultiplier,    // Combined multiplier of active effects for a stat
+  cleanseEffects,         // Remove debuffs and the combat regen penalty
+  getCooldownRemaining,   // Remaining consumable cooldown in ms
+  setCooldown,            // Start a consumable cooldown
   MAX_H,                  // Base maximum health constant
   MAX_S                   // Base maximum stamina constant
 };
\ No newline at end of file
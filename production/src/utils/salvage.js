@@ -0,0 +1,237 @@
+/**
+ * ITEM SALVAGE
+ *
+ * Breaks unwanted items back down into materials (config.salvage):
+ * - Items with a recipe return a random share of each ingredient: every unit rolls a
+ *   fraction between returnMin and returnMax of the ingredient quantity, rounded up or
+ *   down at random by the remainder
+ * - Items without a recipe give genericRolls[rarity] random picks from genericMaterials[rarity]
+ * - Raw items in rawCategories, excludeItems and items marked `salvage: false` can't be salvaged
+ * - One copy of each equipped item is always kept, and the most worn copies go first
+ *
+ * A salvage is a selection of { item, qty } stacks built from one item or a bulk filter (rarity
+ * and/or category). The command layer shows previewSalvage() for confirmation before
+ * salvageItems() runs it. Salvaged units are counted in players.itemsSalvaged and toward the
+ * salvage challenges. Functions return { ok: false, reason } for the command layer.
+ */
+
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { itemById } = require('./items');
+const challenges = require('./challenges');
+const { takeWornCopies } = require('./durability');
+
+function salvageConfig() {
+  return config.salvage || {};
+}
+
+function maxItemsPerSalvage() {
+  return salvageConfig().maxItemsPerSalvage ?? 250;
+}
+
+/**
+ * Whether an item can be salvaged at all
+ * @param {Object} item - Item definition
+ * @returns {boolean}
+ */
+function isSalvageable(item) {
+  const cfg = salvageConfig();
+  if (cfg.enabled === false || !item || item.salvage === false) return false;
+  if ((cfg.excludeItems || []).includes(item.id)) return false;
+  if (Array.isArray(item.recipe) && item.recipe.length) return true;
+  return !(cfg.rawCategories || ['materials']).includes(item.category);
+}
+
+/**
+ * How many copies of each item a player can salvage (owned minus equipped copies)
+ * @param {string} userId - Player
+ * @returns {Array<{item: Object, qty: number}>} Salvageable stacks
+ */
+function getSalvageableStacks(userId) {
+  const equipped = {};
+  for (const row of db.prepare('SELECT itemId FROM equipment WHERE userId=?').all(userId)) {
+    equipped[row.itemId] = (equipped[row.itemId] || 0) + 1;
+  }
+  return db.prepare('SELECT itemId, qty FROM inventory WHERE userId=? AND qty>0').all(userId)
+    .map(row => ({ item: itemById(row.itemId), qty: row.qty - (equipped[row.itemId] || 0) }))
+    .filter(stack => stack.qty > 0 && isSalvageable(stack.item));
+}
+
+/**
+ * Selection for salvaging one item
+ * @param {string} userId - Player
+ * @param {string} itemId - Item to salvage
+ * @param {number} [quantity] - Copies to salvage
+ * @returns {Object} { ok: true, selection } or { ok: false, reason, ... }
+ */
+function selectItem(userId, itemId, quantity = 1) {
+  const item = itemById(itemId);
+  if (!item) return { ok: false, reason: 'unknown_item' };
+  if (!isSalvageable(item)) return { ok: false, reason: 'not_salvageable', item };
+  if (quantity > maxItemsPerSalvage()) return { ok: false, reason: 'too_many', max: maxItemsPerSalvage() };
+
+  const stack = getSalvageableStacks(userId).find(s => s.item.id === item.id);
+  const owned = db.prepare('SELECT qty FROM inventory WHERE userId=? AND itemId=?').get(userId, item.id)?.qty || 0;
+  if (!owned) return { ok: false, reason: 'not_owned', item };
+  if (!stack || stack.qty < quantity) return { ok: false, reason: 'not_enough', item, available: stack?.qty || 0, equipped: owned > (stack?.qty || 0) };
+  return { ok: true, selection: [{ item, qty: quantity }] };
+}
+
+/**
+ * Selection for bulk salvage: every salvageable copy matching the filters
+ * @param {string} userId - Player
+ * @param {Object} filters
+ * @param {string} [filters.rarity] - Only items of this rarity
+ * @param {string} [filters.category] - Only items of this category
+ * @returns {Object} { ok: true, selection, truncated } or { ok: false, reason }
+ */
+function selectBulk(userId, { rarity = null, category = null } = {}) {
+  if (!rarity && !category) return { ok: false, reason: 'no_filter' };
+  const stacks = getSalvageableStacks(userId)
+    .filter(stack => (!rarity || stack.item.rarity === rarity) && (!category || stack.item.category === category))
+    .sort((a, b) => a.item.name.localeCompare(b.item.name));
+  if (!stacks.length) return { ok: false, reason: 'nothing_to_salvage' };
+
+  // Stay under the per-salvage cap; the rest can go in the next run
+  let room = maxItemsPerSalvage();
+  const selection = [];
+  for (const stack of stacks) {
+    if (room <= 0) break;
+    const qty = Math.min(stack.qty, room);
+    selection.push({ item: stack.item, qty });
+    room -= qty;
+  }
+  return { ok: true, selection, truncated: countUnits(selection) < countUnits(stacks) };
+}
+
+function countUnits(selection) {
+  return selection.reduce((sum, s) => sum + s.qty, 0);
+}
+
+function addYield(totals, id, min, max) {
+  const entry = totals.get(id) || { id, min: 0, max: 0 };
+  entry.min += min;
+  entry.max += max;
+  totals.set(id, entry);
+}
+
+/**
+ * What a selection can return, for the confirmation step
+ * @param {Array<{item: Object, qty: number}>} selection - From selectItem/selectBulk
+ * @returns {Object} { units, materials: [{ id, min, max }], generic: [{ rarity, rolls, pool }] }
+ */
+function previewSalvage(selection) {
+  const cfg = salvageConfig();
+  const returnMin = cfg.returnMin ?? 0.25;
+  const returnMax = cfg.returnMax ?? 0.6;
+  const totals = new Map();
+  const generic = new Map();
+  for (const { item, qty } of selection) {
+    if (Array.isArray(item.recipe) && item.recipe.length) {
+      for (const ingredient of item.recipe) {
+        addYield(totals, ingredient.id, Math.floor(ingredient.qty * returnMin) * qty, Math.ceil(ingredient.qty * returnMax) * qty);
+      }
+    } else {
+      const rolls = ((cfg.genericRolls || {})[item.rarity] ?? 1) * qty;
+      const entry = generic.get(item.rarity) || { rarity: item.rarity, rolls: 0, pool: genericPool(item.rarity) };
+      entry.rolls += rolls;
+      generic.set(item.rarity, entry);
+    }
+  }
+  return { units: countUnits(selection), materials: [...totals.values()], generic: [...generic.values()] };
+}
+
+// Generic materials for a rarity, falling back to the common pool
+function genericPool(rarity) {
+  const pools = salvageConfig().genericMaterials || {};
+  return (pools[rarity] || pools.common || []).filter(id => itemById(id));
+}
+
+// Round a fractional amount up or down at random by its remainder
+function roundRandom(amount) {
+  const whole = Math.floor(amount);
+  return whole + (Math.random() < amount - whole ? 1 : 0);
+}
+
+function rollSalvage(selection) {
+  const cfg = salvageConfig();
+  const returnMin = cfg.returnMin ?? 0.25;
+  const returnMax = cfg.returnMax ?? 0.6;
+  const materials = new Map();
+  const add = (id, qty) => { if (qty > 0) materials.set(id, (materials.get(id) || 0) + qty); };
+
+  for (const { item, qty } of selection) {
+    for (let unit = 0; unit < qty; unit++) {
+      if (Array.isArray(item.recipe) && item.recipe.length) {
+        for (const ingredient of item.recipe) {
+          const share = returnMin + Math.random() * (returnMax - returnMin);
+          add(ingredient.id, roundRandom(ingredient.qty * share));
+        }
+      } else {
+        const pool = genericPool(item.rarity);
+        const rolls = (cfg.genericRolls || {})[item.rarity] ?? 1;
+        for (let r = 0; r < rolls && pool.length; r++) add(pool[Math.floor(Math.random() * pool.length)], 1);
+      }
+    }
+  }
+  return [...materials].map(([id, qty]) => ({ id, item: itemById(id), qty }))
+    .sort((a, b) => b.qty - a.qty);
+}
+
+/**
+ * Salvage a selection: removes the items, rolls and hands out the materials
+ *
+ * @param {string} userId - Player
+ * @param {Array<{item: Object, qty: number}>} selection - From selectItem/selectBulk
+ * @returns {Object} { ok: true, units, salvaged, materials, totalSalvaged } or { ok: false, reason }
+ */
+function salvageItems(userId, selection) {
+  if (!selection.length) return { ok: false, reason: 'nothing_to_salvage' };
+  const units = countUnits(selection);
+  if (units > maxItemsPerSalvage()) return { ok: false, reason: 'too_many', max: maxItemsPerSalvage() };
+
+  // Re-check against the live inventory in case it changed since the preview
+  const available = new Map(getSalvageableStacks(userId).map(stack => [stack.item.id, stack.qty]));
+  if (selection.some(s => !isSalvageable(s.item) || (available.get(s.item.id) || 0) < s.qty)) {
+    return { ok: false, reason: 'items_changed' };
+  }
+
+  const materials = rollSalvage(selection);
+  const equipped = new Set(db.prepare('SELECT itemId FROM equipment WHERE userId=?').all(userId).map(row => row.itemId));
+  const salvage = db.transaction(() => {
+    for (const { item, qty } of selection) {
+      takeWornCopies(userId, item.id, qty, { keepInUse: equipped.has(item.id) });
+      const taken = db.prepare('UPDATE inventory SET qty=qty-? WHERE userId=? AND itemId=? AND qty>=?').run(qty, userId, item.id, qty);
+      if (!taken.changes) throw new Error('items_changed');
+    }
+    db.prepare('DELETE FROM inventory WHERE userId=? AND qty<=0').run(userId);
+    const give = db.prepare(`
+      INSERT INTO inventory (userId, itemId, qty) VALUES (?, ?, ?)
+      ON CONFLICT(userId, itemId) DO UPDATE SET qty = qty + excluded.qty
+    `);
+    for (const material of materials) give.run(userId, material.id, material.qty);
+    db.prepare('UPDATE players SET itemsSalvaged = COALESCE(itemsSalvaged, 0) + ? WHERE userId=?').run(units, userId);
+  });
+  try {
+    salvage();
+  } catch (error) {
+    if (error.message !== 'items_changed') throw error;
+    return { ok: false, reason: 'items_changed' };
+  }
+
+  challenges.updateChallengeProgress(userId, 'salvage', units);
+  const totalSalvaged = db.prepare('SELECT itemsSalvaged FROM players WHERE userId=?').get(userId)?.itemsSalvaged || units;
+  logger.info('[Salvage] %s salvaged %d item(s) into %d material stack(s)', userId, units, materials.length);
+  return { ok: true, units, salvaged: selection, materials, totalSalvaged };
+}
+
+module.exports = {
+  isSalvageable,
+  getSalvageableStacks,
+  maxItemsPerSalvage,
+  selectItem,
+  selectBulk,
+  previewSalvage,
+  salvageItems
+};
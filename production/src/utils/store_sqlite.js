@@ -283,9 +283,79 @@ try {
 // Add travel start timestamp column if it doesn't exist (for travel duration tracking)
 try { db.exec('ALTER TABLE players ADD COLUMN travelStartAt INTEGER DEFAULT 0'); } catch (e) { }
 
+// Add in-flight travel detail columns (vehicle, stamina spent, distance) recorded into travel_history on arrival
+try { db.exec('ALTER TABLE players ADD COLUMN travelVehicle TEXT'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN travelVehicleSpeed REAL DEFAULT 1.0'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN travelStaminaCost INTEGER DEFAULT 0'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN travelDistance REAL DEFAULT 0'); } catch (e) { }
+
+// Add leg origin coordinates and landmark gem cost (needed to cancel or reroute mid-journey)
+try { db.exec('ALTER TABLE players ADD COLUMN travelFromLat REAL'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN travelFromLon REAL'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN travelGemCost INTEGER DEFAULT 0'); } catch (e) { }
+// Flag the free return leg of a cancelled journey (not recorded as a trip of its own)
+try { db.exec('ALTER TABLE players ADD COLUMN travelReturning INTEGER DEFAULT 0'); } catch (e) { }
+
+// Add vehicle id column to travel_history if it doesn't exist (speed is stored in vehicleSpeed)
+try { db.exec('ALTER TABLE travel_history ADD COLUMN vehicle TEXT'); } catch (e) { }
+
+// Add rerouted destination column to travel_history (set on cancelled legs that continued elsewhere)
+try { db.exec('ALTER TABLE travel_history ADD COLUMN reroutedTo TEXT'); } catch (e) { }
+
+// Add arrival notification preference ('off', 'dm' or 'server') for travel arrival messages
+try { db.exec("ALTER TABLE players ADD COLUMN arrivalNotify TEXT DEFAULT 'off'"); } catch (e) { }
+
+// Add downed state columns (knocked out at 0 health until revived or respawned)
+try { db.exec('ALTER TABLE players ADD COLUMN downedAt INTEGER'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN downedUntil INTEGER'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN downedGuildId TEXT'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN downedDrakariLost INTEGER DEFAULT 0'); } catch (e) { }
+
+// Add duel record columns (wins/losses/draws, elo rating and cooldown timestamp)
+try { db.exec('ALTER TABLE players ADD COLUMN duelWins INTEGER DEFAULT 0'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN duelLosses INTEGER DEFAULT 0'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN duelDraws INTEGER DEFAULT 0'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN duelElo INTEGER'); } catch (e) { }
+try { db.exec('ALTER TABLE players ADD COLUMN lastDuelAt INTEGER'); } catch (e) { }
+
+// Add crafting notification preference ('off' or 'dm') for crafts delivered by the completion worker
+try { db.exec("ALTER TABLE players ADD COLUMN craftNotify TEXT DEFAULT 'off'"); } catch (e) { }
+
+// Add salvaged item counter (units broken down with /salvage)
+try { db.exec('ALTER TABLE players ADD COLUMN itemsSalvaged INTEGER DEFAULT 0'); } catch (e) { }
+
 // Add boss tier column if it doesn't exist (for difficulty-based rewards)
 try { db.exec('ALTER TABLE bosses ADD COLUMN tier INTEGER'); } catch (e) { }
 
+// Add boss fight mechanic state (phase index, enrage flag, active shield)
+try { db.exec('ALTER TABLE bosses ADD COLUMN phase INTEGER DEFAULT 0'); } catch (e) { }
+try { db.exec('ALTER TABLE bosses ADD COLUMN enraged INTEGER DEFAULT 0'); } catch (e) { }
+try { db.exec('ALTER TABLE bosses ADD COLUMN shieldAbility TEXT'); } catch (e) { }
+try { db.exec('ALTER TABLE bosses ADD COLUMN shieldAttackers TEXT'); } catch (e) { }
+try { db.exec('ALTER TABLE bosses ADD COLUMN shieldExpiresAt INTEGER DEFAULT 0'); } catch (e) { }
+
+// Add world boss flag (shared HP pool attackable from every registered server)
+try { db.exec('ALTER TABLE bosses ADD COLUMN isWorldBoss INTEGER DEFAULT 0'); } catch (e) { }
+
+// Add scheduled event link and loot multiplier for event bosses (see boss_events)
+try { db.exec('ALTER TABLE bosses ADD COLUMN eventId INTEGER'); } catch (e) { }
+try { db.exec('ALTER TABLE bosses ADD COLUMN rewardMultiplier REAL DEFAULT 1'); } catch (e) { }
+
+// Add summoner of bosses spawned with a summon stone (credited in spawn notifications)
+try { db.exec('ALTER TABLE bosses ADD COLUMN summonedBy TEXT'); } catch (e) { }
+
+// Add participant scaling state (see boss_scaling): unscaled HP, current factors and fighter count
+try { db.exec('ALTER TABLE bosses ADD COLUMN baseMaxHp INTEGER'); } catch (e) { }
+try { db.exec('ALTER TABLE bosses ADD COLUMN scaleFactor REAL DEFAULT 1'); } catch (e) { }
+try { db.exec('ALTER TABLE bosses ADD COLUMN counterFactor REAL DEFAULT 1'); } catch (e) { }
+try { db.exec('ALTER TABLE bosses ADD COLUMN participantCount INTEGER DEFAULT 0'); } catch (e) { }
+
+// Add per-guild boss fighter role (assigned to attackers, independent of alert settings)
+try { db.exec('ALTER TABLE boss_notification_settings ADD COLUMN fighterRoleId TEXT'); } catch (e) { }
+
+// Add per-guild boss spawn opt-out (1 = never pick this guild as a spawn or lair location)
+try { db.exec('ALTER TABLE boss_notification_settings ADD COLUMN spawnOptOut INTEGER DEFAULT 0'); } catch (e) { }
+
 // Add timestamp column to travel_history if it doesn't exist (for analytics and weekly reset)
 try { db.exec('ALTER TABLE travel_history ADD COLUMN timestamp INTEGER'); } catch (e) { }
 
@@ -535,8 +605,230 @@ try {
       timestamp INTEGER NOT NULL            -- When battle occurred
     )
   `);
+  // Per-hit combat detail columns (fight logs); added here because the table is created above
+  try { db.exec('ALTER TABLE battle_analytics ADD COLUMN crit INTEGER DEFAULT 0'); } catch (e) { }
+  try { db.exec('ALTER TABLE battle_analytics ADD COLUMN counterDamage INTEGER DEFAULT 0'); } catch (e) { }
+  try { db.exec('ALTER TABLE battle_analytics ADD COLUMN staminaSpent INTEGER DEFAULT 0'); } catch (e) { }
+  try { db.exec('ALTER TABLE battle_analytics ADD COLUMN bossHpAfter INTEGER'); } catch (e) { }
+  try { db.exec('ALTER TABLE battle_analytics ADD COLUMN playerHpAfter INTEGER'); } catch (e) { }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_battle_analytics_boss ON battle_analytics(bossId, timestamp)');
   logger.info('[Database] Ensured battle_analytics table exists');
 
+  /**
+   * BOSS REWARDS TABLE - Per-Player Loot Breakdown
+   * 
+   * Records what each participant received when a boss was defeated.
+   * Loot is shared out by damage contribution; kept after boss_participants is cleared.
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS boss_rewards (
+      bossId INTEGER NOT NULL,               -- Defeated boss encounter ID
+      userId TEXT NOT NULL,                  -- Participant who received the rewards
+      damage INTEGER DEFAULT 0,              -- Total damage dealt to the boss
+      share REAL DEFAULT 0,                  -- Fraction of total boss damage (0-1)
+      rank INTEGER,                          -- Damage ranking (1 = top damage)
+      drakari INTEGER DEFAULT 0,             -- Currency awarded
+      items TEXT,                            -- JSON array of { itemId, qty, source }
+      topDamage INTEGER DEFAULT 0,           -- Whether the top-damage bonus applied (0/1)
+      createdAt INTEGER NOT NULL,            -- When rewards were distributed
+      PRIMARY KEY (bossId, userId)           -- One breakdown per boss-player pair
+    )
+  `);
+  // Party completion bonus drakari (included in drakari); added here because the table is created above
+  try { db.exec('ALTER TABLE boss_rewards ADD COLUMN partyBonus INTEGER DEFAULT 0'); } catch (e) { }
+  logger.info('[Database] Ensured boss_rewards table exists');
+
+  /**
+   * PARTIES TABLES - Player groups for coordinated boss fights and group travel
+   *
+   * parties holds one row per party (the leader can travel everyone together),
+   * party_members maps each player to at most one party, and party_invites holds
+   * pending invitations until they are accepted or expire.
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS parties (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,  -- Party ID
+      name TEXT NOT NULL,                    -- Display name
+      leaderId TEXT NOT NULL,                -- Discord user ID of the party leader
+      createdAt INTEGER NOT NULL             -- When the party was formed
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS party_members (
+      userId TEXT PRIMARY KEY,               -- A player can only be in one party
+      partyId INTEGER NOT NULL,              -- Party they belong to
+      joinedAt INTEGER NOT NULL              -- When they joined
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS party_invites (
+      partyId INTEGER NOT NULL,              -- Party the invite is for
+      userId TEXT NOT NULL,                  -- Invited player
+      invitedBy TEXT NOT NULL,               -- Member who sent the invite
+      createdAt INTEGER NOT NULL,            -- When the invite was sent
+      expiresAt INTEGER NOT NULL,            -- Invite is ignored after this time
+      PRIMARY KEY (partyId, userId)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_party_members_party ON party_members(partyId)');
+  logger.info('[Database] Ensured parties tables exist');
+
+  /**
+   * WORLD BOSS CONTRIBUTIONS TABLE - Per-server damage totals for world bosses
+   *
+   * World bosses share one HP pool across the network; every hit is credited to the
+   * server the attacker was standing in so fights get a server leaderboard, and the
+   * top servers receive servers.tokens when the boss falls.
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS world_boss_contributions (
+      bossId INTEGER NOT NULL,               -- World boss encounter ID
+      guildId TEXT NOT NULL,                 -- Server the damage was dealt from
+      damage INTEGER DEFAULT 0,              -- Total damage dealt from this server
+      hits INTEGER DEFAULT 0,                -- Number of attacks from this server
+      tokensAwarded INTEGER DEFAULT 0,       -- Server tokens granted on defeat
+      PRIMARY KEY (bossId, guildId)
+    )
+  `);
+  logger.info('[Database] Ensured world_boss_contributions table exists');
+
+  /**
+   * BOSS EVENTS TABLE - Staff-scheduled boss spawns
+   *
+   * Themed events created with /events schedule. The boss spawner polls this table,
+   * so pending events survive restarts; status moves scheduled -> spawning -> spawned
+   * (or missed/failed/cancelled) and bossId links the spawned boss.
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS boss_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,  -- Event ID
+      title TEXT NOT NULL,                   -- Event title shown in announcements
+      bossName TEXT,                         -- Boss name (rolled from biome when null)
+      tier INTEGER,                          -- Boss tier (rolled when null)
+      guildId TEXT,                          -- Target server (null = pick by region/activity)
+      region TEXT,                           -- Target continent when no server is set
+      startsAt INTEGER NOT NULL,             -- Timestamp the boss should spawn
+      rewardMultiplier REAL DEFAULT 1,       -- Loot multiplier for the event boss
+      status TEXT DEFAULT 'scheduled',       -- scheduled, spawning, spawned, missed, failed, cancelled
+      bossId INTEGER,                        -- Spawned boss
+      spawnedGuildId TEXT,                   -- Server the boss actually spawned in
+      announcedAt INTEGER,                   -- When the schedule announcement went out
+      remindedAt INTEGER,                    -- When the "starting soon" reminder went out
+      error TEXT,                            -- Failure reason for missed/failed events
+      createdBy TEXT,                        -- Staff user who scheduled it
+      createdAt INTEGER NOT NULL
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_boss_events_status ON boss_events(status, startsAt)');
+  logger.info('[Database] Ensured boss_events table exists');
+
+  /**
+   * GEAR DURABILITY TABLE - Wear on individual copies of a player's gear
+   *
+   * One row per worn copy; copies of a stack without a row are at full durability.
+   * A row is created when a fresh copy takes wear and removed once it is repaired or
+   * leaves the inventory. inUse marks the copy that wears (see utils/durability).
+   */
+  // Older versions kept a single row per player and item (keyed on both); that row was the copy in use
+  const legacyDurability = db.prepare("PRAGMA table_info(gear_durability)").all().map(c => c.name);
+  if (legacyDurability.length && !legacyDurability.includes('id')) {
+    db.exec('ALTER TABLE gear_durability RENAME TO gear_durability_legacy');
+  }
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS gear_durability (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT NOT NULL,                  -- Owner
+      itemId TEXT NOT NULL,                  -- Worn item
+      durability INTEGER NOT NULL,           -- Remaining durability of this copy (0 = broken)
+      inUse INTEGER DEFAULT 0,               -- 1 for the copy that takes wear
+      updatedAt INTEGER NOT NULL             -- Last wear or repair
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_gear_durability_owner ON gear_durability(userId, itemId)');
+  if (legacyDurability.length && !legacyDurability.includes('id')) {
+    db.transaction(() => {
+      db.exec(`
+        INSERT INTO gear_durability (userId, itemId, durability, inUse, updatedAt)
+        SELECT userId, itemId, durability, 1, updatedAt FROM gear_durability_legacy
+      `);
+      db.exec('DROP TABLE gear_durability_legacy');
+    })();
+    logger.info('[Database] Moved gear_durability to per-copy rows');
+  }
+  logger.info('[Database] Ensured gear_durability table exists');
+
+  /**
+   * DUELS TABLE - PvP challenges and their results
+   *
+   * A row is created when a player issues /duel. The challenger's wager is held in
+   * escrow while the duel is pending; status moves pending -> completed (or declined,
+   * cancelled, expired with the wager refunded). rounds stores the fight log as JSON.
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS duels (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,  -- Duel ID (used in button custom IDs)
+      challengerId TEXT NOT NULL,            -- Player who issued the challenge
+      opponentId TEXT NOT NULL,              -- Challenged player
+      guildId TEXT,                          -- Location the duel takes place at
+      wager INTEGER DEFAULT 0,               -- Drakari each side puts up
+      status TEXT NOT NULL DEFAULT 'pending',
+      winnerId TEXT,                         -- NULL for a draw or unresolved duel
+      rounds TEXT,                           -- JSON fight log
+      challengerEloChange INTEGER DEFAULT 0,
+      opponentEloChange INTEGER DEFAULT 0,
+      createdAt INTEGER NOT NULL,
+      expiresAt INTEGER NOT NULL,            -- Pending challenges lapse after this
+      resolvedAt INTEGER
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_duels_status ON duels(status, expiresAt)');
+  logger.info('[Database] Ensured duels table exists');
+
+  /**
+   * ACTIVE CRAFTS TABLE - Crafts waiting to finish
+   *
+   * A row is created by /craft item (or one per step by /craft plan) and removed when
+   * the craft is cancelled or delivered (see utils/crafting). Rows past completionTime
+   * are finished crafts that have not been delivered yet.
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS active_crafts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,  -- Craft ID shown in /craft status
+      userId TEXT NOT NULL,                  -- Crafting player
+      itemId TEXT NOT NULL,                  -- Item being crafted
+      quantity INTEGER DEFAULT 1,
+      startTime INTEGER NOT NULL,
+      completionTime INTEGER NOT NULL,       -- When the items are ready
+      planRootId INTEGER,                    -- Final craft this intermediate step feeds (craft plans)
+      planMaterials TEXT,                    -- JSON [{id, qty}] taken from inventory for a plan (on its final craft)
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  // Tables created by older versions of /craft lack the plan columns
+  try { db.exec('ALTER TABLE active_crafts ADD COLUMN planRootId INTEGER'); } catch (e) { }
+  try { db.exec('ALTER TABLE active_crafts ADD COLUMN planMaterials TEXT'); } catch (e) { }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_active_crafts_completion ON active_crafts(completionTime)');
+  logger.info('[Database] Ensured active_crafts table exists');
+
+  /**
+   * RECIPE UNLOCKS TABLE - Recipes a player has discovered or learned
+   *
+   * One row per player and recipe that needs unlocking (see utils/recipe_unlocks).
+   * progress counts related crafts toward discovery; unlockedAt is set once the
+   * recipe is known, with source 'discovered' or 'scroll'.
+   */
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recipe_unlocks (
+      userId TEXT NOT NULL,                  -- Player
+      itemId TEXT NOT NULL,                  -- Recipe (crafted item ID)
+      progress INTEGER DEFAULT 0,            -- Related crafts counted toward discovery
+      unlockedAt INTEGER,                    -- NULL while still locked
+      source TEXT,                           -- 'discovered' or 'scroll'
+      PRIMARY KEY (userId, itemId)
+    )
+  `);
+  logger.info('[Database] Ensured recipe_unlocks table exists');
+
   /**
    * PREMIUM ITEMS TABLE - Premium Equipment Catalog
    * 
@@ -640,9 +932,12 @@ try {
       qty INTEGER NOT NULL,                         -- Quantity being sold
       price INTEGER NOT NULL,                       -- Price in drakari (game currency)
       expiresAt INTEGER NOT NULL,                   -- When listing expires
-      createdAt INTEGER NOT NULL DEFAULT (UNIXEPOCH() * 1000) -- When listing was created
+      createdAt INTEGER NOT NULL DEFAULT (UNIXEPOCH() * 1000), -- When listing was created
+      wornCopies TEXT                               -- JSON durabilities of worn gear copies in the listing
     )
   `);
+  // Add worn gear copies column (listed gear keeps its wear; see utils/durability)
+  try { db.exec('ALTER TABLE market_listings ADD COLUMN wornCopies TEXT'); } catch (e) { }
   logger.info('[Database] Ensured market_listings table exists');
 
   /**
@@ -0,0 +1,18 @@
+/**
+ * TRAVEL EVENT BUS
+ *
+ * Domain events raised by the travel system. Producers emit, features subscribe:
+ * - 'arrival' { userId, fromGuildId, toGuildId, isLandmark, returning, firstVisit, travelTime,
+ *               distance, staminaCost, vehicle, startedAt, arrivedAt }
+ *   returning is set when the player lands back home after cancelling a journey;
+ *   firstVisit when they have never been to that landmark or server before
+ *
+ * Listeners run synchronously after the arrival has been committed, so they should
+ * hand off any Discord/network work to promises and never throw.
+ */
+
+const { EventEmitter } = require('events');
+
+const travelEvents = new EventEmitter();
+
+module.exports = { travelEvents };
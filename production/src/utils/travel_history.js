@@ -4,8 +4,9 @@ const logger = require('./logger');
 
 /**
  * Record a completed travel in the history
+ * details (optional): { vehicle, vehicleSpeed, staminaCost, distance, isPremium, startedAt, arrivedAt }
  */
-function recordTravel(userId, fromGuildId, toGuildId, travelTime) {
+function recordTravel(userId, fromGuildId, toGuildId, travelTime, details = {}) {
   try {
     // Get server names
     const fromServer = fromGuildId ? db.prepare('SELECT name FROM servers WHERE guildId = ?').get(fromGuildId) : null;
@@ -15,13 +16,28 @@ function recordTravel(userId, fromGuildId, toGuildId, travelTime) {
     const toServerName = toServer?.name || toGuildId;
     
     // Record the travel
+    const travelType = String(toGuildId).startsWith('landmark_') ? 'landmark' : 'server';
     db.prepare(`
-      INSERT INTO travel_history (userId, fromGuildId, toGuildId, fromServerName, toServerName, travelTime, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).run(userId, fromGuildId, toGuildId, fromServerName, toServerName, travelTime, Date.now());
+      INSERT INTO travel_history (
+        userId, fromGuildId, toGuildId, fromServerName, toServerName, travelTime, timestamp,
+        distance, staminaCost, isPremium, vehicle, vehicleSpeed, travelType, destinationId, startedAt, arrivedAt
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      userId, fromGuildId, toGuildId, fromServerName, toServerName, travelTime, Date.now(),
+      details.distance || 0,
+      details.staminaCost || 0,
+      details.isPremium ? 1 : 0,
+      details.vehicle || null,
+      details.vehicleSpeed || 1.0,
+      travelType,
+      travelType === 'landmark' ? String(toGuildId).replace('landmark_', '') : null,
+      details.startedAt || null,
+      details.arrivedAt || null
+    );
     
     // Update player's total servers visited count
-    const visitedBefore = db.prepare('SELECT COUNT(*) as count FROM travel_history WHERE userId = ? AND toGuildId = ?').get(userId, toGuildId);
+    const visitedBefore = db.prepare('SELECT COUNT(*) as count FROM travel_history WHERE userId = ? AND toGuildId = ? AND COALESCE(cancelled, 0) = 0').get(userId, toGuildId);
     if (visitedBefore.count === 1) { // First time visiting this server
       db.prepare('UPDATE players SET serversVisited = COALESCE(serversVisited, 0) + 1 WHERE userId = ?').run(userId);
       
@@ -46,13 +62,54 @@ function recordTravel(userId, fromGuildId, toGuildId, travelTime) {
   }
 }
 
+/**
+ * Record a leg that was cancelled or rerouted before arrival
+ * Cancelled legs never count as visits and award nothing
+ * details: { travelTime, distance, staminaCost, vehicle, vehicleSpeed, isPremium, startedAt, reroutedTo }
+ */
+function recordCancelledTravel(userId, fromGuildId, toGuildId, details = {}) {
+  try {
+    const fromServer = fromGuildId ? db.prepare('SELECT name FROM servers WHERE guildId = ?').get(fromGuildId) : null;
+    const toServer = db.prepare('SELECT name FROM servers WHERE guildId = ?').get(toGuildId);
+    const travelType = String(toGuildId).startsWith('landmark_') ? 'landmark' : 'server';
+
+    db.prepare(`
+      INSERT INTO travel_history (
+        userId, fromGuildId, toGuildId, fromServerName, toServerName, travelTime, timestamp,
+        distance, staminaCost, isPremium, vehicle, vehicleSpeed, travelType, destinationId,
+        startedAt, arrivedAt, cancelled, reroutedTo
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, 1, ?)
+    `).run(
+      userId, fromGuildId, toGuildId, fromServer?.name || fromGuildId, toServer?.name || toGuildId,
+      details.travelTime || 0, Date.now(),
+      details.distance || 0,
+      details.staminaCost || 0,
+      details.isPremium ? 1 : 0,
+      details.vehicle || null,
+      details.vehicleSpeed || 1.0,
+      travelType,
+      travelType === 'landmark' ? String(toGuildId).replace('landmark_', '') : null,
+      details.startedAt || null,
+      details.reroutedTo || null
+    );
+
+    logger.info(`[Travel History] Recorded ${details.reroutedTo ? 'rerouted' : 'cancelled'} leg for ${userId}: ${fromGuildId || 'Unknown'} -> ${toGuildId}`);
+    return true;
+  } catch (error) {
+    logger.error('[Travel History] Error recording cancelled travel:', error.message);
+    return false;
+  }
+}
+
 /**
  * Get travel history for a user
  */
 function getTravelHistory(userId, limit = 10) {
   try {
     return db.prepare(`
-      SELECT fromGuildId, toGuildId, fromServerName, toServerName, travelTime, timestamp
+      SELECT fromGuildId, toGuildId, fromServerName, toServerName, travelTime, timestamp,
+             COALESCE(cancelled, 0) as cancelled, reroutedTo, vehicle
       FROM travel_history
       WHERE userId = ?
       ORDER BY timestamp DESC
@@ -76,14 +133,21 @@ function getTravelStats(userId) {
         SUM(travelTime) as totalTravelTime,
         AVG(travelTime) as avgTravelTime
       FROM travel_history
-      WHERE userId = ?
+      WHERE userId = ? AND COALESCE(cancelled, 0) = 0
+    `).get(userId) || {};
+    
+    // Count legs that were cancelled or rerouted mid-journey
+    const interrupted = db.prepare(`
+      SELECT COUNT(*) as cancelledTravels
+      FROM travel_history
+      WHERE userId = ? AND COALESCE(cancelled, 0) = 1
     `).get(userId) || {};
     
     // Get most visited servers
     const topServers = db.prepare(`
       SELECT toServerName, toGuildId, COUNT(*) as visits
       FROM travel_history
-      WHERE userId = ?
+      WHERE userId = ? AND COALESCE(cancelled, 0) = 0
       GROUP BY toGuildId
       ORDER BY visits DESC
       LIMIT 5
@@ -94,7 +158,7 @@ function getTravelStats(userId) {
     const recentActivity = db.prepare(`
       SELECT COUNT(*) as recentTravels
       FROM travel_history
-      WHERE userId = ? AND timestamp > ?
+      WHERE userId = ? AND timestamp > ? AND COALESCE(cancelled, 0) = 0
     `).get(userId, weekAgo) || {};
     
     return {
@@ -103,7 +167,8 @@ function getTravelStats(userId) {
       totalTravelTime: stats.totalTravelTime || 0,
       avgTravelTime: Math.round(stats.avgTravelTime || 0),
       topServers,
-      recentTravels: recentActivity.recentTravels || 0
+      recentTravels: recentActivity.recentTravels || 0,
+      cancelledTravels: interrupted.cancelledTravels || 0
     };
   } catch (error) {
     logger.error('[Travel History] Error getting travel stats:', error.message);
@@ -113,13 +178,15 @@ function getTravelStats(userId) {
       totalTravelTime: 0,
       avgTravelTime: 0,
       topServers: [],
-      recentTravels: 0
+      recentTravels: 0,
+      cancelledTravels: 0
     };
   }
 }
 
 module.exports = {
   recordTravel,
+  recordCancelledTravel,
   getTravelHistory,
   getTravelStats
 };
\ No newline at end of file
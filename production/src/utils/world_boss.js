@@ -0,0 +1,230 @@
+/**
+ * WORLD BOSSES
+ *
+ * A rare boss tier (config.boss.worldBoss) whose HP pool is shared network-wide:
+ * - At most one world boss is active at a time; it lives in a random "lair" server
+ *   (used for its map marker and biome) but can be attacked from any registered server
+ * - Every hit is credited to the server the attacker is standing in
+ *   (world_boss_contributions), giving each fight a server leaderboard
+ * - On defeat players are paid by distributeBossLoot as usual and the top servers
+ *   receive servers.tokens according to serverTokenRewards
+ * - World bosses sit outside the regular single-boss cycle (maxActiveGlobal)
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { db } = require('./store_sqlite');
+const config = require('./config');
+const logger = require('./logger');
+const { broadcastBossAlert } = require('./boss_settings');
+
+function worldBossConfig() {
+  return (config.boss && config.boss.worldBoss) || {};
+}
+
+/**
+ * Get the world boss currently in progress
+ * @returns {Object|null} Boss row or null
+ */
+function getActiveWorldBoss() {
+  return db.prepare(`
+    SELECT * FROM bosses WHERE isWorldBoss = 1 AND active = 1 AND expiresAt > ? ORDER BY id DESC LIMIT 1
+  `).get(Date.now()) || null;
+}
+
+/**
+ * Credit a hit on a world boss to the attacker's server
+ * @param {number} bossId - World boss ID
+ * @param {string} guildId - Server the attack came from
+ * @param {number} damage - Damage dealt
+ */
+function recordWorldBossContribution(bossId, guildId, damage) {
+  db.prepare(`
+    INSERT INTO world_boss_contributions (bossId, guildId, damage, hits) VALUES (?, ?, ?, 1)
+    ON CONFLICT(bossId, guildId) DO UPDATE SET damage = damage + excluded.damage, hits = hits + 1
+  `).run(bossId, guildId, damage);
+}
+
+/**
+ * Server leaderboard for a world boss fight
+ * @param {number} bossId - World boss ID
+ * @param {number} limit - Max rows (defaults to config leaderboardSize)
+ * @returns {Array<{rank, guildId, name, damage, hits, share, tokensAwarded}>}
+ */
+function getWorldBossLeaderboard(bossId, limit = worldBossConfig().leaderboardSize ?? 10) {
+  const rows = db.prepare(`
+    SELECT c.guildId, c.damage, c.hits, c.tokensAwarded,
+      (SELECT name FROM servers s WHERE s.guildId = c.guildId ORDER BY addedAt DESC LIMIT 1) AS name
+    FROM world_boss_contributions c WHERE c.bossId = ?
+    ORDER BY c.damage DESC
+  `).all(bossId);
+  const total = rows.reduce((sum, r) => sum + r.damage, 0);
+  return rows.slice(0, limit).map((r, i) => ({
+    rank: i + 1,
+    guildId: r.guildId,
+    name: r.name || r.guildId,
+    damage: r.damage,
+    hits: r.hits,
+    share: total > 0 ? r.damage / total : 0,
+    tokensAwarded: r.tokensAwarded
+  }));
+}
+
+/**
+ * Grant servers.tokens to the top contributing servers of a defeated world boss
+ * @param {number} bossId - World boss ID
+ * @returns {Array} Leaderboard rows that received tokens
+ */
+function awardWorldBossServerTokens(bossId) {
+  const rewards = worldBossConfig().serverTokenRewards || [];
+  const top = getWorldBossLeaderboard(bossId, rewards.length);
+  const award = db.transaction(() => {
+    top.forEach((row, i) => {
+      row.tokensAwarded = rewards[i] || 0;
+      if (!row.tokensAwarded) return;
+      db.prepare('UPDATE servers SET tokens = COALESCE(tokens, 0) + ? WHERE guildId = ?').run(row.tokensAwarded, row.guildId);
+      db.prepare('UPDATE world_boss_contributions SET tokensAwarded = ? WHERE bossId = ? AND guildId = ?').run(row.tokensAwarded, bossId, row.guildId);
+    });
+  });
+  award();
+  logger.info('[World Boss] Awarded server tokens for boss %s: %s', bossId, top.map(r => `${r.guildId}=${r.tokensAwarded}`).join(', '));
+  return top.filter(r => r.tokensAwarded > 0);
+}
+
+/**
+ * Render a leaderboard as embed lines
+ */
+function formatWorldBossLeaderboard(rows) {
+  const medals = ['🥇', '🥈', '🥉'];
+  return rows.map(r =>
+    `${medals[r.rank - 1] || `#${r.rank}`} **${r.name}** — ${r.damage.toLocaleString()} (${(r.share * 100).toFixed(1)}%)${r.tokensAwarded ? ` • 🎟️ +${r.tokensAwarded}` : ''}`
+  ).join('\n') || 'No damage yet';
+}
+
+/**
+ * Spawn a world boss in a random lair server and alert every configured guild
+ *
+ * @param {Client|null} client - Discord client for alerts
+ * @param {Object|null} lair - Server row to use as lair (random non-opted-out server when omitted)
+ * @returns {Promise<Object|null>} Boss data or null when nothing could spawn
+ */
+async function spawnWorldBoss(client = null, lair = null) {
+  if (getActiveWorldBoss()) return null;
+  const cfg = worldBossConfig();
+
+  if (!lair) {
+    const candidates = db.prepare(`
+      SELECT s.* FROM servers s
+      LEFT JOIN boss_notification_settings bns ON bns.guildId = s.guildId
+      WHERE s.archived = 0 AND s.lat IS NOT NULL AND s.lon IS NOT NULL AND s.guildId != ?
+        AND COALESCE(bns.spawnOptOut, 0) = 0
+    `).all(process.env.SPAWN_GUILD_ID || '');
+    if (!candidates.length) return null;
+    lair = candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  const names = cfg.names && cfg.names.length ? cfg.names : ['World Devourer'];
+  const name = names[Math.floor(Math.random() * names.length)];
+  const tier = cfg.tier ?? 5;
+  const hp = Math.floor((config.boss?.baseHp || 2000) * (cfg.hpMultiplier ?? 25));
+  const now = Date.now();
+  const expiresAt = now + (cfg.ttlSeconds ?? 21600) * 1000;
+
+  const result = db.prepare(`
+    INSERT INTO bosses (guildId, name, maxHp, hp, startedAt, expiresAt, active, tier, isWorldBoss)
+    VALUES (?, ?, ?, ?, ?, ?, 1, ?, 1)
+  `).run(lair.guildId, name, hp, hp, now, expiresAt, tier);
+
+  const bossData = {
+    id: Number(result.lastInsertRowid),
+    guildId: lair.guildId,
+    name,
+    maxHp: hp,
+    hp,
+    tier,
+    serverName: lair.name,
+    biome: lair.biome,
+    startedAt: now,
+    expiresAt,
+    isWorldBoss: 1
+  };
+
+  logger.aqua('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  logger.aqua('🌍 WORLD BOSS SPAWNED');
+  logger.aqua('💀 Boss: %s (Tier %d)', name, tier);
+  logger.aqua('❤️  HP: %d', hp);
+  logger.aqua('🏰 Lair: %s (%s)', lair.name, lair.guildId);
+
+  if (client) {
+    const embed = new EmbedBuilder()
+      .setTitle(`🌍 World Boss: ${name}`)
+      .setDescription(`A world-ending threat has awakened near **${lair.name || lair.guildId}**!\nIts health is shared across every server — attack it from wherever you are.`)
+      .setColor(0x8B0000)
+      .addFields(
+        { name: '💀 Boss Info', value: `**HP:** ${hp.toLocaleString()}\n**Tier:** ${tier}`, inline: true },
+        { name: '⏰ Time Limit', value: `Escapes <t:${Math.floor(expiresAt / 1000)}:R>`, inline: true },
+        { name: '⚔️ How to Fight', value: '• Be at any registered server (not traveling)\n• Use `/boss attack world:true`\n• Top servers earn 🎟️ server tokens', inline: false }
+      )
+      .setFooter({ text: 'World Boss Alert • QuestCord', iconURL: client.user?.displayAvatarURL() })
+      .setTimestamp();
+    await broadcastBossAlert(client, target => ({
+      content: `${target.roleId ? `<@&${target.roleId}> ` : ''}🌍 **WORLD BOSS ALERT** 🌍`,
+      embeds: [embed]
+    }));
+  }
+
+  return bossData;
+}
+
+/**
+ * Roll for a world boss spawn; called from the regular boss spawning cycle
+ * Respects enabled, cooldownSeconds since the last world boss and spawnChance
+ *
+ * @param {Client|null} client - Discord client for alerts
+ * @returns {Promise<Object|null>} Spawned boss data or null
+ */
+async function maybeSpawnWorldBoss(client = null) {
+  const cfg = worldBossConfig();
+  if (!cfg.enabled || getActiveWorldBoss()) return null;
+
+  const last = db.prepare('SELECT MAX(startedAt) AS at FROM bosses WHERE isWorldBoss = 1').get()?.at || 0;
+  if (Date.now() - last < (cfg.cooldownSeconds ?? 86400) * 1000) return null;
+  if (Math.random() >= (cfg.spawnChance ?? 0.05)) return null;
+
+  return spawnWorldBoss(client);
+}
+
+/**
+ * Map marker for the active world boss (lair coordinates plus fight progress)
+ * @returns {Object|null} Marker data or null when no world boss is active
+ */
+function worldBossMarker() {
+  const boss = getActiveWorldBoss();
+  if (!boss) return null;
+  const lair = db.prepare('SELECT name, lat, lon, biome FROM servers WHERE guildId=? ORDER BY addedAt DESC LIMIT 1').get(boss.guildId) || {};
+  return {
+    type: 'world_boss',
+    id: boss.id,
+    name: boss.name,
+    tier: boss.tier,
+    hp: boss.hp,
+    maxHp: boss.maxHp,
+    expiresAt: boss.expiresAt,
+    lat: lair.lat ?? null,
+    lon: lair.lon ?? null,
+    lairGuildId: boss.guildId,
+    lairName: lair.name || null,
+    biome: lair.biome || null,
+    topServers: getWorldBossLeaderboard(boss.id, 3)
+  };
+}
+
+module.exports = {
+  getActiveWorldBoss,
+  recordWorldBossContribution,
+  getWorldBossLeaderboard,
+  awardWorldBossServerTokens,
+  formatWorldBossLeaderboard,
+  spawnWorldBoss,
+  maybeSpawnWorldBoss,
+  worldBossMarker
+};
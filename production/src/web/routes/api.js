@@ -16,6 +16,18 @@ const { createAutoPlacementIfMissing, getSpawnServer, ensurePlayerRow, fetchRole
 const logger = require('../../utils/logger');
 // Import bot notification system for admin action tracking
 const { logAdminAction } = require('../../utils/bot_notifications');
+// Import item lookup and boss reward breakdowns for loot endpoints
+const { itemById } = require('../../utils/items');
+const { getBossRewards } = require('../../utils/boss_loot');
+const { getBossFightLog } = require('../../utils/battle_log');
+const { getPartySummary } = require('../../utils/parties');
+const { getWorldBossLeaderboard, worldBossMarker } = require('../../utils/world_boss');
+const { getUpcomingBossEvents, getRecentBossEvents } = require('../../utils/boss_events');
+const { describeScaling } = require('../../utils/boss_scaling');
+const { getDuelRecord, getRecentDuels } = require('../../utils/duels');
+const { getRecipeGraph, isCraftable } = require('../../utils/crafting');
+const { releaseCopies } = require('../../utils/durability');
+const config = require('../../utils/config');
 
 // Create Express router instance for mounting API routes
 const router = express.Router();
@@ -141,8 +153,8 @@ function activeBosses(){
  */
 function getBossData(guildId){
   try {
-    // Find the most recent active boss for this server
-    const boss = db.prepare('SELECT active, tier, expiresAt FROM bosses WHERE guildId=? AND active=1 ORDER BY id DESC LIMIT 1').get(guildId);
+    // Find the most recent active boss for this server (a world boss lair is shown as its own marker)
+    const boss = db.prepare('SELECT active, tier, expiresAt FROM bosses WHERE guildId=? AND active=1 AND COALESCE(isWorldBoss,0)=0 ORDER BY id DESC LIMIT 1').get(guildId);
     // Check if boss exists and hasn't expired yet
     if (boss && boss.expiresAt > Date.now()) {
       return { active: true, tier: boss.tier || 1 };
@@ -481,10 +493,13 @@ router.get('/api/map/servers', rateLimit(), (req,res)=>{
       centerRow = getSpawnServer();
     }
 
-    if (!centerRow) return res.json({ center:null, servers:[], mode });
+    if (!centerRow) return res.json({ center:null, servers:[], mode, worldBoss: worldBossMarker() });
     payload = { center: centerRow, servers: nearest(centerRow, limit, listOpts), mode };
   }
 
+  // Active world boss as a special marker at its lair
+  payload.worldBoss = worldBossMarker();
+
   if (req.session.user){
     const p = db.prepare('SELECT locationGuildId, travelArrivalAt FROM players WHERE userId=?')
                 .get(req.session.user.id);
@@ -495,6 +510,16 @@ router.get('/api/map/servers', rateLimit(), (req,res)=>{
   res.json(payload);
 });
 
+// Active world boss marker (lair coordinates, HP and top servers)
+router.get('/api/map/world-boss', rateLimit(), (req, res) => {
+  try {
+    res.json({ worldBoss: worldBossMarker() });
+  } catch (error) {
+    console.error('GET /api/map/world-boss error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
 // POI landmarks endpoint for map display
 router.get('/api/map/landmarks', rateLimit(), (req, res) => {
   try {
@@ -719,7 +744,7 @@ router.get('/api/landmark/:landmarkId', rateLimit(), async (req, res) => {
   }
 });
 
-router.get('/api/bosses', rateLimit(), (_,res)=> res.json({ bosses: activeBosses() }));
+router.get('/api/bosses', rateLimit(), (_,res)=> res.json({ bosses: activeBosses().map(b => ({ ...b, scaling: describeScaling(b) })) }));
 
 // Get recent boss activity for the tracker widget
 router.get('/api/bosses/recent', rateLimit(60, 60000), async (req, res) => {
@@ -771,6 +796,178 @@ router.get('/api/bosses/recent', rateLimit(60, 60000), async (req, res) => {
   }
 });
 
+// Get the per-player loot breakdown of a defeated boss (optionally for one user)
+router.get('/api/bosses/:id/rewards', rateLimit(60, 60000), (req, res) => {
+  try {
+    const bossId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(bossId) || bossId <= 0) {
+      return res.status(400).json({ error: 'invalid_input', message: 'Invalid boss id' });
+    }
+
+    const boss = db.prepare('SELECT id, name, tier, guildId, maxHp, startedAt FROM bosses WHERE id=?').get(bossId);
+    if (!boss) {
+      return res.status(404).json({ error: 'not_found', message: 'Boss not found' });
+    }
+
+    const userId = typeof req.query.userId === 'string' && /^\d{5,25}$/.test(req.query.userId) ? req.query.userId : null;
+    const names = db.prepare('SELECT name FROM players WHERE userId=?');
+    const rewards = getBossRewards(bossId, userId).map(r => ({
+      userId: r.userId,
+      name: names.get(r.userId)?.name || 'Unknown',
+      damage: r.damage,
+      share: r.share,
+      rank: r.rank,
+      drakari: r.drakari,
+      partyBonus: r.partyBonus || 0,
+      topDamage: r.topDamage,
+      items: r.items.map(i => ({ ...i, name: itemById(i.itemId)?.name || i.itemId, rarity: itemById(i.itemId)?.rarity || null })),
+      distributedAt: r.createdAt
+    }));
+
+    res.json({ boss, rewards });
+  } catch (error) {
+    console.error('GET /api/bosses/:id/rewards error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Per-server contribution leaderboard for a world boss fight
+router.get('/api/bosses/:id/servers', rateLimit(60, 60000), (req, res) => {
+  try {
+    const bossId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(bossId) || bossId <= 0) {
+      return res.status(400).json({ error: 'invalid_input', message: 'Valid boss id required' });
+    }
+    const boss = db.prepare('SELECT id, name, tier, guildId, hp, maxHp, active, startedAt, expiresAt, isWorldBoss FROM bosses WHERE id=?').get(bossId);
+    if (!boss) return res.status(404).json({ error: 'not_found' });
+    if (!boss.isWorldBoss) return res.status(400).json({ error: 'not_world_boss', message: 'Server leaderboards only exist for world bosses' });
+
+    res.json({ boss, servers: getWorldBossLeaderboard(bossId, Infinity) });
+  } catch (error) {
+    console.error('GET /api/bosses/:id/servers error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Get the blow-by-blow fight log of a boss (every recorded attack, oldest first)
+router.get('/api/bosses/:id/log', rateLimit(60, 60000), (req, res) => {
+  try {
+    const bossId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(bossId) || bossId <= 0) {
+      return res.status(400).json({ error: 'invalid_input', message: 'Invalid boss id' });
+    }
+
+    const boss = db.prepare(`
+      SELECT b.id, b.name, b.tier, b.guildId, b.maxHp, b.hp, b.active, b.startedAt, b.expiresAt, s.name as serverName
+      FROM bosses b
+      LEFT JOIN servers s ON s.guildId = b.guildId
+      WHERE b.id = ?
+      GROUP BY b.id
+    `).get(bossId);
+    if (!boss) {
+      return res.status(404).json({ error: 'not_found', message: 'Boss not found' });
+    }
+
+    const hits = getBossFightLog(bossId);
+
+    // Per-player totals for the summary table
+    const fighters = {};
+    for (const hit of hits) {
+      const f = fighters[hit.userId] || (fighters[hit.userId] = {
+        userId: hit.userId, name: hit.playerName || 'Unknown', attacks: 0, damage: 0, crits: 0, damageTaken: 0, staminaSpent: 0
+      });
+      f.attacks++;
+      f.damage += hit.damage;
+      f.crits += hit.crit ? 1 : 0;
+      f.damageTaken += hit.counterDamage || 0;
+      f.staminaSpent += hit.staminaSpent || 0;
+    }
+
+    res.json({
+      boss,
+      hits,
+      summary: {
+        totalAttacks: hits.length,
+        totalDamage: hits.reduce((sum, h) => sum + h.damage, 0),
+        firstHitAt: hits.length ? hits[0].timestamp : null,
+        lastHitAt: hits.length ? hits[hits.length - 1].timestamp : null,
+        fighters: Object.values(fighters).sort((a, b) => b.damage - a.damage)
+      }
+    });
+  } catch (error) {
+    console.error('GET /api/bosses/:id/log error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Scheduled boss events: upcoming (soonest first) and recent (newest first) with boss outcome
+router.get('/api/events', rateLimit(60, 60000), (req, res) => {
+  try {
+    const eventView = e => ({
+      id: e.id,
+      title: e.title,
+      bossName: e.bossName,
+      tier: e.tier,
+      guildId: e.spawnedGuildId || e.guildId,
+      serverName: e.serverName || null,
+      region: e.region,
+      startsAt: e.startsAt,
+      rewardMultiplier: e.rewardMultiplier,
+      status: e.status,
+      bossId: e.bossId
+    });
+    res.json({
+      upcoming: getUpcomingBossEvents().map(eventView),
+      recent: getRecentBossEvents().map(e => ({
+        ...eventView(e),
+        outcome: e.status !== 'spawned' ? e.status : e.bossActive ? 'in_progress' : e.bossHp <= 0 ? 'defeated' : 'escaped'
+      }))
+    });
+  } catch (error) {
+    console.error('GET /api/events error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Item search for the recipe explorer (?q= matches name or id)
+router.get('/api/recipes', rateLimit(60, 60000), (req, res) => {
+  const q = String(req.query.q || '').trim().toLowerCase().slice(0, 50);
+  const items = (config.items || [])
+    .filter(item => !q || item.name.toLowerCase().includes(q) || item.id.includes(q))
+    .slice(0, 25)
+    .map(item => ({ id: item.id, name: item.name, rarity: item.rarity, craftable: isCraftable(item) }));
+  res.json({ items });
+});
+
+// Recipe graph for an item: ingredient tree, reverse lookup and raw material bill
+router.get('/api/recipes/:itemId', rateLimit(60, 60000), (req, res) => {
+  try {
+    const graph = getRecipeGraph(req.params.itemId);
+    if (!graph) return res.status(404).json({ error: 'not_found' });
+
+    const itemView = item => ({ id: item.id, name: item.name, rarity: item.rarity, category: item.category || null });
+    const nodeView = node => ({
+      ...(node.item ? itemView(node.item) : { id: node.id, name: node.id, rarity: null, category: null }),
+      qty: node.qty,
+      craftable: node.craftable,
+      cycle: node.cycle,
+      children: node.children.map(nodeView)
+    });
+    res.json({
+      item: { ...itemView(graph.item), description: graph.item.description || null, craftable: graph.tree.craftable },
+      tree: nodeView(graph.tree),
+      usedIn: graph.usedIn.map(use => ({ ...itemView(use.item), qty: use.qty })),
+      raw: graph.raw.map(m => ({ ...(m.item ? itemView(m.item) : { id: m.id, name: m.id }), qty: m.qty, usedIn: m.usedIn })),
+      steps: graph.steps,
+      depth: graph.depth,
+      craftSeconds: graph.craftSeconds
+    });
+  } catch (error) {
+    console.error('GET /api/recipes/:itemId error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
 // Get detailed server information
 router.get('/api/server/:guildId', rateLimit(), async (req, res) => {
   try {
@@ -2372,6 +2569,7 @@ router.post('/api/admin/inventory/remove', rateLimit(20, 10000), ensureCsrf, asy
     }
 
     let newQuantity = existing.qty - quantity;
+    releaseCopies(userId, itemId, Math.min(quantity, existing.qty));
     
     if (newQuantity <= 0) {
       // Remove item completely if quantity becomes 0 or negative
@@ -2417,8 +2615,9 @@ router.post('/api/admin/inventory/clear', rateLimit(20, 10000), ensureCsrf, asyn
     const itemCount = db.prepare('SELECT COUNT(*) as count FROM inventory WHERE userId=?').get(userId);
     const totalItems = itemCount ? itemCount.count : 0;
 
-    // Clear all inventory for user
+    // Clear all inventory for user (and the wear on it)
     db.prepare('DELETE FROM inventory WHERE userId=?').run(userId);
+    db.prepare('DELETE FROM gear_durability WHERE userId=?').run(userId);
 
     logger.info('admin_inventory_clear: user %s cleared %d items by %s reason: %s', userId, totalItems, req.session?.user?.username || 'Unknown', reason || 'none');
 
@@ -2870,6 +3069,8 @@ router.get('/api/profile/:userId', rateLimit(30, 60000), async (req, res) => {
       travel,
       currentLocationServer,
       analytics,
+      party: getPartySummary(userId),
+      duels: { ...getDuelRecord(userId), recent: getRecentDuels(userId, 5) },
       isOwnProfile: req.session?.user?.id === userId
     };
 
@@ -7,6 +7,7 @@
  * - Landing page (main application interface)
  * - Terms of Service and Privacy Policy (legal compliance)
  * - Status page (service health monitoring)
+ * - Recipe explorer (crafting graph viewer)
  *
  * **Features:**
  * - Subdomain routing for status page
@@ -89,6 +90,26 @@ router.get('/updates/:version', (req, res) => {
 
 
 
+/**
+ * Recipe Explorer Page
+ * GET /recipes and /recipes/:itemId
+ * Serves the recipe graph viewer; the page reads the item ID from the URL
+ * and loads its data from /api/recipes/:itemId
+ */
+router.get(['/recipes', '/recipes/:itemId'], (req, res) => {
+  res.sendFile(path.join(process.cwd(), 'web', 'public', 'recipes.html'));
+});
+
+/**
+ * Boss Fight Log Page
+ * GET /bosses/:bossId
+ * Serves the fight log viewer; the page reads the boss ID from the URL
+ * and loads its data from /api/bosses/:id/log
+ */
+router.get('/bosses/:bossId([0-9]+)', (req, res) => {
+  res.sendFile(path.join(process.cwd(), 'web', 'public', 'boss-log.html'));
+});
+
 /**
  * Service Status Page
  * GET /status